@@ -21,13 +21,21 @@ import Debug from '../util/debug.js';
 const debug = Debug.extend('cli');
 
 import fs from 'fs';
+import path from 'path';
 import commandLineArgs from 'command-line-args';
 import minimatch from 'minimatch';
+import { filenameKey } from '../util/supp.js';
 import {
 	Archive,
+	BufferSource,
 	File,
+	FileHandleSink,
+	FileHandleSource,
+	LimitIssue,
+	NameMap,
 	all as gamearchiveFormats,
-	findHandler as gamearchiveFindHandler,
+	loadAll,
+	rankHandlers as gamearchiveRankHandlers,
 } from '../index.js';
 
 // https://stackoverflow.com/a/20732091/308237
@@ -45,12 +53,85 @@ class Operations
 {
 	constructor() {
 		this.archive = new Archive();
+		this.fileHandles = [];
+		this.openFilenames = [];
+		this.nameMap = new NameMap();
+		this.nameFiles = [];
+	}
+
+	async close() {
+		for (const fh of this.fileHandles) {
+			await fh.close();
+		}
+		this.fileHandles = [];
+		this.openFilenames = [];
 	}
 
 	log(action, ...params) {
 		console.log(action.padStart(12) + ':', ...params);
 	}
 
+	/**
+	 * Load a list of filenames saved by an earlier 'save --names', unless it
+	 * has already been loaded.  A file that doesn't exist yet is treated as an
+	 * empty list, so it can be created by the first 'save'.
+	 */
+	loadNames(cmd, filename) {
+		const fullPath = path.resolve(filename);
+		if (this.nameFiles.includes(fullPath)) return;
+
+		let json;
+		try {
+			json = fs.readFileSync(filename, 'utf8');
+		} catch (e) {
+			if (e.code !== 'ENOENT') {
+				throw new OperationsError(`${cmd}: unable to read filenames from `
+					+ `"${filename}": ${e.message}`);
+			}
+		}
+		if (json !== undefined) {
+			try {
+				this.nameMap.importJSON(json);
+			} catch (e) {
+				throw new OperationsError(`${cmd}: unable to read filenames from `
+					+ `"${filename}": ${e.message}`);
+			}
+		}
+		this.nameFiles.push(fullPath);
+	}
+
+	/**
+	 * Get the capabilities of the format the archive will be saved in.
+	 */
+	getCaps() {
+		const handler = this.origFormat && gamearchiveFormats.find(
+			h => h.metadata().id === this.origFormat
+		);
+		if (!handler) {
+			// A new archive without a format yet, so go with what DOS does.
+			return { file: { caseSensitive: false } };
+		}
+		return handler.metadata().caps;
+	}
+
+	/**
+	 * Find a file in the archive, following the format's case policy.
+	 *
+	 * @return {Number} index into `this.archive.files`, or -1 if not found.
+	 */
+	findFile(cmd, target) {
+		const caps = this.getCaps();
+		const targetKey = filenameKey(target, caps);
+		const matches = this.archive.files
+			.map((file, index) => ({ file, index }))
+			.filter(m => filenameKey(m.file.name, caps) === targetKey);
+		if (matches.length > 1) {
+			console.warn(`${cmd}: ${matches.length} files are called "${target}", `
+				+ `using the first one.`);
+		}
+		return matches.length ? matches[0].index : -1;
+	}
+
 	async add(params) {
 		if (!params.target) {
 			throw new OperationsError('add: missing filename');
@@ -68,46 +149,41 @@ class Operations
 		if (!params.target) {
 			throw new OperationsError('attrib: missing filename');
 		}
-		const targetName = params.target.toUpperCase(); // nearly always ASCII
-		for (let i = 0; i < this.archive.files.length; i++) {
-			if (this.archive.files[i].name.toUpperCase() == targetName) {
-				let desc = [];
-				if (params.compressed === true) {
-					this.archive.files[i].attributes.compressed = true;
-					desc.push('compressed');
-				}
-				if (params.uncompressed === true) {
-					this.archive.files[i].attributes.compressed = false;
-					desc.push('uncompressed');
-				}
-				if (params.encrypted === true) {
-					this.archive.files[i].attributes.encrypted = true;
-					desc.push('encrypted');
-				}
-				if (params.unencrypted === true) {
-					this.archive.files[i].attributes.encrypted = false;
-					desc.push('unencrypted');
-				}
-				this.log('attrib', this.archive.files[i].name, '=>', desc.length ? desc.join(', ') : 'no change');
-				return;
-			}
+		const i = this.findFile('attrib', params.target);
+		if (i < 0) {
+			throw new OperationsError(`attrib: archive does not contain "${params.target}"`);
 		}
-		throw new OperationsError(`attrib: archive does not contain "${params.target}"`);
+		const file = this.archive.files[i];
+		let desc = [];
+		if (params.compressed === true) {
+			file.attributes.compressed = true;
+			desc.push('compressed');
+		}
+		if (params.uncompressed === true) {
+			file.attributes.compressed = false;
+			desc.push('uncompressed');
+		}
+		if (params.encrypted === true) {
+			file.attributes.encrypted = true;
+			desc.push('encrypted');
+		}
+		if (params.unencrypted === true) {
+			file.attributes.encrypted = false;
+			desc.push('unencrypted');
+		}
+		this.log('attrib', file.name, '=>', desc.length ? desc.join(', ') : 'no change');
 	}
 
 	del(params) {
 		if (!params.target) {
 			throw new OperationsError('del: missing filename');
 		}
-		const targetName = params.target.toUpperCase(); // nearly always ASCII
-		for (let i = 0; i < this.archive.files.length; i++) {
-			if (this.archive.files[i].name.toUpperCase() == targetName) {
-				this.log('deleting', this.archive.files[i].name);
-				this.archive.files.splice(i, 1);
-				return;
-			}
+		const i = this.findFile('del', params.target);
+		if (i < 0) {
+			throw new OperationsError(`del: archive does not contain "${params.target}"`);
 		}
-		throw new OperationsError(`del: archive does not contain "${params.target}"`);
+		this.log('deleting', this.archive.files[i].name);
+		this.archive.files.splice(i, 1);
 	}
 
 	async extract(params) {
@@ -116,7 +192,10 @@ class Operations
 		}
 
 		const targetFiles = this.archive.files.filter(
-			file => minimatch(file.name, params.target, { matchBase: true, nocase: true })
+			file => minimatch(file.name, params.target, {
+				matchBase: true,
+				nocase: !this.getCaps().file.caseSensitive,
+			})
 		);
 		if (targetFiles.length === 0) {
 			throw new OperationsError(`extract: archive does not contain "${params.target}"`);
@@ -133,9 +212,9 @@ class Operations
 		for (const targetFile of targetFiles) {
 			let data;
 			if (params.raw) {
-				data = targetFile.getRaw();
+				data = await targetFile.getRawAsync();
 			} else {
-				data = targetFile.getContent();
+				data = await targetFile.getContentAsync();
 			}
 
 			// Figure out what to write the filename as
@@ -166,14 +245,22 @@ class Operations
 		const content = {
 			main: fs.readFileSync(params.target),
 		};
-		let handlers = gamearchiveFindHandler(content.main, params.target);
+		const candidates = gamearchiveRankHandlers(content.main, params.target);
 
-		console.log(handlers.length + ' format handler(s) matched');
-		if (handlers.length === 0) {
+		console.log(candidates.length + ' format handler(s) matched');
+		if (candidates.length === 0) {
 			console.log('No file format handlers were able to identify this file format, sorry.');
 			return;
 		}
-		for (const handler of handlers) {
+		candidates.forEach((c, i) => {
+			const m = c.handler.metadata();
+			console.log(`${(i + 1).toString().padStart(2)}. [${c.score.toFixed(0).padStart(3)}] `
+				+ `${m.id} (${m.title})`);
+			for (const reason of c.reasons) {
+				console.log(`           - ${reason}`);
+			}
+		});
+		for (const { handler } of candidates) {
 			const m = handler.metadata();
 			console.log(`\n>> Trying handler for ${m.id} (${m.title})`);
 
@@ -244,7 +331,7 @@ class Operations
 		console.log(str);
 	}
 
-	open(params) {
+	async open(params) {
 		let handler;
 		if (params.format) {
 			handler = gamearchiveFormats.find(h => h.metadata().id === params.format);
@@ -256,32 +343,50 @@ class Operations
 			throw new OperationsError('open: missing filename');
 		}
 
-		let content = {
-			main: fs.readFileSync(params.target),
-		};
+		let content = {};
 		if (!handler) {
-			let handlers = gamearchiveFindHandler(content.main, params.target);
-			if (handlers.length === 0) {
+			// Autodetection needs the whole file, but if the format was given we can
+			// avoid loading it and only read the parts we need.
+			content.main = fs.readFileSync(params.target);
+			const candidates = gamearchiveRankHandlers(content.main, params.target);
+			if (candidates.length === 0) {
 				throw new OperationsError('Unable to identify this archive format.');
 			}
-			if (handlers.length > 1) {
+			// Only give up if the best matches are tied, otherwise go with the
+			// highest ranked one.
+			const best = candidates.filter(c => c.score === candidates[0].score);
+			if (best.length > 1) {
 				console.error('This file format could not be unambiguously identified.  It could be:');
-				handlers.forEach(h => {
-					const m = h.metadata();
+				best.forEach(c => {
+					const m = c.handler.metadata();
 					console.error(` * ${m.id} (${m.title})`);
 				});
 				throw new OperationsError('open: please use the -t option to specify the format.');
 			}
-			handler = handlers[0];
+			handler = candidates[0].handler;
 		}
 
+		// Release any files from a previously opened archive.
+		await this.close();
+
+		let source = {};
+		if (content.main) {
+			source.main = new BufferSource(content.main);
+		} else {
+			const fh = await fs.promises.open(params.target, 'r');
+			this.fileHandles.push(fh);
+			const { size } = await fh.stat();
+			source.main = new FileHandleSource(fh, size);
+		}
+		this.openFilenames.push(path.resolve(params.target));
+
 		const suppList = handler.supps(params.target, content.main);
 		if (suppList) {
 			for (const [id, suppFilename] of Object.entries(suppList)) {
 				if (id === 'main') continue;
 				try {
-					content[id] = fs.readFileSync(suppFilename);
-					content[id].filename = suppFilename;
+					source[id] = new BufferSource(fs.readFileSync(suppFilename));
+					this.openFilenames.push(path.resolve(suppFilename));
 				} catch (e) {
 					throw new OperationsError(`open: unable to open supplementary file `
 						+ `"${suppFilename}": ${e.message}`);
@@ -289,8 +394,14 @@ class Operations
 			}
 		}
 
+		if (params.names) {
+			this.loadNames('open', params.names);
+		}
+
 		try {
-			this.archive = handler.parse(content);
+			this.archive = await handler.parseAsync(source, {
+				nameMap: this.nameMap,
+			});
 		} catch (e) {
 			debug(e);
 			throw new OperationsError(`Unable to open file: ${e.message}`);
@@ -298,23 +409,60 @@ class Operations
 		this.origFormat = handler.metadata().id;
 	}
 
+	async recover(params) {
+		const handler = this.origFormat && gamearchiveFormats.find(
+			h => h.metadata().id === this.origFormat
+		);
+		if (!handler || !handler.recoverFilenames) {
+			throw new OperationsError('recover: this archive format has no way to '
+				+ 'search for missing filenames.');
+		}
+
+		if (params.names) {
+			// Keep any names already in the file.
+			this.loadNames('recover', params.names);
+		}
+
+		let options = {
+			nameMap: this.nameMap,
+		};
+		if (params.attempts !== undefined) {
+			options.maxAttempts = parseInt(params.attempts, 10);
+			if (!(options.maxAttempts > 0)) {
+				throw new OperationsError('recover: the number of attempts must be '
+					+ 'a positive number.');
+			}
+		}
+
+		const names = this.archive.files.map(f => f.name);
+		const count = handler.recoverFilenames(this.archive, options);
+		this.archive.files.forEach((file, i) => {
+			if (file.name !== names[i]) {
+				this.log('guessed', `${names[i]} => ${file.name}`);
+			}
+		});
+		console.log(` ${count} filenames found`);
+
+		if (params.names) {
+			console.warn(` - Saving filenames to ${params.names}`);
+			await fs.promises.writeFile(params.names, this.nameMap.exportJSON());
+		}
+	}
+
 	async replace(params) {
 		if (!params.target) {
 			throw new OperationsError('replace: missing filename');
 		}
 		const target = params.name || params.target;
-		const targetUC = target.toUpperCase();
-		for (const file of this.archive.files) {
-			if (file.name.toUpperCase() === targetUC) {
-				// Found the file
-				file.diskSize = file.nativeSize = fs.statSync(params.target).size;
-				file.getContent = () => fs.readFileSync(params.target);
-				this.log('replacing', target,
-					params.name ? '(from ' + params.target + ')' : '');
-				return;
-			}
+		const i = this.findFile('replace', target);
+		if (i < 0) {
+			throw new OperationsError(`replace: unable to find "${target}" in the archive.`);
 		}
-		throw new OperationsError(`replace: unable to find "${target}" in the archive.`);
+		const file = this.archive.files[i];
+		file.diskSize = file.nativeSize = fs.statSync(params.target).size;
+		file.getContent = () => fs.readFileSync(params.target);
+		this.log('replacing', target,
+			params.name ? '(from ' + params.target + ')' : '');
 	}
 
 	async save(params) {
@@ -323,57 +471,182 @@ class Operations
 		}
 		if (!params.format) params.format = this.origFormat;
 
+		if (params.names) {
+			// Keep any names already in the file.
+			this.loadNames('save', params.names);
+		}
+
 		const handler = gamearchiveFormats.find(h => h.metadata().id === params.format);
 		if (!handler) {
 			throw new OperationsError('save: invalid format code: ' + params.format);
 		}
 
-		const problems = handler.checkLimits(this.archive);
+		const suppList = handler.supps(params.target);
+		let outFilenames = {
+			...suppList,
+			main: params.target,
+		};
+
+		// If we are about to overwrite the file the data is being read from, it
+		// has to be read into memory first, as the original is replaced once the
+		// new archive has been written.
+		const overwriting = Object.values(outFilenames).some(
+			f => this.openFilenames.includes(path.resolve(f))
+		);
+		if (overwriting) {
+			await loadAll(this.archive);
+		}
+
+		const limitOptions = {
+			folders: params.flatten ? 'flatten' : 'strip',
+		};
+		let issues = handler.checkLimits(this.archive, limitOptions);
+		if (params.fix) {
+			// A file can have more than one issue with the same rename proposed, so
+			// only list each renamed file once.
+			let renamed = new Set();
+			for (const issue of issues) {
+				if (!issue.fix) continue;
+				if (issue.fix.action === 'rename') {
+					if (renamed.has(issue.file)) continue;
+					renamed.add(issue.file);
+					this.log('renaming', `${issue.file.name} => ${issue.fix.name}`);
+				} else {
+					this.log('fixing', `${issue.message} => ${issue.fix.description}`);
+				}
+			}
+			LimitIssue.applyFixes(this.archive, issues);
+			// Check again in case the fixes caused any new problems.
+			issues = handler.checkLimits(this.archive, limitOptions);
+		}
+
+		for (const issue of issues.filter(i => i.severity === LimitIssue.WARNING)) {
+			console.warn('Warning:', issue.message);
+		}
+
+		const problems = issues.filter(i => i.severity !== LimitIssue.WARNING);
 		if (problems.length) {
 			console.log('There are problems preventing the requested changes from taking place:\n');
 			for (let i = 0; i < problems.length; i++) {
-				console.log((i + 1).toString().padStart(2) + ': ' + problems[i]);
+				let msg = problems[i].message;
+				if (problems[i].fix) {
+					msg += `\n    Possible fix (use -f): ${problems[i].fix.description}`;
+				}
+				console.log((i + 1).toString().padStart(2) + ': ' + msg);
 			}
 			console.log('\nPlease correct these issues and try again.\n');
 			throw new OperationsError('save: cannot save due to file format limitations.');
 		}
 
 		console.warn('Saving to', params.target, 'as', params.format);
-		let outContent;
+		// Write everything to temporary files first, and only replace the real
+		// ones once the whole archive has been generated, so a failure part way
+		// through doesn't leave a truncated archive behind.
+		let sinks = {}, fileHandles = [], tempFilenames = {};
 		try {
-			outContent = handler.generate(this.archive);
+			try {
+				for (const [id, filename] of Object.entries(outFilenames)) {
+					if (id !== 'main') {
+						console.warn(` - Saving supplemental file "${id}" to ${filename}`);
+					}
+					tempFilenames[id] = `${filename}.${process.pid}.tmp`;
+					const fh = await fs.promises.open(tempFilenames[id], 'w');
+					fileHandles.push(fh);
+					sinks[id] = new FileHandleSink(fh);
+				}
+				await handler.generateAsync(this.archive, sinks, {
+					nameMap: params.names ? this.nameMap : undefined,
+				});
+			} finally {
+				for (const fh of fileHandles) {
+					await fh.close();
+				}
+			}
+			for (const [id, filename] of Object.entries(outFilenames)) {
+				await fs.promises.rename(tempFilenames[id], filename);
+				delete tempFilenames[id];
+			}
 		} catch (e) {
 			debug(e);
+			for (const tempFilename of Object.values(tempFilenames)) {
+				await fs.promises.unlink(tempFilename).catch(() => {});
+			}
 			throw new OperationsError(`Failed to generate archive: ${e.message}`);
 		}
 
-		let promises = [];
-		const suppList = handler.supps(params.target, outContent.main);
-		if (suppList) {
-			for (const [id, suppFilename] of Object.entries(suppList)) {
-				if (id === 'main') continue;
-				console.warn(` - Saving supplemental file "${id}" to ${suppFilename}`);
-				promises.push(
-					fs.promises.writeFile(suppFilename, outContent[id])
-				);
+		if (params.names) {
+			console.warn(` - Saving filenames to ${params.names}`);
+			await fs.promises.writeFile(params.names, this.nameMap.exportJSON());
+		}
+	}
+
+	space() {
+		const handler = this.origFormat && gamearchiveFormats.find(
+			h => h.metadata().id === this.origFormat
+		);
+		if (!handler || !handler.spaceRemaining) {
+			throw new OperationsError('space: this archive format does not store '
+				+ 'files in fixed-size spaces.');
+		}
+
+		let problems = 0;
+		for (const space of handler.spaceRemaining(this.archive)) {
+			const str = space.size.toString().padStart(9)
+				+ ' / ' + space.available.toString().padEnd(9)
+				+ space.remaining.toString().padStart(9) + ' '
+				+ (space.remaining < 0 ? 'TOO BIG' : 'left').padEnd(8)
+				+ space.name;
+			console.log(str);
+			if (space.remaining < 0) problems++;
+		}
+		if (problems) {
+			console.log(` ${problems} file(s) will not fit`);
+		}
+	}
+
+	tag(params) {
+		if (!params.name) {
+			if (params.target) {
+				throw new OperationsError('tag: use -n to give the name of the tag to set');
+			}
+			const names = Object.keys(this.archive.tags);
+			if (!names.length) {
+				console.log('Archive has no tags.');
+			}
+			for (const name of names) {
+				this.log(name, this.archive.tags[name]);
 			}
+			return;
 		}
-		promises.push(fs.promises.writeFile(params.target, outContent.main));
 
-		return await Promise.all(promises);
+		if (params.target === undefined) {
+			this.log(params.name, this.archive.tags[params.name]);
+			return;
+		}
+
+		const tagInfo = this.getCaps().tags && this.getCaps().tags[params.name];
+		if (!tagInfo) {
+			console.warn(`Warning: The current archive format does not use the `
+				+ `"${params.name}" tag.`);
+		} else if (tagInfo.values && !tagInfo.values.includes(params.target)) {
+			throw new OperationsError(`tag: "${params.name}" must be one of: `
+				+ tagInfo.values.join(', '));
+		}
+		this.archive.tags[params.name] = params.target;
+		this.log('tag', `${params.name} => ${params.target}`);
 	}
 
-	type(params) {
+	async type(params) {
 		if (!params.target) {
 			throw new OperationsError('type: missing filename');
 		}
 
-		const targetName = params.target.toUpperCase(); // nearly always ASCII
-		const targetFile = this.archive.files.find(file => file.name.toUpperCase() == targetName);
-		if (!targetFile) {
+		const i = this.findFile('type', params.target);
+		if (i < 0) {
 			throw new OperationsError(`type: archive does not contain "${params.target}"`);
 		}
-		const data = targetFile.getContent();
+		const targetFile = this.archive.files[i];
+		const data = await targetFile.getContentAsync();
 		process.stdout.write(data);
 	}
 }
@@ -404,14 +677,27 @@ Operations.names = {
 	list: [],
 	open: [
 		{ name: 'format', alias: 't' },
+		{ name: 'names', alias: 'm' },
 		{ name: 'target', defaultOption: true },
 	],
+	recover: [
+		{ name: 'attempts', alias: 'a' },
+		{ name: 'names', alias: 'm' },
+	],
 	replace: [
 		{ name: 'name', alias: 'n' },
 		{ name: 'target', defaultOption: true },
 	],
 	save: [
+		{ name: 'fix', alias: 'f', type: Boolean },
+		{ name: 'flatten', type: Boolean },
 		{ name: 'format', alias: 't' },
+		{ name: 'names', alias: 'm' },
+		{ name: 'target', defaultOption: true },
+	],
+	space: [],
+	tag: [
+		{ name: 'name', alias: 'n' },
 		{ name: 'target', defaultOption: true },
 	],
 	type: [
@@ -486,7 +772,9 @@ Commands:
     a glob, e.g. '*' to extract all files.
 
   identify <file>
-    Read local <file> and try to work out what archive format it is in.
+    Read local <file> and try to work out what archive format it is in.  All
+    matching formats are listed, most likely first, along with a score out of
+    100 and the reasons for it.
 
   list | ls | dir
     Show all files in current archive.  Each line is:
@@ -496,10 +784,21 @@ Commands:
       attr: c = compressed, C = not compressed, - = not specified/supported
             e = encrypted,  E = not encrypted,  - = not specified/supported
 
-  open [-t format] <file>
+  open [-t format] [-m names] <file>
     Open the local <file> as an archive, autodetecting the format unless -t is
     given.  Use --formats for a list of possible values.  If other commands are
-    used without 'open', a new empty archive is used.
+    used without 'open', a new empty archive is used.  With -t, formats that
+    support it only read file data as it is needed, which is much faster for
+    large archives.  For formats that don't store filenames, -m reads names
+    saved by an earlier 'save -m' from the JSON file <names>.
+
+  recover [-a attempts] [-m names]
+    For formats that store something other than the filename (e.g. a hash of
+    it), search for names for any files that couldn't be named when the
+    archive was opened, giving up after <attempts> names have been tried.
+    Names found this way may not be the original ones.  -m adds them to the
+    JSON file <names>, the same as 'save -m', so the search doesn't have to be
+    repeated the next time the archive is opened with 'open -m'.
 
   replace [-n name] <file>
     Overwrite an existing file in the archive with new content read from <file>.
@@ -507,11 +806,32 @@ Commands:
     content is filtered (compressed/encrypted) during save if overwriting a
     filtered file - use 'attrib' to change this if desired.
 
-  save [-t format] <file>
+  save [-t format] [-f [--flatten]] [-m names] <file>
     Save the current archive to local <file> in the given <format>.  -t defaults
     to the value previously used by 'open', so it can be omitted when modifying
-    existing archive files.  Archives are written from memory, so the same file
-    can be passed to 'open' and then 'save' without issue.
+    existing archive files.  The same file can be passed to 'open' and then
+    'save' without issue, as it is read into memory first in this case.  If
+    the archive can't be saved in <format> (e.g. filenames are too long), -f
+    will make the suggested changes (e.g. shortening the names) automatically,
+    listing each file that gets renamed.  Folders are removed from filenames if
+    <format> doesn't support them, or with --flatten they are kept as a prefix
+    on the filename instead.  For formats that don't store filenames, -m
+    saves the names to the JSON file <names> (adding to any already there), so
+    they can be used again with 'open -m'.
+
+  space
+    For formats that keep each file in a fixed amount of space, such as game
+    executables, show how much room each file has.  Each line is:
+
+      <size> / <space available> <bytes left> <filename>
+
+    Files that have been replaced are measured after any compression, so this
+    shows whether they will fit before trying to 'save'.
+
+  tag [-n name] [value]
+    Without -n, list the archive's tags (e.g. description or type).  With -n,
+    show the value of tag <name>, or set it to <value> if given, e.g. use
+    'tag -n type PWAD' before saving a Doom WAD to make it a PWAD.
 
   type | cat <file>
     Display contents of <file> inside archive on stdout after any decompression
@@ -521,6 +841,7 @@ Examples:
 
   gamearch open duke3d.grp extract '*.mid'
   gamearch add stalker.mid save -t arc-grp-build music.grp
+  gamearch open tv.pod save -t arc-grp-build -f tv.grp
 
   # The DEBUG environment variable can be used for troubleshooting.
   DEBUG='gamearchive:*' gamearch ...
@@ -557,6 +878,7 @@ Examples:
 		cmd = commandLineArgs(cmdDefinitions, { argv, stopAtFirstUnknown: true });
 		argv = cmd._unknown || [];
 	}
+	await proc.close();
 }
 
 export default processCommands;
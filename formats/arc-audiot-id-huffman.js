@@ -0,0 +1,157 @@
+/*
+ * id Software AUDIOT format handler for Huffman-compressed data.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   http://www.shikadi.net/moddingwiki/AudioT_Format
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'arc-audiot-id-huffman';
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import Archive_AudioT_id from './arc-audiot-id.js';
+import HuffmanDictionary from '../util/huffman.js';
+import { replaceBasename } from '../util/supp.js';
+
+const recordTypes = {
+	chunkHeader: {
+		lenExpanded: RecordType.int.u32le,
+	},
+};
+
+export default class Archive_AudioT_id_Huffman extends Archive_AudioT_id
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'id Software Audio File (Huffman)',
+			games: [
+				'Commander Keen 4-6',
+			],
+			glob: [
+				'audio.*',
+			],
+		};
+
+		// Files are always compressed.
+		md.caps.file.attributes.compressed = true;
+
+		return md;
+	}
+
+	static supps(name) {
+		return {
+			// audio.xxx -> audiohed.xxx, audiodct.xxx
+			fat: replaceBasename(name, 'audiohed'),
+			dict: replaceBasename(name, 'audiodct'),
+			main: replaceBasename(name, 'audio'),
+		};
+	}
+
+	static identify(content) {
+		if (content.length === 0) {
+			return {
+				valid: undefined,
+				reason: `Empty file, could be an archive with no sounds.`,
+			};
+		}
+
+		// Each chunk starts with its decompressed size, which the first sound
+		// should be able to fit in 64 kB like the uncompressed variant.
+		const lenHeader = 4;
+		if (content.length < lenHeader) {
+			return {
+				valid: false,
+				reason: `Content too short (< ${lenHeader} b).`,
+			};
+		}
+
+		let buffer = new RecordBuffer(content);
+		const header = buffer.readRecord(recordTypes.chunkHeader);
+		if ((header.lenExpanded === 0) || (header.lenExpanded > 0xFFFF)) {
+			return {
+				valid: false,
+				reason: `First sound size (${header.lenExpanded} b) is invalid.`,
+			};
+		}
+
+		return {
+			valid: undefined,
+			reason: `First sound is a valid size, but the dictionary is needed to `
+				+ `confirm the format.`,
+		};
+	}
+
+	static readDictionary(content, archive) {
+		// Keep the dictionary so any files that aren't changed can be written back
+		// without recompressing them.
+		archive.extra[FORMAT_ID] = {
+			dict: content.dict,
+		};
+		return HuffmanDictionary.parse(content.dict);
+	}
+
+	static writeDictionary(archive, contents) {
+		const { dict } = archive.extra[FORMAT_ID] || {};
+		if (dict) {
+			return {
+				dictionary: HuffmanDictionary.parse(dict),
+				reuse: true,
+				output: {
+					dict,
+				},
+			};
+		}
+
+		const dictionary = HuffmanDictionary.build(contents);
+		return {
+			dictionary,
+			reuse: false,
+			output: {
+				dict: dictionary.generate(),
+			},
+		};
+	}
+
+	static getNativeSize(buffer, chunk) {
+		if (chunk.diskSize < 4) return 0;
+		buffer.seekAbs(chunk.offset);
+		return buffer.readRecord(recordTypes.chunkHeader).lenExpanded;
+	}
+
+	static compress(content, dictionary) {
+		if (!content.length) return content;
+
+		const comp = dictionary.compress(content);
+		const buffer = new RecordBuffer(comp.length + 4);
+		buffer.writeRecord(recordTypes.chunkHeader, {
+			lenExpanded: content.length,
+		});
+		buffer.put(comp);
+		return buffer.getU8();
+	}
+
+	static decompress(content, dictionary) {
+		if (content.length < 4) return new Uint8Array();
+
+		const buffer = new RecordBuffer(content);
+		const header = buffer.readRecord(recordTypes.chunkHeader);
+		return dictionary.expand(buffer.getU8(4, buffer.length - 4),
+			header.lenExpanded);
+	}
+}
@@ -0,0 +1,438 @@
+/*
+ * id Software AUDIOT format handler.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   http://www.shikadi.net/moddingwiki/AudioT_Format
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'arc-audiot-id';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import ArchiveHandler from '../interface/archiveHandler.js';
+import Archive from '../interface/archive.js';
+import File from '../interface/file.js';
+import LimitIssue from '../interface/limitIssue.js';
+import { replaceBasename } from '../util/supp.js';
+
+// The chunks are stored in this order.  There are the same number of each type
+// of sound effect, followed by any number of songs.
+const chunkTypes = [
+	'pc',
+	'adlib',
+	'digi',
+	'music',
+];
+
+// Name used for all the chunks when the types can't be worked out.
+const TYPE_UNKNOWN = 'chunk';
+
+// PC speaker and AdLib sounds start with the length of the sound data and its
+// priority.  AdLib sounds follow this with a 16-byte instrument and the octave
+// ("block") to play it in.
+const LEN_PC_HEADER = 4 + 2;
+const LEN_ADLIB_HEADER = 4 + 2 + 16 + 1;
+
+// Songs start with the length of the song data.
+const LEN_MUSIC_HEADER = 2;
+
+function chunkName(type, index)
+{
+	return `${type}-${index.toString().padStart(3, '0')}`;
+}
+
+// Work out which types of chunk the content could be.  A PC speaker sound is
+// too short to be an AdLib sound of the same length, so no chunk can be both.
+// Digitised sounds aren't listed as they can contain anything.
+function chunkFits(content)
+{
+	const len = content.length;
+	if (len === 0) {
+		// Unused chunks can be any type.
+		return {
+			pc: true,
+			adlib: true,
+			music: true,
+		};
+	}
+
+	let buffer = new RecordBuffer(content);
+	let lenSound;
+	if (len >= LEN_PC_HEADER) {
+		lenSound = buffer.read(RecordType.int.u32le);
+		buffer.seekAbs(0);
+	}
+	let lenSong;
+	if (len >= LEN_MUSIC_HEADER) {
+		lenSong = buffer.read(RecordType.int.u16le);
+	}
+
+	return {
+		pc: (lenSound !== undefined)
+			&& (len >= LEN_PC_HEADER + lenSound)
+			&& (len < LEN_ADLIB_HEADER + lenSound),
+		adlib: (lenSound !== undefined)
+			&& (len >= LEN_ADLIB_HEADER + lenSound),
+		music: (lenSong !== undefined)
+			&& (len >= LEN_MUSIC_HEADER + lenSong),
+	};
+}
+
+export default class Archive_AudioT_id extends ArchiveHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'id Software Audio File',
+			games: [
+				'Blake Stone',
+				'Corridor 7',
+				'Operation Body Count',
+				'Spear of Destiny',
+				'Super 3-D Noah\'s Ark',
+				'Wolfenstein 3-D',
+			],
+			glob: [
+				'audiot.*',
+			],
+		};
+
+		// Chunk offsets are 32-bit.
+		md.caps.maxArchiveSize = 0xFFFFFFFF;
+
+		return md;
+	}
+
+	static checkLimits(archive, options)
+	{
+		let issues = super.checkLimits(archive, options);
+
+		let typed = false, untyped = false;
+		for (const file of archive.files) {
+			const chunk = this.parseName(file.name);
+			if (!chunk) {
+				issues.push(new LimitIssue({
+					code: 'INVALID_FILENAME',
+					file,
+					message: `File "${file.name}" must be named after its type and `
+						+ `number, e.g. "pc-001", "adlib-001", "digi-001" or `
+						+ `"music-001".`,
+				}));
+				continue;
+			}
+			if (chunk.type === TYPE_UNKNOWN) {
+				untyped = true;
+			} else {
+				typed = true;
+			}
+		}
+		if (typed && untyped) {
+			issues.push(new LimitIssue({
+				code: 'INVALID_FILENAME',
+				message: `Files named "${TYPE_UNKNOWN}-NNN" can't be mixed with `
+					+ `files named after their type.`,
+			}));
+		}
+
+		return issues;
+	}
+
+	static supps(name) {
+		return {
+			// audiot.xxx -> audiohed.xxx
+			fat: replaceBasename(name, 'audiohed'),
+			main: replaceBasename(name, 'audiot'),
+		};
+	}
+
+	static identify(content) {
+		if (content.length === 0) {
+			return {
+				valid: undefined,
+				reason: `Empty file, could be an archive with no sounds.`,
+			};
+		}
+
+		// There's no signature, but the first chunk should be a PC speaker sound
+		// starting with its length and priority.
+		if (content.length < LEN_PC_HEADER) {
+			return {
+				valid: false,
+				reason: `Content too short (< ${LEN_PC_HEADER} b).`,
+			};
+		}
+
+		let buffer = new RecordBuffer(content);
+		const lenSound = buffer.read(RecordType.int.u32le);
+		if (lenSound > content.length) {
+			return {
+				valid: false,
+				reason: `First sound (${lenSound} b) is larger than the file.`,
+			};
+		}
+
+		return {
+			valid: undefined,
+			reason: `First sound is a valid size, but there is no signature.`,
+		};
+	}
+
+	static parse(content) {
+		let archive = new Archive();
+
+		const { id: formatId } = this.metadata();
+		const dictionary = this.readDictionary(content, archive);
+
+		let buffer = new RecordBuffer(content.main);
+		let fatBuffer = new RecordBuffer(content.fat);
+
+		let offsets = [];
+		while (fatBuffer.distFromEnd() >= 4) {
+			offsets.push(fatBuffer.read(RecordType.int.u32le));
+		}
+
+		// The last entry is the end of the data, so there is one less chunk.
+		for (let i = 0; i < offsets.length - 1; i++) {
+			const offset = offsets[i];
+			const end = Math.min(offsets[i + 1], content.main.length);
+			if (offset > end) {
+				throw new Error(`Chunk ${i} starts at offset ${offset}, which is `
+					+ `beyond the end of the chunk (${end}).`);
+			}
+
+			let file = new File();
+			file.offset = offset;
+			file.diskSize = end - offset;
+			file.nativeSize = this.getNativeSize(buffer, file);
+			file.getRaw = () => buffer.getU8(file.offset, file.diskSize);
+			if (dictionary) {
+				file.attributes.compressed = true;
+				file.getContent = () => this.decompress(file.getRaw(), dictionary);
+			}
+			archive.files.push(file);
+		}
+
+		// The chunk types can only be worked out once they've all been read.
+		const names = this.getChunkNames(archive.files);
+		archive.files.forEach((file, i) => {
+			file.name = names[i];
+			file.markUntouched(formatId);
+		});
+
+		return archive;
+	}
+
+	static generate(archive)
+	{
+		const { id: formatId } = this.metadata();
+
+		let files = {};
+		for (const type of [...chunkTypes, TYPE_UNKNOWN]) {
+			files[type] = [];
+		}
+		for (const file of archive.files) {
+			const chunk = this.parseName(file.name);
+			if (!chunk) {
+				throw new Error(`File "${file.name}" must be named after its type `
+					+ `and number, e.g. "pc-001" or "music-001".`);
+			}
+			if (files[chunk.type][chunk.index]) {
+				throw new Error(`There is more than one file called "${file.name}".`);
+			}
+			files[chunk.type][chunk.index] = file;
+		}
+
+		// List of every file in chunk order, with gaps left as empty chunks.
+		let chunks = [];
+		if (files[TYPE_UNKNOWN].length) {
+			chunks = [...files[TYPE_UNKNOWN]];
+		} else {
+			const numSounds = Math.max(
+				files.pc.length,
+				files.adlib.length,
+				files.digi.length
+			);
+			for (const type of chunkTypes) {
+				const count = (type === 'music') ? files.music.length : numSounds;
+				for (let i = 0; i < count; i++) {
+					chunks.push(files[type][i]);
+				}
+			}
+		}
+
+		const { dictionary, reuse, output } = this.writeDictionary(archive,
+			chunks.filter(f => f).map(f => f.getContent()));
+
+		let fatBuffer = new RecordBuffer((chunks.length + 1) * 4);
+		let buffer = new RecordBuffer(
+			archive.files.reduce((t, f) => t + (f.diskSize || f.nativeSize || 0), 0)
+		);
+
+		for (let i = 0; i < chunks.length; i++) {
+			const file = chunks[i];
+			fatBuffer.write(RecordType.int.u32le, buffer.getPos());
+			if (!file) continue;
+
+			let raw;
+			if (reuse && file.isUntouched(formatId)) {
+				raw = file.getRaw();
+			} else {
+				raw = this.compress(file.getContent(), dictionary);
+			}
+			buffer.put(raw);
+		}
+		// Final entry marks the end of the last chunk.
+		fatBuffer.write(RecordType.int.u32le, buffer.getPos());
+
+		return {
+			main: buffer.getU8(),
+			fat: fatBuffer.getU8(),
+			...output,
+		};
+	}
+
+	/**
+	 * Work out the filename for each chunk.
+	 *
+	 * The header doesn't say how many sound effects there are, so this is
+	 * found by checking each chunk is the right shape for its type.  There are
+	 * the same number of PC speaker, AdLib and digitised sounds, so the largest
+	 * number of sounds where every PC speaker, AdLib and music chunk is valid
+	 * is used.  Digitised sounds aren't checked, as they are often empty with
+	 * the games storing them elsewhere (e.g. VSWAP), but they don't have to be.
+	 * If no number of sounds fits, the chunks are all given generic names.
+	 *
+	 * @param {Array<File>} files
+	 *   Each chunk, in order.
+	 *
+	 * @return {Array<string>} the name of each chunk.
+	 */
+	static getChunkNames(files) {
+		const fits = files.map(file => chunkFits(file.getContent()));
+
+		const allFit = (type, start, end) => {
+			for (let i = start; i < end; i++) {
+				if (!fits[i][type]) return false;
+			}
+			return true;
+		};
+
+		let numSounds;
+		for (let n = Math.floor(files.length / 3); n > 0; n--) {
+			if (
+				allFit('pc', 0, n)
+				&& allFit('adlib', n, n * 2)
+				&& allFit('music', n * 3, files.length)
+			) {
+				numSounds = n;
+				break;
+			}
+		}
+
+		if (numSounds === undefined) {
+			debug('Could not find where each type of sound starts, using generic '
+				+ 'names');
+			return files.map((f, i) => chunkName(TYPE_UNKNOWN, i));
+		}
+		debug(`Found ${numSounds} sounds`);
+
+		return files.map((f, i) => {
+			const type = chunkTypes[Math.min(Math.floor(i / numSounds), 3)];
+			const index = (type === 'music') ? (i - numSounds * 3) : (i % numSounds);
+			return chunkName(type, index);
+		});
+	}
+
+	/**
+	 * Split a filename into the chunk type and index.
+	 *
+	 * @param {string} name
+	 *   Filename, e.g. "adlib-001".
+	 *
+	 * @return {Object} with `type` and `index` properties, or undefined if the
+	 *   name isn't valid.
+	 */
+	static parseName(name) {
+		const m = name.match(/^([a-z]+)-([0-9]+)$/);
+		if (!m) return undefined;
+		if ((m[1] !== TYPE_UNKNOWN) && !chunkTypes.includes(m[1])) return undefined;
+		return {
+			type: m[1],
+			index: parseInt(m[2], 10),
+		};
+	}
+
+	/**
+	 * Prepare anything needed to decompress the files.
+	 *
+	 * @param {Object} content
+	 *   Same as the parameter to parse().
+	 *
+	 * @param {Archive} archive
+	 *   Archive being read, for saving anything needed to write the same data
+	 *   back out.
+	 *
+	 * @return {Object} passed to decompress(), or undefined if the files are not
+	 *   compressed.
+	 */
+	// eslint-disable-next-line no-unused-vars
+	static readDictionary(content, archive) {
+		return undefined;
+	}
+
+	/**
+	 * Prepare anything needed to compress the files.
+	 *
+	 * @param {Archive} archive
+	 *   Archive being written.
+	 *
+	 * @param {Array<Uint8Array>} contents
+	 *   Content of every file being written.
+	 *
+	 * @return {Object} with a `dictionary` property passed to compress(), a
+	 *   `reuse` property set to true if unchanged files can be written without
+	 *   compressing them again, and an `output` property with any extra supps
+	 *   to return from generate().
+	 */
+	// eslint-disable-next-line no-unused-vars
+	static writeDictionary(archive, contents) {
+		return {
+			dictionary: undefined,
+			reuse: true,
+			output: {},
+		};
+	}
+
+	// eslint-disable-next-line no-unused-vars
+	static getNativeSize(buffer, chunk) {
+		return chunk.diskSize;
+	}
+
+	// eslint-disable-next-line no-unused-vars
+	static compress(content, dictionary) {
+		return content;
+	}
+
+	// eslint-disable-next-line no-unused-vars
+	static decompress(content, dictionary) {
+		return content;
+	}
+}
@@ -0,0 +1,240 @@
+/*
+ * Alien Carnage .-0 format handler.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   http://www.shikadi.net/moddingwiki/BNK_Format_%28Halloween_Harry%29
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'arc-bnk-carnage';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import ArchiveHandler from '../interface/archiveHandler.js';
+import Archive from '../interface/archive.js';
+import File from '../interface/file.js';
+import DCL from '../util/dcl.js';
+import { replaceExtension } from '../util/supp.js';
+
+const recordTypes = {
+	fileHeader: {
+		lenSig: RecordType.int.u8,
+		signature: RecordType.string.fixed.noTerm(4),
+		lenName: RecordType.int.u8,
+		name: RecordType.string.fixed.noTerm(12),
+		diskSize: RecordType.int.u32le,
+		nativeSize: RecordType.int.u32le,
+	},
+};
+
+const FILEHEADER_LEN = 26; // sizeof(fileHeader)
+
+export default class Archive_BNK_Carnage extends ArchiveHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Alien Carnage Data Bank',
+			games: [
+				'Alien Carnage',
+			],
+			glob: [
+				'*.-0',
+			],
+		};
+
+		md.caps.file.maxFilenameLen = 12;
+		md.caps.file.dosNames = true;
+		md.caps.file.attributes.compressed = true;
+
+		// Offsets and sizes are stored as 32-bit values.
+		md.caps.maxArchiveSize = 0xFFFFFFFF;
+		md.caps.file.maxFileSize = 0xFFFFFFFF;
+		md.caps.file.maxNativeSize = 0xFFFFFFFF;
+		md.caps.file.maxNameBytes = 12;
+
+		return md;
+	}
+
+	static supps(filename) {
+		return {
+			main: replaceExtension(filename, '-0'),
+		};
+	}
+
+	static identify(content) {
+		const lenArchive = content.length;
+		// Empty archive
+		if (lenArchive === 0) {
+			return {
+				valid: true,
+				reason: `Empty file.`,
+				confidence: 10,
+			};
+		}
+
+		if (lenArchive < FILEHEADER_LEN) {
+			return {
+				valid: false,
+				reason: `Content too short (< ${FILEHEADER_LEN} b).`,
+			};
+		}
+
+		let buffer = new RecordBuffer(content);
+
+		const file1 = buffer.readRecord(recordTypes.fileHeader);
+		if (file1.signature !== '-ID-') {
+			return {
+				valid: false,
+				reason: `Wrong signature "${file1.signature}".`,
+			};
+		}
+
+		if (lenArchive < FILEHEADER_LEN + file1.diskSize) {
+			return {
+				valid: false,
+				reason: `First file is truncated.`,
+			};
+		}
+
+		if (lenArchive === FILEHEADER_LEN + file1.diskSize) {
+			return {
+				valid: true,
+				reason: `Only one file.`,
+			};
+		}
+
+		if (lenArchive < FILEHEADER_LEN*2 + file1.diskSize) {
+			return {
+				valid: false,
+				reason: `Second file header truncated.`,
+			};
+		}
+
+		// Read the second file signature too, as this will tell us whether it's
+		// Halloween Harry or Alien Carnage.
+		buffer.seekRel(file1.diskSize);
+		const file2 = buffer.readRecord(recordTypes.fileHeader);
+		if (file2.signature !== '-ID-') {
+			return {
+				valid: false,
+				reason: `Wrong signature for second file "${file2.signature}".`,
+			};
+		}
+
+		return {
+			valid: true,
+			reason: `Signature matched.`,
+		};
+	}
+
+	static parse(content) {
+		let buffer = new RecordBuffer(content.main);
+		let archive = new Archive();
+
+		let offset = 0;
+		while (offset + FILEHEADER_LEN <= buffer.length) {
+			const fileHeader = buffer.readRecord(recordTypes.fileHeader);
+			offset += FILEHEADER_LEN;
+
+			let file = new File();
+			// Crop filename down to indicated length (Pascal-style string)
+			file.name = fileHeader.name.substr(0, fileHeader.lenName);
+			file.diskSize = fileHeader.diskSize;
+			file.nativeSize = fileHeader.nativeSize;
+			file.offset = offset;
+			file.getRaw = () => buffer.getU8(file.offset, file.diskSize);
+
+			// Only compressed files have a different size on disk.
+			if (file.diskSize !== file.nativeSize) {
+				file.attributes.compressed = true;
+				file.getContent = () => DCL.explode(file.getRaw());
+			} else {
+				file.attributes.compressed = false;
+			}
+
+			file.markUntouched(FORMAT_ID);
+			archive.files.push(file);
+
+			buffer.seekRel(file.diskSize);
+			offset += file.diskSize;
+		}
+
+		return archive;
+	}
+
+	static generate(archive)
+	{
+		const fileCount = archive.files.length;
+
+		// Calculate the size up front so we don't have to keep reallocating the
+		// buffer, improving performance.
+		const guessFinalSize = archive.files.reduce(
+			(a, b) => a + (b.nativeSize || 0),
+			fileCount * FILEHEADER_LEN,
+		);
+
+		let buffer = new RecordBuffer(guessFinalSize);
+
+		for (const file of archive.files) {
+			let diskData;
+			if (file.isUntouched(FORMAT_ID)) {
+				// This file hasn't been modified so copy it across as-is, which saves
+				// recompressing it.
+				diskData = file.getRaw();
+			} else {
+				diskData = file.getContent();
+
+				// Safety check.
+				if (diskData.length != file.nativeSize) {
+					throw new Error(`Length of data (${diskData.length}) and nativeSize `
+						+ `(${file.nativeSize}) field do not match for ${file.name}!`);
+				}
+
+				if (file.attributes.compressed === true) {
+					diskData = DCL.implode(diskData);
+					if (diskData.length === file.nativeSize) {
+						// The sizes are how a compressed file is told apart, so pad it
+						// out by a byte.  Anything after the end of the compressed data
+						// is ignored.
+						let padded = new Uint8Array(diskData.length + 1);
+						padded.set(diskData);
+						diskData = padded;
+					}
+				}
+			}
+			file.diskSize = diskData.length;
+
+			buffer.writeRecord(recordTypes.fileHeader, {
+				lenSig: 4,
+				signature: '-ID-',
+				lenName: file.name.length,
+				name: file.name,
+				diskSize: file.diskSize,
+				nativeSize: file.nativeSize,
+			});
+			buffer.put(diskData);
+		}
+
+		return {
+			main: buffer.getU8(),
+		};
+	}
+}
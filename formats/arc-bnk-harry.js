@@ -62,11 +62,21 @@ export default class Archive_BNK_Harry extends ArchiveHandler
 			],
 			glob: [
 				'*.bnk',
-				'*.-0',
 			],
 		};
 
 		md.caps.file.maxFilenameLen = 12;
+		md.caps.file.dosNames = true;
+
+		// Only one size is stored for each file, so unlike the Alien Carnage
+		// variant (arc-bnk-carnage) files can't be compressed.
+		md.caps.file.attributes.compressed = false;
+
+		// Offsets and sizes are stored as 32-bit values.
+		md.caps.maxArchiveSize = 0xFFFFFFFF;
+		md.caps.file.maxFileSize = 0xFFFFFFFF;
+		md.caps.file.maxNativeSize = 0xFFFFFFFF;
+		md.caps.file.maxNameBytes = 12;
 
 		return md;
 	}
@@ -85,6 +95,7 @@ export default class Archive_BNK_Harry extends ArchiveHandler
 			return {
 				valid: true,
 				reason: `Empty file.`,
+				confidence: 10,
 			};
 		}
 
@@ -213,7 +224,6 @@ export default class Archive_BNK_Harry extends ArchiveHandler
 					+ `(${file.nativeSize}) field do not match for ${file.name}!`);
 			}
 
-			// @todo Handle compression/decompression
 			buffer.put(nativeData, fatEntry.diskSize);
 
 			// Add an entry to the external FAT.
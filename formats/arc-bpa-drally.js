@@ -51,6 +51,14 @@ export default class Archive_BPA_DeathRally extends ArchiveHandler
 		};
 
 		md.caps.file.maxFilenameLen = 12;
+		md.caps.file.dosNames = true;
+
+		// The FAT is a fixed size with room for 255 files, and the archive size is
+		// limited by the 32-bit file sizes.
+		md.caps.maxFileCount = 255;
+		md.caps.file.maxFileSize = 0xFFFFFFFF;
+		md.caps.file.maxNativeSize = 0xFFFFFFFF;
+		md.caps.file.maxNameBytes = 12;
 
 		return md;
 	}
@@ -93,6 +93,11 @@ export default class Archive_DAT_FAST extends ArchiveHandler
 
 		md.caps.file.maxFilenameLen = 30;
 
+		// Sizes are stored as 16-bit values.
+		md.caps.file.maxFileSize = 0xFFFF;
+		md.caps.file.maxNativeSize = 0xFFFF;
+		md.caps.file.maxNameBytes = 30;
+
 		return md;
 	}
 
@@ -105,13 +110,25 @@ export default class Archive_DAT_FAST extends ArchiveHandler
 	static identify(content) {
 		let buffer = new RecordBuffer(content);
 
+		// Count how many files have type codes we don't recognise.  These are
+		// valid but rare, so lots of them suggests it's some other .dat format.
+		let unknownTypes = 0;
 		for (let i = 0; i < MAX_FILES; i++) {
 			// If we're exactly at the EOF then we're done.
 			const bytesLeft = buffer.distFromEnd();
 			if (bytesLeft === 0) {
+				if (i === 0) {
+					return {
+						valid: true,
+						reason: `Empty archive.`,
+						confidence: 10,
+					};
+				}
 				return {
 					valid: true,
-					reason: `EOF at correct place.`,
+					reason: `EOF at correct place, ${unknownTypes} of ${i} files have `
+						+ `unknown type codes.`,
+					confidence: 100 - Math.round(60 * unknownTypes / i),
 				};
 			}
 
@@ -124,6 +141,7 @@ export default class Archive_DAT_FAST extends ArchiveHandler
 			}
 
 			const file = buffer.readRecord(recordTypes.fatEntry);
+			if (!FASTTypes[file.typeCode]) unknownTypes++;
 			const invalidChar = [...file.name].find(c => {
 				const cc = c.charCodeAt(0);
 				return (cc <= 32) || (cc > 126);
@@ -175,6 +193,11 @@ export default class Archive_DAT_FAST extends ArchiveHandler
 			} else {
 				file.name = fatEntry.name;
 				file.type = undefined;
+				// Remember the code since there's no filename extension to
+				// reconstruct it from.
+				file.extra[FORMAT_ID] = {
+					typeCode: fatEntry.typeCode,
+				};
 			}
 
 			file.getRaw = () => buffer.getU8(offset, file.diskSize);
@@ -206,6 +229,7 @@ export default class Archive_DAT_FAST extends ArchiveHandler
 				};
 			}
 
+			file.markUntouched(FORMAT_ID);
 			archive.files.push(file);
 
 			// All done, go to the next file.
@@ -247,34 +271,55 @@ export default class Archive_DAT_FAST extends ArchiveHandler
 					}
 					return false; // keep going
 				});
+				const extra = file.extra[FORMAT_ID] || {};
+				if ((entry.typeCode === 32) && (extra.typeCode !== undefined)) {
+					// No extension matched, so use the original code if we have it.
+					entry.typeCode = extra.typeCode;
+				}
 			}
 
-			const nativeData = file.getContent();
+			let diskData;
+			if (file.isUntouched(FORMAT_ID)) {
+				// This file hasn't been modified so copy it across as-is, which saves
+				// recompressing it.
+				diskData = file.getRaw();
+				entry.decompressedSize = file.attributes.compressed ? file.nativeSize : 0;
+				entry.compressedSize = diskData.length;
+			} else {
+				const nativeData = file.getContent();
+
+				// Safety check.
+				if (nativeData.length != file.nativeSize) {
+					throw new Error(`Length of data (${nativeData.length}) and nativeSize `
+						+ `(${file.nativeSize}) field do not match for ${file.name}!`);
+				}
+
+				if (file.attributes.compressed === false) { // compression not wanted
+					diskData = nativeData;
+
+					// Files that aren't compressed have the decompressed size set to 0 in
+					// this archive format.
+					entry.decompressedSize = 0;
+					entry.compressedSize = file.nativeSize;
+				} else { // compression wanted or don't care/default
+					// Compress the file
+					diskData = cmp_lzw.obscure(
+						cmp_rle_bash.obscure(nativeData),
+						cmpDefaultParams
+					);
 
-			// Safety check.
-			if (nativeData.length != file.nativeSize) {
-				throw new Error(`Length of data (${nativeData.length}) and nativeSize `
-					+ `(${file.nativeSize}) field do not match for ${file.name}!`);
+					// Set the size of the decompressed data in the header
+					entry.decompressedSize = file.nativeSize;
+					entry.compressedSize = diskData.length;
+				}
 			}
 
-			let diskData;
-			if (file.attributes.compressed === false) { // compression not wanted
-				diskData = nativeData;
-
-				// Files that aren't compressed have the decompressed size set to 0 in
-				// this archive format.
-				entry.decompressedSize = 0;
-				entry.compressedSize = file.nativeSize;
-			} else { // compression wanted or don't care/default
-				// Compress the file
-				diskData = cmp_lzw.obscure(
-					cmp_rle_bash.obscure(nativeData),
-					cmpDefaultParams
-				);
-
-				// Set the size of the decompressed data in the header
-				entry.decompressedSize = file.nativeSize;
-				entry.compressedSize = diskData.length;
+			// checkLimits() can't know how big the file will be once compressed, so
+			// this has to be checked here to avoid the 16-bit size wrapping around.
+			if (entry.compressedSize > 0xFFFF) {
+				throw new Error(`File "${file.name}" would take up `
+					+ `${entry.compressedSize} bytes in the archive, but this format can `
+					+ `only store files up to 65535 bytes.`);
 			}
 
 			buffer.writeRecord(recordTypes.fatEntry, entry);
@@ -31,8 +31,8 @@ import { cmp_lzss } from '@camoto/gamecomp';
 import ArchiveHandler from '../interface/archiveHandler.js';
 import Archive from '../interface/archive.js';
 import File from '../interface/file.js';
+import NameMap from '../util/nameMap.js';
 import { replaceExtension } from '../util/supp.js';
-import TestUtil from '../test/util.js';
 
 const recordTypes = {
 	fatEntry: {
@@ -45,21 +45,28 @@ const recordTypes = {
 
 const cmpParams = {
 	sizeLength: 4,
-	minLen: 3,
+	minLength: 3,
 	prefillByte: 0x20,
-	lengthFieldInHighBits: false,
+	lengthHigh: false,
+	littleEndian: false,
+	rotateDistance: 8,
+	invertFlag: true,
 };
 
-// Base64 encodings of SHA1 hashes for test file content
-const knownFileContentHash = {
-	'5xgdHWjKWMabOXYzg6EjHKYFRrw=' : 'ONE.TXT',
-	'bD+HEO4sgR1G1ggieyL1oSzV0w4=' : 'TWO.TXT',
-	'QYf7IX4hUSB0CfwEE/doexTiJ+k=' : 'THREE.TXT',
-	'00jGfUp/3vbQTXP+daAJOGSNUM0=' : 'FOUR.TXT',
-	
-	'+xHXMMH0UDoiwmLqF2x5IlpSPEg=' : 'TEST1',
-	'lmA/BcBMzx5uWuhW+CW+VoLsHS4=' : 'TEST2',
-};
+// Base64 encodings of SHA1 hashes for test file content, once decompressed.
+// More names can be passed to parse() in `options.nameMap`.
+const knownNames = new NameMap();
+knownNames.add(FORMAT_ID, {
+	hash: {
+		'BnvaYp2dk0gpest5OEJLKTsnR1k=' : 'ONE.TXT',
+		'mesIIIjcJtFX0DjZMBv183ZzSIw=' : 'TWO.TXT',
+		'UhitFLfq/P86zDRGYwGlpZWw3p0=' : 'THREE.TXT',
+		'uVKo9vb7ptAfnR0YMgcL7jmKDDw=' : 'FOUR.TXT',
+
+		'tESsBmE/yNY3lb6a0L6vVQEZNqw=' : 'TEST1',
+		'EJ9LPFDXsN9ynSmbxvjp75Bmlx8=' : 'TEST2',
+	},
+});
 
 export default class Archive_Indy500 extends ArchiveHandler
 {
@@ -79,6 +86,11 @@ export default class Archive_Indy500 extends ArchiveHandler
 
 		md.caps.file.attributes.compressed = true;
 		
+		// Offsets and sizes are stored as 32-bit values.
+		md.caps.maxArchiveSize = 0xFFFFFFFF;
+		md.caps.file.maxFileSize = 0xFFFFFFFF;
+		md.caps.file.maxNativeSize = 0xFFFFFFFF;
+
 		return md;
 	}
 
@@ -135,6 +147,7 @@ export default class Archive_Indy500 extends ArchiveHandler
 		let startOffsets = [fatSize];
 
 		// Read each offset and length and ensure it is valid.
+		let ascending = true;
 		for (let i = 1; i < fileCount; i++) {
 			
 			startOffsets[i] = buffer.read(RecordType.int.u32le);
@@ -145,6 +158,27 @@ export default class Archive_Indy500 extends ArchiveHandler
 					reason: `File ${i} @ offset ${startOffsets[i]} starts beyond the end of the archive.`,
 				};
 			}
+			if (startOffsets[i] < startOffsets[i - 1] + 4) ascending = false;
+		}
+
+		if (fileCount <= 0) {
+			return {
+				valid: true,
+				reason: `Empty archive.`,
+				confidence: 10,
+			};
+		}
+
+		// The original archives always end the FAT with an entry pointing to EOF.
+		const eofOffset = buffer.read(RecordType.int.u32le);
+		if (!ascending || (eofOffset !== content.length)) {
+			return {
+				valid: true,
+				reason: `All file offsets are within the bounds of the archive file `
+					+ `size, but they are out of order or the final FAT entry does not `
+					+ `point to EOF.`,
+				confidence: 50,
+			};
 		}
 
 		return {
@@ -153,7 +187,7 @@ export default class Archive_Indy500 extends ArchiveHandler
 		};
 	}
 
-	static parse({main: content}) {
+	static parse({main: content}, options = {}) {
 		let archive = new Archive();
 		let buffer = new RecordBuffer(content);
 		const fatSize = buffer.read(RecordType.int.u32le);
@@ -186,8 +220,16 @@ export default class Archive_Indy500 extends ArchiveHandler
 			file.getRaw = () => buffer.getU8(file.offset, file.diskSize);			
 			file.getContent = () => cmp_lzss.reveal(file.getRaw(), cmpParams);
 
-			const hash = TestUtil.hash(file.getRaw());
-			file.name = knownFileContentHash[hash];
+			// Names are matched on the decompressed data, so they still match if
+			// the file is compressed differently when the archive is written out.
+			// Names supplied by the caller take priority over the built-in ones.
+			const nativeData = file.getContent();
+			if (options.nameMap) {
+				file.name = options.nameMap.getName(FORMAT_ID, i, nativeData);
+			}
+			if (file.name == undefined) {
+				file.name = knownNames.getName(FORMAT_ID, i, nativeData);
+			}
 			if (file.name == undefined) {
 				file.name = `indy500-${i}.bin`;
 			}
@@ -198,11 +240,12 @@ export default class Archive_Indy500 extends ArchiveHandler
 		return archive;
 	}
 
-	static generate(archive) {
+	static generate(archive, options = {}) {
 		const fileCount = archive.files.length;
 
 		// Work out where the FAT ends and the first file starts.
-		// There is one final FAT entry that points to EOF, so add 17 here.
+		// There is one final FAT entry that points to EOF, so add one more entry
+		// here.
 		const offEndFAT = (fileCount + 1) * 4;
 
 		// Calculate the size up front so we don't have to keep reallocating the
@@ -235,6 +278,13 @@ export default class Archive_Indy500 extends ArchiveHandler
 					+ `(${file.nativeSize}) field do not match for ${file.name}!`);
 			}
 
+			// There are no filenames in the archive, so if the caller wants them
+			// kept, remember this one for when the archive is opened again.
+			// Placeholder names aren't worth keeping.
+			if (options.nameMap && !/^indy500-[0-9]+\.bin$/.test(file.name)) {
+				options.nameMap.remember(FORMAT_ID, content, file.name);
+			}
+
 			content = cmp_lzss.obscure(content, cmpParams);
 			file.diskSize = content.length;
 
@@ -52,14 +52,17 @@ const recordTypes = {
 const HEADER_LEN = 2; // sizeof(header)
 const FATENTRY_LEN = 28; // sizeof(fatEntry)
 
+const PDAT_DEFAULT = 0x0001;
 const PDAT_COMPRESSED = 0x0100;
 const PDAT_NOPREFIXWORDS = 0x0004;
 
 const cmpParams = {
 	sizeLength: 4,
-	minLen: 3,
+	minLength: 3,
 	prefillByte: 0x20,
-	lengthFieldInHighBits: true,
+	lengthHigh: true,
+	littleEndian: true,
+	invertFlag: true,
 };
 
 export default class Archive_DAT_PapyrusV1 extends ArchiveHandler
@@ -86,6 +89,12 @@ export default class Archive_DAT_PapyrusV1 extends ArchiveHandler
 			height: RecordType.int.u16le,
 		};
 
+		// Offsets and sizes are stored as 32-bit values.
+		md.caps.maxArchiveSize = 0xFFFFFFFF;
+		md.caps.file.maxFileSize = 0xFFFFFFFF;
+		md.caps.file.maxNativeSize = 0xFFFFFFFF;
+		md.caps.file.maxNameBytes = 14;
+
 		return md;
 	}
 
@@ -115,10 +124,24 @@ export default class Archive_DAT_PapyrusV1 extends ArchiveHandler
 			};
 		}
 
-		// Read each offset and length and ensure it is valid.
+		// Read each offset and length and ensure it is valid.  Also keep track
+		// of anything unusual, which makes it less likely this is a Papyrus file.
+		let contiguous = true, unknownFlags = false;
+		let nextOffset = offEndFAT;
 		for (let i = 0; i < header.fileCount; i++) {
 			const fatEntry = buffer.readRecord(recordTypes.fatEntry);
 
+			if (fatEntry.offset !== nextOffset) contiguous = false;
+			nextOffset = fatEntry.offset + fatEntry.diskSize;
+			if ((fatEntry.flags & PDAT_NOPREFIXWORDS) === 0) nextOffset += 4;
+
+			if (
+				((fatEntry.flags & PDAT_DEFAULT) === 0)
+				|| (fatEntry.flags & ~(PDAT_DEFAULT | PDAT_COMPRESSED | PDAT_NOPREFIXWORDS))
+			) {
+				unknownFlags = true;
+			}
+
 			if (fatEntry.offset >= content.length) {
 				return {
 					valid: false,
@@ -133,9 +156,30 @@ export default class Archive_DAT_PapyrusV1 extends ArchiveHandler
 			}
 		}
 
+		if (header.fileCount === 0) {
+			return {
+				valid: true,
+				reason: `Empty archive.`,
+				confidence: 10,
+			};
+		}
+
+		let confidence = 100;
+		let problems = [];
+		if (!contiguous || (nextOffset !== content.length)) {
+			confidence -= 30;
+			problems.push('gaps between files');
+		}
+		if (unknownFlags) {
+			confidence -= 40;
+			problems.push('unknown flags');
+		}
+
 		return {
 			valid: true,
-			reason: `All file offsets/lengths are within the bounds of the archive file size.`,
+			reason: `All file offsets/lengths are within the bounds of the archive file size`
+				+ (problems.length ? ` but there are ${problems.join(' and ')}.` : '.'),
+			confidence,
 		};
 	}
 
@@ -156,6 +200,11 @@ export default class Archive_DAT_PapyrusV1 extends ArchiveHandler
 			file.offset = fatEntry.offset;
 			file.getRaw = () => buffer.getU8(file.offset, file.diskSize);
 
+			// Keep any flags we don't know about so they can be written back.
+			file.extra[FORMAT_ID] = {
+				flags: fatEntry.flags & ~(PDAT_COMPRESSED | PDAT_NOPREFIXWORDS),
+			};
+
 			// If the "no prefix" bit is clear, we need to skip ahead by four bytes
 			// because the contained file is a raw image (headerless) image that is
 			// prefixed by two 16-bit words that describe width and height. These
@@ -184,6 +233,7 @@ export default class Archive_DAT_PapyrusV1 extends ArchiveHandler
 				file.attributes.compressed = false;
 			}
 
+			file.markUntouched(FORMAT_ID);
 			archive.files.push(file);
 		}
 
@@ -221,16 +271,23 @@ export default class Archive_DAT_PapyrusV1 extends ArchiveHandler
 				buffer.writeRecord(recordTypes.prefixWords, file.attributes.uncompressedPrefixWords);
 			}
 
-			let content = file.getContent();
+			let content;
+			if (file.isUntouched(FORMAT_ID)) {
+				// This file hasn't been modified so copy it across as-is, which saves
+				// recompressing it.
+				content = file.getRaw();
+			} else {
+				content = file.getContent();
 
-			// Safety check.
-			if (content.length != file.nativeSize) {
-				throw new Error(`Length of data (${content.length}) and nativeSize `
-					+ `(${file.nativeSize}) field do not match for ${file.name}!`);
-			}
+				// Safety check.
+				if (content.length != file.nativeSize) {
+					throw new Error(`Length of data (${content.length}) and nativeSize `
+						+ `(${file.nativeSize}) field do not match for ${file.name}!`);
+				}
 
-			if (file.attributes.compressed === true) {
-				content = cmp_lzss.obscure(content, cmpParams);
+				if (file.attributes.compressed === true) {
+					content = cmp_lzss.obscure(content, cmpParams);
+				}
 			}
 			file.diskSize = content.length;
 
@@ -248,8 +305,15 @@ export default class Archive_DAT_PapyrusV1 extends ArchiveHandler
 			const hasPrefixWords = (file.attributes.hasPrefixWords === true);
 			const prefixWordFlag = (hasPrefixWords ? 0 : PDAT_NOPREFIXWORDS);
 
+			// Only reuse the flags if they came from this format.
+			const extra = file.extra[FORMAT_ID] || {};
+			let otherFlags = PDAT_DEFAULT;
+			if (extra.flags !== undefined) {
+				otherFlags = extra.flags;
+			}
+
 			const entry = {
-				flags: 0x0001 | compressedFlag | prefixWordFlag,
+				flags: otherFlags | compressedFlag | prefixWordFlag,
 				nativeSize: file.nativeSize,
 				diskSize: (isCompressed ? file.diskSize : file.nativeSize),
 				name: file.name,
@@ -32,6 +32,8 @@ import {
 import ArchiveHandler from '../interface/archiveHandler.js';
 import Archive from '../interface/archive.js';
 import File from '../interface/file.js';
+import { SinkWriter } from '../util/sink.js';
+import { readOnDemand } from '../util/source.js';
 import { replaceExtension } from '../util/supp.js';
 
 const recordTypes = {
@@ -73,6 +75,12 @@ export default class Archive_DAT_PapyrusV2 extends ArchiveHandler {
 
 		md.caps.file.maxFilenameLen = 13;
 
+		// Offsets and sizes are stored as 32-bit values.
+		md.caps.maxArchiveSize = 0xFFFFFFFF;
+		md.caps.file.maxFileSize = 0xFFFFFFFF;
+		md.caps.file.maxNativeSize = 0xFFFFFFFF;
+		md.caps.file.maxNameBytes = 13;
+
 		return md;
 	}
 
@@ -103,9 +111,14 @@ export default class Archive_DAT_PapyrusV2 extends ArchiveHandler {
 		}
 
 		// Read each offset and length and ensure it is valid.
+		let contiguous = true;
+		let nextOffset = offEndFAT;
 		for (let i = 0; i < header.fileCount; i++) {
 			const fatEntry = buffer.readRecord(recordTypes.fatEntry);
 
+			if (fatEntry.offset !== nextOffset) contiguous = false;
+			nextOffset = fatEntry.offset + fatEntry.diskSize;
+
 			if (fatEntry.flags != DEFAULT_FLAGS) {
 				return {
 					valid: false,
@@ -132,6 +145,23 @@ export default class Archive_DAT_PapyrusV2 extends ArchiveHandler {
 			}
 		}
 
+		if (header.fileCount === 0) {
+			return {
+				valid: true,
+				reason: `Empty archive.`,
+				confidence: 10,
+			};
+		}
+
+		if (!contiguous || (nextOffset !== content.length)) {
+			return {
+				valid: true,
+				reason: `All file offsets/lengths are within the bounds of the archive `
+					+ `file size, but there are gaps between files.`,
+				confidence: 70,
+			};
+		}
+
 		return {
 			valid: true,
 			reason: `All file offsets/lengths are within the bounds of the archive file size.`,
@@ -141,10 +171,46 @@ export default class Archive_DAT_PapyrusV2 extends ArchiveHandler {
 	static parse({
 		main: content
 	}) {
-		let archive = new Archive();
 		let buffer = new RecordBuffer(content);
 
 		const header = buffer.readRecord(recordTypes.header);
+		let archive = this.parseFAT(header, buffer);
+		for (const file of archive.files) {
+			file.getRaw = () => buffer.getU8(file.offset, file.diskSize);
+		}
+
+		return archive;
+	}
+
+	static async parseAsync({
+		main: source
+	}) {
+		const header = new RecordBuffer(
+			await source.read(0, HEADER_LEN)
+		).readRecord(recordTypes.header);
+
+		const fat = new RecordBuffer(
+			await source.read(HEADER_LEN, header.fileCount * FATENTRY_LEN)
+		);
+		let archive = this.parseFAT(header, fat);
+		for (const file of archive.files) {
+			readOnDemand(file, source);
+		}
+
+		return archive;
+	}
+
+	/**
+	 * Create an Archive from the FAT, without setting getRaw() on the files.
+	 *
+	 * @param {Object} header
+	 *   The DAT header.
+	 *
+	 * @param {RecordBuffer} buffer
+	 *   Buffer positioned at the first FAT entry.
+	 */
+	static parseFAT(header, buffer) {
+		let archive = new Archive();
 		archive.tags.description = header.description;
 
 		for (let i = 0; i < header.fileCount; i++) {
@@ -155,7 +221,6 @@ export default class Archive_DAT_PapyrusV2 extends ArchiveHandler {
 			file.diskSize = fatEntry.diskSize;
 			file.nativeSize = fatEntry.nativeSize;
 			file.offset = fatEntry.offset;
-			file.getRaw = () => buffer.getU8(file.offset, file.diskSize);
 
 			archive.files.push(file);
 		}
@@ -164,12 +229,8 @@ export default class Archive_DAT_PapyrusV2 extends ArchiveHandler {
 	}
 
 	static generate(archive) {
-		const header = {
-			fileCount: archive.files.length,
-		};
-
 		// Work out where the FAT ends and the first file starts.
-		const offEndFAT = HEADER_LEN + FATENTRY_LEN * header.fileCount;
+		const offEndFAT = HEADER_LEN + FATENTRY_LEN * archive.files.length;
 
 		// Calculate the size up front so we don't have to keep reallocating the
 		// buffer, improving performance.
@@ -179,12 +240,7 @@ export default class Archive_DAT_PapyrusV2 extends ArchiveHandler {
 		);
 
 		let buffer = new RecordBuffer(guessFinalSize);
-
-		// write out the two-byte file count header
-		buffer.writeRecord(recordTypes.header, header);
-
-		// seek to the end of the FAT so that the file content can be written
-		buffer.seekAbs(offEndFAT);
+		buffer.put(this.generateFAT(archive));
 
 		for (const file of archive.files) {
 
@@ -201,8 +257,54 @@ export default class Archive_DAT_PapyrusV2 extends ArchiveHandler {
 			buffer.put(content);
 		}
 
-		// now, go back and write the FAT
-		buffer.seekAbs(HEADER_LEN);
+		return {
+			main: buffer.getU8(),
+		};
+	}
+
+	static async generateAsync(archive, {
+		main: sink
+	}) {
+		let out = new SinkWriter(sink);
+		await out.put(this.generateFAT(archive));
+
+		for (const file of archive.files) {
+
+			const content = await file.getContentAsync();
+
+			// Safety check.
+			if (content.length != file.nativeSize) {
+				throw new Error(`Length of data (${content.length}) and nativeSize `
+					+ `(${file.nativeSize}) field do not match for ${file.name}!`);
+			}
+
+			file.diskSize = content.length;
+
+			await out.put(content);
+		}
+	}
+
+	/**
+	 * Produce the header and FAT.
+	 *
+	 * Since files are never compressed, the FAT can be worked out from each
+	 * file's `nativeSize` before any of the data is written.
+	 *
+	 * @return {Uint8Array} the header followed by the FAT.
+	 */
+	static generateFAT(archive) {
+		const header = {
+			fileCount: archive.files.length,
+		};
+
+		// Work out where the FAT ends and the first file starts.
+		const offEndFAT = HEADER_LEN + FATENTRY_LEN * header.fileCount;
+
+		let buffer = new RecordBuffer(offEndFAT);
+
+		// write out the two-byte file count header
+		buffer.writeRecord(recordTypes.header, header);
+
 		let nextOffset = offEndFAT;
 
 		for (const file of archive.files) {
@@ -219,8 +321,6 @@ export default class Archive_DAT_PapyrusV2 extends ArchiveHandler {
 			buffer.writeRecord(recordTypes.fatEntry, entry);
 		}
 
-		return {
-			main: buffer.getU8(),
-		};
+		return buffer.getU8();
 	}
 }
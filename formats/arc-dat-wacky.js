@@ -62,6 +62,13 @@ export default class Archive_GRP_Build extends ArchiveHandler
 		};
 
 		md.caps.file.maxFilenameLen = 12;
+		md.caps.file.dosNames = true;
+
+		// Offsets and sizes are stored as 32-bit values.
+		md.caps.maxArchiveSize = 0xFFFFFFFF;
+		md.caps.file.maxFileSize = 0xFFFFFFFF;
+		md.caps.file.maxNativeSize = 0xFFFFFFFF;
+		md.caps.file.maxNameBytes = 12;
 
 		return md;
 	}
@@ -94,9 +101,16 @@ export default class Archive_GRP_Build extends ArchiveHandler
 			};
 		}
 
+		// Files are normally stored one after the other in FAT order, so if they
+		// aren't, it's less likely this is actually a Wacky Wheels archive.
+		let contiguous = true;
+		let nextOffset = lenFAT;
 		for (let i = 0; i < header.fileCount; i++) {
 			const fatEntry = buffer.readRecord(recordTypes.fatEntry);
 
+			if (fatEntry.offset + HEADER_LEN !== nextOffset) contiguous = false;
+			nextOffset = fatEntry.offset + HEADER_LEN + fatEntry.size;
+
 			if (fatEntry.offset + HEADER_LEN < lenFAT) {
 				return {
 					valid: false,
@@ -113,6 +127,23 @@ export default class Archive_GRP_Build extends ArchiveHandler
 			}
 		}
 
+		if (header.fileCount === 0) {
+			return {
+				valid: true,
+				reason: `Empty archive.`,
+				confidence: 10,
+			};
+		}
+
+		if (!contiguous || (nextOffset !== lenArchive)) {
+			return {
+				valid: true,
+				reason: `All files contained within the archive, but with gaps or `
+					+ `overlaps between them.`,
+				confidence: 60,
+			};
+		}
+
 		return {
 			valid: true,
 			reason: `All files contained within the archive.`,
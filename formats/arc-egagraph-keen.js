@@ -0,0 +1,635 @@
+/*
+ * id Software EGAGRAPH format handler for Commander Keen 4-6.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   http://www.shikadi.net/moddingwiki/EGAGraph_Format
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'arc-egagraph-keen';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import ArchiveHandler from '../interface/archiveHandler.js';
+import Archive from '../interface/archive.js';
+import File from '../interface/file.js';
+import LimitIssue from '../interface/limitIssue.js';
+import HuffmanDictionary from '../util/huffman.js';
+import { replaceBasename } from '../util/supp.js';
+
+const recordTypes = {
+	egagraph: {
+		chunkHeader: {
+			lenExpanded: RecordType.int.u32le,
+		},
+	},
+};
+
+// Offset used in the FAT for chunks that are not present.
+const OFFSET_SPARSE = 0xFFFFFF;
+
+// Size of each entry in the picture and sprite tables.
+const LEN_PICTABLE_ENTRY = 2 + 2;
+const LEN_SPRITETABLE_ENTRY = 9 * 2;
+
+// Decompressed size of each tile.  Tile chunks don't store their size, so it
+// has to be known in advance.
+const LEN_TILE8 = 8 * 8 / 8 * 4;
+const LEN_TILE8M = 8 * 8 / 8 * 5;
+const LEN_TILE16 = 16 * 16 / 8 * 4;
+const LEN_TILE16M = 16 * 16 / 8 * 5;
+
+// Chunks holding a numbered list of items, in the order they appear in the
+// file.  `digits` is how many digits are used for the index in the filename.
+// The tables, and the 8x8 tiles that are all stored together in one chunk,
+// are single chunks with a fixed name and are handled separately.
+const numberedTypes = {
+	font: { digits: 3 },
+	pic: { digits: 3 },
+	picm: { digits: 3 },
+	sprite: { digits: 3 },
+	tile16: { digits: 4, lenTile: LEN_TILE16 },
+	tile16m: { digits: 4, lenTile: LEN_TILE16M },
+	// The remaining chunks are "externs", loaded by the game code directly.
+	text: { digits: 3 },
+	demo: { digits: 3 },
+	misc: { digits: 3 },
+};
+
+function itemName(type, index)
+{
+	return `${type}-${index.toString().padStart(numberedTypes[type].digits, '0')}`;
+}
+
+class Archive_EGAGraph_Keen extends ArchiveHandler
+{
+	static metadata() {
+		const game = this.getGame();
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID + game.code,
+			title: `Commander Keen ${game.code} EGA graphics`,
+			games: [
+				`Commander Keen ${game.code}`,
+			],
+			glob: [
+				`egagraph.ck${game.code}`,
+			],
+		};
+
+		// Files are always compressed.
+		md.caps.file.attributes.compressed = true;
+
+		// Chunk offsets are 24-bit, with 0xFFFFFF reserved for missing chunks.
+		md.caps.maxArchiveSize = OFFSET_SPARSE - 1;
+
+		return md;
+	}
+
+	static checkLimits(archive, options)
+	{
+		let issues = super.checkLimits(archive, options);
+		const layout = this.getLayout();
+
+		// Number of entries in each table, for checking the images against.
+		let tableEntries = {};
+		for (const [table, type, lenEntry] of [
+			['pictable', 'pic', LEN_PICTABLE_ENTRY],
+			['picmtable', 'picm', LEN_PICTABLE_ENTRY],
+			['spritetable', 'sprite', LEN_SPRITETABLE_ENTRY],
+		]) {
+			const file = archive.files.find(f => f.name === table);
+			const len = file ? file.nativeSize : 0;
+			if (len % lenEntry !== 0) {
+				issues.push(new LimitIssue({
+					code: 'INVALID_FILE_SIZE',
+					file,
+					message: `File "${table}" is ${len} bytes in size, but it must be `
+						+ `a multiple of ${lenEntry} bytes.`,
+				}));
+			}
+			tableEntries[type] = Math.floor(len / lenEntry);
+		}
+
+		const limits = {
+			...tableEntries,
+			font: layout.fonts,
+			tile16: layout.tile16,
+			tile16m: layout.tile16m,
+		};
+
+		for (const file of archive.files) {
+			switch (file.name) {
+				case 'pictable':
+				case 'picmtable':
+				case 'spritetable':
+					continue;
+				case 'tile8':
+				case 'tile8m': {
+					const lenTile = (file.name === 'tile8') ? LEN_TILE8 : LEN_TILE8M;
+					const count = (file.name === 'tile8') ? layout.tile8 : layout.tile8m;
+					if (file.nativeSize && (file.nativeSize !== lenTile * count)) {
+						issues.push(new LimitIssue({
+							code: 'INVALID_FILE_SIZE',
+							file,
+							message: `File "${file.name}" is ${file.nativeSize} bytes in `
+								+ `size, but it must hold ${count} tiles (${lenTile * count} `
+								+ `bytes).`,
+						}));
+					}
+					continue;
+				}
+			}
+
+			const item = this.parseName(file.name);
+			if (!item) {
+				issues.push(new LimitIssue({
+					code: 'INVALID_FILENAME',
+					file,
+					message: `File "${file.name}" must be named after its type and `
+						+ `number, e.g. "pic-001" or "tile16-0001".`,
+				}));
+				continue;
+			}
+
+			const limit = limits[item.type];
+			if ((limit !== undefined) && (item.index >= limit)) {
+				const table = tableEntries[item.type] !== undefined
+					? `there are only ${limit} entries in "${item.type}table"`
+					: `the game only has room for ${limit}`;
+				issues.push(new LimitIssue({
+					code: 'INVALID_FILENAME',
+					file,
+					message: `File "${file.name}" is out of range, as ${table}.`,
+				}));
+			}
+
+			const lenTile = numberedTypes[item.type].lenTile;
+			if (lenTile && file.nativeSize && (file.nativeSize !== lenTile)) {
+				issues.push(new LimitIssue({
+					code: 'INVALID_FILE_SIZE',
+					file,
+					message: `File "${file.name}" is ${file.nativeSize} bytes in `
+						+ `size, but it must be exactly ${lenTile} bytes.`,
+				}));
+			}
+		}
+
+		return issues;
+	}
+
+	static supps(name) {
+		return {
+			// egagraph.xxx -> egahead.xxx, egadict.xxx
+			fat: replaceBasename(name, 'egahead'),
+			dict: replaceBasename(name, 'egadict'),
+			main: replaceBasename(name, 'egagraph'),
+		};
+	}
+
+	static identify(content) {
+		if (content.length === 0) {
+			return {
+				valid: undefined,
+				reason: `Empty file, could be an archive with every chunk missing.`,
+			};
+		}
+
+		const lenHeader = 4;
+		if (content.length < lenHeader) {
+			return {
+				valid: false,
+				reason: `Content too short (< ${lenHeader} b).`,
+			};
+		}
+
+		// The first chunk is the picture table, which can't be confirmed without
+		// the dictionary to decompress it, but its size should be sensible.
+		let buffer = new RecordBuffer(content);
+		const header = buffer.readRecord(recordTypes.egagraph.chunkHeader);
+		if (
+			(header.lenExpanded === 0)
+			|| (header.lenExpanded > 0xFFFF)
+			|| (header.lenExpanded % LEN_PICTABLE_ENTRY !== 0)
+		) {
+			return {
+				valid: false,
+				reason: `Picture table size (${header.lenExpanded} b) is invalid.`,
+			};
+		}
+
+		return {
+			valid: undefined,
+			reason: `Picture table size is valid, but the dictionary is needed to `
+				+ `confirm the format.`,
+		};
+	}
+
+	static parse({ main: content, fat, dict }) {
+		let archive = new Archive();
+
+		const { id: formatId } = this.metadata();
+		const layout = this.getLayout();
+
+		// Keep the dictionary so any files that aren't changed can be written back
+		// without recompressing them.
+		archive.extra[formatId] = {
+			dict,
+		};
+		const dictionary = HuffmanDictionary.parse(dict);
+
+		let buffer = new RecordBuffer(content);
+		let fatBuffer = new RecordBuffer(fat);
+
+		let offsets = [];
+		while (fatBuffer.distFromEnd() >= 3) {
+			const lo = fatBuffer.read(RecordType.int.u16le);
+			const hi = fatBuffer.read(RecordType.int.u8);
+			offsets.push(lo | (hi << 16));
+		}
+		// The last entry is the end of the data, so there is one less chunk.
+		const numChunks = Math.max(0, offsets.length - 1);
+		debug(`Archive has ${numChunks} chunks`);
+
+		const readChunk = (index, lenTile) => {
+			const offset = offsets[index];
+			if (offset === OFFSET_SPARSE) {
+				return {
+					offset: 0,
+					diskSize: 0,
+					nativeSize: 0,
+				};
+			}
+			// Chunks end where the next one starts, skipping missing chunks.
+			let end = content.length;
+			for (let i = index + 1; i < offsets.length; i++) {
+				if (offsets[i] !== OFFSET_SPARSE) {
+					end = Math.min(offsets[i], content.length);
+					break;
+				}
+			}
+			if (offset > end) {
+				throw new Error(`Chunk ${index} starts at offset ${offset}, which is `
+					+ `beyond the end of the chunk (${end}).`);
+			}
+			let nativeSize = lenTile;
+			if (nativeSize === undefined) {
+				buffer.seekAbs(offset);
+				const header = buffer.readRecord(recordTypes.egagraph.chunkHeader);
+				nativeSize = header.lenExpanded;
+			}
+			return {
+				offset,
+				diskSize: end - offset,
+				nativeSize,
+			};
+		};
+
+		let nextChunk = 0;
+		const addFile = (name, lenTile) => {
+			const index = nextChunk++;
+			if (index >= numChunks) {
+				throw new Error(`File "${name}" should be in chunk ${index}, but there `
+					+ `are only ${numChunks} chunks.`);
+			}
+			const chunk = readChunk(index, lenTile);
+
+			let file = new File();
+			file.name = name;
+			file.offset = chunk.offset;
+			file.diskSize = chunk.diskSize;
+			file.nativeSize = chunk.nativeSize;
+			file.attributes.compressed = true;
+			file.getRaw = () => buffer.getU8(file.offset, file.diskSize);
+			file.getContent = () => this.decompress(file.getRaw(), dictionary,
+				lenTile);
+			file.markUntouched(formatId);
+			archive.files.push(file);
+			return file;
+		};
+
+		let tableEntries = {};
+		for (const [table, type, lenEntry] of [
+			['pictable', 'pic', LEN_PICTABLE_ENTRY],
+			['picmtable', 'picm', LEN_PICTABLE_ENTRY],
+			['spritetable', 'sprite', LEN_SPRITETABLE_ENTRY],
+		]) {
+			const file = addFile(table);
+			tableEntries[type] = Math.floor(file.nativeSize / lenEntry);
+		}
+
+		for (let i = 0; i < layout.fonts; i++) {
+			addFile(itemName('font', i));
+		}
+		for (const type of ['pic', 'picm', 'sprite']) {
+			for (let i = 0; i < tableEntries[type]; i++) {
+				addFile(itemName(type, i));
+			}
+		}
+		addFile('tile8', LEN_TILE8 * layout.tile8);
+		addFile('tile8m', LEN_TILE8M * layout.tile8m);
+		for (let i = 0; i < layout.tile16; i++) {
+			addFile(itemName('tile16', i), LEN_TILE16);
+		}
+		for (let i = 0; i < layout.tile16m; i++) {
+			addFile(itemName('tile16m', i), LEN_TILE16M);
+		}
+
+		// Whatever is left are the externs.  Not all versions have as many, so
+		// stop if we run out.
+		let count = { text: 0, demo: 0, misc: 0 };
+		while (nextChunk < numChunks) {
+			let type = 'misc';
+			if (count.text < layout.texts) {
+				type = 'text';
+			} else if (count.demo < layout.demos) {
+				type = 'demo';
+			}
+			addFile(itemName(type, count[type]++));
+		}
+
+		return archive;
+	}
+
+	static generate(archive)
+	{
+		const { id: formatId } = this.metadata();
+		const layout = this.getLayout();
+
+		let tables = {}, tile8 = {}, items = {};
+		for (const type of Object.keys(numberedTypes)) {
+			items[type] = [];
+		}
+		for (const file of archive.files) {
+			switch (file.name) {
+				case 'pictable':
+				case 'picmtable':
+				case 'spritetable':
+					tables[file.name] = file;
+					continue;
+				case 'tile8':
+				case 'tile8m':
+					tile8[file.name] = file;
+					continue;
+			}
+			const item = this.parseName(file.name);
+			if (!item) {
+				throw new Error(`File "${file.name}" must be named after its type `
+					+ `and number, e.g. "pic-001" or "tile16-0001".`);
+			}
+			if (items[item.type][item.index]) {
+				throw new Error(`There is more than one file called "${file.name}".`);
+			}
+			items[item.type][item.index] = file;
+		}
+
+		// The number of images comes from the tables, so they have to match.
+		const tableCount = (name, lenEntry) => {
+			const file = tables[name];
+			return file ? Math.floor(file.getContent().length / lenEntry) : 0;
+		};
+		const count = {
+			font: layout.fonts,
+			pic: tableCount('pictable', LEN_PICTABLE_ENTRY),
+			picm: tableCount('picmtable', LEN_PICTABLE_ENTRY),
+			sprite: tableCount('spritetable', LEN_SPRITETABLE_ENTRY),
+			tile16: layout.tile16,
+			tile16m: layout.tile16m,
+		};
+		for (const [type, max] of Object.entries(count)) {
+			if (items[type].length > max) {
+				throw new Error(`File "${itemName(type, items[type].length - 1)}" `
+					+ `is out of range, as there is only room for ${max}.`);
+			}
+		}
+
+		// The externs run on from each other, so any missing ones before the last
+		// one are written as empty chunks.
+		if (items.misc.length) {
+			count.misc = items.misc.length;
+			count.demo = layout.demos;
+			count.text = layout.texts;
+		} else if (items.demo.length) {
+			count.demo = items.demo.length;
+			count.text = layout.texts;
+		} else {
+			count.text = items.text.length;
+		}
+		for (const type of ['text', 'demo']) {
+			if (items[type].length > count[type]) {
+				throw new Error(`File "${itemName(type, items[type].length - 1)}" `
+					+ `is out of range, as there is only room for ${count[type]}.`);
+			}
+		}
+
+		// List of every chunk in order, as [file, lenTile].
+		let chunks = [
+			[tables.pictable],
+			[tables.picmtable],
+			[tables.spritetable],
+		];
+		const addItems = (type, lenTile) => {
+			for (let i = 0; i < count[type]; i++) {
+				chunks.push([items[type][i], lenTile]);
+			}
+		};
+		addItems('font');
+		addItems('pic');
+		addItems('picm');
+		addItems('sprite');
+		chunks.push([tile8.tile8, LEN_TILE8 * layout.tile8]);
+		chunks.push([tile8.tile8m, LEN_TILE8M * layout.tile8m]);
+		addItems('tile16', LEN_TILE16);
+		addItems('tile16m', LEN_TILE16M);
+		addItems('text');
+		addItems('demo');
+		addItems('misc');
+
+		// Files can only be copied across unchanged if they are being written
+		// with the dictionary they were compressed with.
+		let { dict } = archive.extra[formatId] || {};
+		const reuse = !!dict;
+		let dictionary;
+		if (reuse) {
+			dictionary = HuffmanDictionary.parse(dict);
+		} else {
+			dictionary = HuffmanDictionary.build(
+				chunks.filter(([file]) => file).map(([file]) => file.getContent())
+			);
+			dict = dictionary.generate();
+		}
+
+		let fatBuffer = new RecordBuffer((chunks.length + 1) * 3);
+		let buffer = new RecordBuffer(
+			archive.files.reduce((t, f) => t + (f.diskSize || f.nativeSize || 0), 0)
+		);
+
+		const writeOffset = offset => {
+			if (offset >= OFFSET_SPARSE) {
+				throw new Error(`The archive has grown too large (${offset} b), `
+					+ `as the offsets can only go up to ${OFFSET_SPARSE - 1}.`);
+			}
+			fatBuffer.write(RecordType.int.u16le, offset & 0xFFFF);
+			fatBuffer.write(RecordType.int.u8, offset >> 16);
+		};
+
+		for (const [file, lenTile] of chunks) {
+			let raw;
+			if (file) {
+				if (reuse && file.isUntouched(formatId)) {
+					raw = file.getRaw();
+				} else {
+					const data = file.getContent();
+					if (data.length) {
+						raw = this.compress(data, dictionary, lenTile);
+					}
+				}
+			}
+			if (!raw || !raw.length) {
+				// Missing and empty files are both written as missing chunks.
+				fatBuffer.write(RecordType.int.u16le, 0xFFFF);
+				fatBuffer.write(RecordType.int.u8, 0xFF);
+				continue;
+			}
+			writeOffset(buffer.getPos());
+			buffer.put(raw);
+		}
+		// Final entry marks the end of the last chunk.
+		writeOffset(buffer.getPos());
+
+		return {
+			main: buffer.getU8(),
+			fat: fatBuffer.getU8(),
+			dict,
+		};
+	}
+
+	/**
+	 * Split a filename into the chunk type and index.
+	 *
+	 * @param {string} name
+	 *   Filename, e.g. "pic-001".
+	 *
+	 * @return {Object} with `type` and `index` properties, or undefined if the
+	 *   name isn't one of the numbered chunk types.
+	 */
+	static parseName(name) {
+		const m = name.match(/^([a-z0-9]+)-([0-9]+)$/);
+		if (!m || !numberedTypes[m[1]]) return undefined;
+		return {
+			type: m[1],
+			index: parseInt(m[2], 10),
+		};
+	}
+
+	static compress(content, dictionary, lenTile) {
+		const comp = dictionary.compress(content);
+		if (lenTile !== undefined) {
+			if (content.length !== lenTile) {
+				throw new Error(`Tile data is ${content.length} bytes in size, but `
+					+ `it must be exactly ${lenTile} bytes.`);
+			}
+			// Tiles are always the same size so it isn't stored.
+			return comp;
+		}
+
+		const buffer = new RecordBuffer(comp.length + 4);
+		buffer.writeRecord(recordTypes.egagraph.chunkHeader, {
+			lenExpanded: content.length,
+		});
+		buffer.put(comp);
+		return buffer.getU8();
+	}
+
+	static decompress(content, dictionary, lenTile) {
+		if (!content.length) return new Uint8Array();
+		if (lenTile !== undefined) {
+			return dictionary.expand(content, lenTile);
+		}
+		const buffer = new RecordBuffer(content);
+		const header = buffer.readRecord(recordTypes.egagraph.chunkHeader);
+		return dictionary.expand(buffer.getU8(4, buffer.length - 4),
+			header.lenExpanded);
+	}
+}
+
+export class Archive_EGAGraph_Keen4 extends Archive_EGAGraph_Keen
+{
+	static getGame() {
+		return {
+			code: '4',
+		};
+	}
+
+	// Number of each type of chunk, from the v1.4 release.  The number of
+	// images comes from the tables at the start of the file instead.
+	static getLayout() {
+		return {
+			fonts: 3,
+			tile8: 104,
+			tile8m: 20,
+			tile16: 1296,
+			tile16m: 2916,
+			texts: 4,
+			demos: 5,
+		};
+	}
+}
+
+export class Archive_EGAGraph_Keen5 extends Archive_EGAGraph_Keen
+{
+	static getGame() {
+		return {
+			code: '5',
+		};
+	}
+
+	static getLayout() {
+		return {
+			fonts: 3,
+			tile8: 104,
+			tile8m: 20,
+			tile16: 1512,
+			tile16m: 2952,
+			texts: 4,
+			demos: 5,
+		};
+	}
+}
+
+export class Archive_EGAGraph_Keen6 extends Archive_EGAGraph_Keen
+{
+	static getGame() {
+		return {
+			code: '6',
+		};
+	}
+
+	static getLayout() {
+		return {
+			fonts: 3,
+			tile8: 104,
+			tile8m: 20,
+			tile16: 2376,
+			tile16m: 2736,
+			texts: 4,
+			demos: 5,
+		};
+	}
+}
@@ -30,6 +30,7 @@ import { cmp_lzw } from '@camoto/gamecomp';
 import ArchiveHandler from '../interface/archiveHandler.js';
 import Archive from '../interface/archive.js';
 import File from '../interface/file.js';
+import { SinkWriter } from '../util/sink.js';
 import { replaceExtension } from '../util/supp.js';
 
 const recordTypes = {
@@ -93,6 +94,13 @@ export default class Archive_EPF_EastPoint extends ArchiveHandler
 		md.caps.file.attributes.compressed = true;
 
 		md.caps.file.maxFilenameLen = 12;
+		md.caps.file.dosNames = true;
+
+		// The FAT offset and file sizes are stored as 32-bit values.
+		md.caps.maxArchiveSize = 0xFFFFFFFF;
+		md.caps.file.maxFileSize = 0xFFFFFFFF;
+		md.caps.file.maxNativeSize = 0xFFFFFFFF;
+		md.caps.file.maxNameBytes = 12;
 
 		return md;
 	}
@@ -133,6 +141,11 @@ export default class Archive_EPF_EastPoint extends ArchiveHandler
 
 		const header = buffer.readRecord(recordTypes.header);
 
+		// Keep this so it can be written back unchanged.
+		archive.extra[FORMAT_ID] = {
+			unknown: header.unknown,
+		};
+
 		buffer.seekAbs(header.offFAT);
 		let offset = HEADER_LEN;
 		for (let i = 0; i < header.fileCount; i++) {
@@ -152,6 +165,7 @@ export default class Archive_EPF_EastPoint extends ArchiveHandler
 				file.attributes.compressed = false;
 			}
 
+			file.markUntouched(FORMAT_ID);
 			archive.files.push(file);
 			offset += fatEntry.diskSize;
 		}
@@ -177,25 +191,88 @@ export default class Archive_EPF_EastPoint extends ArchiveHandler
 		buffer.seekAbs(HEADER_LEN);
 
 		for (const file of archive.files) {
-			// Compress if attribute is either on or "don't care".
-			const isCompressed = file.attributes.compressed !== false;
+			let content;
+			if (file.isUntouched(FORMAT_ID)) {
+				// This file hasn't been modified so copy it across as-is, which saves
+				// recompressing it.
+				content = file.getRaw();
+			} else {
+				content = this.compressFile(file, file.getContent());
+			}
+			file.diskSize = content.length;
+			buffer.put(content);
+		}
 
-			let content = file.getContent();
+		const offFAT = buffer.getPos();
+		buffer.put(this.generateFAT(archive));
 
-			// Safety check.
-			if (content.length != file.nativeSize) {
-				throw new Error(`Length of data (${content.length}) and nativeSize `
-					+ `(${file.nativeSize}) field do not match for ${file.name}!`);
-			}
+		// Go back and write the header now we know where the FAT starts.
+		buffer.seekAbs(0);
+		buffer.put(this.generateHeader(archive, offFAT));
+
+		return {
+			main: buffer.getU8(),
+		};
+	}
+
+	static async generateAsync(archive, {main: sink})
+	{
+		let out = new SinkWriter(sink);
+
+		// Skip over header, we'll write it last.
+		out.seekAbs(HEADER_LEN);
 
-			if (isCompressed) {
-				content = cmp_lzw.obscure(content, cmpParams);
+		for (const file of archive.files) {
+			let content;
+			if (file.isUntouched(FORMAT_ID)) {
+				content = await file.getRawAsync();
+			} else {
+				content = this.compressFile(file, await file.getContentAsync());
 			}
 			file.diskSize = content.length;
-			buffer.put(content);
+			await out.put(content);
 		}
 
-		const offFAT = buffer.getPos();
+		const offFAT = out.getPos();
+		await out.put(this.generateFAT(archive));
+
+		out.seekAbs(0);
+		await out.put(this.generateHeader(archive, offFAT));
+	}
+
+	/**
+	 * Compress a file's data if required by its attributes.
+	 *
+	 * @param {File} file
+	 *   File being written.
+	 *
+	 * @param {Uint8Array} content
+	 *   The file's data, as returned by `getContent()`.
+	 *
+	 * @return {Uint8Array} the data to write into the archive.
+	 */
+	static compressFile(file, content)
+	{
+		// Safety check.
+		if (content.length != file.nativeSize) {
+			throw new Error(`Length of data (${content.length}) and nativeSize `
+				+ `(${file.nativeSize}) field do not match for ${file.name}!`);
+		}
+
+		// Compress if attribute is either on or "don't care".
+		if (file.attributes.compressed !== false) {
+			return cmp_lzw.obscure(content, cmpParams);
+		}
+		return content;
+	}
+
+	/**
+	 * Produce the FAT, once all the files have been written and their `diskSize`
+	 * fields updated.
+	 */
+	static generateFAT(archive)
+	{
+		let buffer = new RecordBuffer(FATENTRY_LEN * archive.files.length);
 
 		for (const file of archive.files) {
 			// Compress if attribute is either on or "don't care".
@@ -210,18 +287,21 @@ export default class Archive_EPF_EastPoint extends ArchiveHandler
 			buffer.writeRecord(recordTypes.fatEntry, entry);
 		}
 
-		// Go back and write the header now we know where the FAT starts.
+		return buffer.getU8();
+	}
+
+	static generateHeader(archive, offFAT)
+	{
+		const { unknown } = archive.extra[FORMAT_ID] || {};
 		const header = {
 			signature: 'EPFS',
 			offFAT: offFAT,
-			unknown: 0,
+			unknown: unknown || 0,
 			fileCount: archive.files.length,
 		};
-		buffer.seekAbs(0);
+		let buffer = new RecordBuffer(HEADER_LEN);
 		buffer.writeRecord(recordTypes.header, header);
 
-		return {
-			main: buffer.getU8(),
-		};
+		return buffer.getU8();
 	}
 }
@@ -22,9 +22,6 @@
 
 const FORMAT_ID = 'arc-exe-ddave';
 
-import Debug from '../util/debug.js';
-const debug = Debug.extend(FORMAT_ID);
-
 import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
 import { cmp_lzexe, cmp_rle_id } from '@camoto/gamecomp';
 import ArchiveHandler from '../interface/archiveHandler.js';
@@ -49,8 +46,7 @@ function obscureDDaveRLE(content, file) {
 	let buffer = new RecordBuffer(chunkedRLE.length + 4);
 	buffer.write(RecordType.int.u32le, content.length); // decompressed size
 	buffer.put(chunkedRLE);
-	const padding = file.diskSize - buffer.length;
-	if (padding < 0) {
+	if (buffer.length > file.diskSize) {
 		throw new Error(`File "${file.name}" is too big to fit back into the `
 			+ `game .exe file.  It is ${buffer.length} bytes long, but there are `
 			+ `only ${file.diskSize} bytes available.  Since the format is `
@@ -63,12 +59,7 @@ function obscureDDaveRLE(content, file) {
 			+ `detail removed.`
 		);
 	}
-	if (padding > 0) {
-		debug(`Padding ${file.name} with ${padding} bytes`);
-		// Pad the file up to the available space in the .exe, otherwise
-		// FixedArchive complains that the file size doesn't match.
-		buffer.write(RecordType.padding(padding));
-	}
+	// Any space left over is padded by FixedArchive.
 	return buffer.getU8();
 }
 
@@ -172,6 +163,18 @@ export default class Archive_EXE_DDave extends ArchiveHandler
 		};
 	}
 
+	/**
+	 * Work out how much space each embedded file has left.
+	 *
+	 * @param {Archive} archive
+	 *   Archive about to be written.
+	 *
+	 * @return {Array<Object>} as for FixedArchive.spaceRemaining().
+	 */
+	static spaceRemaining(archive) {
+		return FixedArchive.spaceRemaining(archive, this.fileList());
+	}
+
 	static fileList(sizes = {}) {
 		let files = [
 			{
@@ -185,6 +188,7 @@ export default class Archive_EXE_DDave extends ArchiveHandler
 				nativeSize: sizes.lenCGA || (0x120f0 - 0x0c620),
 				reveal: revealDDaveRLE,
 				obscure: obscureDDaveRLE,
+				padding: 0x00,
 				compressed: true,
 			}, {
 				name: 'vgadave.dav',
@@ -193,6 +197,7 @@ export default class Archive_EXE_DDave extends ArchiveHandler
 				nativeSize: sizes.lenVGA || (0x1c4e0 - 0x120f0),
 				reveal: revealDDaveRLE,
 				obscure: obscureDDaveRLE,
+				padding: 0x00,
 				compressed: true,
 			}, {
 				name: 'sounds.spk',
@@ -26,9 +26,9 @@ import Debug from '../util/debug.js';
 const debug = Debug.extend(FORMAT_ID);
 
 import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
-import { cmp_lzexe } from '@camoto/gamecomp';
 import ArchiveHandler from '../interface/archiveHandler.js';
 import FixedArchive from '../util/fixedArchive.js';
+import PackedExe from '../util/packedExe.js';
 import { replaceExtension } from '../util/supp.js';
 
 class Archive_EXE_Keen4 extends ArchiveHandler
@@ -52,9 +52,20 @@ class Archive_EXE_Keen4 extends ArchiveHandler
 		// Files can optionally be compressed.
 		md.caps.file.attributes.compressed = false;
 
+		md.caps.tags = PackedExe.tags();
+
 		return md;
 	}
 
+	static checkLimits(archive, options)
+	{
+		let issues = super.checkLimits(archive, options);
+
+		issues.push(...PackedExe.checkLimits(archive, this.fileList()));
+
+		return issues;
+	}
+
 	static supps(filename) {
 		return {
 			main: replaceExtension(filename, 'exe'),
@@ -63,16 +74,13 @@ class Archive_EXE_Keen4 extends ArchiveHandler
 
 	static identify(content) {
 		// UNLZEXE the file if required.
-		let output = content;
-		if (cmp_lzexe.identify(content).valid) {
-			output = cmp_lzexe.reveal(content);
-		}
-		// Early versions use PKLITE instead.
-		/*
-		if (cmp_pklite.identify(content).valid) {
-			output = cmp_pklite.reveal(content);
+		const { content: output, reason } = PackedExe.unpack(content);
+		if (!output) {
+			return {
+				valid: false,
+				reason,
+			};
 		}
-		*/
 
 		if (output.length < 0x3220C + 8) {
 			return {
@@ -100,25 +108,27 @@ class Archive_EXE_Keen4 extends ArchiveHandler
 	}
 
 	static parse(content) {
-		// UNLZEXE the file if required.
-		let decomp = content.main;
-		if (cmp_lzexe.identify(content.main).valid) {
-			decomp = cmp_lzexe.reveal(content.main);
-		}
-
-		const files = this.fileList();
-
-		return FixedArchive.parse(decomp, files);
+		return PackedExe.parse(content.main, this.fileList());
 	}
 
 	static generate(archive)
 	{
-		const files = this.fileList();
-
 		return {
-			main: FixedArchive.generate(archive, files),
+			main: PackedExe.generate(archive, this.fileList()),
 		};
 	}
+
+	/**
+	 * Work out how much space each embedded file has left.
+	 *
+	 * @param {Archive} archive
+	 *   Archive about to be written.
+	 *
+	 * @return {Array<Object>} as for FixedArchive.spaceRemaining().
+	 */
+	static spaceRemaining(archive) {
+		return FixedArchive.spaceRemaining(archive, this.fileList());
+	}
 }
 
 export class Archive_EXE_Keen4_CGA_1v0 extends Archive_EXE_Keen4
@@ -137,13 +147,17 @@ export class Archive_EXE_Keen4_CGA_1v0 extends Archive_EXE_Keen4
 		};
 	}
 
+	// Each header is in its own paragraph-aligned segment, so it can grow into
+	// the unused bytes before the next one (the slack).  The dictionaries have
+	// room for 1024 bytes but only need 1020, and maphead can be made smaller
+	// by dropping tileinfo entries, so these are padded out if they shrink.
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck4', offset: 0x20390, diskSize: 0x28C  },
-			{ name: 'cgahead.ck4',  offset: 0x20620, diskSize: 0x3798 },
-			{ name: 'maphead.ck4',  offset: 0x23DC0, diskSize: 0x192 + 0x59DC },
-			{ name: 'audiodct.ck4', offset: 0x34DA6, diskSize: 0x400  },
-			{ name: 'cgadict.ck4',  offset: 0x351A6, diskSize: 0x400  },
+			{ name: 'audiohed.ck4', offset: 0x20390, diskSize: 0x28C, slack: 4 },
+			{ name: 'cgahead.ck4',  offset: 0x20620, diskSize: 0x3798, slack: 8 },
+			{ name: 'maphead.ck4',  offset: 0x23DC0, diskSize: 0x192 + 0x59DC, padding: 0x00 },
+			{ name: 'audiodct.ck4', offset: 0x34DA6, diskSize: 0x400, padding: 0x00 },
+			{ name: 'cgadict.ck4',  offset: 0x351A6, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -166,11 +180,11 @@ export class Archive_EXE_Keen4_CGA_1v1 extends Archive_EXE_Keen4
 
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck4', offset: 0x203A0, diskSize: 0x28C  },
-			{ name: 'cgahead.ck4',  offset: 0x20630, diskSize: 0x3798 },
-			{ name: 'maphead.ck4',  offset: 0x23DD0, diskSize: 0x192 + 0x59DC },
-			{ name: 'audiodct.ck4', offset: 0x34DB6, diskSize: 0x400  },
-			{ name: 'cgadict.ck4',  offset: 0x351B6, diskSize: 0x400  },
+			{ name: 'audiohed.ck4', offset: 0x203A0, diskSize: 0x28C, slack: 4 },
+			{ name: 'cgahead.ck4',  offset: 0x20630, diskSize: 0x3798, slack: 8 },
+			{ name: 'maphead.ck4',  offset: 0x23DD0, diskSize: 0x192 + 0x59DC, padding: 0x00 },
+			{ name: 'audiodct.ck4', offset: 0x34DB6, diskSize: 0x400, padding: 0x00 },
+			{ name: 'cgadict.ck4',  offset: 0x351B6, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -193,11 +207,11 @@ export class Archive_EXE_Keen4_CGA_1v4f extends Archive_EXE_Keen4
 
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck4', offset: 0x213A0, diskSize: 0x28C  },
+			{ name: 'audiohed.ck4', offset: 0x213A0, diskSize: 0x28C, slack: 4 },
 			{ name: 'cgahead.ck4',  offset: 0x21630, diskSize: 0x37B0 },
-			{ name: 'maphead.ck4',  offset: 0x24DE0, diskSize: 0x192 + 0x59DC },
-			{ name: 'audiodct.ck4', offset: 0x35F5C, diskSize: 0x400  },
-			{ name: 'cgadict.ck4',  offset: 0x3635C, diskSize: 0x400  },
+			{ name: 'maphead.ck4',  offset: 0x24DE0, diskSize: 0x192 + 0x59DC, padding: 0x00 },
+			{ name: 'audiodct.ck4', offset: 0x35F5C, diskSize: 0x400, padding: 0x00 },
+			{ name: 'cgadict.ck4',  offset: 0x3635C, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -222,8 +236,8 @@ export class Archive_EXE_Keen4_EGA_1v0d extends Archive_EXE_Keen4
 		return [
 			// audiohed.ck4 not embedded
 			{ name: 'egahead.ck4',  offset: 0x27000, diskSize: 0x495C },
-			{ name: 'maphead.ck4',  offset: 0x21490, diskSize: 0x192 + 0x59DC },
-			{ name: 'egadict.ck4',  offset: 0x38006, diskSize: 0x400  },
+			{ name: 'maphead.ck4',  offset: 0x21490, diskSize: 0x192 + 0x59DC, padding: 0x00 },
+			{ name: 'egadict.ck4',  offset: 0x38006, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -246,11 +260,11 @@ export class Archive_EXE_Keen4_EGA_1v0 extends Archive_EXE_Keen4
 
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck4', offset: 0x22980, diskSize: 0x28C  },
-			{ name: 'egahead.ck4',  offset: 0x22C10, diskSize: 0x3798 },
-			{ name: 'maphead.ck4',  offset: 0x263B0, diskSize: 0x192 + 0x59DC },
-			{ name: 'audiodct.ck4', offset: 0x36DF6, diskSize: 0x400  },
-			{ name: 'egadict.ck4',  offset: 0x371F6, diskSize: 0x400  },
+			{ name: 'audiohed.ck4', offset: 0x22980, diskSize: 0x28C, slack: 4 },
+			{ name: 'egahead.ck4',  offset: 0x22C10, diskSize: 0x3798, slack: 8 },
+			{ name: 'maphead.ck4',  offset: 0x263B0, diskSize: 0x192 + 0x59DC, padding: 0x00 },
+			{ name: 'audiodct.ck4', offset: 0x36DF6, diskSize: 0x400, padding: 0x00 },
+			{ name: 'egadict.ck4',  offset: 0x371F6, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -273,11 +287,11 @@ export class Archive_EXE_Keen4_EGA_1v1 extends Archive_EXE_Keen4
 
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck4', offset: 0x22D50, diskSize: 0x28C  },
-			{ name: 'egahead.ck4',  offset: 0x22FE0, diskSize: 0x3798 },
-			{ name: 'maphead.ck4',  offset: 0x26780, diskSize: 0x192 + 0x59DC },
-			{ name: 'audiodct.ck4', offset: 0x37282, diskSize: 0x400  },
-			{ name: 'egadict.ck4',  offset: 0x37682, diskSize: 0x400  },
+			{ name: 'audiohed.ck4', offset: 0x22D50, diskSize: 0x28C, slack: 4 },
+			{ name: 'egahead.ck4',  offset: 0x22FE0, diskSize: 0x3798, slack: 8 },
+			{ name: 'maphead.ck4',  offset: 0x26780, diskSize: 0x192 + 0x59DC, padding: 0x00 },
+			{ name: 'audiodct.ck4', offset: 0x37282, diskSize: 0x400, padding: 0x00 },
+			{ name: 'egadict.ck4',  offset: 0x37682, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -300,11 +314,11 @@ export class Archive_EXE_Keen4_EGA_1v2 extends Archive_EXE_Keen4
 
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck4', offset: 0x22FA0, diskSize: 0x28C  },
+			{ name: 'audiohed.ck4', offset: 0x22FA0, diskSize: 0x28C, slack: 4 },
 			{ name: 'egahead.ck4',  offset: 0x23230, diskSize: 0x37B0 },
-			{ name: 'maphead.ck4',  offset: 0x269E0, diskSize: 0x192 + 0x59DC },
-			{ name: 'audiodct.ck4', offset: 0x37534, diskSize: 0x400  },
-			{ name: 'egadict.ck4',  offset: 0x37934, diskSize: 0x400  },
+			{ name: 'maphead.ck4',  offset: 0x269E0, diskSize: 0x192 + 0x59DC, padding: 0x00 },
+			{ name: 'audiodct.ck4', offset: 0x37534, diskSize: 0x400, padding: 0x00 },
+			{ name: 'egadict.ck4',  offset: 0x37934, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -327,11 +341,11 @@ export class Archive_EXE_Keen4_EGA_1v4 extends Archive_EXE_Keen4
 
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck4', offset: 0x23BF0, diskSize: 0x28C  },
+			{ name: 'audiohed.ck4', offset: 0x23BF0, diskSize: 0x28C, slack: 4 },
 			{ name: 'egahead.ck4',  offset: 0x23E80, diskSize: 0x37B0 },
-			{ name: 'maphead.ck4',  offset: 0x27630, diskSize: 0x192 + 0x59DC },
-			{ name: 'audiodct.ck4', offset: 0x382F6, diskSize: 0x400  },
-			{ name: 'egadict.ck4',  offset: 0x386F6, diskSize: 0x400  },
+			{ name: 'maphead.ck4',  offset: 0x27630, diskSize: 0x192 + 0x59DC, padding: 0x00 },
+			{ name: 'audiodct.ck4', offset: 0x382F6, diskSize: 0x400, padding: 0x00 },
+			{ name: 'egadict.ck4',  offset: 0x386F6, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -354,11 +368,11 @@ export class Archive_EXE_Keen4_EGA_1v4g extends Archive_EXE_Keen4
 
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck4', offset: 0x240D0, diskSize: 0x28C  },
+			{ name: 'audiohed.ck4', offset: 0x240D0, diskSize: 0x28C, slack: 4 },
 			{ name: 'egahead.ck4',  offset: 0x24360, diskSize: 0x37B0 },
-			{ name: 'maphead.ck4',  offset: 0x27B10, diskSize: 0x192 + 0x59DC },
-			{ name: 'audiodct.ck4', offset: 0x387D6, diskSize: 0x400  },
-			{ name: 'egadict.ck4',  offset: 0x38BD6, diskSize: 0x400  },
+			{ name: 'maphead.ck4',  offset: 0x27B10, diskSize: 0x192 + 0x59DC, padding: 0x00 },
+			{ name: 'audiodct.ck4', offset: 0x387D6, diskSize: 0x400, padding: 0x00 },
+			{ name: 'egadict.ck4',  offset: 0x38BD6, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -26,9 +26,9 @@ import Debug from '../util/debug.js';
 const debug = Debug.extend(FORMAT_ID);
 
 import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
-import { cmp_lzexe } from '@camoto/gamecomp';
 import ArchiveHandler from '../interface/archiveHandler.js';
 import FixedArchive from '../util/fixedArchive.js';
+import PackedExe from '../util/packedExe.js';
 import { replaceExtension } from '../util/supp.js';
 
 class Archive_EXE_Keen5 extends ArchiveHandler
@@ -51,9 +51,20 @@ class Archive_EXE_Keen5 extends ArchiveHandler
 		// Files can optionally be compressed.
 		md.caps.file.attributes.compressed = false;
 
+		md.caps.tags = PackedExe.tags();
+
 		return md;
 	}
 
+	static checkLimits(archive, options)
+	{
+		let issues = super.checkLimits(archive, options);
+
+		issues.push(...PackedExe.checkLimits(archive, this.fileList()));
+
+		return issues;
+	}
+
 	static supps(filename) {
 		return {
 			main: replaceExtension(filename, 'exe'),
@@ -62,9 +73,12 @@ class Archive_EXE_Keen5 extends ArchiveHandler
 
 	static identify(content) {
 		// UNLZEXE the file if required.
-		let output = content;
-		if (cmp_lzexe.identify(content).valid) {
-			output = cmp_lzexe.reveal(content);
+		const { content: output, reason } = PackedExe.unpack(content);
+		if (!output) {
+			return {
+				valid: false,
+				reason,
+			};
 		}
 
 		if (output.length < 0x3355B + 8) {
@@ -93,25 +107,27 @@ class Archive_EXE_Keen5 extends ArchiveHandler
 	}
 
 	static parse(content) {
-		// UNLZEXE the file if required.
-		let decomp = content.main;
-		if (cmp_lzexe.identify(content.main).valid) {
-			decomp = cmp_lzexe.reveal(content.main);
-		}
-
-		const files = this.fileList();
-
-		return FixedArchive.parse(decomp, files);
+		return PackedExe.parse(content.main, this.fileList());
 	}
 
 	static generate(archive)
 	{
-		const files = this.fileList();
-
 		return {
-			main: FixedArchive.generate(archive, files),
+			main: PackedExe.generate(archive, this.fileList()),
 		};
 	}
+
+	/**
+	 * Work out how much space each embedded file has left.
+	 *
+	 * @param {Archive} archive
+	 *   Archive about to be written.
+	 *
+	 * @return {Array<Object>} as for FixedArchive.spaceRemaining().
+	 */
+	static spaceRemaining(archive) {
+		return FixedArchive.spaceRemaining(archive, this.fileList());
+	}
 }
 
 export class Archive_EXE_Keen5_CGA_1v4 extends Archive_EXE_Keen5
@@ -130,13 +146,17 @@ export class Archive_EXE_Keen5_CGA_1v4 extends Archive_EXE_Keen5
 		};
 	}
 
+	// Each header is in its own paragraph-aligned segment, so it can grow into
+	// the unused bytes before the next one (the slack).  The dictionaries have
+	// room for 1024 bytes but only need 1020, and maphead can be made smaller
+	// by dropping tileinfo entries, so these are padded out if they shrink.
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck5', offset: 0x21EC0, diskSize: 0x33C  },
-			{ name: 'cgahead.ck5',  offset: 0x22200, diskSize: 0x39C6 },
-			{ name: 'maphead.ck5',  offset: 0x25BD0, diskSize: 0x192 + 0x5C88 },
-			{ name: 'audiodct.ck5', offset: 0x36588, diskSize: 0x400  },
-			{ name: 'cgadict.ck5',  offset: 0x36988, diskSize: 0x400  },
+			{ name: 'audiohed.ck5', offset: 0x21EC0, diskSize: 0x33C, slack: 4 },
+			{ name: 'cgahead.ck5',  offset: 0x22200, diskSize: 0x39C6, slack: 10 },
+			{ name: 'maphead.ck5',  offset: 0x25BD0, diskSize: 0x192 + 0x5C88, padding: 0x00 },
+			{ name: 'audiodct.ck5', offset: 0x36588, diskSize: 0x400, padding: 0x00 },
+			{ name: 'cgadict.ck5',  offset: 0x36988, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -159,11 +179,11 @@ export class Archive_EXE_Keen5_EGA_1v0 extends Archive_EXE_Keen5
 
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck5', offset: 0x23A70, diskSize: 0x33C  },
-			{ name: 'egahead.ck5',  offset: 0x23DB0, diskSize: 0x39CC },
-			{ name: 'maphead.ck5',  offset: 0x27780, diskSize: 0x192 + 0x5C88 },
-			{ name: 'audiodct.ck5', offset: 0x37B8A, diskSize: 0x400  },
-			{ name: 'egadict.ck5',  offset: 0x37F8A, diskSize: 0x400  },
+			{ name: 'audiohed.ck5', offset: 0x23A70, diskSize: 0x33C, slack: 4 },
+			{ name: 'egahead.ck5',  offset: 0x23DB0, diskSize: 0x39CC, slack: 4 },
+			{ name: 'maphead.ck5',  offset: 0x27780, diskSize: 0x192 + 0x5C88, padding: 0x00 },
+			{ name: 'audiodct.ck5', offset: 0x37B8A, diskSize: 0x400, padding: 0x00 },
+			{ name: 'egadict.ck5',  offset: 0x37F8A, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -186,11 +206,11 @@ export class Archive_EXE_Keen5_EGA_1v4 extends Archive_EXE_Keen5
 
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck5', offset: 0x24880, diskSize: 0x33C  },
-			{ name: 'egahead.ck5',  offset: 0x24BC0, diskSize: 0x39CC },
-			{ name: 'maphead.ck5',  offset: 0x28590, diskSize: 0x192 + 0x5C88 },
-			{ name: 'audiodct.ck5', offset: 0x38AC4, diskSize: 0x400  },
-			{ name: 'egadict.ck5',  offset: 0x38EC4, diskSize: 0x400  },
+			{ name: 'audiohed.ck5', offset: 0x24880, diskSize: 0x33C, slack: 4 },
+			{ name: 'egahead.ck5',  offset: 0x24BC0, diskSize: 0x39CC, slack: 4 },
+			{ name: 'maphead.ck5',  offset: 0x28590, diskSize: 0x192 + 0x5C88, padding: 0x00 },
+			{ name: 'audiodct.ck5', offset: 0x38AC4, diskSize: 0x400, padding: 0x00 },
+			{ name: 'egadict.ck5',  offset: 0x38EC4, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -213,11 +233,11 @@ export class Archive_EXE_Keen5_EGA_1v4g extends Archive_EXE_Keen5
 
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck5', offset: 0x24DE0, diskSize: 0x33C  },
-			{ name: 'egahead.ck5',  offset: 0x25120, diskSize: 0x39CC },
-			{ name: 'maphead.ck5',  offset: 0x28AF0, diskSize: 0x192 + 0x5C88 },
-			{ name: 'audiodct.ck5', offset: 0x39024, diskSize: 0x400  },
-			{ name: 'egadict.ck5',  offset: 0x39424, diskSize: 0x400  },
+			{ name: 'audiohed.ck5', offset: 0x24DE0, diskSize: 0x33C, slack: 4 },
+			{ name: 'egahead.ck5',  offset: 0x25120, diskSize: 0x39CC, slack: 4 },
+			{ name: 'maphead.ck5',  offset: 0x28AF0, diskSize: 0x192 + 0x5C88, padding: 0x00 },
+			{ name: 'audiodct.ck5', offset: 0x39024, diskSize: 0x400, padding: 0x00 },
+			{ name: 'egadict.ck5',  offset: 0x39424, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
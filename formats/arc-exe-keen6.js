@@ -26,9 +26,9 @@ import Debug from '../util/debug.js';
 const debug = Debug.extend(FORMAT_ID);
 
 import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
-import { cmp_lzexe } from '@camoto/gamecomp';
 import ArchiveHandler from '../interface/archiveHandler.js';
 import FixedArchive from '../util/fixedArchive.js';
+import PackedExe from '../util/packedExe.js';
 import { replaceExtension } from '../util/supp.js';
 
 export default class Archive_EXE_Keen6 extends ArchiveHandler
@@ -50,9 +50,20 @@ export default class Archive_EXE_Keen6 extends ArchiveHandler
 		// Files can optionally be compressed.
 		md.caps.file.attributes.compressed = false;
 
+		md.caps.tags = PackedExe.tags();
+
 		return md;
 	}
 
+	static checkLimits(archive, options)
+	{
+		let issues = super.checkLimits(archive, options);
+
+		issues.push(...PackedExe.checkLimits(archive, this.fileList()));
+
+		return issues;
+	}
+
 	static supps(filename) {
 		return {
 			main: replaceExtension(filename, 'exe'),
@@ -61,9 +72,12 @@ export default class Archive_EXE_Keen6 extends ArchiveHandler
 
 	static identify(content) {
 		// UNLZEXE the file if required.
-		let output = content;
-		if (cmp_lzexe.identify(content).valid) {
-			output = cmp_lzexe.reveal(content);
+		const { content: output, reason } = PackedExe.unpack(content);
+		if (!output) {
+			return {
+				valid: false,
+				reason,
+			};
 		}
 
 		if (output.length < 0x339EC + 8) {
@@ -92,25 +106,27 @@ export default class Archive_EXE_Keen6 extends ArchiveHandler
 	}
 
 	static parse(content) {
-		// UNLZEXE the file if required.
-		let decomp = content.main;
-		if (cmp_lzexe.identify(content.main).valid) {
-			decomp = cmp_lzexe.reveal(content.main);
-		}
-
-		const files = this.fileList();
-
-		return FixedArchive.parse(decomp, files);
+		return PackedExe.parse(content.main, this.fileList());
 	}
 
 	static generate(archive)
 	{
-		const files = this.fileList();
-
 		return {
-			main: FixedArchive.generate(archive, files),
+			main: PackedExe.generate(archive, this.fileList()),
 		};
 	}
+
+	/**
+	 * Work out how much space each embedded file has left.
+	 *
+	 * @param {Archive} archive
+	 *   Archive about to be written.
+	 *
+	 * @return {Array<Object>} as for FixedArchive.spaceRemaining().
+	 */
+	static spaceRemaining(archive) {
+		return FixedArchive.spaceRemaining(archive, this.fileList());
+	}
 }
 
 export class Archive_EXE_Keen6_CGA_1v0 extends Archive_EXE_Keen6
@@ -129,13 +145,17 @@ export class Archive_EXE_Keen6_CGA_1v0 extends Archive_EXE_Keen6
 		};
 	}
 
+	// Each header is in its own paragraph-aligned segment, so it can grow into
+	// the unused bytes before the next one (the slack).  The dictionaries have
+	// room for 1024 bytes but only need 1020, and maphead can be made smaller
+	// by dropping tileinfo entries, so these are padded out if they shrink.
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck6', offset: 0x1FF20, diskSize: 0x2F8  },
-			{ name: 'cgahead.ck6',  offset: 0x20220, diskSize: 0x4119 },
-			{ name: 'maphead.ck6',  offset: 0x24340, diskSize: 0x192 + 0x5D60  },
-			{ name: 'audiodct.ck6', offset: 0x365A2, diskSize: 0x400  },
-			{ name: 'cgadict.ck6',  offset: 0x369A2, diskSize: 0x400  },
+			{ name: 'audiohed.ck6', offset: 0x1FF20, diskSize: 0x2F8, slack: 8 },
+			{ name: 'cgahead.ck6',  offset: 0x20220, diskSize: 0x4119, slack: 7 },
+			{ name: 'maphead.ck6',  offset: 0x24340, diskSize: 0x192 + 0x5D60, padding: 0x00 },
+			{ name: 'audiodct.ck6', offset: 0x365A2, diskSize: 0x400, padding: 0x00 },
+			{ name: 'cgadict.ck6',  offset: 0x369A2, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -158,11 +178,11 @@ export class Archive_EXE_Keen6_CGA_1v4 extends Archive_EXE_Keen6
 
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck6', offset: 0x21230, diskSize: 0x2F8  },
-			{ name: 'cgahead.ck6',  offset: 0x21530, diskSize: 0x4119 },
-			{ name: 'maphead.ck6',  offset: 0x25650, diskSize: 0x192 + 0x5D60 },
-			{ name: 'audiodct.ck6', offset: 0x37A30, diskSize: 0x400  },
-			{ name: 'cgadict.ck6',  offset: 0x37E30, diskSize: 0x400  },
+			{ name: 'audiohed.ck6', offset: 0x21230, diskSize: 0x2F8, slack: 8 },
+			{ name: 'cgahead.ck6',  offset: 0x21530, diskSize: 0x4119, slack: 7 },
+			{ name: 'maphead.ck6',  offset: 0x25650, diskSize: 0x192 + 0x5D60, padding: 0x00 },
+			{ name: 'audiodct.ck6', offset: 0x37A30, diskSize: 0x400, padding: 0x00 },
+			{ name: 'cgadict.ck6',  offset: 0x37E30, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -185,11 +205,11 @@ export class Archive_EXE_Keen6_CGA_1v5 extends Archive_EXE_Keen6
 
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck6', offset: 0x20FA0, diskSize: 0x2F8  },
-			{ name: 'cgahead.ck6',  offset: 0x212A0, diskSize: 0x4119 },
-			{ name: 'maphead.ck6',  offset: 0x253C0, diskSize: 0x192 + 0x5D60 },
-			{ name: 'audiodct.ck6', offset: 0x377A0, diskSize: 0x400  },
-			{ name: 'cgadict.ck6',  offset: 0x37BA0, diskSize: 0x400  },
+			{ name: 'audiohed.ck6', offset: 0x20FA0, diskSize: 0x2F8, slack: 8 },
+			{ name: 'cgahead.ck6',  offset: 0x212A0, diskSize: 0x4119, slack: 7 },
+			{ name: 'maphead.ck6',  offset: 0x253C0, diskSize: 0x192 + 0x5D60, padding: 0x00 },
+			{ name: 'audiodct.ck6', offset: 0x377A0, diskSize: 0x400, padding: 0x00 },
+			{ name: 'cgadict.ck6',  offset: 0x37BA0, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -212,11 +232,11 @@ export class Archive_EXE_Keen6_EGA_1v0d extends Archive_EXE_Keen6
 
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck6', offset: 0x1E3E0, diskSize: 0x24C  },
-			{ name: 'egahead.ck6',  offset: 0x1E630, diskSize: 0x332A },
-			{ name: 'maphead.ck6',  offset: 0x21960, diskSize: 0x192 + 0x4AD0 },
-			{ name: 'audiodct.ck6', offset: 0x31A40, diskSize: 0x400  },
-			{ name: 'egadict.ck6',  offset: 0x31E40, diskSize: 0x400  },
+			{ name: 'audiohed.ck6', offset: 0x1E3E0, diskSize: 0x24C, slack: 4 },
+			{ name: 'egahead.ck6',  offset: 0x1E630, diskSize: 0x332A, slack: 6 },
+			{ name: 'maphead.ck6',  offset: 0x21960, diskSize: 0x192 + 0x4AD0, padding: 0x00 },
+			{ name: 'audiodct.ck6', offset: 0x31A40, diskSize: 0x400, padding: 0x00 },
+			{ name: 'egadict.ck6',  offset: 0x31E40, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -239,11 +259,11 @@ export class Archive_EXE_Keen6_EGA_1v0p extends Archive_EXE_Keen6
 
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck6', offset: 0x1ED10, diskSize: 0x24C  },
-			{ name: 'egahead.ck6',  offset: 0x1EF60, diskSize: 0x332A },
-			{ name: 'maphead.ck6',  offset: 0x22290, diskSize: 0x192 + 0x4AD0 },
-			{ name: 'audiodct.ck6', offset: 0x32316, diskSize: 0x400  },
-			{ name: 'egadict.ck6',  offset: 0x32716, diskSize: 0x400  },
+			{ name: 'audiohed.ck6', offset: 0x1ED10, diskSize: 0x24C, slack: 4 },
+			{ name: 'egahead.ck6',  offset: 0x1EF60, diskSize: 0x332A, slack: 6 },
+			{ name: 'maphead.ck6',  offset: 0x22290, diskSize: 0x192 + 0x4AD0, padding: 0x00 },
+			{ name: 'audiodct.ck6', offset: 0x32316, diskSize: 0x400, padding: 0x00 },
+			{ name: 'egadict.ck6',  offset: 0x32716, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -266,11 +286,11 @@ export class Archive_EXE_Keen6_EGA_1v0 extends Archive_EXE_Keen6
 
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck6', offset: 0x22420, diskSize: 0x2F8  },
-			{ name: 'egahead.ck6',  offset: 0x22720, diskSize: 0x412B },
-			{ name: 'maphead.ck6',  offset: 0x26850, diskSize: 0x192 + 0x5D60 },
-			{ name: 'audiodct.ck6', offset: 0x38512, diskSize: 0x400  },
-			{ name: 'egadict.ck6',  offset: 0x38912, diskSize: 0x400  },
+			{ name: 'audiohed.ck6', offset: 0x22420, diskSize: 0x2F8, slack: 8 },
+			{ name: 'egahead.ck6',  offset: 0x22720, diskSize: 0x412B, slack: 5 },
+			{ name: 'maphead.ck6',  offset: 0x26850, diskSize: 0x192 + 0x5D60, padding: 0x00 },
+			{ name: 'audiodct.ck6', offset: 0x38512, diskSize: 0x400, padding: 0x00 },
+			{ name: 'egadict.ck6',  offset: 0x38912, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -293,11 +313,11 @@ export class Archive_EXE_Keen6_EGA_1v4 extends Archive_EXE_Keen6
 
 	static fileList() {
 		return [
-			{ name: 'audiohed.ck6', offset: 0x23850, diskSize: 0x2F8  },
-			{ name: 'egahead.ck6',  offset: 0x23B50, diskSize: 0x412B },
-			{ name: 'maphead.ck6',  offset: 0x27C80, diskSize: 0x192 + 0x5D60 },
-			{ name: 'audiodct.ck6', offset: 0x39AEE, diskSize: 0x400  },
-			{ name: 'egadict.ck6',  offset: 0x39EEE, diskSize: 0x400  },
+			{ name: 'audiohed.ck6', offset: 0x23850, diskSize: 0x2F8, slack: 8 },
+			{ name: 'egahead.ck6',  offset: 0x23B50, diskSize: 0x412B, slack: 5 },
+			{ name: 'maphead.ck6',  offset: 0x27C80, diskSize: 0x192 + 0x5D60, padding: 0x00 },
+			{ name: 'audiodct.ck6', offset: 0x39AEE, diskSize: 0x400, padding: 0x00 },
+			{ name: 'egadict.ck6',  offset: 0x39EEE, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -321,10 +341,10 @@ export class Archive_EXE_Keen6_EGA_1v5 extends Archive_EXE_Keen6
 	static fileList() {
 		return [
 			// audiohed.ck6 not embedded
-			{ name: 'egahead.ck6',  offset: 0x285B0, diskSize: 0x412B },
-			{ name: 'maphead.ck6',  offset: 0x2C6E0, diskSize: 0x192 + 0x5D60 },
-			{ name: 'audiodct.ck6', offset: 0x3974E, diskSize: 0x400  },
-			{ name: 'egadict.ck6',  offset: 0x39B4E, diskSize: 0x400  },
+			{ name: 'egahead.ck6',  offset: 0x285B0, diskSize: 0x412B, slack: 5 },
+			{ name: 'maphead.ck6',  offset: 0x2C6E0, diskSize: 0x192 + 0x5D60, padding: 0x00 },
+			{ name: 'audiodct.ck6', offset: 0x3974E, diskSize: 0x400, padding: 0x00 },
+			{ name: 'egadict.ck6',  offset: 0x39B4E, diskSize: 0x400, padding: 0x00 },
 		];
 	}
 }
@@ -0,0 +1,239 @@
+/*
+ * id Software Gamemaps format handler for RLEW + Huffman compressed data.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   http://www.shikadi.net/moddingwiki/GameMaps_Format
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'arc-gamemaps-id-huffman';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import Archive_Gamemaps_id from './arc-gamemaps-id.js';
+import HuffmanDictionary from '../util/huffman.js';
+import { replaceBasename } from '../util/supp.js';
+
+const recordTypes = {
+	gamemaps: {
+		header: {
+			signature: RecordType.string.fixed.noTerm(8), // TED5v1.0
+		},
+		levelHeader: {
+			offPlane0: RecordType.int.s32le,
+			offPlane1: RecordType.int.s32le,
+			offPlane2: RecordType.int.s32le,
+			lenPlane0: RecordType.int.u16le,
+			lenPlane1: RecordType.int.u16le,
+			lenPlane2: RecordType.int.u16le,
+		},
+		levelHeaderPart2: {
+			width: RecordType.int.u16le,
+			height: RecordType.int.u16le,
+			name: RecordType.string.fixed.optTerm(16),
+		},
+	},
+	plane: {
+		lenExpanded: RecordType.int.u32le,
+	},
+};
+
+// Size of each level header, including the width, height and name.
+const LEN_LEVEL_HEADER = 3 * (4 + 2) + 2 + 2 + 16;
+
+export default class Archive_Gamemaps_id_Huffman extends Archive_Gamemaps_id
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'id Software GAMEMAPS File (RLEW + Huffman)',
+			games: [
+				'Commander Keen Dreams',
+			],
+			glob: [
+				'gamemaps.*',
+			],
+		};
+
+		return md;
+	}
+
+	static supps(name) {
+		return {
+			// gamemaps.xxx -> maphead.xxx, mapdict.xxx
+			fat: replaceBasename(name, 'maphead'),
+			dict: replaceBasename(name, 'mapdict'),
+			main: replaceBasename(name, 'gamemaps'),
+		};
+	}
+
+	static identify(content) {
+		const lenSig = 8;
+		if (content.length < lenSig) {
+			return {
+				valid: false,
+				reason: `Content too short (< ${lenSig} b).`,
+			};
+		}
+
+		let buffer = new RecordBuffer(content);
+
+		const head = buffer.readRecord(recordTypes.gamemaps.header);
+		if (head.signature !== 'TED5v1.0') {
+			return {
+				valid: false,
+				reason: `Wrong signature.`,
+			};
+		}
+
+		if (content.length === lenSig) {
+			return {
+				valid: undefined,
+				reason: `Signature matched, but there are no levels to check.`,
+			};
+		}
+
+		// The level headers can come before or after the !ID! signature, and the
+		// first level's header can also come straight after the file signature,
+		// so try each of these until one leads to a Huffman-compressed plane.
+		let offHeaders = [lenSig];
+		const expSig = [...'!ID!'].map(a => a.charCodeAt(0));
+		for (let i = lenSig; i <= content.length - 4; i++) {
+			if (
+				(content[i] === expSig[0])
+				&& (content[i + 1] === expSig[1])
+				&& (content[i + 2] === expSig[2])
+				&& (content[i + 3] === expSig[3])
+			) {
+				offHeaders.push(i + 4, i - LEN_LEVEL_HEADER);
+			}
+		}
+
+		for (const offHeader of offHeaders) {
+			if (
+				(offHeader < lenSig)
+				|| (offHeader + LEN_LEVEL_HEADER > content.length)
+			) {
+				continue;
+			}
+			buffer.seekAbs(offHeader);
+			const levelHeader = buffer.readRecord(recordTypes.gamemaps.levelHeader);
+			const levelHeaderPart2 = buffer.readRecord(recordTypes.gamemaps.levelHeaderPart2);
+			if (
+				(levelHeader.offPlane0 < lenSig)
+				|| (levelHeader.lenPlane0 < 4)
+				|| (levelHeader.offPlane0 + levelHeader.lenPlane0 > content.length)
+				|| (levelHeaderPart2.width === 0)
+				|| (levelHeaderPart2.height === 0)
+			) {
+				// Not a level header.
+				continue;
+			}
+
+			// Huffman-compressed planes start with the size of the RLEW data, which
+			// is always a whole number of words and no more than three times the
+			// size of the plane, plus the length field.  The other variants start
+			// with a 16-bit length followed by compressed data, which fails this.
+			const lenPlane = levelHeaderPart2.width * levelHeaderPart2.height * 2;
+			buffer.seekAbs(levelHeader.offPlane0);
+			const lenExpanded = buffer.read(recordTypes.plane.lenExpanded);
+			if (
+				(lenExpanded < 2)
+				|| (lenExpanded % 2 !== 0)
+				|| (lenExpanded > 2 + lenPlane * 3)
+			) {
+				debug(`Level header at offset ${offHeader} has a plane with an RLEW `
+					+ `size of ${lenExpanded} b, which is not valid for a `
+					+ `${levelHeaderPart2.width}x${levelHeaderPart2.height} level`);
+				continue;
+			}
+
+			return {
+				valid: true,
+				reason: `Signature matched and first plane has a valid Huffman header.`,
+			};
+		}
+
+		return {
+			valid: false,
+			reason: `Signature matched, but no Huffman-compressed levels were found.`,
+		};
+	}
+
+	static readDictionary(content, archive) {
+		// Keep the dictionary so planes that aren't changed can be written back
+		// without recompressing them.
+		archive.extra[FORMAT_ID] = {
+			...archive.extra[FORMAT_ID],
+			dict: content.dict,
+		};
+		return HuffmanDictionary.parse(content.dict);
+	}
+
+	static writeDictionary(archive, rlewCode) {
+		const { dict } = archive.extra[FORMAT_ID] || {};
+		if (dict) {
+			return {
+				dictionary: HuffmanDictionary.parse(dict),
+				reuse: true,
+				output: {
+					dict,
+				},
+			};
+		}
+
+		// Build a new dictionary from the RLEW-compressed planes, as that's the
+		// data it will end up compressing.
+		let planes = [];
+		for (const file of archive.files) {
+			if (!file.name.match(/\/plane[0-2]$/)) continue;
+			planes.push(super.compress(file.getContent(), rlewCode));
+		}
+		const dictionary = HuffmanDictionary.build(planes);
+		return {
+			dictionary,
+			reuse: false,
+			output: {
+				dict: dictionary.generate(),
+			},
+		};
+	}
+
+	static compress(content, rlewCode, dictionary) {
+		const rlew = super.compress(content, rlewCode);
+		const comp = dictionary.compress(rlew);
+
+		// Write the RLEW size in the header.
+		const buffer = new RecordBuffer(comp.length + 4);
+		buffer.write(recordTypes.plane.lenExpanded, rlew.length);
+		buffer.put(comp);
+
+		return buffer.getU8();
+	}
+
+	static decompress(content, rlewCode, dictionary) {
+		const buffer = new RecordBuffer(content);
+		const lenExpanded = buffer.read(recordTypes.plane.lenExpanded);
+		const body = buffer.getU8(4, buffer.length - 4);
+		const rlew = dictionary.expand(body, lenExpanded);
+
+		return super.decompress(rlew, rlewCode);
+	}
+}
@@ -30,6 +30,7 @@ import { cmp_rlew_id } from '@camoto/gamecomp';
 import ArchiveHandler from '../interface/archiveHandler.js';
 import Archive from '../interface/archive.js';
 import File from '../interface/file.js';
+import LimitIssue from '../interface/limitIssue.js';
 import { replaceBasename } from '../util/supp.js';
 
 const recordTypes = {
@@ -55,11 +56,43 @@ const recordTypes = {
 		levelHeaderPart2: {
 			width: RecordType.int.u16le,
 			height: RecordType.int.u16le,
-			name: RecordType.string.fixed.reqTerm(16),
+			name: RecordType.string.fixed.optTerm(16),
 		},
 	},
 };
 
+// Size of the level info file (width, height and name from the level header).
+const LEN_INFO = 2 + 2 + 16;
+
+// RLEW code used by almost every game, if the tag has not been set.
+const DEFAULT_RLEW_CODE = 0xABCD;
+
+// Longest level name that fits in the header.  Names this long are not
+// null-terminated.
+const MAX_LEVEL_NAME_LEN = 16;
+
+function levelFolder(index)
+{
+	return index.toString().padStart(2, '0');
+}
+
+/**
+ * Get the RLEW code from the archive's tags.
+ *
+ * Tags set from the command line are strings, so "0xABCD" and "43981" are
+ * both accepted.
+ *
+ * @return {Number} the code, or undefined if it is not a valid 16-bit value.
+ */
+function getRlewCode(archive)
+{
+	let code = archive.tags.rlewCode;
+	if (code === undefined) return DEFAULT_RLEW_CODE;
+	code = Number(code);
+	if (!Number.isInteger(code) || (code < 0) || (code > 0xFFFF)) return undefined;
+	return code;
+}
+
 export default class Archive_Gamemaps_id extends ArchiveHandler
 {
 	static metadata() {
@@ -86,9 +119,133 @@ export default class Archive_Gamemaps_id extends ArchiveHandler
 
 		md.caps.file.maxFilenameLen = 15;
 
+		// Each level is a folder holding its planes.
+		md.caps.file.folders = true;
+
+		// Plane offsets are signed 32-bit values and plane sizes are 16-bit,
+		// both before and after compression.
+		md.caps.maxArchiveSize = 0x7FFFFFFF;
+		md.caps.file.maxFileSize = 0xFFFF;
+		md.caps.file.maxNativeSize = 0xFFFF;
+
+		md.caps.tags = {
+			// Value used to flag a run of repeated words in the RLEW data.
+			rlewCode: {
+				type: 'int',
+				size: 2,
+				default: DEFAULT_RLEW_CODE,
+			},
+			// Width, height and name of each level, keyed by level folder, e.g.
+			// `{ '00': { width: 64, height: 64, name: 'Level 1' } }`.  These are
+			// written in place of the level's "info" file, unless that file has
+			// been replaced.
+			levels: {
+				type: 'object',
+			},
+		};
+
 		return md;
 	}
 
+	static checkLimits(archive, options)
+	{
+		let issues = super.checkLimits(archive, options);
+
+		for (const file of archive.files) {
+			if (file.name === 'tileinfo') continue;
+
+			const slash = file.name.indexOf('/');
+			if (slash < 0) {
+				issues.push(new LimitIssue({
+					code: 'INVALID_FILENAME',
+					file,
+					message: `File "${file.name}" must be inside a folder named after `
+						+ `the level number, e.g. "01/${file.name}".`,
+				}));
+				continue;
+			}
+
+			const strLevel = file.name.substr(0, slash);
+			const filename = file.name.substr(slash + 1);
+			if (!strLevel.match(/^[0-9]{2}$/)) {
+				let issue = new LimitIssue({
+					code: 'INVALID_FOLDER_NAME',
+					file,
+					message: `Filename "${file.name}" must be inside a folder `
+						+ `with a two-digit name only, e.g. "01/".`,
+				});
+				// Pad out single digits and the like.
+				if (strLevel.match(/^[0-9]+$/) && (parseInt(strLevel, 10) < 100)) {
+					const newName = parseInt(strLevel, 10).toString().padStart(2, '0')
+						+ '/' + filename;
+					issue.fix = {
+						action: 'rename',
+						name: newName,
+						description: `Rename to "${newName}".`,
+					};
+				}
+				issues.push(issue);
+			}
+
+			switch (filename) {
+				case '': // empty/placeholder level
+				case 'plane0':
+				case 'plane1':
+				case 'plane2':
+					break;
+				case 'info':
+					if (file.nativeSize !== LEN_INFO) {
+						issues.push(new LimitIssue({
+							code: 'INVALID_FILE_SIZE',
+							file,
+							message: `File "${file.name}" is ${file.nativeSize} bytes in `
+								+ `size, but it must be exactly ${LEN_INFO} bytes.`,
+						}));
+					}
+					break;
+				default:
+					issues.push(new LimitIssue({
+						code: 'INVALID_FILENAME',
+						file,
+						message: `File "${file.name}" must be one of "plane0", `
+							+ `"plane1", "plane2" or "info".`,
+					}));
+					break;
+			}
+		}
+
+		if (getRlewCode(archive) === undefined) {
+			issues.push(new LimitIssue({
+				code: 'INVALID_TAG',
+				message: `The "rlewCode" tag must be a number between 0 and 65535, `
+					+ `not "${archive.tags.rlewCode}".`,
+			}));
+		}
+
+		for (const [ level, info ] of Object.entries(archive.tags.levels || {})) {
+			for (const dim of ['width', 'height']) {
+				const v = info[dim];
+				if (!Number.isInteger(v) || (v < 0) || (v > 0xFFFF)) {
+					issues.push(new LimitIssue({
+						code: 'INVALID_TAG',
+						message: `Level "${level}" has a ${dim} of "${v}", but it must be a `
+							+ `number between 0 and 65535.`,
+					}));
+				}
+			}
+			const name = info.name || '';
+			if (name.length > MAX_LEVEL_NAME_LEN) {
+				issues.push(new LimitIssue({
+					code: 'INVALID_TAG',
+					message: `Level "${level}" has a name ${name.length} chars long, `
+						+ `but the maximum is ${MAX_LEVEL_NAME_LEN}.`,
+				}));
+			}
+		}
+
+		return issues;
+	}
+
 	static supps(name) {
 		return {
 			// maptemp.xxx -> maphead.xxx
@@ -167,14 +324,28 @@ export default class Archive_Gamemaps_id extends ArchiveHandler
 		};
 	}
 
-	static parse({ main: content, fat }) {
+	static parse(content) {
+		const { main, fat } = content;
 		let archive = new Archive();
-		const lenArchive = content.length;
+		const lenArchive = main.length;
 
-		let buffer = new RecordBuffer(content);
+		let buffer = new RecordBuffer(main);
 		let fatBuffer = new RecordBuffer(fat);
 
+		// Use the ID of whichever subclass we are, as the compressed data may
+		// differ between them.
+		const { id: formatId } = this.metadata();
+
 		let fatHeader = fatBuffer.readRecord(recordTypes.maphead.header);
+		archive.tags.rlewCode = fatHeader.rlewCode;
+		// Remember the code the planes were compressed with, in case the tag is
+		// changed and they have to be recompressed.
+		archive.extra[formatId] = {
+			rlewCode: fatHeader.rlewCode,
+		};
+		archive.tags.levels = {};
+
+		const dictionary = this.readDictionary(content, archive);
 
 		for (let i = 0; i < 100; i++) {
 			const offLevelHeader = fatBuffer.read(RecordType.int.s32le);
@@ -183,7 +354,7 @@ export default class Archive_Gamemaps_id extends ArchiveHandler
 					+ `the level data (${lenArchive}).`);
 				break;
 			}
-			const levelCode = i.toString().padStart(2, '0');
+			const levelCode = levelFolder(i);
 			if (offLevelHeader <= 0) {
 				// Create an empty level
 				let file = new File();
@@ -201,6 +372,11 @@ export default class Archive_Gamemaps_id extends ArchiveHandler
 			buffer.seekAbs(offLevelHeader);
 			const levelHeader = buffer.readRecord(recordTypes.gamemaps.levelHeader);
 			const levelHeaderPart2 = buffer.readRecord(recordTypes.gamemaps.levelHeaderPart2);
+			archive.tags.levels[levelCode] = {
+				width: levelHeaderPart2.width,
+				height: levelHeaderPart2.height,
+				name: levelHeaderPart2.name,
+			};
 
 			for (let p = 0; p < 3; p++) {
 				const offset = levelHeader[`offPlane${p}`];
@@ -217,8 +393,9 @@ export default class Archive_Gamemaps_id extends ArchiveHandler
 				// Override getContent() to decompress the file first.
 				file.getContent = () => {
 					const raw = buffer.getU8(file.offset, file.diskSize);
-					return this.decompress(raw, fatHeader.rlewCode);
+					return this.decompress(raw, fatHeader.rlewCode, dictionary);
 				};
+				file.markUntouched(formatId);
 				archive.files.push(file);
 			}
 
@@ -228,7 +405,10 @@ export default class Archive_Gamemaps_id extends ArchiveHandler
 			file.diskSize = file.nativeSize = 20;
 			file.offset = offLevelHeader + (4 + 2) * 3;
 			file.getRaw = () => buffer.getU8(file.offset, file.diskSize);
-			// This data is never compressed so no need to override getContent().
+			// This data is never compressed so no need to override getContent(), but
+			// flagging it lets generate() tell whether it has been replaced, in which
+			// case it is used instead of the level tags.
+			file.markUntouched(formatId);
 			archive.files.push(file);
 		}
 
@@ -250,8 +430,24 @@ export default class Archive_Gamemaps_id extends ArchiveHandler
 	static generate(archive)
 	{
 		const header = {
-			rlewCode: 0xABCD,
+			rlewCode: getRlewCode(archive),
 		};
+		if (header.rlewCode === undefined) {
+			throw new Error(`The "rlewCode" tag must be a number between 0 and `
+				+ `65535, not "${archive.tags.rlewCode}".`);
+		}
+		const levelTags = archive.tags.levels || {};
+
+		// Compressed planes can only be copied across unchanged if they were
+		// compressed with the same RLEW code (and dictionary, if any) we are about
+		// to write.
+		const { id: formatId, caps } = this.metadata();
+		const { dictionary, reuse, output: dictOutput } = this.writeDictionary(
+			archive,
+			header.rlewCode
+		);
+		const { rlewCode: origRlewCode } = archive.extra[formatId] || {};
+		const canReuse = reuse && (header.rlewCode === origRlewCode);
 
 		let output = [];
 		let fileCount = 0;
@@ -285,8 +481,30 @@ export default class Archive_Gamemaps_id extends ArchiveHandler
 				default: plane = 3; compressed = false; break; // info file
 			}
 
+			if ((plane === 3) && levelTags[strLevel] && file.isUntouched(formatId)) {
+				// The tags are used for this level instead, as they may have been
+				// changed since the info file was read.  The slot is still filled so
+				// the level isn't mistaken for an empty one.
+				output[intLevel][3] = null;
+				continue;
+			}
+
 			if (compressed) {
-				const comp = this.compress(file.getContent(), header.rlewCode);
+				let comp;
+				if (canReuse && file.isUntouched(formatId)) {
+					// This plane hasn't been modified so copy it across as-is, which
+					// saves recompressing it.
+					comp = file.getRaw();
+				} else {
+					comp = this.compress(file.getContent(), header.rlewCode, dictionary);
+				}
+				// checkLimits() can't know how big the plane will be once compressed,
+				// so this has to be checked here to avoid the size wrapping around.
+				if (comp.length > caps.file.maxFileSize) {
+					throw new Error(`File "${file.name}" is ${comp.length} bytes after `
+						+ `compression, but this format can only store files up to `
+						+ `${caps.file.maxFileSize} bytes.`);
+				}
 				output[intLevel][plane] = comp;
 				// Only planes 0-2 are included here, the info file goes into the header
 				// so isn't counted here.
@@ -297,7 +515,7 @@ export default class Archive_Gamemaps_id extends ArchiveHandler
 
 			if (filename === 'info') {
 				const actualSize = output[intLevel][3].length;
-				const expectedSize = 2 + 2 + 16;
+				const expectedSize = LEN_INFO;
 				if (actualSize != expectedSize) {
 					throw new Error(`File "${file.name}" is ${actualSize} bytes in `
 						+ `size, but it must be exactly ${expectedSize} bytes.`);
@@ -323,10 +541,28 @@ export default class Archive_Gamemaps_id extends ArchiveHandler
 				continue;
 			}
 
-			// This file is mandatory because we split it out from the header, so it's
-			// not technically a file but the end of the header.
-			if (!output[i][3]) {
-				throw new Error(`Missing mandatory file "${i.toString().padStart(2, '0')}/info".`);
+			// This is either the info file or the level tags, because we split it
+			// out from the header, so it's not technically a file but the end of the
+			// header.
+			let info = output[i][3];
+			if (!info && levelTags[levelFolder(i)]) {
+				const tag = levelTags[levelFolder(i)];
+				const name = tag.name || '';
+				if (name.length > MAX_LEVEL_NAME_LEN) {
+					throw new Error(`The name of level "${levelFolder(i)}" is `
+						+ `${name.length} chars long, but the maximum is `
+						+ `${MAX_LEVEL_NAME_LEN}.`);
+				}
+				let infoBuffer = new RecordBuffer(LEN_INFO);
+				infoBuffer.writeRecord(recordTypes.gamemaps.levelHeaderPart2, {
+					width: tag.width,
+					height: tag.height,
+					name,
+				});
+				info = infoBuffer.getU8();
+			}
+			if (!info) {
+				throw new Error(`Missing mandatory file "${levelFolder(i)}/info".`);
 			}
 
 			// Write offset to maphead.
@@ -351,7 +587,7 @@ export default class Archive_Gamemaps_id extends ArchiveHandler
 
 			buffer.writeRecord(recordTypes.gamemaps.levelHeader, levelHeader);
 			// Following data (width/height/name) comes from the 'info' file.
-			buffer.put(output[i][3]);
+			buffer.put(info);
 
 			if (buffer.getPos() !== levelHeader.offPlane0) {
 				const filename = `${i.toString().padStart(2, '0')}/plane0`;
@@ -382,6 +618,45 @@ export default class Archive_Gamemaps_id extends ArchiveHandler
 		return {
 			main: buffer.getU8(),
 			fat: fatBuffer.getU8(),
+			...dictOutput,
+		};
+	}
+
+	/**
+	 * Load any extra data needed to decompress the planes.
+	 *
+	 * @param {Object} content
+	 *   Same as the parameter to parse().
+	 *
+	 * @param {Archive} archive
+	 *   Archive being read.
+	 *
+	 * @return {Object} passed to decompress(), or undefined if not needed.
+	 */
+	// eslint-disable-next-line no-unused-vars
+	static readDictionary(content, archive) {
+		return undefined;
+	}
+
+	/**
+	 * Get any extra data needed to compress the planes.
+	 *
+	 * @param {Archive} archive
+	 *   Archive being written.
+	 *
+	 * @param {Number} rlewCode
+	 *   RLEW code the planes will be compressed with.
+	 *
+	 * @return {Object} with `dictionary` to pass to compress(), `reuse` set to
+	 *   false if untouched planes must still be recompressed, and `output`
+	 *   holding any supps to add to the return value of generate().
+	 */
+	// eslint-disable-next-line no-unused-vars
+	static writeDictionary(archive, rlewCode) {
+		return {
+			dictionary: undefined,
+			reuse: true,
+			output: {},
 		};
 	}
 
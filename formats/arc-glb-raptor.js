@@ -70,6 +70,13 @@ export default class Archive_GRP_Build extends ArchiveHandler
 		md.caps.file.attributes.encrypted = true;
 
 		md.caps.file.maxFilenameLen = 12;
+		md.caps.file.dosNames = true;
+
+		// Offsets and sizes are stored as 32-bit values.
+		md.caps.maxArchiveSize = 0xFFFFFFFF;
+		md.caps.file.maxFileSize = 0xFFFFFFFF;
+		md.caps.file.maxNativeSize = 0xFFFFFFFF;
+		md.caps.file.maxNameBytes = 15;
 
 		return md;
 	}
@@ -139,6 +146,7 @@ export default class Archive_GRP_Build extends ArchiveHandler
 				file.attributes.encrypted = false;
 			}
 
+			file.markUntouched(FORMAT_ID);
 			archive.files.push(file);
 		}
 
@@ -187,6 +195,13 @@ export default class Archive_GRP_Build extends ArchiveHandler
 		);
 
 		for (const file of archive.files) {
+			if (file.isUntouched(FORMAT_ID)) {
+				// This file hasn't been modified so copy it across as-is, which saves
+				// encrypting it again.
+				buffer.put(file.getRaw());
+				continue;
+			}
+
 			const content = file.getContent();
 
 			// Safety check.
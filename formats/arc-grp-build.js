@@ -62,6 +62,12 @@ export default class Archive_GRP_Build extends ArchiveHandler
 		};
 
 		md.caps.file.maxFilenameLen = 12;
+		md.caps.file.dosNames = true;
+
+		// Sizes are stored as 32-bit values.
+		md.caps.file.maxFileSize = 0xFFFFFFFF;
+		md.caps.file.maxNativeSize = 0xFFFFFFFF;
+		md.caps.file.maxNameBytes = 12;
 
 		return md;
 	}
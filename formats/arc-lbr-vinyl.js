@@ -352,6 +352,112 @@ const recordTypes = {
 const HEADER_LEN = 2; // sizeof(header)
 const FATENTRY_LEN = 6; // sizeof(fatEntry)
 
+// Characters tried when brute-forcing filenames.
+const BRUTEFORCE_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_-';
+
+// Names tried by default when searching for a filename.
+const DEFAULT_MAX_ATTEMPTS = 1000000;
+
+// Real filenames to try: the built-in ones, then any supplied by the caller in
+// `options.nameMap`.
+function getFilenames(options) {
+	if (!options.nameMap) return knownFilenames;
+	return [...knownFilenames, ...options.nameMap.getFilenames(FORMAT_ID)];
+}
+
+// Map of hash to filename for every name we know about.  Names supplied by the
+// caller replace built-in names with the same hash, and names found by an
+// earlier search (guesses in `options.nameMap`) are only used for hashes that
+// none of the real names match.
+function getFilenameHashes(options) {
+	let hashes = new Map();
+	if (options.nameMap) {
+		const guesses = options.nameMap.getGuesses(FORMAT_ID);
+		for (const [ hash, name ] of Object.entries(guesses)) {
+			hashes.set(parseInt(hash, 10), name);
+		}
+	}
+	for (const name of getFilenames(options)) {
+		hashes.set(Archive_LBR_Vinyl.calcHash(name), name);
+	}
+	return hashes;
+}
+
+// Search for a filename matching the hash, as described for findFilename().
+// `budget.remaining` is the number of names that can still be tried, and is
+// shared between calls so one limit can cover a search for many files.
+function searchFilename(hash, options, budget) {
+	const hashes = getFilenameHashes(options);
+	if (hashes.has(hash)) return hashes.get(hash);
+
+	const maxStemLength = Math.min(options.maxStemLength || 4, 8);
+
+	// Only base the search on real names, not earlier guesses.
+	let stems = new Set(), extensions = new Set();
+	for (const name of getFilenames(options)) {
+		const [ stem, ext ] = name.split('.');
+		stems.add(stem);
+		if (ext !== undefined) extensions.add(ext);
+	}
+	if (options.extensions) {
+		extensions = new Set(options.extensions);
+	}
+	// Suffixes for each stem, with an empty string for no extension.
+	const suffixes = ['', ...[...extensions].map(e => '.' + e)];
+
+	const startBudget = budget.remaining;
+	const tryName = (prefix, prefixHash, suffix) => {
+		if (budget.remaining <= 0) return false;
+		budget.remaining--;
+		if (Archive_LBR_Vinyl.calcHash(suffix, prefixHash) !== hash) return null;
+		debug(`Found filename "${prefix}${suffix}" for hash ${hash} after `
+			+ `${startBudget - budget.remaining} attempts`);
+		return prefix + suffix;
+	};
+
+	// Try known names with other extensions, and with digits added.
+	for (const stem of stems) {
+		let candidates = [stem];
+		if (stem.length < 8) {
+			for (let d = 0; d <= 9; d++) candidates.push(stem + d);
+		}
+		for (const c of candidates) {
+			const prefixHash = Archive_LBR_Vinyl.calcHash(c);
+			for (const suffix of suffixes) {
+				const name = tryName(c, prefixHash, suffix);
+				if (name === false) return null;
+				if (name) return name;
+			}
+		}
+	}
+
+	// Brute-force short names, shortest first.
+	const charCount = BRUTEFORCE_CHARS.length;
+	for (let len = 1; len <= maxStemLength; len++) {
+		let idx = new Array(len).fill(0);
+		for (;;) {
+			let stem = '';
+			for (const i of idx) stem += BRUTEFORCE_CHARS[i];
+			const prefixHash = Archive_LBR_Vinyl.calcHash(stem);
+			for (const suffix of suffixes) {
+				const name = tryName(stem, prefixHash, suffix);
+				if (name === false) return null;
+				if (name) return name;
+			}
+
+			// Move on to the next stem, like an odometer.
+			let pos = len - 1;
+			while ((pos >= 0) && (++idx[pos] >= charCount)) {
+				idx[pos] = 0;
+				pos--;
+			}
+			if (pos < 0) break;
+		}
+	}
+
+	return null;
+}
+
 export default class Archive_LBR_Vinyl extends ArchiveHandler
 {
 	static metadata() {
@@ -367,6 +473,12 @@ export default class Archive_LBR_Vinyl extends ArchiveHandler
 			],
 		};
 
+		// Offsets are stored as 32-bit values.  Only a hash of each filename is
+		// stored, so there is no limit on the name length.
+		md.caps.maxArchiveSize = 0xFFFFFFFF;
+		md.caps.file.maxFileSize = 0xFFFFFFFF;
+		md.caps.file.maxNativeSize = 0xFFFFFFFF;
+
 		return md;
 	}
 
@@ -397,6 +509,10 @@ export default class Archive_LBR_Vinyl extends ArchiveHandler
 			};
 		}
 
+		// There are no file sizes, so each file must start after the previous one
+		// for the data to make any sense.
+		let ascending = true;
+		let lastOffset = lenFAT;
 		for (let i = 0; i < header.fileCount; i++) {
 			const fatEntry = buffer.readRecord(recordTypes.fatEntry);
 
@@ -407,24 +523,57 @@ export default class Archive_LBR_Vinyl extends ArchiveHandler
 						+ `archive (${lenArchive}).`,
 				};
 			}
+			if (fatEntry.offset < lastOffset) ascending = false;
+			lastOffset = fatEntry.offset;
+		}
+
+		if (header.fileCount === 0) {
+			return {
+				valid: true,
+				reason: `Empty archive.`,
+				confidence: 10,
+			};
+		}
+
+		if (!ascending) {
+			return {
+				valid: true,
+				reason: `Header OK, but file offsets are not in order.`,
+				confidence: 40,
+			};
 		}
 
 		return {
 			valid: true,
 			reason: `Header OK.`,
+			confidence: 80,
 		};
 	}
 
-	static parse({main: content}) {
+	/**
+	 * Read an archive.
+	 *
+	 * @param {Object} content
+	 *   Same as for ArchiveHandler.parse().
+	 *
+	 * @param {Object} options
+	 *   Optional filenames to try as well as the built-in list.
+	 *
+	 * @param {NameMap} options.nameMap
+	 *   Filenames to try, added with `filenames` in NameMap.add(), such as ones
+	 *   used by a fan-made archive.  These take priority over any built-in name
+	 *   with the same hash.  Names found by an earlier call to
+	 *   recoverFilenames() with the same map are only used for files that
+	 *   don't match any other name.
+	 *
+	 * @return {Archive} the archive.  Files that can't be named are called
+	 *   "unknown-<hash>".
+	 */
+	static parse({main: content}, options = {}) {
 		let archive = new Archive();
 		let buffer = new RecordBuffer(content);
 
-		// Precalculate the hashes of known filenames
-		let hashes = {};
-		for (const name of knownFilenames) {
-			const h = this.calcHash(name);
-			hashes[h] = name;
-		}
+		const hashes = getFilenameHashes(options);
 
 		const header = buffer.readRecord(recordTypes.header);
 
@@ -434,7 +583,7 @@ export default class Archive_LBR_Vinyl extends ArchiveHandler
 			const fatEntry = buffer.readRecord(recordTypes.fatEntry);
 
 			let file = new File();
-			file.name = hashes[fatEntry.hash];
+			file.name = hashes.get(fatEntry.hash);
 			file.offset = fatEntry.offset;
 			file.getRaw = () => buffer.getU8(file.offset, file.diskSize);
 
@@ -502,10 +651,96 @@ export default class Archive_LBR_Vinyl extends ArchiveHandler
 		};
 	}
 
-	/// Hash function to convert filenames into LBR hashes.
-	static calcHash(content)
+	/**
+	 * Search for a filename that produces the given hash.
+	 *
+	 * Known filenames are checked first, then variations on them (each known
+	 * name with every known extension, and with a digit added), and finally
+	 * every short name up to `maxStemLength` characters, with each known
+	 * extension.
+	 *
+	 * Since the hash is only 16 bits, a name found by searching is only one of
+	 * many that match, and may not be the original.
+	 *
+	 * @param {Number} hash
+	 *   Hash value from the archive's FAT.
+	 *
+	 * @param {Object} options
+	 *   Same as for parse(), plus optional search limits.
+	 *
+	 * @param {Number} options.maxStemLength
+	 *   Longest name to brute-force, excluding the extension.  Defaults to 4,
+	 *   up to 8 is allowed.
+	 *
+	 * @param {Number} options.maxAttempts
+	 *   Give up after this many names have been tried.  Defaults to 1,000,000.
+	 *
+	 * @param {Array<string>} options.extensions
+	 *   Filename extensions to try, without the dot.  Defaults to every
+	 *   extension used by a known filename.
+	 *
+	 * @return {string} the filename, or `null` if none was found within the
+	 *   limits.
+	 */
+	static findFilename(hash, options = {}) {
+		return searchFilename(hash, options, {
+			remaining: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+		});
+	}
+
+	/**
+	 * Search for the names of any files that could not be named when the
+	 * archive was opened.
+	 *
+	 * @param {Archive} archive
+	 *   Archive returned by parse().  Any files named "unknown-<hash>" that a
+	 *   name is found for will be renamed.
+	 *
+	 * @param {Object} options
+	 *   Same as for findFilename(), except `maxAttempts` limits the search for
+	 *   all the files together.  If `options.nameMap` is set, each name found
+	 *   is added to it as a guess, so the map can be passed to parse() (or
+	 *   saved with exportJSON() and loaded again later) to use the names again
+	 *   without searching.
+	 *
+	 * @return {Number} the number of files renamed.
+	 */
+	static recoverFilenames(archive, options = {}) {
+		let budget = {
+			remaining: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+		};
+		let count = 0;
+		for (const file of archive.files) {
+			const match = /^unknown-([0-9]+)$/.exec(file.name);
+			if (!match) continue;
+
+			const hash = parseInt(match[1], 10);
+			const name = searchFilename(hash, options, budget);
+			if (name) {
+				file.name = name;
+				if (options.nameMap) options.nameMap.guess(FORMAT_ID, hash, name);
+				count++;
+			} else if (budget.remaining <= 0) {
+				debug('Giving up, maximum number of attempts reached');
+				break;
+			}
+		}
+		return count;
+	}
+
+	/**
+	 * Hash function to convert filenames into LBR hashes.
+	 *
+	 * @param {string} content
+	 *   Filename to hash.
+	 *
+	 * @param {Number} hash
+	 *   Optional hash of the start of the filename, to continue from.
+	 *
+	 * @return {Number} the 16-bit hash.
+	 */
+	static calcHash(content, hash = 0)
 	{
-		let hash = 0;
 		for (let i = 0; i < content.length; i++) {
 			hash ^= content.charCodeAt(i) << 8;
 			for (let j = 0; j < 8; j++) {
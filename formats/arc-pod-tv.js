@@ -70,6 +70,12 @@ export default class Archive_POD_TV extends ArchiveHandler
 			},
 		};
 
+		// Offsets and sizes are stored as 32-bit values.
+		md.caps.maxArchiveSize = 0xFFFFFFFF;
+		md.caps.file.maxFileSize = 0xFFFFFFFF;
+		md.caps.file.maxNativeSize = 0xFFFFFFFF;
+		md.caps.file.maxNameBytes = 32;
+
 		return md;
 	}
 
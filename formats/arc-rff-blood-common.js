@@ -31,6 +31,19 @@ import Archive from '../interface/archive.js';
 import File from '../interface/file.js';
 import { replaceExtension } from '../util/supp.js';
 
+// Like RecordType.padding(), except the bytes read are returned and written
+// back out again, rather than always being written as zeroes.
+const rawBytes = len => ({
+	read: rb => rb.getU8(rb.pos, len).slice(),
+	write: (rb, val) => {
+		let data = new Uint8Array(len);
+		if (val) data.set(val.slice(0, len));
+		rb.put(data);
+		rb.pos -= len;
+	},
+	len: len,
+});
+
 const recordTypes = {
 	header: {
 		signature: RecordType.int.u32le,
@@ -41,7 +54,7 @@ const recordTypes = {
 		pad2: RecordType.padding(16),
 	},
 	fatEntry: {
-		cache: RecordType.padding(16),
+		cache: rawBytes(16),
 		offset: RecordType.int.u32le,
 		diskSize: RecordType.int.u32le,
 		packedSize: RecordType.int.u32le,
@@ -90,6 +103,14 @@ export default class Archive_RFF_Blood extends ArchiveHandler
 		md.caps.file.attributes.encrypted = !!crypto;
 
 		md.caps.file.maxFilenameLen = 12;
+		md.caps.file.dosNames = true;
+
+		// Offsets and sizes are stored as 32-bit values.  The name is stored as
+		// separate 8 and 3 byte fields without the dot, which maxFilenameLen
+		// already covers, so maxNameBytes is not set.
+		md.caps.maxArchiveSize = 0xFFFFFFFF;
+		md.caps.file.maxFileSize = 0xFFFFFFFF;
+		md.caps.file.maxNativeSize = 0xFFFFFFFF;
 
 		return md;
 	}
@@ -144,6 +165,7 @@ export default class Archive_RFF_Blood extends ArchiveHandler
 			+ header.version.toString(16));
 
 		const crypto = this.getCrypto();
+		const { id: formatId } = this.metadata();
 		let fat = buffer.getU8(header.fatOffset, header.fileCount * FATENTRY_LEN);
 		if (crypto) {
 			fat = crypto.reveal(fat, {
@@ -179,6 +201,16 @@ export default class Archive_RFF_Blood extends ArchiveHandler
 
 			file.getRaw = () => buffer.getU8(fatEntry.offset, fatEntry.diskSize);
 
+			// Keep the fields we don't use so they can be written back unchanged.
+			// These are shared by all RFF versions, so they are kept under the
+			// common ID rather than the version-specific one.
+			file.extra[FORMAT_ID] = {
+				id: fatEntry.id,
+				cache: fatEntry.cache,
+				packedSize: fatEntry.packedSize,
+				flags: fatEntry.flags & ~RFFFlags.FILE_ENCRYPTED,
+			};
+
 			if (crypto) {
 				if (fatEntry.flags & RFFFlags.FILE_ENCRYPTED) {
 					// Override the function to get the file content with one that
@@ -195,6 +227,7 @@ export default class Archive_RFF_Blood extends ArchiveHandler
 					file.attributes.encrypted = false;
 				}
 			}
+			file.markUntouched(formatId);
 			archive.files.push(file);
 		}
 
@@ -204,6 +237,7 @@ export default class Archive_RFF_Blood extends ArchiveHandler
 	static generate(archive)
 	{
 		const crypto = this.getCrypto();
+		const { id: formatId } = this.metadata();
 
 		// Calculate the size up front (if all the diskSize fields are available)
 		// so we don't have to keep reallocating the buffer, improving performance.
@@ -230,12 +264,21 @@ export default class Archive_RFF_Blood extends ArchiveHandler
 		let now = Math.round(Date.now() / 1000) - tzOffset;
 
 		for (const file of archive.files) {
-			let content = file.getContent();
+			// If the file hasn't been modified, copy it across as-is which saves
+			// encrypting it again.
+			const untouched = file.isUntouched(formatId);
+
+			let content;
+			if (untouched) {
+				content = file.getRaw();
+			} else {
+				content = file.getContent();
 
-			// Safety check.
-			if (content.length != file.nativeSize) {
-				throw new Error(`Length of data (${content.length}) and nativeSize `
-					+ `(${file.nativeSize}) field do not match for ${file.name}!`);
+				// Safety check.
+				if (content.length != file.nativeSize) {
+					throw new Error(`Length of data (${content.length}) and nativeSize `
+						+ `(${file.nativeSize}) field do not match for ${file.name}!`);
+				}
 			}
 
 			let rffFile = {...file};
@@ -247,11 +290,12 @@ export default class Archive_RFF_Blood extends ArchiveHandler
 				rffFile.lastModified = now;
 			}
 			rffFile.diskSize = content.length;
-			rffFile.cache = '';
+			const extra = file.extra[FORMAT_ID] || {};
+			rffFile.cache = extra.cache;
 			rffFile.offset = nextOffset;
-			rffFile.packedSize = 0;
-			rffFile.flags = 0;
-			if (!rffFile.id) rffFile.id = 0;
+			rffFile.packedSize = extra.packedSize || 0;
+			rffFile.flags = extra.flags || 0;
+			rffFile.id = extra.id || 0;
 			[rffFile.basename, rffFile.ext] = file.name.split('.');
 			if (!rffFile.ext) rffFile.ext = '';
 
@@ -259,11 +303,13 @@ export default class Archive_RFF_Blood extends ArchiveHandler
 				// If encryption hasn't been specifically disabled, then encrypt
 				if (file.attributes.encrypted !== false) {
 					rffFile.flags |= RFFFlags.FILE_ENCRYPTED;
-					content = crypto.obscure(content, {
-						seed: 0,
-						offset: this.getKeyOffset_File(),
-						limit: RFF_FILE_CRYPT_LEN,
-					});
+					if (!untouched) {
+						content = crypto.obscure(content, {
+							seed: 0,
+							offset: this.getKeyOffset_File(),
+							limit: RFF_FILE_CRYPT_LEN,
+						});
+					}
 				}
 			}
 			buffer.put(content);
@@ -29,6 +29,7 @@ import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
 import ArchiveHandler from '../interface/archiveHandler.js';
 import Archive from '../interface/archive.js';
 import File from '../interface/file.js';
+import LimitIssue from '../interface/limitIssue.js';
 import { replaceExtension, getExtension } from '../util/supp.js';
 
 const recordTypes = {
@@ -40,7 +41,11 @@ const recordTypes = {
 };
 
 const FATENTRY_LEN = 20; // sizeof(fatEntry)
-const MAX_FILES = 200;
+
+// Number of FAT entries used by default.  The FAT size differs between games,
+// so the actual size is taken from the offset of the first file, and this
+// limits how many files can be stored.
+const DEFAULT_FAT_ENTRIES = 200;
 
 export default class Archive_VOL_Cosmo extends ArchiveHandler
 {
@@ -65,11 +70,48 @@ export default class Archive_VOL_Cosmo extends ArchiveHandler
 		};
 
 		md.caps.file.maxFilenameLen = 12;
-		md.caps.maxFileCount = MAX_FILES;
+		md.caps.file.dosNames = true;
+
+		// Offsets and sizes are stored as 32-bit values.
+		md.caps.maxArchiveSize = 0xFFFFFFFF;
+		md.caps.file.maxFileSize = 0xFFFFFFFF;
+		md.caps.file.maxNativeSize = 0xFFFFFFFF;
+		md.caps.file.maxNameBytes = 12;
+
+		md.caps.tags = {
+			// Number of entries in the FAT, including unused ones.
+			fatEntries: {
+				type: 'int',
+				size: 4,
+				default: DEFAULT_FAT_ENTRIES,
+			},
+		};
 
 		return md;
 	}
 
+	static checkLimits(archive, options)
+	{
+		let issues = super.checkLimits(archive, options);
+
+		const fatEntries = this.getFATEntries(archive);
+		if (!Number.isInteger(fatEntries) || (fatEntries < 1)) {
+			issues.push(new LimitIssue({
+				code: 'INVALID_TAG',
+				message: `The "fatEntries" tag must be a positive whole number, not `
+					+ `"${archive.tags.fatEntries}".`,
+			}));
+		} else if (archive.files.length > fatEntries) {
+			issues.push(new LimitIssue({
+				code: 'TOO_MANY_FILES',
+				message: `There are ${archive.files.length} files but the "fatEntries" `
+					+ `tag only allows for ${fatEntries}.`,
+			}));
+		}
+
+		return issues;
+	}
+
 	static supps(filename) {
 		let ext = getExtension(filename);
 		const extCheck = ext.toLowerCase();
@@ -85,7 +127,14 @@ export default class Archive_VOL_Cosmo extends ArchiveHandler
 
 	static identify(content) {
 		const lenArchive = content.length;
-		const lenFAT = MAX_FILES * FATENTRY_LEN;
+		const lenFAT = this.getFATLength(content);
+
+		if (lenFAT % FATENTRY_LEN !== 0) {
+			return {
+				valid: false,
+				reason: `FAT length ${lenFAT} is not a multiple of ${FATENTRY_LEN}.`,
+			};
+		}
 
 		if (lenArchive < lenFAT) {
 			return {
@@ -95,19 +144,13 @@ export default class Archive_VOL_Cosmo extends ArchiveHandler
 		}
 		let buffer = new RecordBuffer(content);
 
-		for (let i = 0; i < MAX_FILES; i++) {
+		const fatEntries = lenFAT / FATENTRY_LEN;
+		for (let i = 0; i < fatEntries; i++) {
 			const fatEntry = buffer.readRecord(recordTypes.fatEntry);
 
 			// Ignore empty entries
 			if (fatEntry.offset === 0) continue;
 
-			if (fatEntry.offset < lenFAT) {
-				return {
-					valid: false,
-					reason: `File ${i} @ offset ${fatEntry.offset} starts inside the `
-						+ `FAT which ends at offset ${lenFAT}.`,
-				};
-			}
 			if (fatEntry.offset + fatEntry.size > lenArchive) {
 				return {
 					valid: false,
@@ -126,7 +169,10 @@ export default class Archive_VOL_Cosmo extends ArchiveHandler
 		let archive = new Archive();
 		let buffer = new RecordBuffer(content);
 
-		for (let i = 0; i < MAX_FILES; i++) {
+		const fatEntries = this.getFATLength(content) / FATENTRY_LEN;
+		archive.tags.fatEntries = fatEntries;
+
+		for (let i = 0; i < fatEntries; i++) {
 			const fatEntry = buffer.readRecord(recordTypes.fatEntry);
 
 			if (fatEntry.offset !== 0) {
@@ -145,7 +191,12 @@ export default class Archive_VOL_Cosmo extends ArchiveHandler
 
 	static generate(archive)
 	{
-		const lenFAT = MAX_FILES * FATENTRY_LEN;
+		const fatEntries = this.getFATEntries(archive);
+		if (archive.files.length > fatEntries) {
+			throw new Error(`There are ${archive.files.length} files but the FAT `
+				+ `only has room for ${fatEntries}.`);
+		}
+		const lenFAT = fatEntries * FATENTRY_LEN;
 
 		// Calculate the size up front so we don't have to keep reallocating the
 		// buffer, improving performance.
@@ -168,7 +219,7 @@ export default class Archive_VOL_Cosmo extends ArchiveHandler
 		}
 
 		// Write out the remaining empty FAT entries
-		const lenPadFAT = (200 - archive.files.length) * FATENTRY_LEN;
+		const lenPadFAT = (fatEntries - archive.files.length) * FATENTRY_LEN;
 		buffer.put(new Uint8Array(lenPadFAT));
 
 		// Write the file data.
@@ -188,4 +239,47 @@ export default class Archive_VOL_Cosmo extends ArchiveHandler
 			main: buffer.getU8(),
 		};
 	}
+
+	/**
+	 * Work out how long the FAT is.
+	 *
+	 * The FAT ends where the first file's data starts, so this is taken from
+	 * the smallest offset in the FAT.  Unused entries have an offset of zero,
+	 * and are skipped.
+	 *
+	 * @param {Uint8Array} content
+	 *   Archive content.
+	 *
+	 * @return {Number} FAT length in bytes.
+	 */
+	static getFATLength(content) {
+		let buffer = new RecordBuffer(content);
+		let lenFAT = undefined;
+		// Only read the entries that come before the earliest file data seen so
+		// far, as anything after that is file content.
+		while (
+			(buffer.getPos() + FATENTRY_LEN <= content.length)
+			&& ((lenFAT === undefined) || (buffer.getPos() < lenFAT))
+		) {
+			const fatEntry = buffer.readRecord(recordTypes.fatEntry);
+			if (fatEntry.offset === 0) continue;
+			if ((lenFAT === undefined) || (fatEntry.offset < lenFAT)) {
+				lenFAT = fatEntry.offset;
+			}
+		}
+		if (lenFAT === undefined) {
+			// No files.
+			return DEFAULT_FAT_ENTRIES * FATENTRY_LEN;
+		}
+		return lenFAT;
+	}
+
+	/**
+	 * Get the number of FAT entries to write, from the archive's tags.
+	 */
+	static getFATEntries(archive) {
+		const fatEntries = archive.tags.fatEntries;
+		if ((fatEntries === undefined) || (fatEntries === '')) return DEFAULT_FAT_ENTRIES;
+		return Number(fatEntries);
+	}
 }
@@ -0,0 +1,458 @@
+/*
+ * Wolfenstein 3-D VSWAP format handler.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   http://www.shikadi.net/moddingwiki/VSWAP_Format
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'arc-vswap-wolf3d';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import ArchiveHandler from '../interface/archiveHandler.js';
+import Archive from '../interface/archive.js';
+import File from '../interface/file.js';
+import LimitIssue from '../interface/limitIssue.js';
+
+const recordTypes = {
+	header: {
+		numChunks: RecordType.int.u16le,
+		spriteStart: RecordType.int.u16le,
+		soundStart: RecordType.int.u16le,
+	},
+	soundInfo: {
+		startPage: RecordType.int.u16le,
+		length: RecordType.int.u16le,
+	},
+};
+
+// Size of the header fields before the page table.
+const LEN_HEADER = 2 * 3;
+
+// Size of each page table entry (offset and length).
+const LEN_FAT_ENTRY = 4 + 2;
+
+// Size of each entry in the sound info page.
+const LEN_SOUNDINFO_ENTRY = 2 + 2;
+
+// Largest a page can be.  Walls are always this size, and digitised sounds
+// are split across as many pages of this size as they need.
+const PAGE_SIZE = 4096;
+
+// The games' files start each page on a 512-byte boundary.
+const DEFAULT_ALIGNMENT = 512;
+
+// Each type of file, in the order the pages appear in the file.  A "digipage"
+// is a page in the sound area that isn't part of any sound, which is kept so
+// the file can be written back the same.
+const fileTypes = {
+	wall: 'image/wolf3d-wall',
+	sprite: 'image/wolf3d-sprite',
+	digi: 'sound/wolf3d-digi',
+	digipage: 'sound/wolf3d-digi',
+};
+
+function pageName(type, index)
+{
+	return `${type}-${index.toString().padStart(3, '0')}`;
+}
+
+export default class Archive_VSWAP_Wolf3D extends ArchiveHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Wolfenstein 3-D VSWAP File',
+			games: [
+				'Spear of Destiny',
+				'Wolfenstein 3-D',
+			],
+			glob: [
+				'vswap.*',
+			],
+		};
+
+		// Page offsets are 32-bit and lengths are 16-bit.  Sounds can span more
+		// than one page but their length in the sound info page is 16-bit too.
+		md.caps.maxArchiveSize = 0xFFFFFFFF;
+		md.caps.file.maxFileSize = 0xFFFF;
+		md.caps.file.maxNativeSize = 0xFFFF;
+
+		return md;
+	}
+
+	static checkLimits(archive, options)
+	{
+		let issues = super.checkLimits(archive, options);
+
+		for (const file of archive.files) {
+			const page = this.parseName(file.name);
+			if (!page) {
+				issues.push(new LimitIssue({
+					code: 'INVALID_FILENAME',
+					file,
+					message: `File "${file.name}" must be named after its type and `
+						+ `number, e.g. "wall-001", "sprite-001", "digi-001" or `
+						+ `"digipage-001".`,
+				}));
+				continue;
+			}
+
+			if (
+				(page.type === 'wall')
+				&& file.nativeSize
+				&& (file.nativeSize !== PAGE_SIZE)
+			) {
+				issues.push(new LimitIssue({
+					code: 'INVALID_FILE_SIZE',
+					file,
+					message: `File "${file.name}" is ${file.nativeSize} bytes in `
+						+ `size, but walls must be exactly ${PAGE_SIZE} bytes.`,
+				}));
+			} else if (
+				((page.type === 'sprite') || (page.type === 'digipage'))
+				&& (file.nativeSize > PAGE_SIZE)
+			) {
+				issues.push(new LimitIssue({
+					code: 'INVALID_FILE_SIZE',
+					file,
+					message: `File "${file.name}" is ${file.nativeSize} bytes in `
+						+ `size, but ${page.type} files can only be up to ${PAGE_SIZE} `
+						+ `bytes.`,
+				}));
+			}
+		}
+
+		return issues;
+	}
+
+	static supps(name) {
+		return {
+			main: name,
+		};
+	}
+
+	static identify(content) {
+		if (content.length < LEN_HEADER) {
+			return {
+				valid: false,
+				reason: `Content too short (< ${LEN_HEADER} b).`,
+			};
+		}
+
+		let buffer = new RecordBuffer(content);
+		const header = buffer.readRecord(recordTypes.header);
+
+		if (header.numChunks === 0) {
+			return {
+				valid: false,
+				reason: `No sound info page.`,
+			};
+		}
+
+		if (
+			(header.spriteStart > header.soundStart)
+			|| (header.soundStart >= header.numChunks)
+		) {
+			return {
+				valid: false,
+				reason: `Sprite or sound pages start past the end of the page list.`,
+			};
+		}
+
+		const lenFAT = LEN_HEADER + header.numChunks * LEN_FAT_ENTRY;
+		if (lenFAT > content.length) {
+			return {
+				valid: false,
+				reason: `Page table (${lenFAT} b) is larger than the file.`,
+			};
+		}
+
+		const { offsets, lengths } = this.readFAT(buffer, header.numChunks);
+		for (let i = 0; i < header.numChunks; i++) {
+			if (lengths[i] === 0) continue;
+			if (offsets[i] < lenFAT) {
+				return {
+					valid: false,
+					reason: `Page ${i} starts inside the page table.`,
+				};
+			}
+			if (offsets[i] + lengths[i] > content.length) {
+				return {
+					valid: false,
+					reason: `Page ${i} runs past the end of the file.`,
+				};
+			}
+		}
+
+		const lenSoundInfo = lengths[header.numChunks - 1];
+		if (lenSoundInfo % LEN_SOUNDINFO_ENTRY !== 0) {
+			return {
+				valid: false,
+				reason: `Sound info page is the wrong size.`,
+			};
+		}
+
+		return {
+			valid: true,
+			reason: `Page table and sound info page are valid.`,
+		};
+	}
+
+	static readFAT(buffer, numChunks) {
+		let offsets = [], lengths = [];
+		for (let i = 0; i < numChunks; i++) {
+			offsets.push(buffer.read(RecordType.int.u32le));
+		}
+		for (let i = 0; i < numChunks; i++) {
+			lengths.push(buffer.read(RecordType.int.u16le));
+		}
+		return { offsets, lengths };
+	}
+
+	static parse({ main: content }) {
+		let archive = new Archive();
+
+		const { id: formatId } = this.metadata();
+
+		let buffer = new RecordBuffer(content);
+		const header = buffer.readRecord(recordTypes.header);
+		const { offsets, lengths } = this.readFAT(buffer, header.numChunks);
+
+		// Keep the page alignment so the file comes out the same.
+		const used = offsets.filter((o, i) => lengths[i] !== 0);
+		archive.extra[FORMAT_ID] = {
+			alignment: (
+				used.length
+				&& used.every(o => o % DEFAULT_ALIGNMENT === 0)
+			) ? DEFAULT_ALIGNMENT : 1,
+		};
+
+		const addPage = (name, type, index) => {
+			let file = new File();
+			file.name = name;
+			file.type = fileTypes[type];
+			file.offset = offsets[index];
+			file.diskSize = file.nativeSize = lengths[index];
+			file.getRaw = () => buffer.getU8(file.offset, file.diskSize);
+			file.markUntouched(formatId);
+			archive.files.push(file);
+		};
+
+		for (let i = 0; i < header.spriteStart; i++) {
+			addPage(pageName('wall', i), 'wall', i);
+		}
+		for (let i = header.spriteStart; i < header.soundStart; i++) {
+			addPage(pageName('sprite', i - header.spriteStart), 'sprite', i);
+		}
+
+		// The last page lists where each sound starts and how long it is, as
+		// sounds can span multiple pages.
+		const numSoundPages = header.numChunks - 1 - header.soundStart;
+		const pageInfo = header.numChunks - 1;
+		let infoBuffer = new RecordBuffer(
+			buffer.getU8(offsets[pageInfo], lengths[pageInfo])
+		);
+		const numSounds = Math.floor(lengths[pageInfo] / LEN_SOUNDINFO_ENTRY);
+		let usedPages = new Set();
+		for (let s = 0; s < numSounds; s++) {
+			const info = infoBuffer.readRecord(recordTypes.soundInfo);
+
+			let file = new File();
+			file.name = pageName('digi', s);
+			file.type = fileTypes.digi;
+			file.nativeSize = info.length;
+
+			// Sounds are only kept if they point to real pages.
+			let pages = [];
+			let remaining = info.length;
+			for (let p = info.startPage; (remaining > 0) && (p < numSoundPages); p++) {
+				const page = header.soundStart + p;
+				pages.push(page);
+				usedPages.add(p);
+				remaining -= lengths[page];
+			}
+			if (remaining > 0) {
+				debug(`Sound ${s} is ${info.length} bytes but runs out of pages, `
+					+ `truncating to ${info.length - remaining} bytes.`);
+				file.nativeSize = info.length - remaining;
+			}
+			// Keep the start page, as empty sounds can point anywhere (even past
+			// the end) and any unused pages have to go back in the same place.
+			file.extra[FORMAT_ID] = {
+				startPage: info.startPage,
+			};
+			file.diskSize = file.nativeSize;
+			file.getRaw = () => {
+				let data = new Uint8Array(file.nativeSize);
+				let pos = 0;
+				for (const page of pages) {
+					const chunk = buffer.getU8(offsets[page], lengths[page]);
+					data.set(chunk.subarray(0, file.nativeSize - pos), pos);
+					pos += chunk.length;
+				}
+				return data;
+			};
+			file.markUntouched(formatId);
+			archive.files.push(file);
+		}
+
+		// Keep any sound pages that no sound uses, so they aren't lost when the
+		// file is written back out.
+		for (let p = 0; p < numSoundPages; p++) {
+			if (usedPages.has(p)) continue;
+			debug(`Sound page ${p} isn't used by any sound`);
+			addPage(pageName('digipage', p), 'digipage', header.soundStart + p);
+		}
+
+		return archive;
+	}
+
+	static generate(archive)
+	{
+		let files = {};
+		for (const type of Object.keys(fileTypes)) {
+			files[type] = [];
+		}
+		for (const file of archive.files) {
+			const page = this.parseName(file.name);
+			if (!page) {
+				throw new Error(`File "${file.name}" must be named after its type `
+					+ `and number, e.g. "wall-001" or "digi-001".`);
+			}
+			if (files[page.type][page.index]) {
+				throw new Error(`There is more than one file called "${file.name}".`);
+			}
+			files[page.type][page.index] = file;
+		}
+
+		// Every page in order, with missing walls and sprites left empty.
+		let pages = [];
+		for (const type of ['wall', 'sprite']) {
+			for (let i = 0; i < files[type].length; i++) {
+				pages.push(files[type][i] ? files[type][i].getContent() : null);
+			}
+		}
+		const spriteStart = files.wall.length;
+		const soundStart = pages.length;
+
+		// Pages that aren't part of any sound go back in front of the first sound
+		// that came after them, going by where each sound started when the file
+		// was read.
+		let unusedPages = [];
+		files.digipage.forEach((file, index) => unusedPages.push({ file, index }));
+		const addUnusedPages = beforePage => {
+			while (
+				unusedPages.length
+				&& ((beforePage === undefined) || (unusedPages[0].index < beforePage))
+			) {
+				pages.push(unusedPages.shift().file.getContent());
+			}
+		};
+
+		// Split the sounds into pages and list them in the sound info page.
+		let infoBuffer = new RecordBuffer(files.digi.length * LEN_SOUNDINFO_ENTRY);
+		for (let s = 0; s < files.digi.length; s++) {
+			const file = files.digi[s];
+			const data = file ? file.getContent() : new Uint8Array();
+			const extra = (file && file.extra[FORMAT_ID]) || {};
+			if (data.length && (extra.startPage !== undefined)) {
+				addUnusedPages(extra.startPage);
+			}
+			let startPage = pages.length - soundStart;
+			if (!data.length && (extra.startPage !== undefined)) {
+				startPage = extra.startPage;
+			}
+			infoBuffer.writeRecord(recordTypes.soundInfo, {
+				startPage,
+				length: data.length,
+			});
+			for (let pos = 0; pos < data.length; pos += PAGE_SIZE) {
+				pages.push(data.subarray(pos, pos + PAGE_SIZE));
+			}
+		}
+		addUnusedPages();
+		pages.push(infoBuffer.getU8());
+
+		const numChunks = pages.length;
+		if (numChunks > 0xFFFF) {
+			throw new Error(`There are too many pages (${numChunks}), the maximum `
+				+ `is 65535.`);
+		}
+
+		const { alignment = DEFAULT_ALIGNMENT } = archive.extra[FORMAT_ID] || {};
+		const align = pos => Math.ceil(pos / alignment) * alignment;
+
+		// Work out where each page goes.
+		let offsets = [];
+		let nextOffset = LEN_HEADER + numChunks * LEN_FAT_ENTRY;
+		for (const page of pages) {
+			if (!page || !page.length) {
+				offsets.push(0);
+				continue;
+			}
+			nextOffset = align(nextOffset);
+			offsets.push(nextOffset);
+			nextOffset += page.length;
+		}
+
+		let buffer = new RecordBuffer(nextOffset);
+		buffer.writeRecord(recordTypes.header, {
+			numChunks,
+			spriteStart,
+			soundStart,
+		});
+		for (const offset of offsets) {
+			buffer.write(RecordType.int.u32le, offset);
+		}
+		for (const page of pages) {
+			buffer.write(RecordType.int.u16le, page ? page.length : 0);
+		}
+		for (let i = 0; i < numChunks; i++) {
+			if (!offsets[i]) continue;
+			// Pad with zeroes up to the start of the page.
+			buffer.put(new Uint8Array(offsets[i] - buffer.getPos()));
+			buffer.put(pages[i]);
+		}
+
+		return {
+			main: buffer.getU8(),
+		};
+	}
+
+	/**
+	 * Split a filename into the page type and index.
+	 *
+	 * @param {string} name
+	 *   Filename, e.g. "wall-001".
+	 *
+	 * @return {Object} with `type` and `index` properties, or undefined if the
+	 *   name isn't valid.
+	 */
+	static parseName(name) {
+		const m = name.match(/^([a-z]+)-([0-9]+)$/);
+		if (!m || !fileTypes[m[1]]) return undefined;
+		return {
+			type: m[1],
+			index: parseInt(m[2], 10),
+		};
+	}
+}
@@ -29,6 +29,9 @@ import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
 import ArchiveHandler from '../interface/archiveHandler.js';
 import Archive from '../interface/archive.js';
 import File from '../interface/file.js';
+import LimitIssue from '../interface/limitIssue.js';
+import { SinkWriter } from '../util/sink.js';
+import { readOnDemand } from '../util/source.js';
 import { replaceExtension } from '../util/supp.js';
 
 const MAX_FILENAME_LEN = 8;
@@ -50,31 +53,118 @@ const recordTypes = {
 const HEADER_LEN = 12; // sizeof(header)
 const FATENTRY_LEN = 16; // sizeof(fatEntry)
 
+/**
+ * Check whether a lump name is a level marker, like E1M1 or MAP01, or the
+ * GL-nodes companion marker for one, like GL_E1M1.
+ *
+ * UDMF levels can have any name, so these are identified by the TEXTMAP lump
+ * that follows the marker instead.
+ */
 function isLevel(name) {
-	return (
-		(
-			(name[0] === 'E')
-			&& (name[2] === 'M')
-		) || (
-			(name.length === 5)
-			&& (name.substr(0, 3) === 'MAP')
-		)
-	);
+	if (name.substr(0, 3) === 'GL_') name = name.substr(3);
+	return /^E[0-9]M[0-9]$/.test(name) || /^MAP[0-9][0-9]$/.test(name);
 }
 
-const levelEntryOrder = [
-	'THINGS',
-	'LINEDEFS',
-	'SIDEDEFS',
-	'VERTEXES',
-	'SEGS',
-	'SSECTORS',
-	'NODES',
-	'SECTORS',
-	'REJECT',
-	'BLOCKMAP',
-	'BEHAVIOR',
-];
+/**
+ * Lumps that make up each type of level, in the order they must appear.
+ */
+const levelEntryOrder = {
+	// Doom, Hexen and Strife binary maps.
+	classic: [
+		'THINGS',
+		'LINEDEFS',
+		'SIDEDEFS',
+		'VERTEXES',
+		'SEGS',
+		'SSECTORS',
+		'NODES',
+		'SECTORS',
+		'REJECT',
+		'BLOCKMAP',
+		'BEHAVIOR',
+		'SCRIPTS',
+		'DIALOGUE',
+	],
+	// GL nodes, in a GL_E1M1 etc. level following the normal one.
+	gl: [
+		'GL_VERT',
+		'GL_SEGS',
+		'GL_SSECT',
+		'GL_NODES',
+		'GL_PVS',
+	],
+	// UDMF maps can have any lumps (ZNODES, BEHAVIOR, DIALOGUE, etc.) between
+	// TEXTMAP and ENDMAP, only TEXTMAP has to come first.
+	udmf: [
+		'TEXTMAP',
+	],
+};
+
+/**
+ * Work out what type of level the marker at `entries[i]` starts, if any.
+ *
+ * @return {string} a key into `levelEntryOrder`, or undefined if the entry
+ *   is not a level marker.
+ */
+function getLevelType(entries, i) {
+	const marker = entries[i];
+	const next = entries[i + 1];
+	if (next && (next.name === 'TEXTMAP')) return 'udmf';
+	if (!isLevel(marker.name)) return undefined;
+
+	const type = (marker.name.substr(0, 3) === 'GL_') ? 'gl' : 'classic';
+	// Markers normally have no data, but if this one does, only treat it as a
+	// level if it's followed by the level's lumps.
+	if (
+		(marker.size !== 0)
+		&& !(next && levelEntryOrder[type].includes(next.name))
+	) {
+		return undefined;
+	}
+	return type;
+}
+
+/**
+ * Namespaces that are often closed with the end marker of a related one.
+ *
+ * PWADs commonly use FF_START ... F_END for flats (and likewise for sprites
+ * and patches) because vanilla Doom only looks for F_END.  Any other
+ * namespace, such as the ZDoom TX_, HI_ and VX_ ones, must end with its own
+ * marker.
+ */
+const namespaceEndAliases = {
+	F: ['FF'],
+	FF: ['F'],
+	P: ['PP'],
+	PP: ['P'],
+	S: ['SS'],
+	SS: ['S'],
+};
+
+/**
+ * Find all the folders in the archive that hold levels.
+ *
+ * @param {Array<File>} files
+ *   Files in the archive.
+ *
+ * @return {Map} where each key is the full folder name (e.g. `E1M1` or
+ *   `A/MAP01`), and the value is a key into `levelEntryOrder`.
+ */
+function getLevelFolders(files) {
+	let levels = new Map();
+	for (const file of files) {
+		const slash = file.name.lastIndexOf('/');
+		if (slash < 0) continue;
+		const folder = file.name.substr(0, slash);
+		const name = folder.split('/').pop();
+		if (file.name.substr(slash + 1) === 'TEXTMAP') {
+			levels.set(folder, 'udmf');
+		} else if (!levels.has(folder) && isLevel(name)) {
+			levels.set(folder, (name.substr(0, 3) === 'GL_') ? 'gl' : 'classic');
+		}
+	}
+	return levels;
+}
 
 export default class Archive_WAD_Doom extends ArchiveHandler
 {
@@ -95,40 +185,96 @@ export default class Archive_WAD_Doom extends ArchiveHandler
 		// these cause the total filename length to exceed the limit.
 		//md.caps.file.maxFilenameLen = 8;
 
+		// Levels and namespaces like F_START..F_END are shown as folders.
+		md.caps.file.folders = true;
+
+		// Doom searches for lumps from the end of the directory, so WADs can
+		// legitimately contain more than one lump with the same name.
+		md.caps.file.duplicates = true;
+
+		// Offsets and sizes are stored as 32-bit values.  Only the last part of
+		// the name is stored, which checkLimits() checks itself.
+		md.caps.maxArchiveSize = 0xFFFFFFFF;
+		md.caps.file.maxFileSize = 0xFFFFFFFF;
+		md.caps.file.maxNativeSize = 0xFFFFFFFF;
+		md.caps.file.maxNameBytes = MAX_FILENAME_LEN;
+
+		md.caps.tags = {
+			type: {
+				type: 'string',
+				size: 4,
+				values: ['IWAD', 'PWAD'],
+				// IWADs are complete games, PWADs are mods loaded on top of them.
+				default: 'IWAD',
+			},
+		};
+
 		return md;
 	}
 
-	static checkLimits(archive)
+	static checkLimits(archive, options)
 	{
-		let issues = super.checkLimits(archive);
+		let issues = super.checkLimits(archive, options);
 
 		// We can't check the length of the total filename (with any virtual
 		// folders) because that will often be too long, so instead we need to split
 		// it up into filenames and folder names and check the length of those
 		// individually.
+		const levels = getLevelFolders(archive.files);
 		for (const file of archive.files) {
 			const parts = file.name.split('/');
+			// Levels don't have "_START" appended so they can use the full length.
+			const isLevelFolder = i => levels.has(parts.slice(0, i + 1).join('/'));
+
+			// Work out what the name would be with every component cut down to
+			// size, which is proposed as the fix for each problem with this file.
+			const newName = parts.map((p, i) => {
+				if (i === parts.length - 1) return p.substr(0, MAX_FILENAME_LEN);
+				if (isLevelFolder(i)) return p.substr(0, MAX_FILENAME_LEN);
+				return p.substr(0, MAX_FOLDERNAME_LEN);
+			}).join('/');
+			const fix = {
+				action: 'rename',
+				name: newName,
+				description: `Rename to "${newName}".`,
+			};
+
 			parts.forEach((p, i) => {
 				if (i === parts.length - 1) {
 					// Last component, a filename
 					if (p.length > MAX_FILENAME_LEN) {
-						issues.push(`Filename length is ${p.length}, max is `
-							+ `${MAX_FILENAME_LEN}: ${p}`);
+						issues.push(new LimitIssue({
+							code: 'FILENAME_TOO_LONG',
+							file,
+							message: `Filename length is ${p.length}, max is `
+								+ `${MAX_FILENAME_LEN}: ${p}`,
+							fix,
+						}));
 					}
 				} else {
 					// Other component, a folder name
-					if (isLevel(p)) {
-						// E1M1 etc.
-						return;
-					}
-					if (p.length > MAX_FOLDERNAME_LEN) { // length of "_START"
-						issues.push(`Folder name length is ${p.length}, max is `
-							+ `${MAX_FOLDERNAME_LEN}: ${p}`);
+					const maxLen = isLevelFolder(i) ? MAX_FILENAME_LEN : MAX_FOLDERNAME_LEN;
+					if (p.length > maxLen) {
+						issues.push(new LimitIssue({
+							code: 'FOLDER_NAME_TOO_LONG',
+							file,
+							message: `Folder name length is ${p.length}, max is `
+								+ `${maxLen}: ${p}`,
+							fix,
+						}));
 					}
 				}
 			});
 		}
 
+		const { type } = archive.tags;
+		if ((type !== undefined) && !['IWAD', 'PWAD'].includes(type)) {
+			issues.push(new LimitIssue({
+				code: 'INVALID_TAG',
+				message: `The "type" tag must be "IWAD" or "PWAD", not "${type}".`,
+			}));
+		}
+
 		return issues;
 	}
 
@@ -176,159 +322,298 @@ export default class Archive_WAD_Doom extends ArchiveHandler
 	}
 
 	static parse({main: content}) {
-		let archive = new Archive();
 		let buffer = new RecordBuffer(content);
 
 		const header = buffer.readRecord(recordTypes.header);
 
 		buffer.seekAbs(header.fatOffset);
-		let folder = [], folderPrefix = '';
+		let archive = this.parseFAT(header, buffer);
+		for (const file of archive.files) {
+			file.getRaw = () => buffer.getU8(file.offset, file.diskSize);
+		}
 
-		let inLevel = false;
-		for (let i = 0; i < header.fileCount; i++) {
-			const fatEntry = buffer.readRecord(recordTypes.fatEntry);
-
-			const isStart = (fatEntry.size === 0) && (fatEntry.name.substr(-6) === '_START');
-			const isStartMap =
-				(fatEntry.size === 0)
-				&& (fatEntry.name.length === 4)
-				&& isLevel(fatEntry.name)
-			;
-			const isEndMap =
-				inLevel
-				&& (levelEntryOrder.find(e => e === fatEntry.name) === undefined)
-			;
-			const isEnd =
-				(fatEntry.size === 0)
-				&& fatEntry.name.substr(-4) === '_END'
-			;
-			if (isStartMap) {
-				inLevel = true;
-			} else if (isEndMap) {
-				inLevel = false;
-			}
+		return archive;
+	}
+
+	static async parseAsync({main: source}) {
+		const header = new RecordBuffer(
+			await source.read(0, HEADER_LEN)
+		).readRecord(recordTypes.header);
 
-			// Do this first so E1M1 ends before E1M2 starts, which results in
-			// both isStartMap and isEndMap both being true.
-			if (isEnd || isEndMap) {
-				folder.pop();
+		const fat = new RecordBuffer(
+			await source.read(header.fatOffset, header.fileCount * FATENTRY_LEN)
+		);
+		let archive = this.parseFAT(header, fat);
+		for (const file of archive.files) {
+			readOnDemand(file, source);
+		}
+
+		return archive;
+	}
+
+	/**
+	 * Create an Archive from the FAT, without setting getRaw() on the files.
+	 *
+	 * @param {Object} header
+	 *   The WAD header.
+	 *
+	 * @param {RecordBuffer} buffer
+	 *   Buffer positioned at the first FAT entry.
+	 */
+	static parseFAT(header, buffer) {
+		let archive = new Archive();
+		archive.tags.type = header.signature;
+
+		// Most WADs have the FAT after the lump data, so remember where it was to
+		// write it back in the same place.
+		let extra = archive.extra[FORMAT_ID] = {
+			fatAtEnd: header.fatOffset > HEADER_LEN,
+			endMarkers: {},
+		};
+
+		// Folders currently open, along with how many files were in the archive
+		// when each one started so we can tell if it ends up empty.
+		let folder = [];
+		const folderPrefix = () => folder.map(f => f.name + '/').join('');
+		const endFolder = endMarker => {
+			const f = folder.pop();
+			if (endMarker && (endMarker !== f.name + '_END')) {
+				// Remember the end marker so it can be written back the same way.
+				extra.endMarkers[folderPrefix() + f.name] = endMarker;
+			}
+			if (archive.files.length === f.fileCount) {
+				// Include an entry for the empty folder, otherwise it would be lost
+				// when the archive is written back out.
+				let file = new File();
+				file.name = folderPrefix() + f.name + '/';
+				file.diskSize = file.nativeSize = 0;
+				file.offset = 0;
+				archive.files.push(file);
 			}
+		};
 
-			if (isStart) {
-				folder.push(fatEntry.name.substr(0, fatEntry.name.length - 6));
-			} else if (isStartMap) {
-				folder.push(fatEntry.name);
+		// Read the whole FAT first, as we need to look ahead to identify levels.
+		let entries = [];
+		for (let i = 0; i < header.fileCount; i++) {
+			entries.push(buffer.readRecord(recordTypes.fatEntry));
+		}
+
+		let levelType;
+		for (let i = 0; i < entries.length; i++) {
+			const fatEntry = entries[i];
+
+			if (levelType === 'udmf') {
+				if (fatEntry.name === 'ENDMAP') {
+					endFolder();
+					levelType = undefined;
+					continue;
+				}
+			} else if (
+				levelType
+				&& !levelEntryOrder[levelType].includes(fatEntry.name)
+			) {
+				// Any lump that isn't part of a level marks the end of the level.  Do
+				// this first so E1M1 ends before E1M2 starts.
+				endFolder();
+				levelType = undefined;
 			}
 
-			// Update the folder prefix if it has changed.
-			if (isStart || isEnd || isStartMap || isEndMap) {
-				folderPrefix = folder.join('/');
-				if (folderPrefix.length > 0) folderPrefix += '/';
+			if (!levelType) {
+				levelType = getLevelType(entries, i);
+				if (levelType) {
+					folder.push({ name: fatEntry.name, fileCount: archive.files.length });
+					if (fatEntry.size !== 0) {
+						// Keep the data in the marker as the folder's own entry.
+						let file = new File();
+						file.name = folderPrefix();
+						file.diskSize = file.nativeSize = fatEntry.size;
+						file.offset = fatEntry.offset;
+						archive.files.push(file);
+					}
+					continue;
+				}
 			}
 
-			// These files we don't want to include
-			if (isStart || isStartMap || isEnd) continue;
+			if (fatEntry.size === 0) {
+				if (fatEntry.name.substr(-6) === '_START') {
+					folder.push({
+						name: fatEntry.name.substr(0, fatEntry.name.length - 6),
+						fileCount: archive.files.length,
+					});
+					continue;
+				}
+				// Only treat this as the end of the folder if it matches the start,
+				// otherwise it's kept as a normal lump so it gets written back out.
+				if (
+					(folder.length > 0)
+					&& (fatEntry.name.substr(-4) === '_END')
+				) {
+					const current = folder[folder.length - 1].name;
+					const ns = fatEntry.name.substr(0, fatEntry.name.length - 4);
+					if (
+						(ns === current)
+						|| (namespaceEndAliases[current] || []).includes(ns)
+					) {
+						endFolder(fatEntry.name);
+						continue;
+					}
+				}
+			}
 
 			let file = new File();
-			file.name = folderPrefix + fatEntry.name;
+			file.name = folderPrefix() + fatEntry.name;
 			file.diskSize = file.nativeSize = fatEntry.size;
 			file.offset = fatEntry.offset;
-			file.getRaw = () => buffer.getU8(file.offset, file.diskSize);
 
 			archive.files.push(file);
 		}
 
+		// Levels at the end of the file have no end marker.
+		while (folder.length > 0) endFolder();
+
 		return archive;
 	}
 
-	static generate(archive)
+	/**
+	 * Convert any folders into start/end marker entries.
+	 *
+	 * Files are written in the same order as they appear in `archive.files`,
+	 * including any with the same name, so an unmodified archive keeps its
+	 * lumps in the same order (see generateFAT() for when the output is
+	 * identical to the original).  A folder appearing again after other
+	 * files gets a second set of start/end markers.  The exception is level
+	 * lumps, which are gathered together and sorted into the order the game
+	 * expects, wherever they appear in the list.
+	 *
+	 * A file named after a folder with a trailing slash (e.g. `E1M1/`) stands
+	 * for the folder itself.  It is used to keep empty folders, and any data
+	 * stored in a level's marker lump.
+	 *
+	 * @param {Archive} archive
+	 *   Archive being written.
+	 *
+	 * @return {Array<File>} the files in the order they will be written, with
+	 *   folder names removed and marker entries added.
+	 */
+	static flattenFiles(archive)
 	{
-		// Group entries by folder
-		let groupedFiles = {};
+		const getFolder = file => file.name.substr(0, file.name.lastIndexOf('/'));
+		const levels = getLevelFolders(archive.files);
+
+		// Gather each level's lumps together where the level first appears.
+		let files = [];
+		let levelsDone = new Set();
 		for (const file of archive.files) {
-			let target = groupedFiles;
-			let path = file.name.split('/');
-			while (path.length > 1) {
-				const c = path.shift();
-				if (!target[c]) target[c] = {};
-				target = target[c];
+			const folder = getFolder(file);
+			const levelType = levels.get(folder);
+			if (!levelType) {
+				files.push(file);
+				continue;
 			}
-			target[path[0]] = {
-				shortName: path[0],
-				file: file,
+			if (levelsDone.has(folder)) continue;
+			levelsDone.add(folder);
+
+			// Sort the lumps into the expected order, with the folder entry (the
+			// marker) first and any unknown lumps last.  The sort is stable so the
+			// original order is kept for lumps with the same name.
+			const order = levelEntryOrder[levelType];
+			const rank = file => {
+				const name = file.name.substr(folder.length + 1);
+				if (name === '') return -1;
+				const i = order.indexOf(name);
+				return (i < 0) ? order.length : i;
 			};
+			let levelFiles = archive.files.filter(f => getFolder(f) === folder);
+			levelFiles.sort((a, b) => rank(a) - rank(b));
+			files.push(...levelFiles);
 		}
 
-		// Turn the grouped list into a flat one with the correct start/end entries.
+		const createMarker = name => {
+			let marker = new File();
+			marker.name = name;
+			marker.nativeSize = 0;
+			marker.getRaw = () => new Uint8Array();
+			return marker;
+		};
+
+		const { endMarkers = {} } = archive.extra[FORMAT_ID] || {};
+
 		let flatList = [];
-		const flatten = (list, level) => {
-			let keys = Object.keys(list);
-			if (level) {
-				// Sort the keys into the expected format
-				keys.sort((a, b) => {
-					return levelEntryOrder.indexOf(a) - levelEntryOrder.indexOf(b);
-				});
+		let openFolders = [];
+		const closeFolders = depth => {
+			while (openFolders.length > depth) {
+				const path = openFolders.map(f => f.name).join('/');
+				const { name, levelType } = openFolders.pop();
+				if (levelType === 'udmf') {
+					flatList.push(createMarker('ENDMAP'));
+				} else if (!levelType) {
+					flatList.push(createMarker(endMarkers[path] || (name + '_END')));
+				}
+				// Other levels don't have an end marker.
 			}
-			for (const name of keys) {
-				const entry = list[name];
-				if (entry.file) {
-					let newFile = new File(entry.file);
-					newFile.name = entry.shortName;
-					flatList.push(newFile);
+		};
+
+		for (const file of files) {
+			let path = file.name.split('/');
+			const shortName = path.pop();
+
+			// Close any folders this file isn't in.
+			let same = 0;
+			while (
+				(same < openFolders.length)
+				&& (same < path.length)
+				&& (openFolders[same].name === path[same])
+			) {
+				same++;
+			}
+			closeFolders(same);
+
+			// Open any folders it's in that aren't open yet.
+			for (let i = same; i < path.length; i++) {
+				const name = path[i];
+				const levelType = levels.get(path.slice(0, i + 1).join('/'));
+				let marker;
+				if (!levelType) {
+					marker = createMarker(name + '_START');
+				} else if ((i === path.length - 1) && (shortName === '')) {
+					// This is the level's own entry, so it holds the marker's data.
+					marker = new File(file);
+					marker.name = name;
 				} else {
-					let startEntry = new File();
-					const level = isLevel(name);
-					if (level) {
-						startEntry.name = name;
-					} else {
-						startEntry.name = name + '_START';
-					}
-					startEntry.nativeSize = 0;
-					startEntry.getRaw = () => new Uint8Array();
-					flatList.push(startEntry);
-
-					flatten(entry, level);
-
-					if (!level) {
-						let endEntry = new File();
-						endEntry.name = name + '_END';
-						endEntry.nativeSize = 0;
-						endEntry.getRaw = () => new Uint8Array();
-						flatList.push(endEntry);
-					}
+					marker = createMarker(name);
 				}
+				flatList.push(marker);
+				openFolders.push({ name, levelType });
 			}
-		};
-		flatten(groupedFiles);
 
-		const header = {
-			signature: 'IWAD',
-			fileCount: flatList.length,
-			fatOffset: HEADER_LEN,
-		};
+			// Nothing else to write for the folder entry.
+			if (shortName === '') continue;
 
-		// Work out where the FAT ends and the first file starts.
-		const lenFAT = HEADER_LEN + FATENTRY_LEN * header.fileCount;
+			let newFile = new File(file);
+			newFile.name = shortName;
+			flatList.push(newFile);
+		}
+		closeFolders(0);
+
+		return flatList;
+	}
+
+	static generate(archive)
+	{
+		const flatList = this.flattenFiles(archive);
 
 		// Calculate the size up front so we don't have to keep reallocating the
 		// buffer, improving performance.
 		const finalSize = flatList.reduce(
 			(a, b) => a + (b.nativeSize || 0),
-			lenFAT,
+			HEADER_LEN + FATENTRY_LEN * flatList.length,
 		);
 
 		let buffer = new RecordBuffer(finalSize);
-		buffer.writeRecord(recordTypes.header, header);
-		let offset = lenFAT;
-		for (const file of flatList) {
-			const entry = {
-				name: file.name,
-				size: file.nativeSize,
-				offset: offset,
-			};
-			buffer.writeRecord(recordTypes.fatEntry, entry);
-			offset += file.nativeSize;
-		}
+		const { header, fat } = this.generateFAT(archive, flatList);
+		const { fatAtEnd } = archive.extra[FORMAT_ID] || {};
+		buffer.put(header);
+		if (!fatAtEnd) buffer.put(fat);
 
 		for (const file of flatList) {
 			const content = file.getContent();
@@ -342,8 +627,86 @@ export default class Archive_WAD_Doom extends ArchiveHandler
 			buffer.put(content);
 		}
 
+		if (fatAtEnd) buffer.put(fat);
+
 		return {
 			main: buffer.getU8(),
 		};
 	}
+
+	static async generateAsync(archive, {main: sink})
+	{
+		const flatList = this.flattenFiles(archive);
+
+		let out = new SinkWriter(sink);
+		const { header, fat } = this.generateFAT(archive, flatList);
+		const { fatAtEnd } = archive.extra[FORMAT_ID] || {};
+		await out.put(header);
+		if (!fatAtEnd) await out.put(fat);
+
+		for (const file of flatList) {
+			const content = await file.getContentAsync();
+
+			// Safety check.
+			if (content.length != file.nativeSize) {
+				throw new Error(`Length of data (${content.length}) and nativeSize `
+					+ `(${file.nativeSize}) field do not match for ${file.name}!`);
+			}
+
+			await out.put(content);
+		}
+
+		if (fatAtEnd) await out.put(fat);
+	}
+
+	/**
+	 * Produce the header and FAT.
+	 *
+	 * The FAT goes straight after the header, unless `fatAtEnd` is set in the
+	 * archive's extra data, in which case it goes after the lump data as it
+	 * does in most WADs.  Either way the lumps are written one after the other
+	 * in the order given, so an archive is only written back out exactly as it
+	 * was read if its lumps were stored that way to begin with.
+	 *
+	 * @param {Archive} archive
+	 *   Archive being written, for its tags and extra data.
+	 *
+	 * @param {Array<File>} flatList
+	 *   Files as returned by flattenFiles().  The FAT is worked out from each
+	 *   file's `nativeSize`, so the data is not needed yet.
+	 *
+	 * @return {Object} with `header` and `fat` properties, each a `Uint8Array`.
+	 */
+	static generateFAT(archive, flatList)
+	{
+		const lenFAT = FATENTRY_LEN * flatList.length;
+		const lenData = flatList.reduce((a, b) => a + b.nativeSize, 0);
+		const { fatAtEnd } = archive.extra[FORMAT_ID] || {};
+
+		const header = {
+			signature: archive.tags.type || 'IWAD',
+			fileCount: flatList.length,
+			fatOffset: fatAtEnd ? HEADER_LEN + lenData : HEADER_LEN,
+		};
+
+		let bufferHeader = new RecordBuffer(HEADER_LEN);
+		bufferHeader.writeRecord(recordTypes.header, header);
+
+		let buffer = new RecordBuffer(lenFAT);
+		let offset = fatAtEnd ? HEADER_LEN : HEADER_LEN + lenFAT;
+		for (const file of flatList) {
+			const entry = {
+				name: file.name,
+				size: file.nativeSize,
+				offset: offset,
+			};
+			buffer.writeRecord(recordTypes.fatEntry, entry);
+			offset += file.nativeSize;
+		}
+
+		return {
+			header: bufferHeader.getU8(),
+			fat: buffer.getU8(),
+		};
+	}
 }
@@ -19,6 +19,7 @@
 
 // These file formats all have signatures so the autodetection is fast and they
 // are listed first.
+export { default as arc_bnk_carnage } from './arc-bnk-carnage.js';
 export { default as arc_bnk_harry } from './arc-bnk-harry.js';
 export { default as arc_epf_eastpoint } from './arc-epf-eastpoint.js';
 export { default as arc_glb_raptor } from './arc-glb-raptor.js';
@@ -37,6 +38,10 @@ export * from './arc-exe-keen6.js';
 // are unavailable.
 export { default as arc_gamemaps_id } from './arc-gamemaps-id.js';
 export { default as arc_gamemaps_id_carmack } from './arc-gamemaps-id-carmack.js';
+export { default as arc_gamemaps_id_huffman } from './arc-gamemaps-id-huffman.js';
+export * from './arc-egagraph-keen.js';
+export { default as arc_audiot_id } from './arc-audiot-id.js';
+export { default as arc_audiot_id_huffman } from './arc-audiot-id-huffman.js';
 
 // These formats require enumeration, sometimes all the way to the end of the
 // file, so they are next.
@@ -44,6 +49,7 @@ export { default as arc_dat_fast } from './arc-dat-fast.js';
 export { default as arc_dat_wacky } from './arc-dat-wacky.js';
 export { default as arc_pod_tv } from './arc-pod-tv.js';
 export { default as arc_dat_indy500 } from './arc-dat-indy500.js';
+export { default as arc_vswap_wolf3d } from './arc-vswap-wolf3d.js';
 export { default as arc_dat_papyrus_v1 } from './arc-dat-papyrus-v1.js';
 export { default as arc_dat_papyrus_v2 } from './arc-dat-papyrus-v2.js';
 export { default as arc_bpa_drally } from './arc-bpa-drally.js';
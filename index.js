@@ -21,10 +21,31 @@ import Debug from './util/debug.js';
 const debug = Debug.extend('index');
 
 import * as formats from './formats/index.js';
+import { matchGlob } from './util/supp.js';
 
 export * from './formats/index.js';
 export { default as Archive } from './interface/archive.js';
 export { default as File } from './interface/file.js';
+export { default as FixedArchive } from './util/fixedArchive.js';
+export { default as LimitIssue } from './interface/limitIssue.js';
+export { default as NameMap } from './util/nameMap.js';
+export {
+	mangleFilenames,
+	needsMangling,
+} from './util/mangle.js';
+export {
+	BufferSink,
+	FileHandleSink,
+	SinkWriter,
+	StreamSink,
+} from './util/sink.js';
+export {
+	BufferSource,
+	FileHandleSource,
+	isLoaded,
+	loadAll,
+	readOnDemand,
+} from './util/source.js';
 
 /**
  * Get a list of all the available handlers.
@@ -37,6 +58,81 @@ export const all = [
 	...Object.values(formats),
 ];
 
+/**
+ * Share of the autodetection score taken from the handler's `identify()`
+ * confidence.  The remainder comes from the filename matching a glob.
+ */
+const SCORE_WEIGHT_IDENTIFY = 80;
+const SCORE_WEIGHT_GLOB = 100 - SCORE_WEIGHT_IDENTIFY;
+
+/**
+ * Rank every handler by how likely it is to be able to read the content.
+ *
+ * Each handler's `identify()` result is combined with whether the filename
+ * matches one of the globs in its `metadata()`, to produce a score between 0
+ * and 100.  Handlers that reject the content outright are not included.
+ *
+ * @param {Uint8Array} content
+ *   Archive file content.
+ *
+ * @param {string} filename
+ *   Filename where `content` was read from.  If omitted, no handlers will get
+ *   the extra score for a matching glob.
+ *
+ * @return {Array<Object>} sorted with the most likely handler first.  Each
+ *   element has a `handler` property with the {ArchiveHandler}, a `valid`
+ *   property copied from the `identify()` result, a numeric `score`, and a
+ *   `reasons` array of strings explaining how the score was arrived at.
+ */
+export function rankHandlers(content, filename) {
+	if (content.length === undefined) {
+		throw new Error('content parameter must be Uint8Array');
+	}
+	let candidates = [];
+	for (const x of all) {
+		const metadata = x.metadata();
+		debug(`Trying format handler ${metadata.id} (${metadata.title})`);
+		const result = x.identify(content, filename);
+		if (result.valid === false) {
+			debug(`Not ${metadata.id}: ${result.reason}`);
+			continue;
+		}
+
+		let confidence = result.confidence;
+		if (confidence === undefined) {
+			confidence = (result.valid === true) ? 100 : 50;
+		}
+		let reasons = [
+			`${result.valid ? 'Matched' : 'Possible match'} (${confidence}%): `
+				+ result.reason,
+		];
+		let score = confidence * SCORE_WEIGHT_IDENTIFY / 100;
+
+		if (filename) {
+			const glob = metadata.glob.find(g => matchGlob(filename, g));
+			if (glob) {
+				score += SCORE_WEIGHT_GLOB;
+				reasons.push(`Filename matches "${glob}".`);
+			} else {
+				reasons.push(`Filename does not match any of: `
+					+ (metadata.glob.join(', ') || '(none)'));
+			}
+		}
+
+		debug(`Candidate ${metadata.id} scored ${score}: ${reasons.join(' ')}`);
+		candidates.push({
+			handler: x,
+			valid: result.valid,
+			score,
+			reasons,
+		});
+	}
+
+	// Array.sort() is stable, so handlers with equal scores stay in the order
+	// they are listed in formats/index.js.
+	return candidates.sort((a, b) => b.score - a.score);
+}
+
 /**
  * Get a handler by examining the file content.
  *
@@ -49,7 +145,8 @@ export const all = [
  *   omitted for less accurate autodetection.
  *
  * @return {Array<ArchiveHandler>} from formats/*.js that can handle the
- *   format, or an empty array if the format could not be identified.
+ *   format, or an empty array if the format could not be identified.  The
+ *   most likely handler is first, see {@link rankHandlers} for details.
  *
  * @example
  * import { findHandler as gamearchiveFindHandler } from '@camoto/gamearchive';
@@ -63,25 +160,5 @@ export const all = [
  * }
  */
 export function findHandler(content, filename) {
-	if (content.length === undefined) {
-		throw new Error('content parameter must be Uint8Array');
-	}
-	let handlers = [];
-	for (const x of all) {
-		const metadata = x.metadata();
-		debug(`Trying format handler ${metadata.id} (${metadata.title})`);
-		const confidence = x.identify(content, filename);
-		if (confidence.valid === true) {
-			debug(`Matched ${metadata.id}: ${confidence.reason}`);
-			handlers = [x];
-			break;
-		} else if (confidence.valid === undefined) {
-			debug(`Possible match for ${metadata.id}: ${confidence.reason}`);
-			handlers.push(x);
-			// keep going to look for a better match
-		} else {
-			debug(`Not ${metadata.id}: ${confidence.reason}`);
-		}
-	}
-	return handlers;
+	return rankHandlers(content, filename).map(c => c.handler);
 }
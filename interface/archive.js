@@ -34,6 +34,21 @@ export default class Archive
 		 */
 		this.tags = {};
 
+		/**
+		 * Format-specific fields with no equivalent in this class.
+		 *
+		 * This is the archive-level counterpart to `File.extra`.  Format handlers
+		 * store values here that are read from the archive header but are not
+		 * otherwise exposed (reserved or unknown fields, etc.) so they can be
+		 * written back unchanged.  As with `File.extra`, each handler keeps its
+		 * values in an object under its own format ID, e.g.
+		 * `archive.extra['arc-epf-eastpoint'].unknown`, so a value read by one
+		 * format is never used when the archive is saved in another.  Unlike
+		 * `tags`, these are not intended to be edited by the user, and handlers
+		 * must cope with them being missing.
+		 */
+		this.extra = {};
+
 		/**
 		 * An array of all the files in the archive.
 		 *
@@ -20,6 +20,11 @@
 import Debug from '../util/debug.js';
 const debug = Debug.extend('archiveHandler');
 
+import LimitIssue from './limitIssue.js';
+import { isLoaded, loadAll } from '../util/source.js';
+import { mangleFilenames } from '../util/mangle.js';
+import { filenameKey } from '../util/supp.js';
+
 /**
  * Base class and defaults for archive format handlers.
  *
@@ -61,6 +66,11 @@ export default class ArchiveHandler
 			 *   Maximum number of files that can be stored in the archive file, or
 			 *   undefined if there is no maximum limit.
 			 *
+			 * @property {Number} caps.maxArchiveSize
+			 *   Maximum size of the archive file in bytes, usually because offsets
+			 *   are stored in a field of limited size, or undefined if there is no
+			 *   limit.
+			 *
 			 * @property {Object} caps.file
 			 *   Capabilities relating to files inside the archive.
 			 *
@@ -92,9 +102,48 @@ export default class ArchiveHandler
 			 *   archive can only store normal DOS 8.3 filenames, then this would
 			 *   be 12.  If omitted there is no restriction on filename length.
 			 *
+			 * @property {Number} caps.file.maxNameBytes
+			 *   Number of bytes available to store the filename, not counting any
+			 *   terminating null.  Names are stored in code page 437, so this is
+			 *   usually the same as `maxFilenameLen`.  Formats with folders must
+			 *   check this themselves, as only they know how much of the name is
+			 *   stored.  If omitted the name is not limited beyond
+			 *   `maxFilenameLen`.
+			 *
+			 * @property {Number} caps.file.maxFileSize
+			 *   Largest file that can be stored, in bytes, as it appears in the
+			 *   archive (i.e. after compression).  If omitted there is no limit.
+			 *
+			 * @property {Number} caps.file.maxNativeSize
+			 *   Largest file that can be stored, in bytes, before it is compressed.
+			 *   If omitted there is no limit.
+			 *
+			 * @property {Boolean} caps.file.folders
+			 *   True if filenames can include folders, separated by slashes.  Default
+			 *   is false.
+			 *
+			 * @property {Boolean} caps.file.dosNames
+			 *   True if filenames are DOS 8.3 names.  When files have to be renamed
+			 *   to fit the format, they are given uppercase 8.3 names with `~1`
+			 *   suffixes, the same way Windows creates short filenames.  Default is
+			 *   false.
+			 *
+			 * @property {Boolean} caps.file.caseSensitive
+			 *   True if the game treats filenames that differ only in case as
+			 *   different files.  Default is false, as most games looked up their
+			 *   files without regard to case, like DOS does.
+			 *
+			 * @property {Boolean} caps.file.duplicates
+			 *   True if the format allows more than one file to have the same name,
+			 *   such as Doom WADs where every level has a THINGS lump.  Default is
+			 *   false.
+			 *
 			 * @property {Object} caps.tags
-			 *   Key=Value list of tags this format supports, e.g.
-			 *   `{ desc: 'Description' }`.
+			 *   Tags this format supports in `archive.tags`.  Each key is the tag
+			 *   name, and the value describes it, e.g.
+			 *   `{ description: { type: 'string', size: 80 } }`.  Tags limited to
+			 *   certain values list them in a `values` array, along with the
+			 *   `default` used when the tag is not set.
 			 */
 			id: 'unknown',
 			title: 'Unknown format',
@@ -102,6 +151,7 @@ export default class ArchiveHandler
 			glob: [],
 			caps: {
 				maxFileCount: undefined,
+				maxArchiveSize: undefined,
 				file: {
 					lastModified: false,
 					attributes: {
@@ -109,6 +159,13 @@ export default class ArchiveHandler
 						encrypted: false,
 					},
 					maxFilenameLen: undefined,
+					maxNameBytes: undefined,
+					maxFileSize: undefined,
+					maxNativeSize: undefined,
+					folders: false,
+					dosNames: false,
+					caseSensitive: false,
+					duplicates: false,
 				},
 				tags: {},
 			},
@@ -121,38 +178,205 @@ export default class ArchiveHandler
 	 * @param {Archive} archive
 	 *   Archive to attempt to write in this handler's format.
 	 *
-	 * @return {Array<string>} listing any problems that will prevent the
-	 *   supplied archive from being written in this format.  An empty array
-	 *   indicates no problems.
+	 * @param {Object} options
+	 *   Optional settings passed to `mangleFilenames()` in `util/mangle.js`
+	 *   when proposing new names for files that don't fit the format, e.g.
+	 *   `{ folders: 'flatten' }` to keep folder names as a prefix.
+	 *
+	 * @return {Array<LimitIssue>} listing any problems that will prevent the
+	 *   supplied archive from being written in this format, or warnings about
+	 *   things that are not ideal.  An empty array indicates no problems.  Any
+	 *   proposed fixes can be made with `LimitIssue.applyFixes()`.
 	 */
-	static checkLimits(archive)
+	static checkLimits(archive, options = {})
 	{
-		const { caps } = this.metadata();
+		const { id: formatId, caps } = this.metadata();
 		let issues = [];
 
 		if (caps.maxFileCount && (archive.files.length > caps.maxFileCount)) {
-			issues.push(`There are ${archive.files.length} files to save, but this `
-				+ `archive format can only store up to ${caps.maxFileCount} files.`);
+			issues.push(new LimitIssue({
+				code: 'TOO_MANY_FILES',
+				message: `There are ${archive.files.length} files to save, but this `
+					+ `archive format can only store up to ${caps.maxFileCount} files.`,
+			}));
+		}
+
+		// Work out new names for everything that doesn't fit all at once, so the
+		// new names don't clash with each other.
+		let newNames = new Map();
+		for (const r of mangleFilenames(archive.files, caps, options)) {
+			newNames.set(r.file, r.newName);
+		}
+		const renameFix = file => {
+			const newName = newNames.get(file);
+			if (newName === undefined) return undefined;
+			return {
+				action: 'rename',
+				name: newName,
+				description: `Rename to "${newName}".`,
+			};
+		};
+
+		if (!caps.file.folders) {
+			archive.files.forEach(file => {
+				if (file.name.indexOf('/') < 0) return;
+				if (file.name.substr(-1) === '/') {
+					issues.push(new LimitIssue({
+						code: 'FOLDERS_UNSUPPORTED',
+						file,
+						message: `This archive format does not support folders: `
+							+ `${file.name}`,
+						fix: {
+							action: 'remove',
+							description: `Remove the empty folder.`,
+						},
+					}));
+					return;
+				}
+				issues.push(new LimitIssue({
+					code: 'FOLDERS_UNSUPPORTED',
+					file,
+					message: `This archive format does not support folders: `
+						+ `${file.name}`,
+					fix: renameFix(file),
+				}));
+			});
 		}
 
-		if (caps.file.maxFilenameLen !== undefined) {
+		archive.files.forEach(file => {
+			if (
+				(caps.file.maxFilenameLen !== undefined)
+				&& (file.name.length > caps.file.maxFilenameLen)
+			) {
+				issues.push(new LimitIssue({
+					code: 'FILENAME_TOO_LONG',
+					file,
+					message: `Filename length is ${file.name.length}, max is `
+						+ `${caps.file.maxFilenameLen}: ${file.name}`,
+					fix: renameFix(file),
+				}));
+			} else if (
+				!caps.file.folders
+				&& (caps.file.maxNameBytes !== undefined)
+				// One byte per character in code page 437.
+				&& (file.name.length > caps.file.maxNameBytes)
+			) {
+				issues.push(new LimitIssue({
+					code: 'FILENAME_TOO_LONG',
+					file,
+					message: `Filename is ${file.name.length} bytes, max is `
+						+ `${caps.file.maxNameBytes}: ${file.name}`,
+					fix: renameFix(file),
+				}));
+			}
+		});
+
+		if (!caps.file.duplicates) {
+			let seen = new Map();
 			archive.files.forEach(file => {
-				if (file.name.length > caps.file.maxFilenameLen) {
-					issues.push(`Filename length is ${file.name.length}, max is `
-						+ `${caps.file.maxFilenameLen}: ${file.name}`);
+				const key = filenameKey(file.name, caps);
+				const first = seen.get(key);
+				if (!first) {
+					seen.set(key, file);
+					return;
 				}
+				issues.push(new LimitIssue({
+					code: 'DUPLICATE_FILENAME',
+					file,
+					message: (first.name === file.name)
+						? `There is more than one file called ${file.name}, but this `
+							+ `archive format requires every filename to be unique.`
+						: `${file.name} has the same name as ${first.name}, as filenames `
+							+ `in this archive format are not case-sensitive.`,
+					fix: renameFix(file),
+				}));
 			});
 		}
 
+		let archiveSize = 0;
 		archive.files.forEach(file => {
+			if (file.name.substr(-1) === '/') return;
+
+			if (
+				(caps.file.maxNativeSize !== undefined)
+				&& (file.nativeSize > caps.file.maxNativeSize)
+			) {
+				issues.push(new LimitIssue({
+					code: 'NATIVE_SIZE_TOO_LARGE',
+					file,
+					message: `File ${file.name} is ${file.nativeSize} bytes, but this `
+						+ `archive format can only store files up to `
+						+ `${caps.file.maxNativeSize} bytes.`,
+				}));
+			}
+
+			// The size of files that will be compressed isn't known until they are,
+			// so generate() will have to catch those.  Files with the attribute
+			// unset are left to the handler, which may compress them, unless the
+			// format can't compress individual files.
+			let diskSize;
+			if (file.isUntouched(formatId)) {
+				diskSize = file.diskSize;
+			} else if (
+				(file.attributes.compressed === false)
+				|| (
+					(file.attributes.compressed === undefined)
+					&& !caps.file.attributes.compressed
+				)
+			) {
+				diskSize = file.nativeSize;
+			}
+			if (diskSize === undefined) return;
+			archiveSize += diskSize;
+
+			if (
+				(caps.file.maxFileSize !== undefined)
+				&& (diskSize > caps.file.maxFileSize)
+			) {
+				issues.push(new LimitIssue({
+					code: 'FILE_TOO_LARGE',
+					file,
+					message: `File ${file.name} would take up ${diskSize} bytes in the `
+						+ `archive, but this archive format can only store files up to `
+						+ `${caps.file.maxFileSize} bytes.`,
+				}));
+			}
+		});
+
+		if (
+			(caps.maxArchiveSize !== undefined)
+			&& (archiveSize > caps.maxArchiveSize)
+		) {
+			issues.push(new LimitIssue({
+				code: 'ARCHIVE_TOO_LARGE',
+				message: `The files add up to ${archiveSize} bytes, but this archive `
+					+ `format can only be up to ${caps.maxArchiveSize} bytes in size.`,
+			}));
+		}
+
+		archive.files.forEach(file => {
+			// Entries ending in a slash are empty folders, with no content to check.
+			if (file.name.substr(-1) === '/') return;
+			// Archives opened with parseAsync() may not have the data to check yet.
+			if (!isLoaded(file)) return;
 			if (file.nativeSize === 0) {
 				const content = file.getContent();
 				if (content.length !== 0) {
-					Debug.warn(`File ${file.name} has nativeSize unset but content is ` +
-						`${content.length} bytes.  This will cause slow memory ` +
-						`reallocations during archive writes and should be fixed if ` +
-						`possible.`
-					);
+					issues.push(new LimitIssue({
+						code: 'NATIVE_SIZE_MISSING',
+						severity: LimitIssue.WARNING,
+						file,
+						message: `File ${file.name} has nativeSize unset but content is `
+							+ `${content.length} bytes.  This will cause slow memory `
+							+ `reallocations during archive writes and should be fixed if `
+							+ `possible.`,
+						fix: {
+							action: 'set',
+							property: 'nativeSize',
+							value: content.length,
+							description: `Set nativeSize to ${content.length}.`,
+						},
+					}));
 				}
 			}
 		});
@@ -218,6 +442,14 @@ export default class ArchiveHandler
 	 *   although user-friendly explanation as to why the data was decreed to be
 	 *   or not be in this format.  This is most useful when uncertain or
 	 *   rejecting content, as the user can then be informed why.
+	 *
+	 *   The returned object may also have a `.confidence` property, a number
+	 *   between 0 and 100 indicating how sure the handler is that the data is
+	 *   in this format.  This is used to rank handlers when more than one of
+	 *   them accepts the same file, so formats without a signature should
+	 *   lower it when the FAT looks suspicious (gaps between files, unknown
+	 *   flags, etc.) even though the data can still be read.  If omitted, it
+	 *   defaults to 100 when `.valid` is `true` and 50 when it is `undefined`.
 	 */
 	// eslint-disable-next-line no-unused-vars
 	static identify(content, filename) {
@@ -236,13 +468,54 @@ export default class ArchiveHandler
 	 *   file, with any other supps as other properties.  Each property is a
 	 *   {Uint8Array}.
 	 *
+	 * @param {Object} options
+	 *   Optional settings for formats that need more information to read an
+	 *   archive.  Formats that don't need any ignore it.
+	 *
+	 * @param {NameMap} options.nameMap
+	 *   Filenames to use for formats that don't store them, in addition to any
+	 *   names built into the handler.  See `util/nameMap.js`.
+	 *
 	 * @return {Archive} object detailing the contents of the archive file.
 	 */
 	// eslint-disable-next-line no-unused-vars
-	static parse(content) {
+	static parse(content, options = {}) {
 		throw new Error('Not implemented yet.');
 	}
 
+	/**
+	 * Read the given archive file on demand.
+	 *
+	 * This is an alternative to parse() for archives that may be too large to
+	 * load into memory.  Only the header and FAT are read up front, and the
+	 * data for each file is read when its `getRawAsync()` or `getContentAsync()`
+	 * function is called.  Use `loadAll()` from `util/source.js` before calling
+	 * the synchronous functions or passing the archive to generate().
+	 *
+	 * The default implementation reads everything into memory and passes it to
+	 * parse(), so it works for every format.  Handlers for formats likely to
+	 * hold large archives should override it.
+	 *
+	 * @param {Object} source
+	 *   Same as the `content` parameter to parse(), except each property is an
+	 *   object with a `length` property and an async `read(offset, length)`
+	 *   function returning a `Uint8Array`, such as a `BufferSource` or
+	 *   `FileHandleSource` from `util/source.js`.
+	 *
+	 * @param {Object} options
+	 *   Same as for parse().
+	 *
+	 * @return {Promise<Archive>} object detailing the contents of the archive
+	 *   file.
+	 */
+	static async parseAsync(source, options = {}) {
+		let content = {};
+		for (const [id, s] of Object.entries(source)) {
+			content[id] = await s.read(0, s.length);
+		}
+		return this.parse(content, options);
+	}
+
 	/**
 	 * Write out an archive file in this format.
 	 *
@@ -253,13 +526,61 @@ export default class ArchiveHandler
 	 * @param {Archive} archive
 	 *   The contents of the file to write.
 	 *
+	 * @param {Object} options
+	 *   Optional settings, the same as for parse().  Formats that don't store
+	 *   filenames may record them in `options.nameMap` so the names can be
+	 *   found again when the archive is next opened with the same map.
+	 *
 	 * @return {Object} containing the contents of the file in the `main`
 	 *   property, with any other supp files as other properties.  Each property
 	 *   is a `Uint8Array` suitable for writing directly to a file on disk or
 	 *   offering for download to the user.
 	 */
 	// eslint-disable-next-line no-unused-vars
-	static generate(archive) {
+	static generate(archive, options = {}) {
 		throw new Error('Not implemented yet.');
 	}
+
+	/**
+	 * Write out an archive file in this format, a piece at a time.
+	 *
+	 * This is an alternative to generate() that passes the data to a sink as
+	 * it is produced, instead of building the whole archive in memory first.
+	 * File data is read with `getContentAsync()`, so archives opened with
+	 * parseAsync() can be written without loading them with `loadAll()` first
+	 * (unless they are being written back over the file they are read from).
+	 *
+	 * The default implementation calls generate() and writes out the result,
+	 * so it works for every format.  Handlers for formats likely to hold large
+	 * archives should override it.
+	 *
+	 * Preconditions: Same as generate().
+	 *
+	 * @param {Archive} archive
+	 *   The contents of the file to write.
+	 *
+	 * @param {Object} sinks
+	 *   Where to write the data.  There must be a `main` property for the main
+	 *   archive file, and one for each supp file listed by supps().  Each is an
+	 *   object with an async `write(offset, data)` function, such as a
+	 *   `BufferSink`, `FileHandleSink` or `StreamSink` from `util/sink.js`.
+	 *   Some formats need to go back and write a header once the file data has
+	 *   been written, so these will fail with a sink that can only be written
+	 *   sequentially.
+	 *
+	 * @param {Object} options
+	 *   Same as for generate().
+	 *
+	 * @return {Promise} resolved once all the data has been written.
+	 */
+	static async generateAsync(archive, sinks, options = {}) {
+		await loadAll(archive);
+		const content = this.generate(archive, options);
+		for (const [id, data] of Object.entries(content)) {
+			if (!sinks[id]) {
+				throw new Error(`No sink was supplied for the "${id}" output.`);
+			}
+			await sinks[id].write(0, data);
+		}
+	}
 }
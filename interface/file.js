@@ -72,7 +72,7 @@ export default class File
 		 * After creating an archive with generate(), this field may be populated to
 		 * reflect the newly written format.
 		 */
-		this.diskSize = clone.diskSize || undefined;
+		this.diskSize = clone.diskSize;
 
 		/**
 		 * Native file size.
@@ -93,7 +93,7 @@ export default class File
 		 * After creating an archive with generate(), this field may be populated to
 		 * reflect the newly written format.
 		 */
-		this.nativeSize = clone.nativeSize || undefined;
+		this.nativeSize = clone.nativeSize;
 
 		/**
 		 * Attributes for this specific file.
@@ -109,6 +109,23 @@ export default class File
 			encrypted: clone.attributes && clone.attributes.encrypted,
 		};
 
+		/**
+		 * Format-specific fields with no equivalent in this class.
+		 *
+		 * @type {Object}
+		 *
+		 * Format handlers put any on-disk values here that they would otherwise
+		 * discard when parsing (unknown fields, IDs, reserved bytes, etc.) and
+		 * use them again in generate(), so that an archive which is read and
+		 * then written back unchanged produces identical output.  Each handler
+		 * keeps its values in an object under its own format ID, e.g.
+		 * `file.extra['arc-dat-fast'].typeCode`, so that values read by one format
+		 * are never mistaken for another format's when converting between them.
+		 * Handlers must cope with their entry being missing, as is the case for
+		 * newly added files or files coming from an archive in a different format.
+		 */
+		this.extra = { ...clone.extra };
+
 		/**
 		 * Read this file.
 		 *
@@ -137,5 +154,71 @@ export default class File
 				throw new Error('getRaw() has not been supplied for this file!');
 			}
 		);
+
+		/**
+		 * Read this file without blocking.
+		 *
+		 * By default this returns the same data as getContent().  It only needs
+		 * to be overridden when the data is read on demand, as is the case for
+		 * archives opened with `parseAsync()`.  See readOnDemand() in
+		 * `util/source.js`.
+		 *
+		 * @return {Promise<Uint8Array>} containing the file data in its native
+		 *   (decompressed, decrypted) format.
+		 */
+		this.getContentAsync = clone.getContentAsync || (
+			async () => this.getContent()
+		);
+
+		/**
+		 * Read the file exactly as it is in the archive, without blocking.
+		 *
+		 * By default this returns the same data as getRaw().
+		 *
+		 * @return {Promise<Uint8Array>} containing the file data in its on-disk
+		 *   (compressed, encrypted) format.
+		 */
+		this.getRawAsync = clone.getRawAsync || (
+			async () => this.getRaw()
+		);
+	}
+
+	/**
+	 * Flag this file as unmodified since it was read from an archive.
+	 *
+	 * Format handlers call this at the end of parse(), once getRaw() and
+	 * getContent() have been set up, so that generate() can later call
+	 * isUntouched() and copy the on-disk data straight through instead of
+	 * decompressing and recompressing it.  Replacing either getRaw() or
+	 * getContent(), or changing any attributes, clears the flag.
+	 *
+	 * @param {string} formatId
+	 *   ID of the format handler that read the file.  The raw data is only
+	 *   reused when the archive is written back out in this same format.
+	 */
+	markUntouched(formatId) {
+		const state = {
+			formatId,
+			attributes: JSON.stringify(this.attributes),
+		};
+		this.getRaw.untouched = state;
+		this.getContent.untouched = state;
+	}
+
+	/**
+	 * Check whether this file is still unmodified since it was read.
+	 *
+	 * @param {string} formatId
+	 *   ID of the format handler about to write the file.
+	 *
+	 * @return {Boolean} true if getRaw() can be used as-is for the on-disk
+	 *   data, false if the file must be written from getContent().
+	 */
+	isUntouched(formatId) {
+		const state = this.getRaw.untouched;
+		return !!state
+			&& (this.getContent.untouched === state)
+			&& (state.formatId === formatId)
+			&& (state.attributes === JSON.stringify(this.attributes));
 	}
 }
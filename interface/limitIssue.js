@@ -0,0 +1,154 @@
+/*
+ * A problem preventing an archive from being written in a given format.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * A problem found by {@link ArchiveHandler.checkLimits checkLimits()}.
+ *
+ * Instances of this class are returned in the array from checkLimits().  They
+ * convert to the English message when used as a string, so code that only
+ * wants to display the problems can treat them as strings.
+ */
+export default class LimitIssue
+{
+	constructor(clone = {}) {
+		/**
+		 * Machine-readable identifier for the type of problem.
+		 *
+		 * @type {string}
+		 *
+		 * Values used by the base class are:
+		 *
+		 *   - `TOO_MANY_FILES`: The archive holds more files than the format can
+		 *     store.
+		 *   - `FILENAME_TOO_LONG`: A filename is longer than the format can
+		 *     store.
+		 *   - `FOLDERS_UNSUPPORTED`: A filename includes a folder, but the format
+		 *     has no folders.
+		 *   - `DUPLICATE_FILENAME`: More than one file has the same name, taking
+		 *     into account whether the format's filenames are case-sensitive.
+		 *   - `FILE_TOO_LARGE`: A file is larger than the format can store.
+		 *   - `NATIVE_SIZE_TOO_LARGE`: A file is larger than the format can store
+		 *     once it has been decompressed.
+		 *   - `ARCHIVE_TOO_LARGE`: The archive would be larger than the format
+		 *     can store.
+		 *   - `NATIVE_SIZE_MISSING`: A file has its `nativeSize` unset but
+		 *     contains data.
+		 *
+		 * Format handlers may use their own codes as well, for example
+		 * `FOLDER_NAME_TOO_LONG` or `INVALID_FILENAME`.
+		 */
+		this.code = clone.code;
+
+		/**
+		 * How serious the problem is.
+		 *
+		 * @type {string}
+		 *
+		 * `error` if the archive can't be written until the problem is fixed, or
+		 * `warning` if the archive can still be written but something is not
+		 * ideal.
+		 */
+		this.severity = clone.severity || LimitIssue.ERROR;
+
+		/**
+		 * The file the problem relates to, or undefined if it relates to the
+		 * archive as a whole.
+		 *
+		 * @type {File}
+		 */
+		this.file = clone.file;
+
+		/**
+		 * English description of the problem, suitable for showing to the user.
+		 *
+		 * @type {string}
+		 */
+		this.message = clone.message;
+
+		/**
+		 * A proposed change that would resolve this issue, or undefined if the
+		 * problem can't be fixed automatically.
+		 *
+		 * @type {Object}
+		 *
+		 * The `action` property is one of:
+		 *
+		 *   - `rename`: Change the file's name to the `name` property.
+		 *   - `remove`: Remove the file from the archive.
+		 *   - `set`: Set the file's `property` to `value`.
+		 *
+		 * There is also a `description` property explaining the change in
+		 * English.  Use {@link LimitIssue.applyFixes applyFixes()} to make the
+		 * changes.
+		 */
+		this.fix = clone.fix;
+	}
+
+	toString() {
+		return this.message;
+	}
+
+	/**
+	 * Apply the proposed fixes to an archive.
+	 *
+	 * @param {Archive} archive
+	 *   Archive to change.  It should be the same one passed to checkLimits().
+	 *
+	 * @param {Array<LimitIssue>} issues
+	 *   Issues returned by checkLimits().  Issues without a fix are ignored.
+	 *
+	 * @return {Array<LimitIssue>} the issues that were not fixed.  checkLimits()
+	 *   should be called again afterwards, as some fixes may cause new problems
+	 *   (e.g. two files renamed to the same name).
+	 */
+	static applyFixes(archive, issues) {
+		let unfixed = [];
+		let toRemove = [];
+		for (const issue of issues) {
+			const fix = issue.fix;
+			if (!fix || !issue.file) {
+				unfixed.push(issue);
+				continue;
+			}
+			switch (fix.action) {
+				case 'rename':
+					issue.file.name = fix.name;
+					break;
+				case 'remove':
+					// Remove them all at the end so any other fixes for the same file
+					// don't fail.
+					toRemove.push(issue.file);
+					break;
+				case 'set':
+					issue.file[fix.property] = fix.value;
+					break;
+				default:
+					unfixed.push(issue);
+					break;
+			}
+		}
+
+		archive.files = archive.files.filter(f => !toRemove.includes(f));
+
+		return unfixed;
+	}
+}
+
+LimitIssue.ERROR = 'error';
+LimitIssue.WARNING = 'warning';
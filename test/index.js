@@ -23,9 +23,28 @@ import TestUtil from './util.js';
 import {
 	all as gamearchiveFormats,
 	Archive,
+	BufferSink,
+	BufferSource,
 	File,
+	LimitIssue,
 } from '../index.js';
 
+// Value used for each tag in the standard test files.  Tags that can only be
+// set to certain values use the default one.
+function expectedTag(md, mdTag)
+{
+	const tagInfo = md.caps.tags[mdTag];
+	if (tagInfo.values) return tagInfo.default;
+	return `${mdTag} goes here`;
+}
+
+// Only string tags can be checked against the standard test data.  Other types
+// are covered by each format's extra tests.
+function isStandardTag(md, mdTag)
+{
+	return md.caps.tags[mdTag].type === 'string';
+}
+
 // The standard tests for these formats are skipped entirely.
 const skipFormats = [
 	'arc-exe-ddave',
@@ -52,6 +71,20 @@ const skipFormats = [
 	'arc-exe-keen6-ega_1v5',
 ];
 
+// Formats that only allow certain filenames, so the tests that need other
+// names are skipped.
+const fixedNames = [
+	'arc-audiot-id',
+	'arc-audiot-id-huffman',
+	'arc-egagraph-keen4',
+	'arc-egagraph-keen5',
+	'arc-egagraph-keen6',
+	'arc-gamemaps-id',
+	'arc-gamemaps-id-carmack',
+	'arc-gamemaps-id-huffman',
+	'arc-vswap-wolf3d',
+];
+
 // Override the default colours so we can actually see them
 import { colors } from 'mocha/lib/reporters/base.js';
 colors['diff added'] = '1;33';
@@ -133,6 +166,28 @@ for (const handler of gamearchiveFormats) {
 						file.nativeSize = 14; // fixed length
 						file.getRaw = () => TestUtil.u8FromString('This is file 1');
 						break;
+					case 'arc-audiot-id': // fall through
+					case 'arc-audiot-id-huffman':
+						// Must be a valid PC speaker sound
+						file.name = 'pc-000';
+						file.nativeSize = 29;
+						file.getRaw = () => new Uint8Array([
+							22, 0x00, 0x00, 0x00, 0x00, 0x00,
+							...TestUtil.u8FromString('This is the first file'),
+							0x00,
+						]);
+						break;
+					case 'arc-vswap-wolf3d':
+						file.name = 'sprite-000';
+						break;
+					case 'arc-egagraph-keen4': // fall through
+					case 'arc-egagraph-keen5': // fall through
+					case 'arc-egagraph-keen6':
+						// The first chunks are the tables, this one with a 16x16 image.
+						file.name = 'pictable';
+						file.nativeSize = 4;
+						file.getRaw = () => new Uint8Array([2, 0x00, 16, 0x00]);
+						break;
 					default:
 						break;
 				}
@@ -162,6 +217,27 @@ for (const handler of gamearchiveFormats) {
 						file.nativeSize = 14; // fixed length
 						file.getRaw = () => TestUtil.u8FromString('This is file 2');
 						break;
+					case 'arc-audiot-id': // fall through
+					case 'arc-audiot-id-huffman':
+						// Must be a valid AdLib sound
+						file.name = 'adlib-000';
+						file.nativeSize = 46;
+						file.getRaw = () => new Uint8Array([
+							23, 0x00, 0x00, 0x00, 0x00, 0x00,
+							...new Array(16 + 1).fill(0x00),
+							...TestUtil.u8FromString('This is the second file'),
+						]);
+						break;
+					case 'arc-vswap-wolf3d':
+						file.name = 'sprite-001';
+						break;
+					case 'arc-egagraph-keen4': // fall through
+					case 'arc-egagraph-keen5': // fall through
+					case 'arc-egagraph-keen6':
+						file.name = 'picmtable';
+						file.nativeSize = 4;
+						file.getRaw = () => new Uint8Array([2, 0x00, 16, 0x00]);
+						break;
 					default:
 						break;
 				}
@@ -196,6 +272,26 @@ for (const handler of gamearchiveFormats) {
 						file.nativeSize = 14; // fixed length
 						file.getRaw = () => TestUtil.u8FromString('This is file 3');
 						break;
+					case 'arc-audiot-id': // fall through
+					case 'arc-audiot-id-huffman':
+						// Digitised sounds can contain anything
+						file.name = 'digi-000';
+						break;
+					case 'arc-vswap-wolf3d':
+						file.name = 'digi-000';
+						break;
+					case 'arc-egagraph-keen4': // fall through
+					case 'arc-egagraph-keen5': // fall through
+					case 'arc-egagraph-keen6':
+						file.name = 'spritetable';
+						file.nativeSize = 18;
+						file.getRaw = () => new Uint8Array([
+							2, 0x00, 16, 0x00, // size
+							0, 0x00, 0, 0x00, // origin
+							0, 0x00, 0, 0x00, 15, 0x00, 15, 0x00, // hitbox
+							4, 0x00, // shifts
+						]);
+						break;
 					default:
 						break;
 				}
@@ -223,15 +319,34 @@ for (const handler of gamearchiveFormats) {
 							...TestUtil.u8FromString('This is the info')
 						]);
 						break;
+					case 'arc-audiot-id': // fall through
+					case 'arc-audiot-id-huffman':
+						// Must be a valid song
+						file.name = 'music-000';
+						file.nativeSize = 25;
+						file.getRaw = () => new Uint8Array([
+							23, 0x00,
+							...TestUtil.u8FromString('This is the fourth file'),
+						]);
+						break;
+					case 'arc-vswap-wolf3d':
+						file.name = 'digi-001';
+						break;
+					case 'arc-egagraph-keen4': // fall through
+					case 'arc-egagraph-keen5': // fall through
+					case 'arc-egagraph-keen6':
+						file.name = 'font-000';
+						break;
 					default:
 						break;
 				}
 				defaultArchive.files.push(file);
 
-				const mdTags = Object.keys(md.caps.tags);
+				const mdTags = Object.keys(md.caps.tags)
+					.filter(mdTag => isStandardTag(md, mdTag));
 				if (mdTags.length > 0) {
 					mdTags.forEach(mdTag => {
-						defaultArchive.tags[mdTag] = `${mdTag} goes here`;
+						defaultArchive.tags[mdTag] = expectedTag(md, mdTag);
 					});
 				}
 
@@ -261,6 +376,16 @@ for (const handler of gamearchiveFormats) {
 							// This format pads out with empty folders
 							assert.equal(archive.files.length, 100 + 1 * 3);
 							break;
+						case 'arc-egagraph-keen4': // fall through
+						case 'arc-egagraph-keen5': // fall through
+						case 'arc-egagraph-keen6': {
+							// Every chunk in the game's layout is listed, even when empty.
+							// Each table has one entry, and there are no externs.
+							const layout = handler.getLayout();
+							assert.equal(archive.files.length,
+								3 + layout.fonts + 3 + 2 + layout.tile16 + layout.tile16m);
+							break;
+						}
 						default:
 							assert.equal(archive.files.length, 4);
 							break;
@@ -285,6 +410,35 @@ for (const handler of gamearchiveFormats) {
 								...TestUtil.u8FromString('This is the info')
 							]);
 							break;
+						case 'arc-audiot-id': // fall through
+						case 'arc-audiot-id-huffman':
+							exp1 = new Uint8Array([
+								22, 0x00, 0x00, 0x00, 0x00, 0x00,
+								...exp1,
+								0x00,
+							]);
+							exp2 = new Uint8Array([
+								23, 0x00, 0x00, 0x00, 0x00, 0x00,
+								...new Array(16 + 1).fill(0x00),
+								...exp2,
+							]);
+							exp4 = new Uint8Array([
+								23, 0x00,
+								...exp4,
+							]);
+							break;
+						case 'arc-egagraph-keen4': // fall through
+						case 'arc-egagraph-keen5': // fall through
+						case 'arc-egagraph-keen6':
+							exp1 = new Uint8Array([2, 0x00, 16, 0x00]);
+							exp2 = new Uint8Array([2, 0x00, 16, 0x00]);
+							exp3 = new Uint8Array([
+								2, 0x00, 16, 0x00,
+								0, 0x00, 0, 0x00,
+								0, 0x00, 0, 0x00, 15, 0x00, 15, 0x00,
+								4, 0x00,
+							]);
+							break;
 						default:
 							exp4 = TestUtil.u8FromString('This is the fourth file');
 							break;
@@ -313,6 +467,17 @@ for (const handler of gamearchiveFormats) {
 							// Fixed length files.
 							exp = [14, 14, 14, 20];
 							break;
+						case 'arc-audiot-id': // fall through
+						case 'arc-audiot-id-huffman':
+							// Sound headers.
+							exp = [29, 46, 22, 25];
+							break;
+						case 'arc-egagraph-keen4': // fall through
+						case 'arc-egagraph-keen5': // fall through
+						case 'arc-egagraph-keen6':
+							// Tables.
+							exp = [4, 4, 18, 23];
+							break;
 						default:
 							break;
 					}
@@ -355,6 +520,10 @@ for (const handler of gamearchiveFormats) {
 							case 'arc-gamemaps-id': // fall through
 							case 'arc-gamemaps-id-carmack': // fall through
 							case 'arc-gamemaps-id-huffman': // fall through
+							case 'arc-audiot-id-huffman': // fall through
+							case 'arc-egagraph-keen4': // fall through
+							case 'arc-egagraph-keen5': // fall through
+							case 'arc-egagraph-keen6': // fall through
 							case 'arc-dat-indy500':
 								assert.equal(archive.files[2].attributes.compressed, true);
 								break;
@@ -374,17 +543,42 @@ for (const handler of gamearchiveFormats) {
 					});
 				}
 
-				const mdTags = Object.keys(md.caps.tags);
+				const mdTags = Object.keys(md.caps.tags)
+					.filter(mdTag => isStandardTag(md, mdTag));
 				if (mdTags.length > 0) {
 					mdTags.forEach(mdTag => {
 						it(`should provide "${mdTag}" metadata field`, function() {
-							assert.equal(archive.tags[mdTag], `${mdTag} goes here`);
+							assert.equal(archive.tags[mdTag], expectedTag(md, mdTag));
 						});
 					});
 				}
 
 			});
 
+			describe('parseAsync()', function() {
+
+				it('should read the same files as parse()', async function() {
+					let source = {};
+					for (const [id, data] of Object.entries(content.default)) {
+						source[id] = new BufferSource(data);
+					}
+					const archive = await handler.parseAsync(source);
+					const expected = handler.parse(content.default);
+
+					assert.equal(archive.files.length, expected.files.length);
+					for (let i = 0; i < expected.files.length; i++) {
+						const file = archive.files[i];
+						assert.equal(file.name, expected.files[i].name);
+						if (file.name.substr(-1) === '/') continue; // folder
+						TestUtil.buffersEqual(
+							expected.files[i].getContent(),
+							await file.getContentAsync()
+						);
+					}
+				});
+
+			});
+
 			describe('generate()', function() {
 
 				it('should generate correctly', function() {
@@ -396,6 +590,27 @@ for (const handler of gamearchiveFormats) {
 					TestUtil.contentEqual(content.default, contentGenerated);
 				});
 
+				it('generateAsync() should produce the same data', async function() {
+					let sinks = {};
+					for (const id of Object.keys(content.default)) {
+						sinks[id] = new BufferSink();
+					}
+					await handler.generateAsync(defaultArchive, sinks);
+
+					let contentGenerated = {};
+					for (const [id, sink] of Object.entries(sinks)) {
+						contentGenerated[id] = sink.getU8();
+					}
+					TestUtil.contentEqual(content.default, contentGenerated);
+				});
+
+				it('should reproduce a parsed archive exactly', function() {
+					const archive = handler.parse(content.default);
+					const contentGenerated = handler.generate(archive);
+
+					TestUtil.contentEqual(content.default, contentGenerated);
+				});
+
 				it('only generates files included in supps()', function() {
 					const contentGenerated = handler.generate(defaultArchive);
 					const supps = handler.supps('default.bin', contentGenerated.main);
@@ -432,9 +647,7 @@ for (const handler of gamearchiveFormats) {
 
 				if (
 					md.caps.file.maxFilenameLen
-					&& (md.id !== 'arc-gamemaps-id')
-					&& (md.id !== 'arc-gamemaps-id-carmack')
-					&& (md.id !== 'arc-gamemaps-id-huffman')
+					&& !fixedNames.includes(md.id)
 				) {
 					it('maximum filename length is correct', function() {
 						let archive = new Archive();
@@ -464,13 +677,36 @@ for (const handler of gamearchiveFormats) {
 						assert.ok(parsedArchive.files[0], 'File did not get added to archive');
 						assert.equal(parsedArchive.files[0].name, expectedName, 'Name does not match');
 					});
+
+					it('long filenames can be fixed automatically', function() {
+						let archive = new Archive();
+						for (let i = 0; i < 2; i++) {
+							let file = new File();
+							file.name = 'folder/' + new String().padStart(md.caps.file.maxFilenameLen, 'A') + '.txt';
+							file.nativeSize = 5;
+							file.getRaw = () => TestUtil.u8FromString('test' + i);
+							archive.files.push(file);
+						}
+
+						const issues = handler.checkLimits(archive);
+						assert.ok(issues.length > 0, 'Long filenames were not detected');
+						const unfixed = LimitIssue.applyFixes(archive, issues);
+						assert.equal(unfixed.length, 0, `${unfixed.length} issues could not be fixed`);
+
+						const issues2 = handler.checkLimits(archive);
+						assert.equal(issues2.length, 0, `${issues2.length} issues remaining after fixes`);
+						assert.notEqual(archive.files[0].name.toUpperCase(), archive.files[1].name.toUpperCase(),
+							'Both files were given the same name');
+
+						const contentGenerated = handler.generate(archive);
+						const parsedArchive = handler.parse(contentGenerated);
+						assert.equal(parsedArchive.files.length, 2);
+						assert.equal(parsedArchive.files[0].name, archive.files[0].name);
+						assert.equal(parsedArchive.files[1].name, archive.files[1].name);
+					});
 				}
 
-				if (
-					(md.id !== 'arc-gamemaps-id')
-					&& (md.id !== 'arc-gamemaps-id-carmack')
-					&& (md.id !== 'arc-gamemaps-id-huffman')
-				) {
+				if (!fixedNames.includes(md.id)) {
 					it('filenames without extensions work', function() {
 						let archive = new Archive();
 
@@ -498,6 +734,35 @@ for (const handler of gamearchiveFormats) {
 					});
 				}
 
+				if (
+					!md.caps.file.duplicates
+					&& !fixedNames.includes(md.id)
+				) {
+					it('duplicate filenames are detected', function() {
+						let archive = new Archive();
+
+						let file = new File();
+						file.name = 'TEST1';
+						file.nativeSize = 5;
+						file.getRaw = () => TestUtil.u8FromString('test1');
+						archive.files.push(file);
+
+						file = new File();
+						file.name = md.caps.file.caseSensitive ? 'TEST1' : 'test1';
+						file.nativeSize = 5;
+						file.getRaw = () => TestUtil.u8FromString('test2');
+						archive.files.push(file);
+
+						const issues = handler.checkLimits(archive);
+						assert.ok(issues.some(i => i.code === 'DUPLICATE_FILENAME'),
+							'Duplicate filename was not detected');
+
+						LimitIssue.applyFixes(archive, issues);
+						const issues2 = handler.checkLimits(archive);
+						assert.equal(issues2.length, 0, `${issues2.length} issues remaining after fixes`);
+					});
+				}
+
 				it('inconsistent file lengths are detected', function() {
 					let archive = new Archive();
 
@@ -512,6 +777,57 @@ for (const handler of gamearchiveFormats) {
 					});
 				});
 
+				if (md.caps.file.maxNativeSize !== undefined) {
+					it('files too large to store are detected', function() {
+						let archive = new Archive();
+
+						let file = new File();
+						file.name = 'TEST1';
+						file.nativeSize = md.caps.file.maxNativeSize + 1;
+						file.getRaw = () => TestUtil.u8FromString('test1');
+						archive.files.push(file);
+
+						const issues = handler.checkLimits(archive);
+						assert.ok(issues.some(i => i.code === 'NATIVE_SIZE_TOO_LARGE'),
+							'Oversized file was not detected');
+					});
+				}
+
+				if (md.caps.file.maxFileSize !== undefined) {
+					it('uncompressed files too large to store are detected', function() {
+						let archive = new Archive();
+
+						let file = new File();
+						file.name = 'TEST1';
+						file.nativeSize = md.caps.file.maxFileSize + 1;
+						file.attributes.compressed = false;
+						file.getRaw = () => TestUtil.u8FromString('test1');
+						archive.files.push(file);
+
+						const issues = handler.checkLimits(archive);
+						assert.ok(issues.some(i => i.code === 'FILE_TOO_LARGE'),
+							'Oversized file was not detected');
+					});
+
+					if (md.caps.file.attributes.compressed) {
+						it('files that may be compressed are not counted at full size', function() {
+							let archive = new Archive();
+
+							let file = new File();
+							file.name = 'TEST1';
+							file.nativeSize = md.caps.file.maxFileSize + 1;
+							file.getRaw = () => TestUtil.u8FromString('test1');
+							archive.files.push(file);
+
+							const issues = handler.checkLimits(archive);
+							assert.ok(!issues.some(i => i.code === 'FILE_TOO_LARGE'),
+								'File was counted at its uncompressed size');
+							assert.ok(!issues.some(i => i.code === 'ARCHIVE_TOO_LARGE'),
+								'File was counted at its uncompressed size');
+						});
+					}
+				}
+
 			});
 
 			describe('identify()', function() {
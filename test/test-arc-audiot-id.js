@@ -0,0 +1,211 @@
+/*
+ * Extra tests for arc-audiot-id and arc-audiot-id-huffman.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	arc_audiot_id,
+	arc_audiot_id_huffman,
+} from '../index.js';
+
+// Create a chunk of the type given by its name, with the name as the data.
+function createChunk(name)
+{
+	const data = TestUtil.u8FromString(`This is ${name}`);
+	const type = name.split('-')[0];
+
+	let header;
+	switch (type) {
+		case 'pc':
+			// Length, priority, then the data and a terminating byte.
+			header = [data.length, 0, 0, 0, 1, 0];
+			return Uint8Array.from([...header, ...data, 0]);
+		case 'adlib':
+			// Length, priority, instrument and octave, then the data.
+			header = [data.length, 0, 0, 0, 1, 0, ...new Array(16).fill(0x20), 4];
+			return Uint8Array.from([...header, ...data]);
+		case 'music':
+			return Uint8Array.from([data.length, 0, ...data]);
+		default:
+			return data;
+	}
+}
+
+// Create an archive containing the given files.
+function createArchive(names)
+{
+	return TestUtil.createArchive(
+		names.map(name => TestUtil.createFile(name, createChunk(name)))
+	);
+}
+
+const standardNames = [
+	'pc-000',
+	'pc-001',
+	'adlib-000',
+	'adlib-001',
+	'music-000',
+];
+
+for (const handler of [arc_audiot_id, arc_audiot_id_huffman]) {
+	const md = handler.metadata();
+	let testutil = new TestUtil(md.id);
+
+	describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+		let content = {};
+
+		before('load test data from local filesystem', function() {
+			content = testutil.loadContent(handler, [
+				'default',
+			]);
+		});
+
+		describe('generate()', function() {
+
+			it('files are read back correctly', function() {
+				const archive = createArchive(standardNames);
+				const issues = handler.checkLimits(archive);
+				assert.equal(issues.length, 0, `${issues.length} issues with archive, expected 0`);
+
+				const content = handler.generate(archive);
+				const parsed = handler.parse(content);
+
+				assert.deepEqual(parsed.files.map(f => f.name), [
+					'pc-000',
+					'pc-001',
+					'adlib-000',
+					'adlib-001',
+					'digi-000',
+					'digi-001',
+					'music-000',
+				]);
+				for (const file of archive.files) {
+					const match = parsed.files.find(f => f.name === file.name);
+					assert.equal(match.nativeSize, file.nativeSize);
+					TestUtil.buffersEqual(file.getContent(), match.getContent(),
+						file.name);
+				}
+			});
+
+			it('one offset is written for each chunk, plus the end', function() {
+				const content = handler.generate(createArchive(standardNames));
+				assert.equal(content.fat.length, (7 + 1) * 4);
+			});
+
+			it('missing sounds are written as empty chunks', function() {
+				const content = handler.generate(createArchive([
+					'pc-000',
+					'pc-001',
+					'pc-002',
+					'adlib-000',
+					'adlib-002',
+					'music-000',
+					'music-001',
+				]));
+				const parsed = handler.parse(content);
+
+				assert.equal(parsed.files.length, 3 * 3 + 2);
+				assert.equal(parsed.files[4].name, 'adlib-001');
+				assert.equal(parsed.files[4].nativeSize, 0);
+				assert.equal(parsed.files[9].name, 'music-000');
+			});
+
+			it('digitised sounds don\'t have to be empty', function() {
+				const content = handler.generate(createArchive([
+					...standardNames,
+					'digi-000',
+					'digi-001',
+				]));
+				const parsed = handler.parse(content);
+
+				assert.deepEqual(parsed.files.map(f => f.name), [
+					'pc-000',
+					'pc-001',
+					'adlib-000',
+					'adlib-001',
+					'digi-000',
+					'digi-001',
+					'music-000',
+				]);
+				TestUtil.buffersEqual(createChunk('digi-001'),
+					parsed.files[5].getContent());
+			});
+
+			it('chunks are given generic names if the sounds can\'t be found', function() {
+				const content = handler.generate(createArchive([
+					'chunk-000',
+					'chunk-001',
+					'chunk-002',
+				]));
+				const parsed = handler.parse(content);
+
+				assert.deepEqual(parsed.files.map(f => f.name), [
+					'chunk-000',
+					'chunk-001',
+					'chunk-002',
+				]);
+			});
+
+		}); // generate()
+
+		describe('checkLimits()', function() {
+
+			it('unknown filenames are detected', function() {
+				const archive = createArchive(['pc-000', 'sound1']);
+				const issues = handler.checkLimits(archive);
+				assert.equal(issues.length, 1);
+				assert.equal(issues[0].code, 'INVALID_FILENAME');
+			});
+
+			it('generic names can\'t be mixed with typed names', function() {
+				const archive = createArchive(['pc-000', 'chunk-001']);
+				const issues = handler.checkLimits(archive);
+				assert.equal(issues.length, 1);
+				assert.equal(issues[0].code, 'INVALID_FILENAME');
+			});
+
+		}); // checkLimits()
+
+		if (handler === arc_audiot_id_huffman) {
+			describe('Huffman dictionary', function() {
+
+				it('is kept when files are changed', function() {
+					let parsed = handler.parse(content.default);
+
+					const newContent = TestUtil.u8FromString('Replacement song');
+					parsed.files[3].getContent = () => newContent;
+
+					const contentGenerated = handler.generate(parsed);
+					TestUtil.buffersEqual(content.default.dict, contentGenerated.dict);
+
+					const reparsed = handler.parse(contentGenerated);
+					TestUtil.buffersEqual(newContent, reparsed.files[3].getContent());
+				});
+
+				it('is named after the Keen files', function() {
+					const supps = handler.supps('audio.ck4');
+					assert.equal(supps.fat, 'audiohed.ck4');
+					assert.equal(supps.dict, 'audiodct.ck4');
+				});
+
+			}); // Huffman dictionary
+		}
+
+	});
+}
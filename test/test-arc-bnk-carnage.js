@@ -0,0 +1,118 @@
+/*
+ * Extra tests for arc-bnk-carnage.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	arc_bnk_carnage as handler,
+	arc_bnk_harry,
+} from '../index.js';
+
+const md = handler.metadata();
+
+// A file that compresses well, and one that only has a single match.
+const dataLong = TestUtil.testData('LEVEL1.MAP', 2000);
+const dataShort = Uint8Array.from([0x11, 0, 0, 0, 0, 0, 0, 0]);
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('identify()', function() {
+
+		it('should reject Halloween Harry files', function() {
+			let archive = TestUtil.createArchive([
+				TestUtil.createFile('ONE.TXT', 'first'),
+				TestUtil.createFile('TWO.TXT', 'second'),
+			]);
+			const output = arc_bnk_harry.generate(archive);
+			const result = handler.identify(output.main);
+			assert.equal(result.valid, false);
+		});
+
+		it('should accept archive with only one file', function() {
+			let archive = TestUtil.createArchive([
+				TestUtil.createFile('ONE.TXT', 'first'),
+			]);
+			const output = handler.generate(archive);
+			const result = handler.identify(output.main);
+			assert.equal(result.reason, `Only one file.`);
+			assert.equal(result.valid, true);
+		});
+
+	}); // identify()
+
+	describe('generate()', function() {
+
+		it('should round-trip compressed and uncompressed files', function() {
+			let fileLong = TestUtil.createFile('LEVEL1.MAP', dataLong);
+			fileLong.attributes.compressed = true;
+			let fileRaw = TestUtil.createFile('LEVEL2.MAP', dataLong);
+			fileRaw.attributes.compressed = false;
+
+			const output = handler.generate(TestUtil.createArchive([fileLong, fileRaw]));
+			const archive = handler.parse(output);
+
+			assert.equal(archive.files.length, 2);
+			assert.equal(archive.files[0].attributes.compressed, true);
+			assert.ok(archive.files[0].diskSize < dataLong.length,
+				`File was stored in ${archive.files[0].diskSize} bytes`);
+			assert.equal(archive.files[0].nativeSize, dataLong.length);
+			TestUtil.buffersEqual(dataLong, archive.files[0].getContent());
+
+			assert.equal(archive.files[1].attributes.compressed, false);
+			assert.equal(archive.files[1].diskSize, dataLong.length);
+			TestUtil.buffersEqual(dataLong, archive.files[1].getContent());
+		});
+
+		it('should pad compressed data the same size as the original', function() {
+			let file = TestUtil.createFile('SHORT.DAT', dataShort);
+			file.attributes.compressed = true;
+
+			const output = handler.generate(TestUtil.createArchive([file]));
+			const archive = handler.parse(output);
+
+			assert.equal(archive.files[0].attributes.compressed, true);
+			assert.equal(archive.files[0].diskSize, dataShort.length + 1);
+			TestUtil.buffersEqual(dataShort, archive.files[0].getContent());
+		});
+
+		it('should change the compression of unmodified files', function() {
+			let fileLong = TestUtil.createFile('LEVEL1.MAP', dataLong);
+			fileLong.attributes.compressed = true;
+			let fileRaw = TestUtil.createFile('LEVEL2.MAP', dataLong);
+			fileRaw.attributes.compressed = false;
+
+			let archive = handler.parse(
+				handler.generate(TestUtil.createArchive([fileLong, fileRaw]))
+			);
+			archive.files[0].attributes.compressed = false;
+			archive.files[1].attributes.compressed = true;
+
+			const result = handler.parse(handler.generate(archive));
+			assert.equal(result.files[0].attributes.compressed, false);
+			assert.equal(result.files[0].diskSize, dataLong.length);
+			TestUtil.buffersEqual(dataLong, result.files[0].getContent());
+
+			assert.equal(result.files[1].attributes.compressed, true);
+			assert.ok(result.files[1].diskSize < dataLong.length);
+			TestUtil.buffersEqual(dataLong, result.files[1].getContent());
+		});
+
+	}); // generate()
+
+}); // Extra tests
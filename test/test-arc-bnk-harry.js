@@ -108,6 +108,34 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 
 		}); // identify()
 
+		describe('generate()', function() {
+
+			it('should round-trip files uncompressed', function() {
+				const data = TestUtil.testData('LEVEL1.MAP', 2000);
+				const original = TestUtil.createArchive([
+					TestUtil.createFile('ONE.TXT', 'first'),
+					TestUtil.createFile('LEVEL1.MAP', data),
+				]);
+
+				const output = handler.generate(original);
+				const archive = handler.parse(output);
+
+				assert.equal(archive.files.length, 2);
+				assert.equal(archive.files[0].name, 'ONE.TXT');
+				TestUtil.buffersEqual(TestUtil.u8FromString('first'), archive.files[0].getContent());
+				assert.equal(archive.files[1].name, 'LEVEL1.MAP');
+				assert.equal(archive.files[1].diskSize, data.length);
+				TestUtil.buffersEqual(data, archive.files[1].getContent());
+
+				for (const file of archive.files) {
+					assert.equal(file.attributes.compressed, undefined);
+				}
+
+				TestUtil.contentEqual(output, handler.generate(archive));
+			});
+
+		}); // generate()
+
 	}); // I/O
 
 }); // Extra tests
@@ -31,6 +31,7 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 
 		before('load test data from local filesystem', function() {
 			content = testutil.loadContent(handler, [
+				'default',
 				'fat_trunc',
 				'bad_filename',
 				'file_past_eof',
@@ -143,6 +144,34 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 				TestUtil.contentEqual(content.rle, contentGenerated);
 			});
 
+			it('unknown type codes are preserved', function() {
+				let archive = handler.parse(content.default);
+				archive.files[0].name = 'noext';
+				archive.files[0].extra['arc-dat-fast'] = { typeCode: 40 };
+
+				const contentGenerated = handler.generate(archive);
+				const archive2 = handler.parse(contentGenerated);
+				assert.equal(archive2.files[0].name, 'noext');
+				assert.equal(archive2.files[0].extra['arc-dat-fast'].typeCode, 40);
+			});
+
+			it('files too large to store are rejected', function() {
+				let archive = new Archive();
+
+				let file = new File();
+				file.name = 'large.bin';
+				file.nativeSize = 70000;
+				file.attributes.compressed = false;
+				file.getRaw = () => new Uint8Array(70000);
+				archive.files.push(file);
+
+				// Normally checkLimits() would catch this, but generate() must not
+				// write out a size that has wrapped around.
+				assert.throws(() => {
+					handler.generate(archive);
+				}, /only store files up to/);
+			});
+
 		}); // generate()
 
 	}); // I/O
@@ -31,6 +31,7 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 
 		before('load test data from local filesystem', function() {
 			content = testutil.loadContent(handler, [
+				'default',
 				'raw_image',
 				'short',
 				'short_fat',
@@ -112,6 +113,27 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 				TestUtil.contentEqual(content.raw_image, contentGenerated);
 			});
 
+			it('should preserve unknown flags', function() {
+				let archive = handler.parse(content.default);
+				archive.files[0].extra['arc-dat-papyrus-v1'] = { flags: 0x0041 };
+
+				const contentGenerated = handler.generate(archive);
+				const archive2 = handler.parse(contentGenerated);
+				assert.equal(archive2.files[0].extra['arc-dat-papyrus-v1'].flags, 0x0041);
+			});
+
+			it('should ignore flags from other formats', function() {
+				let archive = handler.parse(content.default);
+				archive.files[0].extra = {
+					'arc-rff-blood': { flags: 0x0004 },
+				};
+
+				const contentGenerated = handler.generate(archive);
+				const archive2 = handler.parse(contentGenerated);
+				assert.equal(archive2.files[0].extra['arc-dat-papyrus-v1'].flags, 0x0001);
+			});
+
+
 		}); // generate()
 
 	}); // I/O
@@ -0,0 +1,201 @@
+/*
+ * Extra tests for arc-egagraph-keen*.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import { Archive_EGAGraph_Keen4 as handler } from '../index.js';
+
+const md = handler.metadata();
+let testutil = new TestUtil(md.id);
+
+// Create an archive with a few of each type of chunk.
+function createArchive()
+{
+	const files = {
+		'pictable': 2 * 4,
+		'picmtable': 1 * 4,
+		'spritetable': 1 * 18,
+		'font-000': 20,
+		'pic-000': 32,
+		'pic-001': 64,
+		'picm-000': 40,
+		'sprite-000': 50,
+		'tile8': 104 * 32,
+		'tile16-0005': 128,
+		'tile16m-0000': 160,
+		'text-000': 30,
+		'demo-001': 10,
+		'misc-000': 15,
+	};
+	return TestUtil.createArchive(Object.entries(files).map(
+		([name, length]) => TestUtil.createFile(name, TestUtil.testData(name, length))
+	));
+}
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+	let content = {};
+
+	before('load test data from local filesystem', function() {
+		content = testutil.loadContent(handler, [
+			'default',
+		]);
+	});
+
+	describe('generate()', function() {
+
+		it('files are read back correctly', function() {
+			const archive = createArchive();
+			const issues = handler.checkLimits(archive);
+			assert.equal(issues.length, 0, `${issues.length} issues with archive, expected 0`);
+
+			const content = handler.generate(archive);
+			const parsed = handler.parse(content);
+
+			for (const file of archive.files) {
+				const match = parsed.files.find(f => f.name === file.name);
+				assert.ok(match, `File "${file.name}" is missing`);
+				assert.equal(match.nativeSize, file.nativeSize);
+				TestUtil.buffersEqual(file.getContent(), match.getContent(),
+					file.name);
+			}
+		});
+
+		it('chunks are in the right order', function() {
+			const content = handler.generate(createArchive());
+			const parsed = handler.parse(content);
+
+			const names = parsed.files.map(f => f.name);
+			assert.deepEqual(names.slice(0, 12), [
+				'pictable',
+				'picmtable',
+				'spritetable',
+				'font-000',
+				'font-001',
+				'font-002',
+				'pic-000',
+				'pic-001',
+				'picm-000',
+				'sprite-000',
+				'tile8',
+				'tile8m',
+			]);
+			assert.equal(names[12], 'tile16-0000');
+			assert.equal(names[12 + 1296], 'tile16m-0000');
+			assert.deepEqual(names.slice(12 + 1296 + 2916), [
+				'text-000',
+				'text-001',
+				'text-002',
+				'text-003',
+				'demo-000',
+				'demo-001',
+				'demo-002',
+				'demo-003',
+				'demo-004',
+				'misc-000',
+			]);
+
+			// One offset for each chunk, plus one for the end of the data.
+			assert.equal(content.fat.length, (names.length + 1) * 3);
+		});
+
+		it('missing chunks are sparse', function() {
+			const content = handler.generate(createArchive());
+			const parsed = handler.parse(content);
+
+			const file = parsed.files.find(f => f.name === 'tile16-0000');
+			assert.equal(file.nativeSize, 0);
+			assert.equal(file.getContent().length, 0);
+
+			// tile16-0000 is chunk 12.
+			TestUtil.buffersEqual(new Uint8Array([0xFF, 0xFF, 0xFF]),
+				content.fat.slice(12 * 3, 13 * 3));
+		});
+
+		it('the dictionary is kept when files are changed', function() {
+			let parsed = handler.parse(content.default);
+
+			let file = parsed.files.find(f => f.name === 'font-000');
+			const newContent = TestUtil.testData('replacement', 64);
+			file.getContent = () => newContent;
+
+			const contentGenerated = handler.generate(parsed);
+			TestUtil.buffersEqual(content.default.dict, contentGenerated.dict);
+
+			const reparsed = handler.parse(contentGenerated);
+			TestUtil.buffersEqual(newContent,
+				reparsed.files.find(f => f.name === 'font-000').getContent());
+			TestUtil.buffersEqual(new Uint8Array([2, 0x00, 16, 0x00]),
+				reparsed.files.find(f => f.name === 'pictable').getContent());
+		});
+
+		it('images without a table entry are rejected', function() {
+			let archive = createArchive();
+			archive.files.push(TestUtil.createFile('pic-002', TestUtil.testData('pic-002', 8)));
+
+			const issues = handler.checkLimits(archive);
+			assert.ok(issues.some(i => (i.code === 'INVALID_FILENAME') && (i.file.name === 'pic-002')),
+				'Missing table entry was not detected');
+
+			assert.throws(() => handler.generate(archive));
+		});
+
+	}); // generate()
+
+	describe('checkLimits()', function() {
+
+		it('unknown filenames are detected', function() {
+			let archive = createArchive();
+			archive.files.push(TestUtil.createFile('pic1', TestUtil.testData('pic1', 8)));
+
+			const issues = handler.checkLimits(archive);
+			assert.equal(issues.length, 1);
+			assert.equal(issues[0].code, 'INVALID_FILENAME');
+		});
+
+		it('wrong tile sizes are detected', function() {
+			let archive = createArchive();
+			archive.files.push(TestUtil.createFile('tile16-0001', TestUtil.testData('tile16-0001', 127)));
+
+			const issues = handler.checkLimits(archive);
+			assert.equal(issues.length, 1);
+			assert.equal(issues[0].code, 'INVALID_FILE_SIZE');
+		});
+
+		it('too many tiles are detected', function() {
+			let archive = createArchive();
+			archive.files.push(TestUtil.createFile('tile16-1296', TestUtil.testData('tile16-1296', 128)));
+
+			const issues = handler.checkLimits(archive);
+			assert.equal(issues.length, 1);
+			assert.equal(issues[0].code, 'INVALID_FILENAME');
+		});
+
+	}); // checkLimits()
+
+	describe('supps()', function() {
+
+		it('head and dictionary filenames are correct', function() {
+			const supps = handler.supps('egagraph.ck4');
+			assert.equal(supps.fat, 'egahead.ck4');
+			assert.equal(supps.dict, 'egadict.ck4');
+		});
+
+	}); // supps()
+
+});
@@ -31,6 +31,7 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 
 		before('load test data from local filesystem', function() {
 			content = testutil.loadContent(handler, [
+				'default',
 				'short',
 				'wrong_sig',
 			]);
@@ -58,6 +59,42 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 
 		}); // identify()
 
+		describe('generate()', function() {
+
+			it('should preserve unknown header field', function() {
+				let archive = handler.parse(content.default);
+				archive.extra[md.id] = { unknown: 0x12 };
+
+				const contentGenerated = handler.generate(archive);
+				const archive2 = handler.parse(contentGenerated);
+				assert.equal(archive2.extra[md.id].unknown, 0x12);
+			});
+
+			it('should ignore header fields from other formats', function() {
+				let archive = handler.parse(content.default);
+				archive.extra = {
+					'arc-other': { unknown: 0x12 },
+				};
+
+				const contentGenerated = handler.generate(archive);
+				const archive2 = handler.parse(contentGenerated);
+				assert.equal(archive2.extra[md.id].unknown, 0);
+			});
+
+			it('should copy renamed files without recompressing', function() {
+				let archive = handler.parse(content.default);
+				const origRaw = archive.files[0].getRaw();
+				archive.files[0].name = 'RENAMED.TXT';
+				assert.equal(archive.files[0].isUntouched(md.id), true);
+
+				const contentGenerated = handler.generate(archive);
+				const archive2 = handler.parse(contentGenerated);
+				assert.equal(archive2.files[0].name, 'RENAMED.TXT');
+				TestUtil.buffersEqual(origRaw, archive2.files[0].getRaw());
+			});
+
+		}); // generate()
+
 	}); // I/O
 
 }); // Extra tests
@@ -0,0 +1,139 @@
+/*
+ * Extra tests for the Commander Keen 4-6 .exe handlers.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import { Archive_EXE_Keen4_EGA_1v4 as handler } from '../index.js';
+
+const md = handler.metadata();
+
+// Where each file is in the Keen 4 v1.4 .exe.
+const OFF_AUDIOHED = 0x23BF0;
+const OFF_EGAHEAD = 0x23E80;
+const OFF_MAPHEAD = 0x27630;
+const OFF_EGADICT = 0x386F6;
+
+// An unpacked .exe large enough to hold all the files, with different data at
+// each offset so it's obvious if anything moves.
+function createExe()
+{
+	let exe = new Uint8Array(0x39000);
+	for (let i = 0; i < exe.length; i++) {
+		exe[i] = (i * 7 + (i >> 8)) & 0xFF;
+	}
+	return exe;
+}
+
+function setContent(archive, name, content)
+{
+	let file = archive.files.find(f => f.name === name);
+	file.getContent = () => content;
+}
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('generate()', function() {
+
+		it('headers can grow into the space before the next segment', function() {
+			const exe = createExe();
+			let archive = handler.parse({ main: exe });
+			const newContent = new Uint8Array(0x28C + 4).fill(0x55);
+			setContent(archive, 'audiohed.ck4', newContent);
+
+			const issues = handler.checkLimits(archive);
+			assert.equal(issues.length, 0, `${issues.length} issues with archive, expected 0`);
+
+			const output = handler.generate(archive);
+			TestUtil.buffersEqual(newContent,
+				output.main.slice(OFF_AUDIOHED, OFF_AUDIOHED + newContent.length));
+			TestUtil.buffersEqual(exe.slice(OFF_EGAHEAD), output.main.slice(OFF_EGAHEAD));
+		});
+
+		it('headers can\'t grow into the next segment', function() {
+			let archive = handler.parse({ main: createExe() });
+			setContent(archive, 'audiohed.ck4', new Uint8Array(0x28C + 5));
+
+			const issues = handler.checkLimits(archive);
+			assert.equal(issues.length, 1);
+			assert.equal(issues[0].code, 'INVALID_FILE_SIZE');
+
+			assert.throws(() => handler.generate(archive), /only room for 656 bytes/);
+		});
+
+		it('smaller files are padded', function() {
+			const exe = createExe();
+			let archive = handler.parse({ main: exe });
+			// maphead without any tileinfo, and a dictionary without the unused
+			// final node.
+			const maphead = new Uint8Array(0x192).fill(0x55);
+			const dict = new Uint8Array(1020).fill(0xAA);
+			setContent(archive, 'maphead.ck4', maphead);
+			setContent(archive, 'egadict.ck4', dict);
+
+			const issues = handler.checkLimits(archive);
+			assert.equal(issues.length, 0, `${issues.length} issues with archive, expected 0`);
+
+			const output = handler.generate(archive);
+			assert.equal(output.main.length, exe.length);
+			TestUtil.buffersEqual(maphead,
+				output.main.slice(OFF_MAPHEAD, OFF_MAPHEAD + 0x192));
+			TestUtil.buffersEqual(new Uint8Array(0x59DC),
+				output.main.slice(OFF_MAPHEAD + 0x192, OFF_MAPHEAD + 0x192 + 0x59DC));
+			TestUtil.buffersEqual(dict,
+				output.main.slice(OFF_EGADICT, OFF_EGADICT + 1020));
+			TestUtil.buffersEqual(new Uint8Array(4),
+				output.main.slice(OFF_EGADICT + 1020, OFF_EGADICT + 1024));
+		});
+
+		it('should reproduce a parsed .exe exactly', function() {
+			const exe = createExe();
+			const output = handler.generate(handler.parse({ main: exe }));
+			TestUtil.buffersEqual(exe, output.main);
+		});
+
+	}); // generate()
+
+	describe('spaceRemaining()', function() {
+
+		it('reports the space left for each file', function() {
+			let archive = handler.parse({ main: createExe() });
+			setContent(archive, 'audiohed.ck4', new Uint8Array(0x28C));
+
+			const report = handler.spaceRemaining(archive);
+			const audiohed = report.find(s => s.name === 'audiohed.ck4');
+			assert.deepEqual(audiohed, {
+				name: 'audiohed.ck4',
+				size: 0x28C,
+				available: 0x290,
+				remaining: 4,
+			});
+		});
+
+		it('reports files that are too big', function() {
+			let archive = handler.parse({ main: createExe() });
+			setContent(archive, 'audiohed.ck4', new Uint8Array(0x28C + 5));
+
+			const report = handler.spaceRemaining(archive);
+			const audiohed = report.find(s => s.name === 'audiohed.ck4');
+			assert.equal(audiohed.remaining, -1);
+		});
+
+	}); // spaceRemaining()
+
+});
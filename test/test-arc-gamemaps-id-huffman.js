@@ -0,0 +1,71 @@
+/*
+ * Extra tests for arc-gamemaps-id-huffman.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	arc_gamemaps_id,
+	arc_gamemaps_id_carmack,
+	arc_gamemaps_id_huffman as handler,
+} from '../index.js';
+
+const md = handler.metadata();
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+		let content = {};
+
+		before('load test data from local filesystem', function() {
+			for (const h of [handler, arc_gamemaps_id, arc_gamemaps_id_carmack]) {
+				const id = h.metadata().id;
+				content[id] = new TestUtil(id).loadContent(h, [
+					'default',
+					'empty',
+				]);
+			}
+		});
+
+		describe('identify()', function() {
+
+			it('should recognise Huffman-compressed planes', function() {
+				const result = handler.identify(content[md.id].default.main);
+				assert.equal(result.valid, true, result.reason);
+			});
+
+			it('should be unsure about archives without any levels', function() {
+				const result = handler.identify(content[md.id].empty.main);
+				assert.equal(result.valid, undefined, result.reason);
+			});
+
+			it('should reject RLEW-only planes', function() {
+				const result = handler.identify(content['arc-gamemaps-id'].default.main);
+				assert.equal(result.valid, false, result.reason);
+			});
+
+			it('should reject Carmack-compressed planes', function() {
+				const result = handler.identify(content['arc-gamemaps-id-carmack'].default.main);
+				assert.equal(result.valid, false, result.reason);
+			});
+
+		}); // identify()
+
+	}); // I/O
+
+});
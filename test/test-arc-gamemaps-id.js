@@ -19,7 +19,12 @@
 
 import assert from 'assert';
 import TestUtil from './util.js';
-import { arc_gamemaps_id as handler, Archive, File } from '../index.js';
+import {
+	arc_gamemaps_id as handler,
+	Archive,
+	File,
+	LimitIssue,
+} from '../index.js';
 
 const md = handler.metadata();
 let testutil = new TestUtil(md.id);
@@ -31,6 +36,7 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 
 		before('load test data from local filesystem', function() {
 			content = testutil.loadContent(handler, [
+				'default',
 				'short',
 				'wrong_sig',
 				'plane1',
@@ -164,8 +170,153 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 				TestUtil.contentEqual(content.tileinfo, contentGenerated);
 			});
 
+			it('should preserve the RLEW code', function() {
+				let archive = handler.parse(content.default);
+				archive.tags.rlewCode = 0xFEFE;
+
+				const contentGenerated = handler.generate(archive);
+				const archive2 = handler.parse(contentGenerated);
+				assert.equal(archive2.tags.rlewCode, 0xFEFE);
+				TestUtil.buffersEqual(
+					archive.files[0].getContent(),
+					archive2.files[0].getContent()
+				);
+			});
+
+			it('should accept the RLEW code as a string', function() {
+				let archive = handler.parse(content.default);
+				archive.tags.rlewCode = '0xFEFE';
+				assert.equal(handler.checkLimits(archive).length, 0);
+
+				const archive2 = handler.parse(handler.generate(archive));
+				assert.equal(archive2.tags.rlewCode, 0xFEFE);
+			});
+
+			it('should write the level tags', function() {
+				let archive = handler.parse(content.default);
+				archive.tags.levels['00'] = {
+					width: 3,
+					height: 4,
+					name: 'New name',
+				};
+
+				const archive2 = handler.parse(handler.generate(archive));
+				assert.deepEqual(archive2.tags.levels['00'], {
+					width: 3,
+					height: 4,
+					name: 'New name',
+				});
+				const info = archive2.files.find(f => f.name === '00/info');
+				assert.equal(info.getContent()[0], 3);
+				assert.equal(info.getContent()[2], 4);
+			});
+
+			it('should write a replaced info file instead of the level tags', function() {
+				let archive = handler.parse(content.default);
+				const info = archive.files.find(f => f.name === '00/info');
+				const newInfo = TestUtil.u8FromString('aabbNew info\0\0\0\0\0\0\0\0');
+				info.getRaw = () => newInfo;
+
+				const archive2 = handler.parse(handler.generate(archive));
+				assert.equal(archive2.tags.levels['00'].name, 'New info');
+			});
+
+			it('should write level tags without an info file', function() {
+				let archive = new Archive();
+
+				let file = new File();
+				file.name = '00/plane0';
+				file.nativeSize = 8;
+				file.getRaw = () => TestUtil.u8FromString('content1');
+				archive.files.push(file);
+
+				archive.tags.levels = {
+					'00': {
+						width: 2,
+						height: 2,
+						name: 'Level 1',
+					},
+				};
+
+				const archive2 = handler.parse(handler.generate(archive));
+				assert.deepEqual(archive2.tags.levels['00'], archive.tags.levels['00']);
+				TestUtil.buffersEqual(
+					TestUtil.u8FromString('content1'),
+					archive2.files[0].getContent()
+				);
+			});
+
+
 		}); // generate()
 
+		describe('checkLimits()', function() {
+
+			function createArchive(name, nativeSize) {
+				return TestUtil.createArchive([
+					TestUtil.createFile(name, new Uint8Array(nativeSize)),
+				]);
+			}
+
+			it('should accept valid names', function() {
+				const issues = handler.checkLimits(createArchive('00/plane0', 8));
+				assert.equal(issues.length, 0);
+			});
+
+			it('should reject files outside a folder', function() {
+				const issues = handler.checkLimits(createArchive('plane0', 8));
+				assert.equal(issues.length, 1);
+				assert.equal(issues[0].code, 'INVALID_FILENAME');
+				assert.equal(issues[0].fix, undefined);
+			});
+
+			it('should reject unknown filenames', function() {
+				const issues = handler.checkLimits(createArchive('00/plane4', 8));
+				assert.equal(issues.length, 1);
+				assert.equal(issues[0].code, 'INVALID_FILENAME');
+			});
+
+			it('should reject info files of the wrong size', function() {
+				const issues = handler.checkLimits(createArchive('00/info', 8));
+				assert.equal(issues.length, 1);
+				assert.equal(issues[0].code, 'INVALID_FILE_SIZE');
+			});
+
+			it('should reject invalid RLEW codes', function() {
+				let archive = createArchive('00/plane0', 8);
+				archive.tags.rlewCode = 0x10000;
+				const issues = handler.checkLimits(archive);
+				assert.equal(issues.length, 1);
+				assert.equal(issues[0].code, 'INVALID_TAG');
+			});
+
+			it('should reject level names that are too long', function() {
+				let archive = createArchive('00/plane0', 8);
+				archive.tags.levels = {
+					'00': {
+						width: 2,
+						height: 2,
+						name: 'This name is too long',
+					},
+				};
+				const issues = handler.checkLimits(archive);
+				assert.equal(issues.length, 1);
+				assert.equal(issues[0].code, 'INVALID_TAG');
+			});
+
+			it('should propose padding single digit folder names', function() {
+				let archive = createArchive('1/plane0', 8);
+				const issues = handler.checkLimits(archive);
+				assert.equal(issues.length, 1);
+				assert.equal(issues[0].code, 'INVALID_FOLDER_NAME');
+				assert.equal(issues[0].fix.name, '01/plane0');
+
+				LimitIssue.applyFixes(archive, issues);
+				assert.equal(archive.files[0].name, '01/plane0');
+				assert.equal(handler.checkLimits(archive).length, 0);
+			});
+
+		}); // checkLimits()
+
 	}); // I/O
 
 }); // Extra tests
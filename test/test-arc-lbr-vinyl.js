@@ -20,6 +20,7 @@
 import assert from 'assert';
 import TestUtil from './util.js';
 import { arc_lbr_vinyl as handler } from '../index.js';
+import NameMap from '../util/nameMap.js';
 
 const md = handler.metadata();
 let testutil = new TestUtil(md.id);
@@ -68,6 +69,115 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 
 		}); // identify()
 
+		describe('filenames', function() {
+
+			function createArchive(names) {
+				const archive = TestUtil.createArchive(names.map(
+					name => TestUtil.createFile(name, `This is ${name}`)
+				));
+				return handler.generate(archive);
+			}
+
+			it('should continue a hash from a previous one', function() {
+				assert.equal(
+					handler.calcHash('.TXT', handler.calcHash('ONE')),
+					handler.calcHash('ONE.TXT')
+				);
+			});
+
+			it('should use filenames supplied by the caller', function() {
+				const output = createArchive(['ONE.TXT', 'ZZCUSTOM.DAT']);
+				const unknown = 'unknown-' + handler.calcHash('ZZCUSTOM.DAT');
+
+				let archive = handler.parse(output);
+				assert.equal(archive.files[0].name, 'ONE.TXT');
+				assert.equal(archive.files[1].name, unknown);
+
+				let nameMap = new NameMap();
+				nameMap.add(md.id, { filenames: ['ZZCUSTOM.DAT'] });
+				archive = handler.parse(output, { nameMap });
+				assert.equal(archive.files[0].name, 'ONE.TXT');
+				assert.equal(archive.files[1].name, 'ZZCUSTOM.DAT');
+
+				// The names should only apply to the parse they were passed to.
+				archive = handler.parse(output);
+				assert.equal(archive.files[1].name, unknown);
+			});
+
+			it('should prefer supplied filenames over guesses', function() {
+				const output = createArchive(['ZZCUSTOM.DAT']);
+				let nameMap = new NameMap();
+				nameMap.guess(md.id, handler.calcHash('ZZCUSTOM.DAT'), 'GUESS.BIN');
+
+				let archive = handler.parse(output, { nameMap });
+				assert.equal(archive.files[0].name, 'GUESS.BIN');
+
+				nameMap.add(md.id, { filenames: ['ZZCUSTOM.DAT'] });
+				archive = handler.parse(output, { nameMap });
+				assert.equal(archive.files[0].name, 'ZZCUSTOM.DAT');
+			});
+
+			it('should give up after the maximum number of attempts', function() {
+				const hash = handler.calcHash('ZZSEARCH.BIN');
+				assert.equal(handler.findFilename(hash, { maxAttempts: 1 }), null);
+			});
+
+			it('should find a name matching the hash', function() {
+				const hash = handler.calcHash('ZZSEARCH.BIN');
+				const name = handler.findFilename(hash);
+				assert.ok(name);
+				assert.equal(handler.calcHash(name), hash);
+			});
+
+			it('should rename unknown files', function() {
+				const output = createArchive(['ONE.TXT', 'ZZRENAME.BIN']);
+				const hash = handler.calcHash('ZZRENAME.BIN');
+
+				let archive = handler.parse(output);
+				assert.equal(archive.files[1].name, `unknown-${hash}`);
+
+				let nameMap = new NameMap();
+				assert.equal(handler.recoverFilenames(archive, { nameMap }), 1);
+				const found = archive.files[1].name;
+				assert.equal(handler.calcHash(found), hash);
+				assert.deepEqual(nameMap.getGuesses(md.id), { [hash]: found });
+
+				// The name found should only be used again if the map is passed back
+				// in.
+				archive = handler.parse(output);
+				assert.equal(archive.files[1].name, `unknown-${hash}`);
+				archive = handler.parse(output, { nameMap });
+				assert.equal(archive.files[1].name, found);
+			});
+
+			it('should keep names found by searching in exported names', function() {
+				const output = createArchive(['ZZRENAME.BIN']);
+				const hash = handler.calcHash('ZZRENAME.BIN');
+
+				let nameMap = new NameMap();
+				handler.recoverFilenames(handler.parse(output), { nameMap });
+				const found = nameMap.getGuesses(md.id)[hash];
+				assert.ok(found);
+
+				let nameMap2 = new NameMap();
+				nameMap2.importJSON(nameMap.exportJSON());
+				const archive = handler.parse(output, { nameMap: nameMap2 });
+				assert.equal(archive.files[0].name, found);
+			});
+
+			it('should stop renaming after the maximum number of attempts', function() {
+				const output = createArchive(['ZZRENAME.BIN', 'ZZSEARCH.BIN']);
+				let archive = handler.parse(output);
+				const names = archive.files.map(f => f.name);
+
+				let nameMap = new NameMap();
+				assert.equal(handler.recoverFilenames(archive, { nameMap, maxAttempts: 1 }), 0);
+				assert.deepEqual(archive.files.map(f => f.name), names);
+				assert.deepEqual(nameMap.getGuesses(md.id), {});
+			});
+
+		}); // filenames
+
 	}); // I/O
 
 }); // Extra tests
@@ -31,6 +31,7 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 
 		before('load test data from local filesystem', function() {
 			content = testutil.loadContent(handler, [
+				'default',
 				'short',
 				'wrong_sig',
 				'wrong_ver',
@@ -69,6 +70,29 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 
 		}); // identify()
 
+		describe('generate()', function() {
+
+			it('should preserve unused FAT fields', function() {
+				let archive = handler.parse(content.default);
+				archive.files[0].extra['arc-rff-blood'] = {
+					id: 1234,
+					packedSize: 5678,
+					cache: Uint8Array.from([1, 2, 3, 4]),
+				};
+
+				const contentGenerated = handler.generate(archive);
+				const archive2 = handler.parse(contentGenerated);
+				const extra = archive2.files[0].extra['arc-rff-blood'];
+				assert.equal(extra.id, 1234);
+				assert.equal(extra.packedSize, 5678);
+				assert.equal(extra.cache[0], 1);
+				assert.equal(extra.cache[3], 4);
+				assert.equal(extra.cache[4], 0);
+				assert.equal(archive2.files[1].extra['arc-rff-blood'].id, 0);
+			});
+
+		}); // generate()
+
 	}); // I/O
 
 }); // Extra tests
@@ -34,6 +34,7 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 				'short',
 				'file_in_fat',
 				'file_past_eof',
+				'large_fat',
 			]);
 		});
 
@@ -80,7 +81,9 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 					content['file_in_fat'].main,
 					content['file_in_fat'].main.filename
 				);
-				assert.equal(result.reason, `File 1 @ offset 438 starts inside the FAT which ends at offset 4000.`);
+				// The FAT ends where the earliest file starts, so a file starting
+				// inside the FAT leaves a partial FAT entry.
+				assert.equal(result.reason, `FAT length 438 is not a multiple of 20.`);
 				assert.equal(result.valid, false);
 			});
 
@@ -95,6 +98,127 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 
 		}); // identify()
 
+		describe('FAT size', function() {
+
+			function createArchive(fatEntries) {
+				let archive = TestUtil.createArchive(['one.txt', 'two.txt'].map(
+					name => TestUtil.createFile(name, `This is ${name}`)
+				));
+				if (fatEntries !== undefined) {
+					archive.tags.fatEntries = fatEntries;
+				}
+				return archive;
+			}
+
+			it('should default to 200 entries', function() {
+				const output = handler.generate(createArchive());
+				assert.equal(output.main.length, 200 * 20 + 30);
+
+				const archive = handler.parse(output);
+				assert.equal(archive.tags.fatEntries, 200);
+			});
+
+			it('should detect a smaller FAT', function() {
+				const output = handler.generate(createArchive(5));
+				assert.equal(output.main.length, 5 * 20 + 30);
+
+				const result = handler.identify(output.main);
+				assert.equal(result.valid, true);
+
+				const archive = handler.parse(output);
+				assert.equal(archive.tags.fatEntries, 5);
+				assert.equal(archive.files.length, 2);
+				TestUtil.buffersEqual(
+					TestUtil.u8FromString('This is two.txt'),
+					archive.files[1].getContent()
+				);
+			});
+
+			it('should write the same FAT size back out', function() {
+				const output = handler.generate(createArchive(5));
+				const archive = handler.parse(output);
+				const output2 = handler.generate(archive);
+				TestUtil.contentEqual(output, output2);
+			});
+
+			it('should detect the FAT size when the first entry is unused', function() {
+				let output = handler.generate(createArchive(5));
+				// Move both files down one FAT slot, leaving the first one empty.
+				output.main.copyWithin(20, 0, 40);
+				output.main.fill(0, 0, 20);
+
+				const result = handler.identify(output.main);
+				assert.equal(result.valid, true);
+
+				const archive = handler.parse(output);
+				assert.equal(archive.tags.fatEntries, 5);
+				assert.equal(archive.files.length, 2);
+				assert.equal(archive.files[0].name, 'one.txt');
+				TestUtil.buffersEqual(
+					TestUtil.u8FromString('This is two.txt'),
+					archive.files[1].getContent()
+				);
+			});
+
+			it('should use the smallest offset when files are out of order', function() {
+				let output = handler.generate(createArchive(5));
+				// Swap the two FAT entries, so the first one no longer points to the
+				// start of the data.
+				const first = output.main.slice(0, 20);
+				output.main.copyWithin(0, 20, 40);
+				output.main.set(first, 20);
+
+				const archive = handler.parse(output);
+				assert.equal(archive.tags.fatEntries, 5);
+				assert.equal(archive.files.length, 2);
+				assert.equal(archive.files[0].name, 'two.txt');
+				TestUtil.buffersEqual(
+					TestUtil.u8FromString('This is one.txt'),
+					archive.files[1].getContent()
+				);
+			});
+
+			it('should reject a FAT that is not a whole number of entries', function() {
+				let output = handler.generate(createArchive(5));
+				// Move the first file's offset so the FAT is one byte longer.
+				output.main[12]++;
+				const result = handler.identify(output.main);
+				assert.equal(result.reason, 'FAT length 101 is not a multiple of 20.');
+				assert.equal(result.valid, false);
+			});
+
+			it('should report too many files for the FAT', function() {
+				const archive = createArchive(1);
+				const issues = handler.checkLimits(archive);
+				assert.equal(issues.length, 1);
+				assert.equal(issues[0].code, 'TOO_MANY_FILES');
+
+				assert.throws(() => {
+					handler.generate(archive);
+				});
+			});
+
+			it('should allow more than the default number of files', function() {
+				const archive = handler.parse(content['large_fat']);
+				assert.equal(archive.tags.fatEntries, 210);
+				assert.equal(archive.files.length, 201);
+				assert.equal(archive.files[200].name, 'FILE200.TXT');
+
+				const issues = handler.checkLimits(archive);
+				assert.equal(issues.length, 0, `${issues.length} issues with archive, expected 0`);
+
+				const contentGenerated = handler.generate(archive);
+				TestUtil.contentEqual(content['large_fat'], contentGenerated);
+			});
+
+			it('should report an invalid FAT size', function() {
+				const issues = handler.checkLimits(createArchive('abc'));
+				assert.equal(issues.length, 1);
+				assert.equal(issues[0].code, 'INVALID_TAG');
+			});
+
+		}); // FAT size
+
 	}); // I/O
 
 }); // Extra tests
@@ -0,0 +1,201 @@
+/*
+ * Extra tests for arc-vswap-wolf3d.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import { arc_vswap_wolf3d as handler } from '../index.js';
+
+// Create a file filled with a value, so pages are easy to tell apart.
+function filledFile(name, length, value)
+{
+	return TestUtil.createFile(name, new Uint8Array(length).fill(value));
+}
+
+function createArchive()
+{
+	return TestUtil.createArchive([
+		filledFile('wall-000', 4096, 0x11),
+		filledFile('wall-001', 4096, 0x22),
+		filledFile('sprite-000', 1000, 0x33),
+		filledFile('digi-000', 5000, 0x44),
+		filledFile('digi-001', 100, 0x55),
+	]);
+}
+
+const md = handler.metadata();
+let testutil = new TestUtil(md.id);
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+	let content = {};
+
+	before('load test data from local filesystem', function() {
+		content = testutil.loadContent(handler, [
+			'unused_page',
+		]);
+	});
+
+	describe('parse()', function() {
+
+		it('sound pages that no sound uses are kept', function() {
+			const archive = handler.parse(content.unused_page);
+			assert.deepEqual(archive.files.map(f => f.name), [
+				'wall-000',
+				'sprite-000',
+				'digi-000',
+				'digi-001',
+				'digi-002',
+				'digipage-001',
+				'digipage-003',
+			]);
+			TestUtil.buffersEqual(TestUtil.u8FromString('This is sound 1'),
+				archive.files[3].getContent());
+			TestUtil.buffersEqual(TestUtil.u8FromString('Unused page 1'),
+				archive.files[5].getContent());
+			assert.equal(archive.files[5].type, 'sound/wolf3d-digi');
+		});
+
+		it('sounds are marked as untouched', function() {
+			const archive = handler.parse(content.unused_page);
+			for (const file of archive.files) {
+				assert.ok(file.isUntouched(md.id), `${file.name} is not untouched`);
+			}
+		});
+
+		it('should reproduce an archive with unused pages exactly', function() {
+			const archive = handler.parse(content.unused_page);
+			const contentGenerated = handler.generate(archive);
+
+			TestUtil.contentEqual(content.unused_page, contentGenerated);
+		});
+
+		it('unused pages stay in place when sounds change size', function() {
+			let archive = handler.parse(content.unused_page);
+			const newSound = new Uint8Array(5000).fill(0x44);
+			archive.files[2].nativeSize = newSound.length;
+			archive.files[2].getContent = () => newSound;
+
+			const parsed = handler.parse(handler.generate(archive));
+			assert.deepEqual(parsed.files.map(f => f.name), [
+				'wall-000',
+				'sprite-000',
+				'digi-000',
+				'digi-001',
+				'digi-002',
+				'digipage-002',
+				'digipage-004',
+			]);
+			TestUtil.buffersEqual(newSound, parsed.files[2].getContent());
+			TestUtil.buffersEqual(TestUtil.u8FromString('This is sound 1'),
+				parsed.files[3].getContent());
+		});
+
+	}); // parse()
+
+	describe('generate()', function() {
+
+		it('files are given a type', function() {
+			const parsed = handler.parse(handler.generate(createArchive()));
+			assert.equal(parsed.files[0].type, 'image/wolf3d-wall');
+			assert.equal(parsed.files[2].type, 'image/wolf3d-sprite');
+			assert.equal(parsed.files[3].type, 'sound/wolf3d-digi');
+		});
+
+		it('sounds are split into pages', function() {
+			const content = handler.generate(createArchive());
+			const buffer = Buffer.from(content.main);
+
+			const numChunks = buffer.readUInt16LE(0);
+			// 2 walls, 1 sprite, 2 + 1 sound pages, and the sound info page.
+			assert.equal(numChunks, 2 + 1 + 3 + 1);
+			assert.equal(buffer.readUInt16LE(2), 2); // spriteStart
+			assert.equal(buffer.readUInt16LE(4), 3); // soundStart
+
+			const lengths = [];
+			for (let i = 0; i < numChunks; i++) {
+				lengths.push(buffer.readUInt16LE(6 + numChunks * 4 + i * 2));
+			}
+			assert.deepEqual(lengths, [4096, 4096, 1000, 4096, 904, 100, 2 * 4]);
+
+			// Sound info page.
+			const offInfo = buffer.readUInt32LE(6 + (numChunks - 1) * 4);
+			assert.equal(buffer.readUInt16LE(offInfo + 0), 0);
+			assert.equal(buffer.readUInt16LE(offInfo + 2), 5000);
+			assert.equal(buffer.readUInt16LE(offInfo + 4), 2);
+			assert.equal(buffer.readUInt16LE(offInfo + 6), 100);
+		});
+
+		it('pages are aligned to 512 bytes', function() {
+			const content = handler.generate(createArchive());
+			const buffer = Buffer.from(content.main);
+			const numChunks = buffer.readUInt16LE(0);
+			for (let i = 0; i < numChunks; i++) {
+				assert.equal(buffer.readUInt32LE(6 + i * 4) % 512, 0);
+			}
+		});
+
+		it('missing walls and sprites are written as empty pages', function() {
+			let archive = createArchive();
+			archive.files = archive.files.filter(f => f.name !== 'wall-000');
+			const parsed = handler.parse(handler.generate(archive));
+
+			assert.equal(parsed.files[0].name, 'wall-000');
+			assert.equal(parsed.files[0].nativeSize, 0);
+			assert.equal(parsed.files[1].name, 'wall-001');
+		});
+
+		it('an empty archive still has a sound info page', function() {
+			const content = handler.generate(TestUtil.createArchive([]));
+			const parsed = handler.parse(content);
+			assert.equal(parsed.files.length, 0);
+
+			const identified = handler.identify(content.main);
+			assert.equal(identified.valid, true, identified.reason);
+		});
+
+	}); // generate()
+
+	describe('checkLimits()', function() {
+
+		it('unknown filenames are detected', function() {
+			let archive = createArchive();
+			archive.files.push(filledFile('music-000', 10, 0));
+			const issues = handler.checkLimits(archive);
+			assert.equal(issues.length, 1);
+			assert.equal(issues[0].code, 'INVALID_FILENAME');
+		});
+
+		it('walls must be a full page', function() {
+			let archive = createArchive();
+			archive.files.push(filledFile('wall-002', 4000, 0));
+			const issues = handler.checkLimits(archive);
+			assert.equal(issues.length, 1);
+			assert.equal(issues[0].code, 'INVALID_FILE_SIZE');
+		});
+
+		it('sprites must fit in a page', function() {
+			let archive = createArchive();
+			archive.files.push(filledFile('sprite-001', 4097, 0));
+			const issues = handler.checkLimits(archive);
+			assert.equal(issues.length, 1);
+			assert.equal(issues[0].code, 'INVALID_FILE_SIZE');
+		});
+
+	}); // checkLimits()
+
+});
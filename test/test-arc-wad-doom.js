@@ -19,10 +19,43 @@
 
 import assert from 'assert';
 import TestUtil from './util.js';
-import { arc_wad_doom as handler, Archive, File } from '../index.js';
+import {
+	arc_wad_doom as handler,
+	Archive,
+	BufferSink,
+	File,
+	LimitIssue,
+} from '../index.js';
 
 const md = handler.metadata();
 let testutil = new TestUtil(md.id);
+
+// Create an archive containing the given files.
+function createArchive(names)
+{
+	return TestUtil.createArchive(names.map((name, i) => (
+		(name.substr(-1) === '/')
+			? TestUtil.createFile(name, new Uint8Array())
+			: TestUtil.createFile(name, 'test' + (i % 10))
+	)));
+}
+
+// Get the name of every lump in the WAD's FAT, in order.
+function getLumpNames(content)
+{
+	const dv = new DataView(content.main.buffer, content.main.byteOffset);
+	const count = dv.getUint32(4, true);
+	const offFAT = dv.getUint32(8, true);
+	let names = [];
+	for (let i = 0; i < count; i++) {
+		const offName = offFAT + i * 16 + 8;
+		names.push(
+			String.fromCharCode(...content.main.slice(offName, offName + 8))
+				.replace(/\0+$/, '')
+		);
+	}
+	return names;
+}
 describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 	let content = {};
 
@@ -35,6 +68,7 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 				'fat_past_eof',
 				'folders',
 				'folders_map',
+				'empty_lump',
 			]);
 		});
 
@@ -82,6 +116,182 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 				assert.equal(archive.files[6].name.toUpperCase(), 'ROOT2');
 			});
 
+			it('duplicate lumps and lump order are preserved', function() {
+				const names = [
+					'PLAYPAL',
+					'DEHACKED',
+					'A/X',
+					'PLAYPAL',
+					'A/Y',
+					'B/',
+					'B_END',
+					'DEHACKED',
+					'A/X',
+				];
+				let archive = createArchive(names);
+
+				const contentGenerated = handler.generate(archive);
+				const parsedArchive = handler.parse(contentGenerated);
+				assert.deepEqual(parsedArchive.files.map(f => f.name), names);
+				for (let i = 0; i < names.length; i++) {
+					TestUtil.buffersEqual(
+						archive.files[i].getContent(),
+						parsedArchive.files[i].getContent()
+					);
+				}
+
+				// Writing it back out again should produce the same file.
+				TestUtil.contentEqual(contentGenerated, handler.generate(parsedArchive));
+			});
+
+			it('UDMF levels are read and written', function() {
+				const names = [
+					'MYMAP/TEXTMAP',
+					'MYMAP/ZNODES',
+					'MYMAP/DIALOGUE',
+					'MYMAP/BEHAVIOR',
+					'MYMAP/SCRIPTS',
+					'ROOT',
+				];
+				const contentGenerated = handler.generate(createArchive(names));
+				assert.deepEqual(getLumpNames(contentGenerated), [
+					'MYMAP',
+					'TEXTMAP',
+					'ZNODES',
+					'DIALOGUE',
+					'BEHAVIOR',
+					'SCRIPTS',
+					'ENDMAP',
+					'ROOT',
+				]);
+
+				const parsedArchive = handler.parse(contentGenerated);
+				assert.deepEqual(parsedArchive.files.map(f => f.name), names);
+			});
+
+			it('GL nodes and Hexen/Strife lumps stay in their levels', function() {
+				const names = [
+					'MAP01/THINGS',
+					'MAP01/LINEDEFS',
+					'MAP01/BEHAVIOR',
+					'MAP01/SCRIPTS',
+					'MAP01/DIALOGUE',
+					'GL_MAP01/GL_VERT',
+					'GL_MAP01/GL_SEGS',
+					'GL_MAP01/GL_SSECT',
+					'GL_MAP01/GL_NODES',
+					'GL_MAP01/GL_PVS',
+					'MAP02/THINGS',
+				];
+				const contentGenerated = handler.generate(createArchive(names));
+				assert.deepEqual(getLumpNames(contentGenerated), [
+					'MAP01',
+					'THINGS',
+					'LINEDEFS',
+					'BEHAVIOR',
+					'SCRIPTS',
+					'DIALOGUE',
+					'GL_MAP01',
+					'GL_VERT',
+					'GL_SEGS',
+					'GL_SSECT',
+					'GL_NODES',
+					'GL_PVS',
+					'MAP02',
+					'THINGS',
+				]);
+
+				const parsedArchive = handler.parse(contentGenerated);
+				assert.deepEqual(parsedArchive.files.map(f => f.name), names);
+			});
+
+			it('IWAD/PWAD signature is read into a tag', function() {
+				let archive = handler.parse(content.folders);
+				assert.equal(archive.tags.type, 'IWAD');
+
+				archive.tags.type = 'PWAD';
+				const contentGenerated = handler.generate(archive);
+				archive = handler.parse(contentGenerated);
+				assert.equal(archive.tags.type, 'PWAD');
+			});
+
+			it('mismatched flat/sprite/patch end markers are kept', function() {
+				const lumps = [
+					'FF_START', 'FLAT1', 'F_END',
+					'SS_START', 'SPRA0', 'S_END',
+					'PP_START', 'PATCH1', 'PP_END',
+				];
+				let archive = createArchive([
+					'FF/FLAT1',
+					'SS/SPRA0',
+					'PP/PATCH1',
+				]);
+				archive.extra[md.id] = {
+					endMarkers: {
+						FF: 'F_END',
+						SS: 'S_END',
+					},
+				};
+				const contentGenerated = handler.generate(archive);
+				assert.deepEqual(getLumpNames(contentGenerated), lumps);
+
+				const parsedArchive = handler.parse(contentGenerated);
+				assert.deepEqual(parsedArchive.files.map(f => f.name), [
+					'FF/FLAT1',
+					'SS/SPRA0',
+					'PP/PATCH1',
+				]);
+				TestUtil.contentEqual(contentGenerated, handler.generate(parsedArchive));
+			});
+
+			it('nested and ZDoom namespaces are converted into folders', function() {
+				const names = [
+					'F/F1/FLAT1',
+					'F/F2/FLAT2',
+					'TX/TEXTURE1',
+					'HI/HIRES1',
+					'VX/VOXEL1',
+				];
+				const contentGenerated = handler.generate(createArchive(names));
+				assert.deepEqual(getLumpNames(contentGenerated), [
+					'F_START',
+					'F1_START', 'FLAT1', 'F1_END',
+					'F2_START', 'FLAT2', 'F2_END',
+					'F_END',
+					'TX_START', 'TEXTURE1', 'TX_END',
+					'HI_START', 'HIRES1', 'HI_END',
+					'VX_START', 'VOXEL1', 'VX_END',
+				]);
+
+				const parsedArchive = handler.parse(contentGenerated);
+				assert.deepEqual(parsedArchive.files.map(f => f.name), names);
+			});
+
+			it('data in level markers is preserved', function() {
+				let archive = createArchive([
+					'GL_E1M1/',
+					'GL_E1M1/GL_VERT',
+				]);
+				archive.files[0].nativeSize = 10;
+				archive.files[0].getRaw = () => TestUtil.u8FromString('LEVEL=E1M1');
+
+				const contentGenerated = handler.generate(archive);
+				assert.deepEqual(getLumpNames(contentGenerated), [
+					'GL_E1M1',
+					'GL_VERT',
+				]);
+
+				const parsedArchive = handler.parse(contentGenerated);
+				assert.deepEqual(parsedArchive.files.map(f => f.name), [
+					'GL_E1M1/',
+					'GL_E1M1/GL_VERT',
+				]);
+				TestUtil.buffersEqual(
+					TestUtil.u8FromString('LEVEL=E1M1'),
+					parsedArchive.files[0].getContent()
+				);
+			});
+
 		}); // parse()
 
 		describe('generate()', function() {
@@ -214,6 +424,9 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 				archive.files.push(file);
 				const issues1 = handler.checkLimits(archive);
 				assert.equal(issues1.length, 1, `${issues1.length} issues with archive, expected 1`);
+				assert.equal(issues1[0].code, 'FILENAME_TOO_LONG');
+				assert.equal(issues1[0].file, file);
+				assert.equal(issues1[0].fix.name, 'AA/TESTTEST');
 			});
 
 			it('maximum folder name length is correct', function() {
@@ -246,6 +459,89 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 				archive.files.push(file);
 				const issues1 = handler.checkLimits(archive);
 				assert.equal(issues1.length, 1, `${issues1.length} issues with archive, expected 1`);
+				assert.equal(issues1[0].code, 'FOLDER_NAME_TOO_LONG');
+				assert.equal(issues1[0].fix.name, 'AA/TESTTEST');
+			});
+
+			it('long file and folder names can be fixed together', function() {
+				let archive = new Archive();
+				let file = new File();
+				file.name = 'AAA/TESTTEST1';
+				file.nativeSize = 16;
+				file.getRaw = () => TestUtil.u8FromString('longest filename');
+				archive.files.push(file);
+
+				const issues = handler.checkLimits(archive);
+				assert.equal(issues.length, 2, `${issues.length} issues with archive, expected 2`);
+
+				const unfixed = LimitIssue.applyFixes(archive, issues);
+				assert.equal(unfixed.length, 0);
+				assert.equal(archive.files[0].name, 'AA/TESTTEST');
+				assert.equal(handler.checkLimits(archive).length, 0);
+			});
+
+			it('level lumps are gathered together in order', function() {
+				let archive = new Archive();
+				for (const name of ['E1M1/BLOCKMAP', 'ROOT', 'E1M1/THINGS']) {
+					let file = new File();
+					file.name = name;
+					file.nativeSize = 4;
+					file.getRaw = () => TestUtil.u8FromString('test');
+					archive.files.push(file);
+				}
+
+				const parsedArchive = handler.parse(handler.generate(archive));
+				assert.deepEqual(parsedArchive.files.map(f => f.name), [
+					'E1M1/THINGS',
+					'E1M1/BLOCKMAP',
+					'ROOT',
+				]);
+			});
+
+			it('invalid type tag is detected', function() {
+				let archive = createArchive(['TEST']);
+				archive.tags.type = 'XWAD';
+
+				const issues = handler.checkLimits(archive);
+				assert.equal(issues.length, 1);
+				assert.equal(issues[0].code, 'INVALID_TAG');
+			});
+
+			it('duplicate names are allowed', function() {
+				let archive = new Archive();
+				for (let i = 0; i < 2; i++) {
+					let file = new File();
+					file.name = 'PLAYPAL';
+					file.nativeSize = 5;
+					file.getRaw = () => TestUtil.u8FromString('test' + i);
+					archive.files.push(file);
+				}
+
+				const issues = handler.checkLimits(archive);
+				assert.equal(issues.length, 0, `${issues.length} issues with archive, expected 0`);
+			});
+
+			it('empty lumps and a FAT at the end are written back the same', function() {
+				const archive = handler.parse(content.empty_lump);
+				assert.deepEqual(archive.files.map(f => f.name), [
+					'MAP01/THINGS',
+					'MAP01/LINEDEFS',
+					'MAP01/REJECT',
+					'MAP01/BLOCKMAP',
+					'EMPTY',
+					'DATA',
+				]);
+				assert.equal(archive.files[2].nativeSize, 0);
+
+				const contentGenerated = handler.generate(archive);
+				TestUtil.contentEqual(content.empty_lump, contentGenerated);
+			});
+
+			it('empty lumps and a FAT at the end are written back the same (async)', async function() {
+				const archive = handler.parse(content.empty_lump);
+				let sink = new BufferSink();
+				await handler.generateAsync(archive, { main: sink });
+				TestUtil.contentEqual(content.empty_lump, { main: sink.getU8() });
 			});
 
 		}); // generate()
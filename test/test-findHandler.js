@@ -0,0 +1,107 @@
+/*
+ * Tests for format autodetection.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	arc_dat_fast,
+	arc_dat_wacky,
+	findHandler,
+	rankHandlers,
+} from '../index.js';
+
+describe(`Format autodetection`, function() {
+	let content = {};
+
+	before('load test data from local filesystem', function() {
+		content.fast = new TestUtil('arc-dat-fast').loadContent(arc_dat_fast, [
+			'default',
+		]).default.main;
+		content.wacky = new TestUtil('arc-dat-wacky').loadContent(arc_dat_wacky, [
+			'default',
+			'empty',
+		]);
+	});
+
+	describe('rankHandlers()', function() {
+
+		it('should put the best match first', function() {
+			const candidates = rankHandlers(content.fast, 'bash1.dat');
+			assert.ok(candidates.length > 0, 'No handlers matched');
+			assert.equal(candidates[0].handler.metadata().id, 'arc-dat-fast');
+		});
+
+		it('should give extra weight to a matching filename', function() {
+			const withGlob = rankHandlers(content.fast, 'bash1.dat');
+			const withoutGlob = rankHandlers(content.fast, 'bash1.bin');
+			assert.ok(withGlob[0].score > withoutGlob[0].score,
+				`${withGlob[0].score} is not greater than ${withoutGlob[0].score}`);
+			assert.ok(withGlob[0].reasons.includes('Filename matches "*.dat".'));
+		});
+
+		it('should sort the candidates by score', function() {
+			const candidates = rankHandlers(content.wacky.empty.main, 'empty.dat');
+			for (let i = 1; i < candidates.length; i++) {
+				assert.ok(candidates[i - 1].score >= candidates[i].score,
+					`Candidate ${i} is out of order`);
+			}
+		});
+
+		it('should rank empty archives below non-empty ones', function() {
+			const empty = rankHandlers(content.wacky.empty.main, 'empty.dat');
+			const full = rankHandlers(content.wacky.default.main, 'default.dat');
+			assert.ok(empty[0].score < full[0].score,
+				`${empty[0].score} is not less than ${full[0].score}`);
+		});
+
+		it('should not include handlers that reject the content', function() {
+			const candidates = rankHandlers(content.fast, 'bash1.dat');
+			for (const c of candidates) {
+				assert.notEqual(c.valid, false);
+			}
+		});
+
+	}); // rankHandlers()
+
+	describe('identify()', function() {
+
+		it('should lower confidence for gaps between files', function() {
+			let gap = new Uint8Array(content.wacky.default.main.length + 1);
+			gap.set(content.wacky.default.main);
+
+			const resultOK = arc_dat_wacky.identify(content.wacky.default.main);
+			const resultGap = arc_dat_wacky.identify(gap);
+			assert.equal(resultOK.valid, true);
+			assert.equal(resultGap.valid, true);
+			assert.ok((resultOK.confidence || 100) > resultGap.confidence);
+		});
+
+	}); // identify()
+
+	describe('findHandler()', function() {
+
+		it('should return handlers in ranked order', function() {
+			const candidates = rankHandlers(content.fast, 'bash1.dat');
+			const handlers = findHandler(content.fast, 'bash1.dat');
+			assert.deepEqual(handlers, candidates.map(c => c.handler));
+		});
+
+	}); // findHandler()
+
+}); // Format autodetection
@@ -257,8 +257,225 @@ describe(`fixedArchive`, function() {
 				});
 			});
 
+			it('should fail if a file changes size without padding', function() {
+				const files = [
+					{
+						name: 'one.txt',
+						offset: 0,
+						diskSize: 22,
+					}, {
+						name: 'two.txt',
+						diskSize: 23,
+					},
+				];
+				let archive = FixedArchive.parse(content['default'].main, files);
+				archive.files[0].getContent = () => TestUtil.u8FromString('Short');
+
+				assert.throws(() => {
+					FixedArchive.generate(archive, files);
+				}, /must be exactly 22 bytes/);
+			});
+
+			it('should pad a file that shrinks', function() {
+				const files = [
+					{
+						name: 'one.txt',
+						offset: 0,
+						diskSize: 22,
+						padding: 0x2E,
+					}, {
+						name: 'two.txt',
+						diskSize: 23,
+					},
+				];
+				let archive = FixedArchive.parse(content['default'].main, files);
+				archive.files[0].getContent = () => TestUtil.u8FromString('Short');
+
+				const output = FixedArchive.generate(archive, files);
+				TestUtil.buffersEqual(
+					TestUtil.u8FromString('Short.................'),
+					output.slice(0, 22)
+				);
+				TestUtil.buffersEqual(
+					TestUtil.u8FromString('This is the second file'),
+					output.slice(22, 45)
+				);
+			});
+
+			it('should let a file grow into slack space', function() {
+				const files = [
+					{
+						name: 'one.txt',
+						offset: 0,
+						diskSize: 22,
+						slack: 23,
+					}, {
+						name: 'three.txt',
+						diskSize: 22,
+					},
+				];
+				let archive = FixedArchive.parse(content['default'].main, files);
+				// The slack is not returned as a file.
+				assert.equal(archive.files[1].name, 'three.txt');
+
+				archive.files[0].getContent = () => TestUtil.u8FromString(
+					'This is a much longer first file'
+				);
+
+				const output = FixedArchive.generate(archive, files);
+				TestUtil.buffersEqual(
+					TestUtil.u8FromString('This is a much longer first file'),
+					output.slice(0, 32)
+				);
+				TestUtil.buffersEqual(new Uint8Array(13), output.slice(32, 45));
+				TestUtil.buffersEqual(
+					TestUtil.u8FromString('This is the third file'),
+					output.slice(45, 67)
+				);
+			});
+
+			it('should keep the original slack for unchanged files', function() {
+				const files = [
+					{
+						name: 'one.txt',
+						offset: 0,
+						diskSize: 22,
+						slack: 23,
+					}, {
+						name: 'three.txt',
+						diskSize: 22,
+					}, {
+						name: 'four.txt',
+						diskSize: 23,
+					},
+				];
+				const archive = FixedArchive.parse(content['default'].main, files);
+
+				const contentGenerated = {
+					main: FixedArchive.generate(archive, files),
+				};
+				TestUtil.contentEqual(content['default'], contentGenerated);
+			});
+
+			it('should fail if a file is bigger than its slack space', function() {
+				const files = [
+					{
+						name: 'one.txt',
+						offset: 0,
+						diskSize: 22,
+						slack: 2,
+					}, {
+						name: 'three.txt',
+						diskSize: 21,
+					},
+				];
+				let archive = FixedArchive.parse(content['default'].main, files);
+				archive.files[0].getContent = () => TestUtil.u8FromString(
+					'This is a much longer first file'
+				);
+
+				assert.throws(() => {
+					FixedArchive.generate(archive, files);
+				}, /only room for 24 bytes/);
+			});
+
 		}); // generate()
 
+		describe('spaceRemaining()', function() {
+
+			it('should report the space left for each file', function() {
+				const files = [
+					{
+						name: 'one.txt',
+						offset: 0,
+						diskSize: 22,
+						slack: 23,
+					}, {
+						name: 'three.txt',
+						diskSize: 22,
+						padding: 0,
+					},
+				];
+				let archive = FixedArchive.parse(content['default'].main, files);
+				archive.files[1].getContent = () => TestUtil.u8FromString(
+					'This is the third file, now longer'
+				);
+
+				const report = FixedArchive.spaceRemaining(archive, files);
+				assert.deepEqual(report, [
+					{ name: 'one.txt', size: 22, available: 45, remaining: 23 },
+					{ name: 'three.txt', size: 34, available: 22, remaining: -12 },
+				]);
+			});
+
+		}); // spaceRemaining()
+
+		describe('checkLimits()', function() {
+
+			it('should report files that will not fit', function() {
+				const files = [
+					{
+						name: 'one.txt',
+						offset: 0,
+						diskSize: 22,
+						padding: 0,
+					}, {
+						name: 'two.txt',
+						diskSize: 23,
+					}, {
+						name: 'three.txt',
+						diskSize: 22,
+						padding: 0,
+					},
+				];
+				let archive = FixedArchive.parse(content['default'].main, files);
+				archive.files[0].getContent = () => TestUtil.u8FromString('Short');
+				archive.files[1].getContent = () => TestUtil.u8FromString('Short');
+				archive.files[2].getContent = () => TestUtil.u8FromString(
+					'This is the third file, now longer'
+				);
+
+				const issues = FixedArchive.checkLimits(archive, files);
+				assert.equal(issues.length, 2);
+				assert.equal(issues[0].code, 'INVALID_FILE_SIZE');
+				assert.equal(issues[0].file.name, 'two.txt');
+				assert.ok(/exactly 23 bytes/.test(issues[0].message));
+				assert.equal(issues[1].code, 'INVALID_FILE_SIZE');
+				assert.equal(issues[1].file.name, 'three.txt');
+				assert.ok(/12 bytes more/.test(issues[1].message));
+			});
+
+			it('should not obscure files again in generate()', function() {
+				let count = 0;
+				const files = [
+					{
+						name: 'one.txt',
+						offset: 0,
+						diskSize: 22,
+						padding: 0,
+						obscure: content => {
+							count++;
+							return content.slice(0, 10);
+						},
+					}, {
+						name: 'two.txt',
+						diskSize: 23,
+					},
+				];
+				let archive = FixedArchive.parse(content['default'].main, files);
+				const newContent = TestUtil.u8FromString('This is the new first file');
+				archive.files[0].getContent = () => newContent;
+
+				const issues = FixedArchive.checkLimits(archive, files);
+				assert.equal(issues.length, 0, `${issues.length} issues with archive, expected 0`);
+
+				const output = FixedArchive.generate(archive, files);
+				assert.equal(count, 1);
+				TestUtil.buffersEqual(newContent.slice(0, 10), output.slice(0, 10));
+			});
+
+		}); // checkLimits()
+
 	}); // I/O
 
 }); // Extra tests
@@ -0,0 +1,85 @@
+/*
+ * Extra tests for the File interface.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import File from '../interface/file.js';
+
+function createFile() {
+	let file = new File();
+	file.name = 'test.dat';
+	file.attributes.compressed = true;
+	file.getRaw = () => TestUtil.u8FromString('raw');
+	file.getContent = () => TestUtil.u8FromString('content');
+	file.markUntouched('test-format');
+	return file;
+}
+
+describe(`Extra tests for the File interface`, function() {
+
+	describe('isUntouched()', function() {
+
+		it('is false for new files', function() {
+			let file = new File();
+			file.getRaw = () => TestUtil.u8FromString('raw');
+			assert.equal(file.isUntouched('test-format'), false);
+		});
+
+		it('is true for unmodified files', function() {
+			const file = createFile();
+			assert.equal(file.isUntouched('test-format'), true);
+		});
+
+		it('is false for a different format', function() {
+			const file = createFile();
+			assert.equal(file.isUntouched('other-format'), false);
+		});
+
+		it('is unaffected by renaming', function() {
+			let file = createFile();
+			file.name = 'other.dat';
+			assert.equal(file.isUntouched('test-format'), true);
+		});
+
+		it('is false after replacing getContent()', function() {
+			let file = createFile();
+			file.getContent = () => TestUtil.u8FromString('new');
+			assert.equal(file.isUntouched('test-format'), false);
+		});
+
+		it('is false after replacing getRaw()', function() {
+			let file = createFile();
+			file.getRaw = () => TestUtil.u8FromString('new');
+			assert.equal(file.isUntouched('test-format'), false);
+		});
+
+		it('is false after changing attributes', function() {
+			let file = createFile();
+			file.attributes.compressed = false;
+			assert.equal(file.isUntouched('test-format'), false);
+		});
+
+		it('is kept when cloning', function() {
+			const file = new File(createFile());
+			assert.equal(file.isUntouched('test-format'), true);
+		});
+
+	}); // isUntouched()
+
+}); // Extra tests
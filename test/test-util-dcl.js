@@ -0,0 +1,73 @@
+/*
+ * Extra tests for util/dcl.js.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import DCL from '../util/dcl.js';
+
+describe(`Extra tests for DCL compression`, function() {
+
+	describe('explode()', function() {
+
+		it('decompresses the blast.c example', function() {
+			const result = DCL.explode(
+				Uint8Array.from([0x00, 0x04, 0x82, 0x24, 0x25, 0x8F, 0x80, 0x7F])
+			);
+			TestUtil.buffersEqual(TestUtil.u8FromString('AIAIAIAIAIAIA'), result);
+		});
+
+		it('rejects unknown dictionary sizes', function() {
+			assert.throws(() => DCL.explode(Uint8Array.from([0x00, 0x07])), /dictionary/);
+		});
+
+		it('rejects truncated data', function() {
+			assert.throws(() => DCL.explode(Uint8Array.from([0x00, 0x04, 0x82])), /ended/);
+		});
+
+	}); // explode()
+
+	describe('implode()', function() {
+
+		for (const dictBits of [4, 5, 6]) {
+			it(`round-trips with a dictionary size of ${dictBits} bits`, function() {
+				let data = new Uint8Array(20000);
+				for (let i = 0; i < data.length; i++) {
+					// Alternate between runs of text and data that doesn't repeat.
+					data[i] = (i % 5000 < 2500) ? (i * i * 7 + (i >> 3)) & 0xFF : 0x41 + (i % 13);
+				}
+				const compressed = DCL.implode(data, dictBits);
+				assert.ok(compressed.length < data.length, 'Data was not compressed');
+				TestUtil.buffersEqual(data, DCL.explode(compressed));
+			});
+		}
+
+		it('round-trips empty data', function() {
+			TestUtil.buffersEqual(new Uint8Array(0), DCL.explode(DCL.implode(new Uint8Array(0))));
+		});
+
+		it('finds matches that overlap the data being written', function() {
+			const data = TestUtil.testData('AB', 600);
+			const compressed = DCL.implode(data);
+			assert.ok(compressed.length < 16, `Compressed to ${compressed.length} bytes`);
+			TestUtil.buffersEqual(data, DCL.explode(compressed));
+		});
+
+	}); // implode()
+
+});
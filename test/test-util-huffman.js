@@ -0,0 +1,114 @@
+/*
+ * Extra tests for util/huffman.js.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import HuffmanDictionary from '../util/huffman.js';
+
+describe(`Extra tests for Huffman compression`, function() {
+
+	const text = TestUtil.u8FromString('This is a test of the Huffman code');
+
+	describe('build()', function() {
+		it('creates a full tree', function() {
+			const dictionary = HuffmanDictionary.build([text]);
+			assert.equal(dictionary.nodes.length, 255);
+			const codes = dictionary.getCodes();
+			for (let i = 0; i < 256; i++) {
+				assert.ok(codes[i], `Byte value ${i} has no code`);
+			}
+		});
+
+		it('gives common bytes shorter codes', function() {
+			const dictionary = HuffmanDictionary.build([text]);
+			const codes = dictionary.getCodes();
+			assert.ok(codes[0x20].length < codes['x'.charCodeAt(0)].length);
+		});
+	});
+
+	describe('generate() and parse()', function() {
+		it('dictionary survives a round trip', function() {
+			const dictionary = HuffmanDictionary.build([text]);
+			const dict = dictionary.generate();
+			assert.equal(dict.length, 1020);
+
+			const parsed = HuffmanDictionary.parse(dict);
+			assert.deepEqual(parsed.nodes, dictionary.nodes);
+		});
+
+		it('short dictionaries are rejected', function() {
+			assert.throws(() => HuffmanDictionary.parse(new Uint8Array(1016)));
+		});
+	});
+
+	describe('compress() and expand()', function() {
+		it('data survives a round trip', function() {
+			const dictionary = HuffmanDictionary.build([text]);
+			const comp = dictionary.compress(text);
+			assert.ok(comp.length < text.length, 'Data did not get smaller');
+
+			const decomp = dictionary.expand(comp, text.length);
+			TestUtil.buffersEqual(text, decomp);
+		});
+
+		it('bytes not used to build the dictionary can still be compressed', function() {
+			const dictionary = HuffmanDictionary.build([text]);
+			const other = new Uint8Array([0x00, 0xFF, 0x80, 0x01]);
+			const comp = dictionary.compress(other);
+
+			const decomp = dictionary.expand(comp, other.length);
+			TestUtil.buffersEqual(other, decomp);
+		});
+
+		it('padding bits are not decoded', function() {
+			const dictionary = HuffmanDictionary.build([
+				TestUtil.u8FromString('aaaaaaaaaabbbbbbbbbb'),
+			]);
+			// Codes for 'a' and 'b' are only a few bits each.
+			const input = TestUtil.u8FromString('abb');
+			const comp = dictionary.compress(input);
+			assert.equal(comp.length, 1);
+
+			const decomp = dictionary.expand(comp, input.length);
+			TestUtil.buffersEqual(input, decomp);
+		});
+
+		it('bits are read from the least significant end', function() {
+			const dictionary = HuffmanDictionary.build([
+				TestUtil.u8FromString('aaaaaaaaaabbbbbbbbbb'),
+			]);
+			const codes = dictionary.getCodes();
+			const a = 'a'.charCodeAt(0), b = 'b'.charCodeAt(0);
+			const bits = [...codes[a], ...codes[b]];
+			const expected = bits.reduce((t, bit, i) => t | (bit << i), 0);
+
+			const comp = dictionary.compress(new Uint8Array([a, b]));
+			assert.equal(comp[0], expected);
+		});
+
+		it('truncated data stops early', function() {
+			const dictionary = HuffmanDictionary.build([text]);
+			const comp = dictionary.compress(text);
+
+			const decomp = dictionary.expand(comp.slice(0, 2), text.length);
+			assert.ok(decomp.length < text.length);
+		});
+	});
+
+});
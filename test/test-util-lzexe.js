@@ -0,0 +1,203 @@
+/*
+ * Extra tests for util/lzexe.js.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import { cmp_lzexe } from '@camoto/gamecomp';
+import LZEXE from '../util/lzexe.js';
+import { Archive_EXE_Keen4_EGA_1v4 as keen4 } from '../index.js';
+
+// Start of the LZEXE 0.91 decompressor, which is what UNLZEXE looks for.  The
+// rest of the loader is left blank as it is never run.
+const loaderStart = (
+	'060e1f8b0e0c008bf14e89f78cdb031e0a008ec3fdf3a453b82b0050cb2e8b2e'
+	+ '08008cda89e83d00107603b8001029c529c229c38eda8ec3b103d3e089c1d1e0'
+	+ '48488bf08bf8f3a509ed75d8fc8ec28edb31f631ffba1000ad89c5d1ed4a7505'
+	+ 'ad89c5b2107303a4ebf131c9d1ed4a7505ad89c5b2107222d1ed4a7505ad89c5'
+	+ 'b210d1d1d1ed4a7505ad89c5b210d1d14141acb7ff8ad8e91300ad8bd8b103d2'
+	+ 'ef80cfe080e407740c88e14141268a01aae2faeba6ac08c074343c01740588c1'
+	+ '41ebea89fb83e70f81c70020b104d3eb8cc001d82d00028ec089f383e60fd3eb'
+	+ '8cd801d88ed8e972'
+).match(/../g).map(h => parseInt(h, 16));
+
+const loaderCode = new Uint8Array(0x158 - 0x0E);
+loaderCode.set(loaderStart);
+
+const LEN_HEADER = 0x30;
+
+// Create an .exe with a mix of repeated and random data, large enough that the
+// decompressor has to move to a new segment part way through.
+function createExe(lenImage, relocs)
+{
+	let exe = new Uint8Array(LEN_HEADER + lenImage);
+	let dv = new DataView(exe.buffer);
+	[
+		0x5A4D,
+		exe.length % 512,
+		Math.ceil(exe.length / 512),
+		relocs.length,
+		LEN_HEADER >> 4,
+		0x100, // minAlloc
+		0xFFFF, // maxAlloc
+		0x1234, // SS
+		0x0200, // SP
+		0,
+		0x0010, // IP
+		0x0020, // CS
+		0x1C,
+		0,
+	].forEach((v, i) => dv.setUint16(i * 2, v, true));
+	relocs.forEach(([ offset, segment ], i) => {
+		dv.setUint16(0x1C + i * 4, offset, true);
+		dv.setUint16(0x1C + i * 4 + 2, segment, true);
+	});
+
+	let seed = 1;
+	for (let i = 0; i < lenImage; i++) {
+		seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF;
+		exe[LEN_HEADER + i] = (i % 1000 < 500) ? (seed >> 16) & 0xFF : i % 7;
+	}
+
+	return exe;
+}
+
+function readU16(content, offset)
+{
+	return content[offset] | (content[offset + 1] << 8);
+}
+
+describe(`Extra tests for LZEXE compression`, function() {
+
+	describe('pack()', function() {
+
+		it('can be unpacked again', function() {
+			const exe = createExe(0x20000, [[4, 0], [0x10, 0x100], [0, 0x1000]]);
+			const packed = LZEXE.pack(exe, { code: loaderCode });
+			assert.ok(packed.length < exe.length);
+
+			const result = cmp_lzexe.identify(packed);
+			assert.equal(result.valid, true, result.reason);
+
+			const unpacked = cmp_lzexe.reveal(packed);
+			const offImage = readU16(unpacked, 0x08) << 4;
+			TestUtil.buffersEqual(
+				exe.slice(LEN_HEADER),
+				unpacked.slice(offImage, offImage + exe.length - LEN_HEADER)
+			);
+
+			// SS, SP, IP and CS.
+			for (const offset of [0x0E, 0x10, 0x14, 0x16]) {
+				assert.equal(readU16(unpacked, offset), readU16(exe, offset),
+					`Header field at offset ${offset} differs`);
+			}
+		});
+
+		it('relocations are kept', function() {
+			const exe = createExe(0x20000, [[0x20, 0x1000], [4, 0], [0x10, 0x100]]);
+			const unpacked = cmp_lzexe.reveal(LZEXE.pack(exe, { code: loaderCode }));
+
+			assert.equal(readU16(unpacked, 0x06), 3);
+			const offRelocs = readU16(unpacked, 0x18);
+			let relocs = [];
+			for (let i = 0; i < 3; i++) {
+				relocs.push(readU16(unpacked, offRelocs + i * 4)
+					+ readU16(unpacked, offRelocs + i * 4 + 2) * 16);
+			}
+			assert.deepEqual(relocs, [4, 0x1010, 0x10020]);
+		});
+
+		it('refuses relocations it can\'t store', function() {
+			const dupe = createExe(0x1000, [[4, 0], [0x10, 0], [4, 0]]);
+			assert.throws(() => LZEXE.pack(dupe, { code: loaderCode }), /0x4\b/);
+
+			const atStart = createExe(0x1000, [[0, 0]]);
+			assert.throws(() => LZEXE.pack(atStart, { code: loaderCode }), /0x0\b/);
+		});
+
+	}); // pack()
+
+	describe('getLoader()', function() {
+
+		it('returns the original decompressor and memory needed', function() {
+			const packed = LZEXE.pack(createExe(0x1000, []), { code: loaderCode });
+			const loader = LZEXE.getLoader(packed);
+
+			TestUtil.buffersEqual(loaderCode, loader.code);
+			assert.equal(loader.minAlloc, 0x100);
+			assert.equal(loader.maxAlloc, 0xFFFF);
+		});
+
+		it('ignores files that aren\'t packed', function() {
+			const exe = createExe(0x1000, []);
+			assert.equal(LZEXE.getLoader(exe), undefined);
+		});
+
+	}); // getLoader()
+
+	describe('Keen handlers', function() {
+
+		let packed;
+
+		before('pack an .exe', function() {
+			// Large enough to hold all the files in the Keen 4 v1.4 .exe.
+			packed = LZEXE.pack(createExe(0x39000, []), { code: loaderCode });
+		});
+
+		it('set the "packer" tag for LZEXE files', function() {
+			const archive = keen4.parse({ main: packed });
+			assert.equal(archive.tags.packer, 'lzexe');
+		});
+
+		it('write unchanged files back exactly', function() {
+			const archive = keen4.parse({ main: packed });
+			const output = keen4.generate(archive);
+			TestUtil.buffersEqual(packed, output.main);
+		});
+
+		it('pack changed files again', function() {
+			let archive = keen4.parse({ main: packed });
+			let file = archive.files.find(f => f.name === 'audiodct.ck4');
+			const newContent = new Uint8Array(0x400).fill(0x55);
+			file.getContent = () => newContent;
+
+			const issues = keen4.checkLimits(archive);
+			assert.equal(issues.length, 0, `${issues.length} issues with archive, expected 0`);
+
+			const output = keen4.generate(archive);
+			const result = cmp_lzexe.identify(output.main);
+			assert.equal(result.valid, true, result.reason);
+
+			const reparsed = keen4.parse(output);
+			assert.equal(reparsed.tags.packer, 'lzexe');
+			TestUtil.buffersEqual(newContent,
+				reparsed.files.find(f => f.name === 'audiodct.ck4').getContent());
+		});
+
+		it('write unpacked files if the "packer" tag is "none"', function() {
+			let archive = keen4.parse({ main: packed });
+			archive.tags.packer = 'none';
+
+			const output = keen4.generate(archive);
+			assert.equal(cmp_lzexe.identify(output.main).valid, false);
+			TestUtil.buffersEqual(cmp_lzexe.reveal(packed), output.main);
+		});
+
+	}); // Keen handlers
+
+});
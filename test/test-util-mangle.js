@@ -0,0 +1,174 @@
+/**
+ * @file Extra tests for filename mangling functions.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import {
+	mangleFilenames,
+	needsMangling,
+} from '../util/mangle.js';
+
+function createFiles(names)
+{
+	return names.map(name => ({ name }));
+}
+
+function mangle(names, caps, options)
+{
+	let map = {};
+	for (const r of mangleFilenames(createFiles(names), caps, options)) {
+		map[r.oldName] = r.newName;
+	}
+	return map;
+}
+
+const capsDos = {
+	file: {
+		maxFilenameLen: 12,
+		dosNames: true,
+	},
+};
+
+const capsLong = {
+	file: {
+		maxFilenameLen: 13,
+	},
+};
+
+describe(`Extra tests for filename mangling functions`, function() {
+
+	describe('needsMangling()', function() {
+		it('accepts names that fit', function() {
+			assert.equal(needsMangling('TEST.DAT', capsDos), false);
+		});
+
+		it('rejects names that are too long', function() {
+			assert.equal(needsMangling('TESTTEST1.DAT', capsDos), true);
+		});
+
+		it('rejects folders if unsupported', function() {
+			assert.equal(needsMangling('A/TEST.DAT', capsDos), true);
+		});
+
+		it('accepts folders if supported', function() {
+			assert.equal(needsMangling('A/TEST.DAT', { file: { folders: true } }), false);
+		});
+	});
+
+	describe('mangleFilenames()', function() {
+		it('leaves names that fit alone', function() {
+			assert.deepEqual(mangle(['test.dat', 'TEST2.DAT'], capsDos), {});
+		});
+
+		it('produces 8.3 names', function() {
+			assert.deepEqual(mangle(['longfilename.text'], capsDos), {
+				'longfilename.text': 'LONGFI~1.TEX',
+			});
+		});
+
+		it('numbers clashing 8.3 names', function() {
+			assert.deepEqual(mangle(['longfilename.txt', 'longfilename2.txt'], capsDos), {
+				'longfilename.txt': 'LONGFI~1.TXT',
+				'longfilename2.txt': 'LONGFI~2.TXT',
+			});
+		});
+
+		it('avoids names already in the archive', function() {
+			assert.deepEqual(mangle(['longfilename.txt', 'longfi~1.txt'], capsDos), {
+				'longfilename.txt': 'LONGFI~2.TXT',
+			});
+		});
+
+		it('replaces invalid DOS characters', function() {
+			assert.deepEqual(mangle(['my file.v2.dat'], capsDos), {
+				'my file.v2.dat': 'MY_FIL~1.DAT',
+			});
+		});
+
+		it('strips folders', function() {
+			assert.deepEqual(mangle(['music/title.mid', 'sfx/title.mid'], capsDos), {
+				'music/title.mid': 'TITLE.MID',
+				'sfx/title.mid': 'TITLE~1.MID',
+			});
+		});
+
+		it('flattens folders', function() {
+			assert.deepEqual(mangle(['a/b/tune.mid'], capsDos, { folders: 'flatten' }), {
+				'a/b/tune.mid': 'A_B_TUNE.MID',
+			});
+		});
+
+		it('skips empty folders', function() {
+			assert.deepEqual(mangle(['empty/'], capsDos), {});
+		});
+
+		it('truncates long names without DOS rules', function() {
+			assert.deepEqual(mangle(['abcdefghijklmnop.dat'], capsLong), {
+				'abcdefghijklmnop.dat': 'abcdefghi.dat',
+			});
+		});
+
+		it('numbers clashing long names', function() {
+			assert.deepEqual(mangle(['abcdefghijklmnop.dat', 'abcdefghijklmnopq.dat'], capsLong), {
+				'abcdefghijklmnop.dat': 'abcdefghi.dat',
+				'abcdefghijklmnopq.dat': 'abcdefg~1.dat',
+			});
+		});
+
+		it('compares names case-sensitively if the format does', function() {
+			const caps = {
+				file: {
+					...capsLong.file,
+					caseSensitive: true,
+				},
+			};
+			assert.deepEqual(mangle(['ABCDEFGHI.dat', 'abcdefghijklmnop.dat'], caps), {
+				'abcdefghijklmnop.dat': 'abcdefghi.dat',
+			});
+		});
+
+		it('compares names case-insensitively by default', function() {
+			assert.deepEqual(mangle(['ABCDEFGHI.dat', 'abcdefghijklmnop.dat'], capsLong), {
+				'abcdefghijklmnop.dat': 'abcdefg~1.dat',
+			});
+		});
+
+		it('renames duplicate files', function() {
+			assert.deepEqual(mangle(['TEST.DAT', 'test.dat'], capsDos), {
+				'test.dat': 'TEST~1.DAT',
+			});
+		});
+
+		it('keeps duplicate files if the format allows them', function() {
+			const caps = {
+				file: {
+					...capsDos.file,
+					duplicates: true,
+				},
+			};
+			assert.deepEqual(mangle(['TEST.DAT', 'TEST.DAT'], caps), {});
+		});
+
+		it('compares names case-insensitively with DOS rules', function() {
+			assert.deepEqual(mangle(['stalker.mid', 'music/stalker.mid'], capsDos), {
+				'music/stalker.mid': 'STALKE~1.MID',
+			});
+		});
+	});
+
+});
@@ -0,0 +1,204 @@
+/*
+ * Extra tests for util/nameMap.js.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import NameMap from '../util/nameMap.js';
+import { arc_dat_indy500 as indy500 } from '../index.js';
+
+describe(`Extra tests for filename maps`, function() {
+
+	describe('hash()', function() {
+
+		it('matches the test suite hash', function() {
+			for (const len of [0, 1, 2, 55, 56, 64, 1000]) {
+				let data = new Uint8Array(len);
+				for (let i = 0; i < len; i++) data[i] = (i * 7) & 0xFF;
+				assert.equal(NameMap.hash(data), TestUtil.hash(data), `length ${len}`);
+			}
+		});
+
+	}); // hash()
+
+	describe('getName()', function() {
+
+		const data = TestUtil.u8FromString('name map test');
+
+		it('returns undefined for unknown formats', function() {
+			const nameMap = new NameMap();
+			assert.equal(nameMap.getName('test-unknown', 0, data), undefined);
+		});
+
+		it('looks up names by index', function() {
+			let nameMap = new NameMap();
+			nameMap.add('test-index', {
+				index: {
+					0: 'FIRST.DAT',
+				},
+			});
+			assert.equal(nameMap.getName('test-index', 0, data), 'FIRST.DAT');
+			assert.equal(nameMap.getName('test-index', 1, data), undefined);
+		});
+
+		it('prefers a hash match over an index', function() {
+			let nameMap = new NameMap();
+			nameMap.add('test-hash', {
+				index: {
+					0: 'FIRST.DAT',
+				},
+			});
+			nameMap.remember('test-hash', data, 'HASHED.DAT');
+			assert.equal(nameMap.getName('test-hash', 0, data), 'HASHED.DAT');
+		});
+
+		it('keeps names in separate maps apart', function() {
+			let nameMap = new NameMap();
+			nameMap.add('test-separate', {
+				index: {
+					0: 'FIRST.DAT',
+				},
+			});
+			const other = new NameMap();
+			assert.equal(other.getName('test-separate', 0, data), undefined);
+		});
+
+	}); // getName()
+
+	describe('getFilenames()', function() {
+
+		it('lists each name once', function() {
+			let nameMap = new NameMap();
+			assert.deepEqual(nameMap.getFilenames('test-filenames'), []);
+			nameMap.add('test-filenames', { filenames: ['A.DAT', 'B.DAT'] });
+			nameMap.add('test-filenames', { filenames: ['B.DAT', 'C.DAT'] });
+			assert.deepEqual(nameMap.getFilenames('test-filenames'),
+				['A.DAT', 'B.DAT', 'C.DAT']);
+		});
+
+	}); // getFilenames()
+
+	describe('exportJSON()', function() {
+
+		it('round trips through importJSON()', function() {
+			let nameMap = new NameMap();
+			nameMap.add('test-json', {
+				index: {
+					2: 'THIRD.DAT',
+				},
+				hash: {
+					'abc=': 'HASHED.DAT',
+				},
+				filenames: ['LISTED.DAT'],
+				guesses: {
+					123: 'GUESSED.DAT',
+				},
+			});
+			const json = nameMap.exportJSON('test-json');
+			assert.deepEqual(JSON.parse(json), {
+				'test-json': {
+					index: {
+						2: 'THIRD.DAT',
+					},
+					hash: {
+						'abc=': 'HASHED.DAT',
+					},
+					filenames: ['LISTED.DAT'],
+					guesses: {
+						123: 'GUESSED.DAT',
+					},
+				},
+			});
+
+			let nameMap2 = new NameMap();
+			nameMap2.importJSON(json);
+			assert.equal(nameMap2.getName('test-json', 2, new Uint8Array()),
+				'THIRD.DAT');
+			assert.deepEqual(nameMap2.getFilenames('test-json'), ['LISTED.DAT']);
+			assert.deepEqual(nameMap2.getGuesses('test-json'), {
+				123: 'GUESSED.DAT',
+			});
+		});
+
+	}); // exportJSON()
+
+	describe('arc-dat-indy500', function() {
+
+		function createArchive(...files) {
+			return TestUtil.createArchive(files);
+		}
+
+		it('keeps the names of edited files in the supplied map', function() {
+			const archive = createArchive(
+				TestUtil.createFile('ONE.TXT', 'This is the first file'),
+				TestUtil.createFile('EDITED.DAT', 'This file has been edited')
+			);
+
+			let nameMap = new NameMap();
+			const output = indy500.generate(archive, { nameMap });
+
+			const archive2 = indy500.parse(output, { nameMap });
+			assert.equal(archive2.files[0].name, 'ONE.TXT');
+			assert.equal(archive2.files[1].name, 'EDITED.DAT');
+		});
+
+		it('does not remember names unless asked to', function() {
+			const archive = createArchive(
+				TestUtil.createFile('EDITED2.DAT', 'This file has been edited too')
+			);
+
+			const output = indy500.generate(archive);
+			assert.equal(indy500.parse(output).files[0].name, 'indy500-0.bin');
+		});
+
+		it('uses imported names', function() {
+			const archive = createArchive(
+				TestUtil.createFile('indy500-0.bin', 'Imported name test')
+			);
+			const output = indy500.generate(archive);
+
+			assert.equal(indy500.parse(output).files[0].name, 'indy500-0.bin');
+
+			let nameMap = new NameMap();
+			nameMap.importJSON(JSON.stringify({
+				'arc-dat-indy500': {
+					index: {
+						0: 'IMPORTED.DAT',
+					},
+				},
+			}));
+			assert.equal(indy500.parse(output, { nameMap }).files[0].name,
+				'IMPORTED.DAT');
+		});
+
+		it('matches names against the decompressed data', function() {
+			const archive = createArchive(
+				TestUtil.createFile('indy500-0.bin', 'Decompressed name test')
+			);
+			const output = indy500.generate(archive);
+
+			let nameMap = new NameMap();
+			nameMap.remember('arc-dat-indy500',
+				TestUtil.u8FromString('Decompressed name test'), 'NATIVE.DAT');
+			assert.equal(indy500.parse(output, { nameMap }).files[0].name,
+				'NATIVE.DAT');
+		});
+
+	}); // arc-dat-indy500
+
+});
@@ -0,0 +1,175 @@
+/*
+ * Extra tests for util/packedExe.js.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	Archive_EXE_Keen4_EGA_1v0,
+	Archive_EXE_Keen5_EGA_1v0,
+	Archive_EXE_Keen6_EGA_1v0,
+} from '../index.js';
+
+const PKLITE_MESSAGE = 'PKLITE Copr. 1990-92 PKWARE Inc. All Rights Reserved';
+
+// Write a 16-bit little-endian value.
+function setU16(data, offset, value)
+{
+	data[offset] = value & 0xFF;
+	data[offset + 1] = value >> 8;
+}
+
+// Create an unpacked .exe for the given handler, with a 32-byte header and
+// the version signature in place.
+function createExe(handler)
+{
+	const sig = handler.getSignature();
+	let exe = new Uint8Array(0x3A000);
+	for (let i = 0; i < exe.length; i++) {
+		exe[i] = (i * 7 + (i >> 8)) & 0xFF;
+	}
+	exe.fill(0x00, 0, 0x20);
+	exe.set(TestUtil.u8FromString('MZ'), 0);
+	setU16(exe, 0x02, exe.length % 512);
+	setU16(exe, 0x04, Math.ceil(exe.length / 512));
+	setU16(exe, 0x08, 0x20 >> 4); // header size
+	setU16(exe, 0x18, 0x1C); // relocation table
+	exe.set(TestUtil.u8FromString(sig.content), sig.offset);
+	return exe;
+}
+
+// Pack an .exe the way PKLITE 1.14 does with large files, but storing every
+// byte as a literal.  The original .exe must have an empty relocation table.
+function pklitePack(exe)
+{
+	let data = [];
+	let word = 0, wordPos = 0, bitCount = 0;
+	data.push(0, 0);
+	const putBit = bit => {
+		word |= bit << bitCount;
+		if (++bitCount === 16) {
+			setU16(data, wordPos, word);
+			word = bitCount = 0;
+			wordPos = data.length;
+			data.push(0, 0);
+		}
+	};
+
+	// Everything after the header is the image to compress.
+	for (const b of exe.slice(0x20)) {
+		putBit(0);
+		data.push(b);
+	}
+	// A copy with the special length code, followed by 0xFF to end the data.
+	for (const bit of [1, 0, 1, 1, 1, 0, 0]) {
+		putBit(bit);
+	}
+	data.push(0xFF);
+	setU16(data, wordPos, word);
+
+	data.push(0x00); // empty relocation table
+	data.push(0, 0, 0, 0, 0, 0, 0, 0); // SS:SP and CS:IP
+
+	// The original header (minus the "MZ") goes after the PKLITE message.
+	const offOrigHeader = 0x1E + PKLITE_MESSAGE.length;
+	const lenHeader = (offOrigHeader + 0x1A + 0x0F) & ~0x0F;
+	// The decompressor code goes here, followed by the compressed data.
+	const lenDecompressor = 0x290;
+
+	let packed = new Uint8Array(lenHeader + lenDecompressor + data.length);
+	packed.set(TestUtil.u8FromString('MZ'), 0);
+	setU16(packed, 0x02, packed.length % 512);
+	setU16(packed, 0x04, Math.ceil(packed.length / 512));
+	setU16(packed, 0x08, lenHeader >> 4);
+	setU16(packed, 0x14, 0x0100); // IP
+	setU16(packed, 0x16, 0xFFF0); // CS
+	setU16(packed, 0x18, offOrigHeader); // relocation table
+	packed[0x1C] = 0x0E; // v1.14
+	packed[0x1D] = 0x21; // large
+	packed.set(TestUtil.u8FromString(PKLITE_MESSAGE), 0x1E);
+	packed.set(exe.slice(2, 0x1C), offOrigHeader);
+	packed.set(data, lenHeader + lenDecompressor);
+	return packed;
+}
+
+describe(`Extra tests for packed .exe files`, function() {
+
+	describe('PKLITE', function() {
+
+		for (const handler of [
+			Archive_EXE_Keen4_EGA_1v0,
+			Archive_EXE_Keen5_EGA_1v0,
+			Archive_EXE_Keen6_EGA_1v0,
+		]) {
+			const md = handler.metadata();
+
+			describe(`${md.title} [${md.id}]`, function() {
+
+				let exe, packed;
+				before('create .exe', function() {
+					exe = createExe(handler);
+					packed = pklitePack(exe);
+				});
+
+				it('is identified', function() {
+					const result = handler.identify(packed);
+					assert.equal(result.reason, 'Signature matched');
+					assert.equal(result.valid, true);
+				});
+
+				it('is opened', function() {
+					const archive = handler.parse({ main: packed });
+					assert.equal(archive.tags.packer, 'none');
+
+					for (const entry of handler.fileList()) {
+						const file = archive.files.find(f => f.name === entry.name);
+						assert.ok(file, `${entry.name} is missing`);
+						TestUtil.buffersEqual(
+							exe.slice(entry.offset, entry.offset + entry.diskSize),
+							file.getContent()
+						);
+					}
+				});
+
+				it('is saved unpacked', function() {
+					const archive = handler.parse({ main: packed });
+					const output = handler.generate(archive);
+					TestUtil.buffersEqual(exe, output.main);
+				});
+
+			});
+		}
+
+		it('explains why a damaged file can\'t be opened', function() {
+			let packed = pklitePack(createExe(Archive_EXE_Keen4_EGA_1v0));
+			// Unknown PKLITE version.
+			packed[0x1C] = 0x07;
+			packed[0x1D] = 0x07;
+
+			const result = Archive_EXE_Keen4_EGA_1v0.identify(packed);
+			assert.equal(result.valid, false);
+			assert.ok(result.reason.includes('PKLITE'), result.reason);
+			assert.throws(
+				() => Archive_EXE_Keen4_EGA_1v0.parse({ main: packed }),
+				/PKLITE/
+			);
+		});
+
+	}); // PKLITE
+
+});
@@ -0,0 +1,130 @@
+/*
+ * Extra tests for util/sink.js.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import { Writable } from 'stream';
+import TestUtil from './util.js';
+import {
+	arc_epf_eastpoint,
+	arc_wad_doom,
+} from '../index.js';
+import {
+	BufferSink,
+	SinkWriter,
+	StreamSink,
+} from '../util/sink.js';
+
+// Writable stream that collects everything written to it.
+function createStream() {
+	let stream = new Writable({
+		write(chunk, encoding, callback) {
+			stream.chunks.push(chunk);
+			callback();
+		},
+	});
+	stream.chunks = [];
+	return stream;
+}
+
+function createArchive() {
+	return TestUtil.createArchive(['ONE', 'TWO'].map(
+		name => TestUtil.createFile(name, `This is file ${name}`)
+	));
+}
+
+describe(`Extra tests for output sinks`, function() {
+
+	describe('BufferSink', function() {
+
+		it('grows to fit the data', async function() {
+			let sink = new BufferSink();
+			await sink.write(0, TestUtil.u8FromString('abc'));
+			await sink.write(8000, TestUtil.u8FromString('xyz'));
+			assert.equal(sink.getU8().length, 8003);
+			TestUtil.buffersEqual(TestUtil.u8FromString('abc'), sink.getU8().slice(0, 3));
+		});
+
+		it('can overwrite earlier data', async function() {
+			let sink = new BufferSink();
+			await sink.write(0, TestUtil.u8FromString('abcdef'));
+			await sink.write(2, TestUtil.u8FromString('XY'));
+			TestUtil.buffersEqual(TestUtil.u8FromString('abXYef'), sink.getU8());
+		});
+
+	}); // BufferSink
+
+	describe('SinkWriter', function() {
+
+		it('can seek back to fill in a header', async function() {
+			let sink = new BufferSink();
+			let out = new SinkWriter(sink);
+			out.seekAbs(2);
+			await out.put(TestUtil.u8FromString('data'));
+			assert.equal(out.getPos(), 6);
+			out.seekAbs(0);
+			await out.put(TestUtil.u8FromString('hd'));
+			TestUtil.buffersEqual(TestUtil.u8FromString('hddata'), sink.getU8());
+		});
+
+	}); // SinkWriter
+
+	describe('StreamSink', function() {
+
+		it('writes sequential data', async function() {
+			let stream = createStream();
+			let sink = new StreamSink(stream);
+			await sink.write(0, TestUtil.u8FromString('abc'));
+			await sink.write(3, TestUtil.u8FromString('def'));
+			TestUtil.buffersEqual(
+				TestUtil.u8FromString('abcdef'),
+				new Uint8Array(Buffer.concat(stream.chunks))
+			);
+		});
+
+		it('rejects out of order writes', async function() {
+			let sink = new StreamSink(createStream());
+			await assert.rejects(
+				sink.write(4, TestUtil.u8FromString('abc'))
+			);
+		});
+
+		it('can be used for formats written sequentially', async function() {
+			const archive = createArchive();
+			let stream = createStream();
+			await arc_wad_doom.generateAsync(archive, {
+				main: new StreamSink(stream),
+			});
+			TestUtil.buffersEqual(
+				arc_wad_doom.generate(archive).main,
+				new Uint8Array(Buffer.concat(stream.chunks))
+			);
+		});
+
+		it('cannot be used for formats that seek back', async function() {
+			let stream = createStream();
+			await assert.rejects(
+				arc_epf_eastpoint.generateAsync(createArchive(), {
+					main: new StreamSink(stream),
+				})
+			);
+		});
+
+	}); // StreamSink
+
+}); // Extra tests
@@ -0,0 +1,137 @@
+/*
+ * Extra tests for util/source.js.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import TestUtil from './util.js';
+import { arc_wad_doom as handler } from '../index.js';
+import {
+	BufferSource,
+	FileHandleSource,
+	isLoaded,
+	loadAll,
+} from '../util/source.js';
+
+const md = handler.metadata();
+let testutil = new TestUtil(md.id);
+
+describe(`Extra tests for on-demand data sources`, function() {
+	let content = {};
+
+	before('load test data from local filesystem', function() {
+		content = testutil.loadContent(handler, [
+			'default',
+		]);
+	});
+
+	describe('BufferSource', function() {
+
+		it('reads part of the data', async function() {
+			const source = new BufferSource(TestUtil.u8FromString('abcdef'));
+			assert.equal(source.length, 6);
+			TestUtil.buffersEqual(TestUtil.u8FromString('bcd'), await source.read(1, 3));
+		});
+
+	}); // BufferSource
+
+	describe('FileHandleSource', function() {
+
+		it('reads part of the file', async function() {
+			const fh = await fs.promises.open(content.default.main.filename, 'r');
+			try {
+				const { size } = await fh.stat();
+				const source = new FileHandleSource(fh, size);
+				assert.equal(source.length, content.default.main.length);
+				TestUtil.buffersEqual(
+					content.default.main.slice(4, 12),
+					await source.read(4, 8)
+				);
+			} finally {
+				await fh.close();
+			}
+		});
+
+		it('can be used to parse an archive', async function() {
+			const fh = await fs.promises.open(content.default.main.filename, 'r');
+			try {
+				const { size } = await fh.stat();
+				const archive = await handler.parseAsync({
+					main: new FileHandleSource(fh, size),
+				});
+				TestUtil.buffersEqual(
+					TestUtil.u8FromString('This is the first file'),
+					await archive.files[0].getContentAsync()
+				);
+			} finally {
+				await fh.close();
+			}
+		});
+
+	}); // FileHandleSource
+
+	describe('loadAll()', function() {
+
+		it('is needed before using getContent()', async function() {
+			const archive = await handler.parseAsync({
+				main: new BufferSource(content.default.main),
+			});
+			assert.throws(() => archive.files[0].getContent());
+
+			await loadAll(archive);
+			TestUtil.buffersEqual(
+				TestUtil.u8FromString('This is the first file'),
+				archive.files[0].getContent()
+			);
+		});
+
+		it('allows the archive to be regenerated', async function() {
+			const archive = await handler.parseAsync({
+				main: new BufferSource(content.default.main),
+			});
+			await loadAll(archive);
+
+			const contentGenerated = handler.generate(archive);
+			TestUtil.contentEqual(content.default, contentGenerated);
+		});
+
+	}); // loadAll()
+
+	describe('checkLimits()', function() {
+
+		it('can be used before loadAll()', async function() {
+			let archive = await handler.parseAsync({
+				main: new BufferSource(content.default.main),
+			});
+			archive.files[0].nativeSize = 0;
+			assert.equal(isLoaded(archive.files[0]), false);
+
+			let issues = handler.checkLimits(archive);
+			assert.equal(issues.length, 0);
+
+			// Once the data is available the content can be checked too.
+			await loadAll(archive);
+			assert.equal(isLoaded(archive.files[0]), true);
+			issues = handler.checkLimits(archive);
+			assert.equal(issues.length, 1);
+			assert.equal(issues[0].code, 'NATIVE_SIZE_MISSING');
+		});
+
+	}); // checkLimits()
+
+}); // Extra tests
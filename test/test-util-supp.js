@@ -19,12 +19,15 @@
 
 import assert from 'assert';
 import {
+	filenameKey,
 	getBasename,
 	getExtension,
 	getFilename,
+	matchGlob,
 	replaceBasename,
 	replaceExtension,
 	replaceFilename,
+	truncateFilename,
 } from '../util/supp.js';
 
 describe(`Extra tests for supplemental data functions`, function() {
@@ -277,4 +280,71 @@ describe(`Extra tests for supplemental data functions`, function() {
 		});
 
 	});
+	describe('matchGlob()', function() {
+		it('matches an extension', function() {
+			assert.equal(matchGlob('test.dat', '*.dat'), true);
+		});
+
+		it('ignores case', function() {
+			assert.equal(matchGlob('TEST.DAT', '*.dat'), true);
+		});
+
+		it('ignores the path', function() {
+			assert.equal(matchGlob('/one.dat/test.grp', '*.dat'), false);
+			assert.equal(matchGlob('/one/two/maptemp.ck4', 'maptemp.*'), true);
+		});
+
+		it('matches single characters', function() {
+			assert.equal(matchGlob('sound.ms2', '*.ms?'), true);
+			assert.equal(matchGlob('sound.ms', '*.ms?'), false);
+		});
+
+		it('treats dots literally', function() {
+			assert.equal(matchGlob('indyx1', 'indy.1'), false);
+			assert.equal(matchGlob('indy.1', 'indy.1'), true);
+		});
+
+	});
+
+	describe('truncateFilename()', function() {
+		it('leaves short names alone', function() {
+			assert.equal(truncateFilename('test.dat', 12), 'test.dat');
+		});
+
+		it('shortens the base name', function() {
+			assert.equal(truncateFilename('longfilename.dat', 12), 'longfile.dat');
+		});
+
+		it('keeps the path', function() {
+			assert.equal(
+				truncateFilename('folder/longfilename.ext', 16),
+				'folder/longf.ext'
+			);
+		});
+
+		it('cuts the extension when there is no room for it', function() {
+			assert.equal(truncateFilename('ab.long', 4), 'ab.l');
+		});
+
+		it('works without an extension', function() {
+			assert.equal(truncateFilename('longfilename', 8), 'longfile');
+		});
+	});
+
+	describe('filenameKey()', function() {
+		it('ignores case by default', function() {
+			assert.equal(
+				filenameKey('File.txt', { file: {} }),
+				filenameKey('FILE.TXT', { file: {} })
+			);
+		});
+
+		it('keeps case for case-sensitive formats', function() {
+			const caps = { file: { caseSensitive: true } };
+			assert.notEqual(
+				filenameKey('File.txt', caps),
+				filenameKey('FILE.TXT', caps)
+			);
+		});
+	});
 });
@@ -22,6 +22,8 @@ import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import Archive from '../interface/archive.js';
+import File from '../interface/file.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -185,6 +187,36 @@ export default class TestUtil {
 		return Uint8Array.from(s.split(''), s => s.charCodeAt(0));
 	}
 
+	// Create a file with the given content, which can be a Uint8Array or a
+	// string.
+	static createFile(name, content) {
+		const data = (typeof content === 'string')
+			? this.u8FromString(content)
+			: content;
+		let file = new File();
+		file.name = name;
+		file.diskSize = file.nativeSize = data.length;
+		file.getRaw = () => data;
+		return file;
+	}
+
+	// Create an archive containing the given files.
+	static createArchive(files) {
+		let archive = new Archive();
+		archive.files.push(...files);
+		return archive;
+	}
+
+	// Data of the given length, made by repeating the name so that files of
+	// the same size still have different content.
+	static testData(name, length) {
+		let data = new Uint8Array(length);
+		for (let i = 0; i < length; i++) {
+			data[i] = name.charCodeAt(i % name.length);
+		}
+		return data;
+	}
+
 	static hash(content) {
 		return crypto
 			.createHash('sha1')
@@ -0,0 +1,329 @@
+/*
+ * PKWARE Data Compression Library (DCL) "implode" compression.
+ *
+ * The format is described by Mark Adler's blast.c decompressor, included in
+ * the zlib sources under contrib/blast.  The bit order, the inverted Huffman
+ * codes and the code length tables below all follow that description.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend('dcl');
+
+// Code lengths for the literal, length and distance codes.  Each byte is a
+// code length in the low four bits, repeated one more time than the value in
+// the high four bits.
+const LEN_LITERAL = [
+	11, 124, 8, 7, 28, 7, 188, 13, 76, 4, 10, 8, 12, 10, 12, 10, 8, 23, 8,
+	9, 7, 6, 7, 8, 7, 6, 55, 8, 23, 24, 12, 11, 7, 9, 11, 12, 6, 7, 22, 5,
+	7, 24, 6, 11, 9, 6, 7, 22, 7, 11, 38, 7, 9, 8, 25, 11, 8, 11, 9, 12,
+	8, 12, 5, 38, 5, 38, 5, 11, 7, 5, 6, 21, 6, 10, 53, 8, 7, 24, 10, 27,
+	44, 253, 253, 253, 252, 252, 252, 13, 12, 45, 12, 45, 12, 61, 12, 45,
+	44, 173,
+];
+const LEN_LENGTH = [2, 35, 36, 53, 38, 23];
+const LEN_DISTANCE = [2, 20, 53, 230, 247, 151, 248];
+
+// Shortest length for each length code, and how many extra bits follow it.
+const LENGTH_BASE = [3, 2, 4, 5, 6, 7, 8, 9, 10, 12, 16, 24, 40, 72, 136, 264];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 2, 3, 4, 5, 6, 7, 8];
+
+// A match of this length marks the end of the data.
+const LENGTH_END = 519;
+
+// Longest match that can be stored.
+const MAX_LENGTH = LENGTH_END - 1;
+
+// Two-byte matches only have two low bits of distance, so can't reach as far.
+const MAX_DISTANCE_SHORT = 64 << 2;
+
+// How many earlier matches to look at before giving up.
+const MAX_CHAIN = 64;
+
+/**
+ * Build a Huffman code from a list of compact code lengths.
+ *
+ * @param {Array<Number>} compact
+ *   Code lengths as stored in the LEN_* tables.
+ *
+ * @return {Object} with `count` holding the number of codes of each length,
+ *   `symbols` holding the symbols in code order, and `codes` and `lengths`
+ *   holding the code and its length for each symbol.
+ */
+function buildCode(compact)
+{
+	let lengths = [];
+	for (const c of compact) {
+		for (let i = (c >> 4) + 1; i > 0; i--) {
+			lengths.push(c & 0x0F);
+		}
+	}
+
+	let count = new Array(14).fill(0);
+	for (const l of lengths) count[l]++;
+
+	// Canonical codes, shortest first and in symbol order within each length.
+	let symbols = [];
+	let codes = [];
+	let code = 0;
+	for (let l = 1; l < count.length; l++) {
+		for (let s = 0; s < lengths.length; s++) {
+			if (lengths[s] !== l) continue;
+			symbols.push(s);
+			codes[s] = code++;
+		}
+		code <<= 1;
+	}
+
+	return { count, symbols, codes, lengths };
+}
+
+const CODE_LITERAL = buildCode(LEN_LITERAL);
+const CODE_LENGTH = buildCode(LEN_LENGTH);
+const CODE_DISTANCE = buildCode(LEN_DISTANCE);
+
+class BitReader
+{
+	constructor(data) {
+		this.data = data;
+		this.pos = 0;
+		this.bitBuffer = 0;
+		this.bitCount = 0;
+	}
+
+	getBits(count) {
+		while (this.bitCount < count) {
+			if (this.pos >= this.data.length) {
+				throw new Error('Compressed data ended before the end-of-data code.');
+			}
+			this.bitBuffer |= this.data[this.pos++] << this.bitCount;
+			this.bitCount += 8;
+		}
+		const value = this.bitBuffer & ((1 << count) - 1);
+		this.bitBuffer >>>= count;
+		this.bitCount -= count;
+		return value;
+	}
+
+	getCode(huffman) {
+		// Codes are stored inverted and with the first bit of the code first.
+		let code = 0, first = 0, index = 0;
+		for (let l = 1; l < huffman.count.length; l++) {
+			code |= this.getBits(1) ^ 1;
+			const count = huffman.count[l];
+			if (code < first + count) {
+				return huffman.symbols[index + (code - first)];
+			}
+			index += count;
+			first = (first + count) << 1;
+			code <<= 1;
+		}
+		throw new Error('Invalid Huffman code in compressed data.');
+	}
+}
+
+class BitWriter
+{
+	constructor(size) {
+		this.data = new Uint8Array(size);
+		this.pos = 0;
+		this.bitBuffer = 0;
+		this.bitCount = 0;
+	}
+
+	putBits(value, count) {
+		this.bitBuffer |= value << this.bitCount;
+		this.bitCount += count;
+		while (this.bitCount >= 8) {
+			this.putByte(this.bitBuffer);
+			this.bitBuffer >>>= 8;
+			this.bitCount -= 8;
+		}
+	}
+
+	putCode(huffman, symbol) {
+		const code = huffman.codes[symbol];
+		for (let b = huffman.lengths[symbol] - 1; b >= 0; b--) {
+			this.putBits(((code >> b) & 1) ^ 1, 1);
+		}
+	}
+
+	putByte(byte) {
+		if (this.pos >= this.data.length) {
+			let grown = new Uint8Array(this.data.length * 2);
+			grown.set(this.data);
+			this.data = grown;
+		}
+		this.data[this.pos++] = byte & 0xFF;
+	}
+
+	getU8() {
+		if (this.bitCount > 0) {
+			this.putByte(this.bitBuffer);
+			this.bitBuffer = this.bitCount = 0;
+		}
+		return this.data.slice(0, this.pos);
+	}
+}
+
+// Write a length code and its extra bits.
+function putLength(out, len)
+{
+	let lenCode = LENGTH_BASE.length - 1;
+	while (
+		(LENGTH_BASE[lenCode] > len)
+		|| (len >= LENGTH_BASE[lenCode] + (1 << LENGTH_EXTRA[lenCode]))
+	) {
+		lenCode--;
+	}
+	out.putCode(CODE_LENGTH, lenCode);
+	out.putBits(len - LENGTH_BASE[lenCode], LENGTH_EXTRA[lenCode]);
+}
+
+export default class DCL
+{
+	/**
+	 * Decompress DCL data.
+	 *
+	 * @param {Uint8Array} content
+	 *   Compressed data, starting with the two-byte header.  Anything after the
+	 *   end-of-data code is ignored.
+	 *
+	 * @return {Uint8Array} the decompressed data.
+	 */
+	static explode(content) {
+		let input = new BitReader(content);
+
+		const codedLiterals = input.getBits(8);
+		if (codedLiterals > 1) {
+			throw new Error(`Unknown literal type ${codedLiterals}.`);
+		}
+		const dictBits = input.getBits(8);
+		if ((dictBits < 4) || (dictBits > 6)) {
+			throw new Error(`Unknown dictionary size ${dictBits}.`);
+		}
+
+		let output = [];
+		for (;;) {
+			if (input.getBits(1)) {
+				const lenCode = input.getCode(CODE_LENGTH);
+				const len = LENGTH_BASE[lenCode] + input.getBits(LENGTH_EXTRA[lenCode]);
+				if (len === LENGTH_END) break;
+
+				const lowBits = (len === 2) ? 2 : dictBits;
+				const dist = (input.getCode(CODE_DISTANCE) << lowBits)
+					+ input.getBits(lowBits) + 1;
+				if (dist > output.length) {
+					throw new Error(`Match at ${output.length} goes back ${dist} bytes, `
+						+ `before the start of the data.`);
+				}
+				// Copy a byte at a time as the match can overlap the bytes being
+				// written.
+				for (let i = 0; i < len; i++) {
+					output.push(output[output.length - dist]);
+				}
+			} else {
+				output.push(
+					codedLiterals ? input.getCode(CODE_LITERAL) : input.getBits(8)
+				);
+			}
+		}
+
+		return new Uint8Array(output);
+	}
+
+	/**
+	 * Compress data with DCL.
+	 *
+	 * Literals are always stored uncoded, as the literal code is tuned for
+	 * English text and only saves space on that.
+	 *
+	 * @param {Uint8Array} content
+	 *   Data to compress.
+	 *
+	 * @param {Number} dictBits
+	 *   Size of the dictionary: 4, 5 or 6 for 1 kB, 2 kB or 4 kB.
+	 *
+	 * @return {Uint8Array} the compressed data.
+	 */
+	static implode(content, dictBits = 6) {
+		if ((dictBits < 4) || (dictBits > 6)) {
+			throw new Error(`Unknown dictionary size ${dictBits}.`);
+		}
+		const maxDistance = 64 << dictBits;
+
+		const len = content.length;
+		let out = new BitWriter(len + (len >> 3) + 16);
+		out.putBits(0, 8); // uncoded literals
+		out.putBits(dictBits, 8);
+
+		// Hash chains of every position, based on the first two bytes there.
+		let head = new Int32Array(0x10000).fill(-1);
+		let prev = new Int32Array(len);
+		const addHash = pos => {
+			if (pos + 1 >= len) return;
+			const h = content[pos] | (content[pos + 1] << 8);
+			prev[pos] = head[h];
+			head[h] = pos;
+		};
+
+		let pos = 0;
+		while (pos < len) {
+			// Find the longest match.
+			let bestLen = 0, bestDist = 0;
+			if (pos + 1 < len) {
+				const maxLen = Math.min(MAX_LENGTH, len - pos);
+				let chain = MAX_CHAIN;
+				let cand = head[content[pos] | (content[pos + 1] << 8)];
+				while ((cand >= 0) && (pos - cand <= maxDistance) && chain--) {
+					let l = 2;
+					while ((l < maxLen) && (content[cand + l] === content[pos + l])) l++;
+					const dist = pos - cand;
+					if ((l > bestLen) && ((l > 2) || (dist <= MAX_DISTANCE_SHORT))) {
+						bestLen = l;
+						bestDist = dist;
+						if (l === maxLen) break;
+					}
+					cand = prev[cand];
+				}
+			}
+
+			if (bestLen < 2) {
+				out.putBits(0, 1);
+				out.putBits(content[pos], 8);
+				bestLen = 1;
+			} else {
+				out.putBits(1, 1);
+				putLength(out, bestLen);
+				const lowBits = (bestLen === 2) ? 2 : dictBits;
+				const dist = bestDist - 1;
+				out.putCode(CODE_DISTANCE, dist >> lowBits);
+				out.putBits(dist & ((1 << lowBits) - 1), lowBits);
+			}
+
+			for (let i = 0; i < bestLen; i++) addHash(pos + i);
+			pos += bestLen;
+		}
+
+		// End of data.
+		out.putBits(1, 1);
+		putLength(out, LENGTH_END);
+
+		debug(`Compressed ${len} bytes down to ${out.pos} bytes`);
+		return out.getU8();
+	}
+}
@@ -23,9 +23,41 @@ const debug = Debug.extend('fixedArchive');
 import { RecordBuffer } from '@camoto/record-io-buffer';
 import Archive from '../interface/archive.js';
 import File from '../interface/file.js';
+import LimitIssue from '../interface/limitIssue.js';
+
+// Passed to File.markUntouched() in place of a format ID, as the files are
+// only ever written back into the same fixed layout they were read from.
+const UNTOUCHED_ID = 'fixedArchive';
+
+// Files passed through an `obscure` function, with the content they were
+// given and the result.
+let obscureCache = new WeakMap();
 
 export default class FixedArchive
 {
+	/**
+	 * Read the files out of a fixed archive.
+	 *
+	 * @param {Uint8Array} content
+	 *   Archive content.
+	 *
+	 * @param {Array<Object>} files
+	 *   List of files in the archive, in order.  Each has a `name` and a
+	 *   `diskSize`, and optionally an `offset` (any data skipped over is
+	 *   returned as a "dataN.bin" file), `reveal` and `obscure` functions to
+	 *   decode and encode the data, and the following to allow files to change
+	 *   size:
+	 *
+	 *   - `padding`: Byte value used to fill the space if a replacement file is
+	 *     smaller than `diskSize`.  Without this (or `slack`), replacement files
+	 *     must be exactly `diskSize` bytes.
+	 *
+	 *   - `slack`: Number of unused bytes following the file, which it can grow
+	 *     into.  These are filled with `padding` (or 0x00) when the file is
+	 *     replaced, and are not returned as a separate file.
+	 *
+	 * @return {Archive} the files.
+	 */
 	static parse(content, files) {
 		let archive = new Archive();
 
@@ -43,8 +75,7 @@ export default class FixedArchive
 				ef.offset = nextOffset;
 				ef.diskSize = ef.nativeSize = file.offset - nextOffset;
 				ef.getRaw = () => buffer.getU8(ef.offset, ef.diskSize);
-				ef.getRaw.fixedArchive = true;
-				ef.getContent.fixedArchive = true;
+				ef.markUntouched(UNTOUCHED_ID);
 				archive.files.push(ef);
 				nextOffset = file.offset;
 				extraFileCount++;
@@ -58,11 +89,19 @@ export default class FixedArchive
 			if (file.reveal) {
 				newFile.getContent = () => file.reveal(newFile.getRaw(), file);
 			}
-			newFile.getRaw.fixedArchive = true;
-			newFile.getContent.fixedArchive = true;
 			newFile.attributes.compressed = file.compressed;
+			newFile.markUntouched(UNTOUCHED_ID);
 			archive.files.push(newFile);
 			nextOffset = newFile.offset + file.diskSize;
+
+			if (file.slack) {
+				// Keep the original slack so it can be written back unchanged.
+				const offSlack = nextOffset;
+				newFile.extra[UNTOUCHED_ID] = {
+					getSlack: () => buffer.getU8(offSlack, file.slack),
+				};
+				nextOffset += file.slack;
+			}
 		}
 
 		if (nextOffset > content.length) {
@@ -76,8 +115,7 @@ export default class FixedArchive
 			ef.offset = nextOffset;
 			ef.diskSize = ef.nativeSize = content.length - nextOffset;
 			ef.getRaw = () => buffer.getU8(ef.offset, ef.diskSize);
-			ef.getRaw.fixedArchive = true;
-			ef.getContent.fixedArchive = true;
+			ef.markUntouched(UNTOUCHED_ID);
 			archive.files.push(ef);
 		}
 
@@ -93,7 +131,7 @@ export default class FixedArchive
 		// Calculate the size up front so we don't have to keep reallocating the
 		// buffer, improving performance.
 		const finalSize = expectedFiles.reduce(
-			(a, b) => a + (b.nativeSize || 0),
+			(a, b) => a + (b.nativeSize || 0) + (b.slack || 0),
 			0
 		);
 
@@ -105,6 +143,7 @@ export default class FixedArchive
 		for (let i = 0; i < expectedFiles.length; i++) {
 			const file = expectedFiles[i];
 
+			let entry;
 			if (
 				(file.offset !== undefined) // if we were given an offset
 				&& (nextOffset != file.offset) // and it's not where we're up to
@@ -112,11 +151,16 @@ export default class FixedArchive
 				// There's unclaimed data before this file, so add a dummy file for it.
 				nextFilename = `data${extraFileCount}.bin`;
 				expectedDiskSize = file.offset - nextOffset;
+				entry = {
+					name: nextFilename,
+					diskSize: expectedDiskSize,
+				};
 				extraFileCount++;
 				i--; // process this file again once we've added the 'dataX.bin' file
 			} else {
 				nextFilename = file.name.toLowerCase();
 				expectedDiskSize = file.diskSize;
+				entry = file;
 			}
 			allowedFiles.push(nextFilename);
 
@@ -125,24 +169,31 @@ export default class FixedArchive
 				throw new Error(`File ${nextFilename} must exist in this archive format.`);
 			}
 
-			let diskData;
-			if (targetFile.getRaw.fixedArchive && targetFile.getContent.fixedArchive) {
-				// This file hasn't been modified so leave it as is.
-				diskData = targetFile.getRaw();
-			} else {
-				diskData = targetFile.getContent();
-				if (file.obscure) {
-					// Have to compress/encrypt this first.
-					diskData = file.obscure(diskData, file);
-				}
+			const diskData = this.getDiskData(targetFile, entry);
+			const space = this.getSpace(diskData, entry);
+			if (space.remaining < 0) {
+				throw new Error(`File "${nextFilename}" is ${diskData.length} bytes, `
+					+ `but there is only room for ${space.available} bytes.`);
 			}
-			if (diskData.length !== expectedDiskSize) {
+			if (!this.canResize(entry) && (diskData.length !== expectedDiskSize)) {
 				throw new Error(`File "${nextFilename}" is ${diskData.length} bytes, `
 					+ `but it must be exactly ${expectedDiskSize} bytes.`);
 			}
 
 			buffer.put(diskData);
-			nextOffset += diskData.length;
+			const extra = targetFile.extra[UNTOUCHED_ID] || {};
+			if (
+				extra.getSlack
+				&& targetFile.isUntouched(UNTOUCHED_ID)
+				&& (diskData.length === expectedDiskSize)
+			) {
+				// Put the original slack back, in case it wasn't really unused.
+				buffer.put(extra.getSlack());
+			} else if (space.remaining > 0) {
+				debug(`Padding ${nextFilename} with ${space.remaining} bytes`);
+				buffer.put(new Uint8Array(space.remaining).fill(entry.padding || 0));
+			}
+			nextOffset += space.available;
 		}
 
 		// Add a final file for any trailing data, although we don't know the full
@@ -153,14 +204,7 @@ export default class FixedArchive
 		const targetFile = archive.files.find(f => f.name.toLowerCase() === nextFilename);
 		if (targetFile) {
 			// This final file is present, so include it.
-			let diskData;
-			if (targetFile.getRaw.fixedArchive && targetFile.getContent.fixedArchive) {
-				// This file hasn't been modified so leave it as is.
-				diskData = targetFile.getRaw();
-			} else {
-				diskData = targetFile.getContent();
-			}
-			buffer.put(diskData);
+			buffer.put(this.getDiskData(targetFile, {}));
 		}
 
 		// Make sure there are no extra files.
@@ -174,4 +218,121 @@ export default class FixedArchive
 
 		return buffer.getU8();
 	}
+
+	/**
+	 * Work out how much space each file has left.
+	 *
+	 * @param {Archive} archive
+	 *   Archive about to be written.
+	 *
+	 * @param {Array<Object>} expectedFiles
+	 *   Same as for parse().
+	 *
+	 * @return {Array<Object>} one entry for each file in `expectedFiles` that is
+	 *   present in the archive, with `name`, `size` (bytes the file will take
+	 *   up, after any `obscure` function is applied), `available` (space for
+	 *   the file, including slack) and `remaining` (negative if the file is too
+	 *   big).
+	 */
+	static spaceRemaining(archive, expectedFiles) {
+		let report = [];
+		for (const entry of expectedFiles) {
+			const name = entry.name.toLowerCase();
+			const targetFile = archive.files.find(f => f.name.toLowerCase() === name);
+			if (!targetFile) continue;
+
+			const diskData = this.getDiskData(targetFile, entry);
+			report.push({
+				name: entry.name,
+				size: diskData.length,
+				...this.getSpace(diskData, entry),
+			});
+		}
+		return report;
+	}
+
+	/**
+	 * Report any files that won't fit back into the archive.
+	 *
+	 * @param {Archive} archive
+	 *   Archive about to be written.
+	 *
+	 * @param {Array<Object>} expectedFiles
+	 *   Same as for parse().
+	 *
+	 * @return {Array<LimitIssue>} one for each file that is too big, or the
+	 *   wrong size if it can't be resized.
+	 */
+	static checkLimits(archive, expectedFiles) {
+		let issues = [];
+		for (const space of this.spaceRemaining(archive, expectedFiles)) {
+			const entry = expectedFiles.find(f => f.name === space.name);
+			const file = archive.files.find(
+				f => f.name.toLowerCase() === space.name.toLowerCase()
+			);
+			if (space.remaining < 0) {
+				issues.push(new LimitIssue({
+					code: 'INVALID_FILE_SIZE',
+					file,
+					message: `File "${space.name}" is ${space.size} bytes, which is `
+						+ `${-space.remaining} bytes more than the ${space.available} `
+						+ `bytes available.`,
+				}));
+			} else if (!this.canResize(entry) && space.remaining !== 0) {
+				issues.push(new LimitIssue({
+					code: 'INVALID_FILE_SIZE',
+					file,
+					message: `File "${space.name}" is ${space.size} bytes, but it must `
+						+ `be exactly ${space.available} bytes.`,
+				}));
+			}
+		}
+		return issues;
+	}
+
+	/**
+	 * Get the data to write for a file.
+	 *
+	 * @return {Uint8Array} the file's raw data if it hasn't changed, otherwise
+	 *   its content passed through the entry's `obscure` function, if any.
+	 */
+	static getDiskData(targetFile, entry) {
+		if (targetFile.isUntouched(UNTOUCHED_ID)) {
+			// This file hasn't been modified so leave it as is.
+			return targetFile.getRaw();
+		}
+		const content = targetFile.getContent();
+		if (!entry.obscure) return content;
+
+		// Have to compress/encrypt this first.  checkLimits() has to do this too
+		// so it can see whether the file will fit, so the result is kept to
+		// avoid doing it all over again in generate().
+		const cached = obscureCache.get(targetFile);
+		if (
+			cached
+			&& (cached.content === content)
+			&& (cached.obscure === entry.obscure)
+		) {
+			return cached.diskData;
+		}
+		const diskData = entry.obscure(content, entry);
+		obscureCache.set(targetFile, {
+			content,
+			obscure: entry.obscure,
+			diskData,
+		});
+		return diskData;
+	}
+
+	static getSpace(diskData, entry) {
+		const available = (entry.diskSize || 0) + (entry.slack || 0);
+		return {
+			available,
+			remaining: available - diskData.length,
+		};
+	}
+
+	static canResize(entry) {
+		return (entry.padding !== undefined) || !!entry.slack;
+	}
 }
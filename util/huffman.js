@@ -0,0 +1,235 @@
+/*
+ * id Software Huffman compression, as used by the Keen, Wolfenstein and
+ * Catacomb games.
+ *
+ * This algorithm is documented on the ModdingWiki:
+ *   http://www.shikadi.net/moddingwiki/Huffman_Compression
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend('huffman');
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+
+// Number of nodes in the tree.  With one leaf for each byte value there are
+// always 255 nodes, and the last one is the root.
+const NUM_NODES = 255;
+
+// Size of the dictionary file, with two 16-bit values per node.
+const LEN_DICT = NUM_NODES * 2 * 2;
+
+/**
+ * Huffman tree used to compress and decompress data.
+ *
+ * The tree is stored in a "dictionary" file (e.g. `egadict.ck4`) which is
+ * often embedded in the game's executable.  Each node holds two values, one
+ * to follow for a 0 bit and one for a 1 bit.  Values below 256 are the byte
+ * to output, and values of 256 or more are the index of the next node plus
+ * 256.
+ */
+export default class HuffmanDictionary
+{
+	/**
+	 * @param {Array<Array<Number>>} nodes
+	 *   255 nodes, each an array of the values for the 0 and 1 bits.
+	 */
+	constructor(nodes) {
+		this.nodes = nodes;
+	}
+
+	/**
+	 * Read a dictionary file.
+	 *
+	 * @param {Uint8Array} content
+	 *   Dictionary file content, 1020 bytes or more.  Any trailing data is
+	 *   ignored.
+	 *
+	 * @return {HuffmanDictionary} the dictionary.
+	 */
+	static parse(content) {
+		if (content.length < LEN_DICT) {
+			throw new Error(`Huffman dictionary is too short (${content.length} b, `
+				+ `must be at least ${LEN_DICT} b).`);
+		}
+		let buffer = new RecordBuffer(content);
+		let nodes = [];
+		for (let i = 0; i < NUM_NODES; i++) {
+			const bit0 = buffer.read(RecordType.int.u16le);
+			const bit1 = buffer.read(RecordType.int.u16le);
+			nodes.push([bit0, bit1]);
+		}
+		return new HuffmanDictionary(nodes);
+	}
+
+	/**
+	 * Create the best dictionary for compressing the given data.
+	 *
+	 * Every byte value gets a code, even if it doesn't appear in the data, so
+	 * the dictionary can still compress any other data (just not as well).
+	 *
+	 * @param {Array<Uint8Array>} contents
+	 *   All the data that will be compressed with the dictionary.
+	 *
+	 * @return {HuffmanDictionary} the new dictionary.
+	 */
+	static build(contents) {
+		let freq = new Array(256).fill(0);
+		for (const content of contents) {
+			for (const b of content) freq[b]++;
+		}
+
+		// Repeatedly join the two least used entries under a new node.  The sort
+		// is stable so the same data always produces the same tree.
+		let pending = freq.map((weight, value) => ({ weight, value }));
+		let nodes = [];
+		while (pending.length > 1) {
+			pending.sort((a, b) => a.weight - b.weight);
+			const [ bit0, bit1 ] = pending.splice(0, 2);
+			pending.push({
+				weight: bit0.weight + bit1.weight,
+				value: 256 + nodes.length,
+			});
+			nodes.push([bit0.value, bit1.value]);
+		}
+
+		return new HuffmanDictionary(nodes);
+	}
+
+	/**
+	 * Write the dictionary out in the format the games use.
+	 *
+	 * @return {Uint8Array} the dictionary file content.
+	 */
+	generate() {
+		let buffer = new RecordBuffer(LEN_DICT);
+		for (const [bit0, bit1] of this.nodes) {
+			buffer.write(RecordType.int.u16le, bit0);
+			buffer.write(RecordType.int.u16le, bit1);
+		}
+		return buffer.getU8();
+	}
+
+	/**
+	 * Decompress data.
+	 *
+	 * @param {Uint8Array} content
+	 *   Compressed data.
+	 *
+	 * @param {Number} lenExpanded
+	 *   Size of the decompressed data.  This isn't stored in the compressed
+	 *   data, and the trailing bits in the last byte would otherwise be
+	 *   decoded as extra data.
+	 *
+	 * @return {Uint8Array} the decompressed data.
+	 */
+	expand(content, lenExpanded) {
+		let output = new Uint8Array(lenExpanded);
+		let pos = 0;
+		const root = NUM_NODES - 1;
+		let node = this.nodes[root];
+		for (let i = 0; (i < content.length) && (pos < lenExpanded); i++) {
+			const b = content[i];
+			// Bits are read from the least significant end.
+			for (let mask = 0x01; mask <= 0x80; mask <<= 1) {
+				const next = node[(b & mask) ? 1 : 0];
+				if (next < 256) {
+					output[pos++] = next;
+					if (pos >= lenExpanded) break;
+					node = this.nodes[root];
+				} else {
+					node = this.nodes[next - 256];
+					if (!node) {
+						throw new Error(`Huffman dictionary refers to node ${next - 256}, `
+							+ `which does not exist.`);
+					}
+				}
+			}
+		}
+		if (pos < lenExpanded) {
+			debug(`Compressed data ended after ${pos} of ${lenExpanded} bytes.`);
+			return output.slice(0, pos);
+		}
+		return output;
+	}
+
+	/**
+	 * Compress data.
+	 *
+	 * @param {Uint8Array} content
+	 *   Data to compress.
+	 *
+	 * @return {Uint8Array} the compressed data.  Any unused bits in the last
+	 *   byte are set to zero.
+	 */
+	compress(content) {
+		const codes = this.getCodes();
+
+		let output = new RecordBuffer(content.length);
+		let cur = 0, mask = 0x01;
+		for (const b of content) {
+			const code = codes[b];
+			if (!code) {
+				throw new Error(`Huffman dictionary has no code for byte value ${b}.`);
+			}
+			for (const bit of code) {
+				if (bit) cur |= mask;
+				mask <<= 1;
+				if (mask > 0x80) {
+					output.write(RecordType.int.u8, cur);
+					cur = 0;
+					mask = 0x01;
+				}
+			}
+		}
+		if (mask !== 0x01) {
+			output.write(RecordType.int.u8, cur);
+		}
+
+		return output.getU8();
+	}
+
+	/**
+	 * Work out the sequence of bits for each byte value.
+	 *
+	 * @return {Array<Array<Number>>} the bits to write for each byte value, or
+	 *   undefined for byte values that don't appear in the tree.
+	 */
+	getCodes() {
+		let codes = [];
+		let visited = new Set();
+		const walk = (index, prefix) => {
+			// Guard against corrupted dictionaries that loop back on themselves.
+			if (visited.has(index)) {
+				throw new Error(`Huffman dictionary node ${index} is used more than `
+					+ `once.`);
+			}
+			visited.add(index);
+			const node = this.nodes[index];
+			for (let bit = 0; bit < 2; bit++) {
+				const next = node[bit];
+				if (next < 256) {
+					if (!codes[next]) codes[next] = [...prefix, bit];
+				} else {
+					walk(next - 256, [...prefix, bit]);
+				}
+			}
+		};
+		walk(NUM_NODES - 1, []);
+		return codes;
+	}
+}
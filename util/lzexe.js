@@ -0,0 +1,428 @@
+/*
+ * LZEXE 0.91 compression, for packing .exe files again after editing them.
+ *
+ * The decompressor stub isn't included here, so this can only be used on files
+ * that were LZEXE-packed to begin with, reusing the stub from the original.
+ *
+ * This algorithm is documented on the ModdingWiki:
+ *   http://www.shikadi.net/moddingwiki/LZEXE
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend('lzexe');
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+
+const recordTypes = {
+	// MZ .exe header.
+	header: {
+		signature: RecordType.int.u16le,
+		lenLastPage: RecordType.int.u16le,
+		numPages: RecordType.int.u16le,
+		numRelocs: RecordType.int.u16le,
+		lenHeader: RecordType.int.u16le, // paragraphs
+		minAlloc: RecordType.int.u16le,
+		maxAlloc: RecordType.int.u16le,
+		ss: RecordType.int.u16le,
+		sp: RecordType.int.u16le,
+		checksum: RecordType.int.u16le,
+		ip: RecordType.int.u16le,
+		cs: RecordType.int.u16le,
+		offRelocs: RecordType.int.u16le,
+		overlay: RecordType.int.u16le,
+	},
+	// Values at the start of the decompressor's code segment.
+	info: {
+		ip: RecordType.int.u16le,
+		cs: RecordType.int.u16le,
+		sp: RecordType.int.u16le,
+		ss: RecordType.int.u16le,
+		lenCompressed: RecordType.int.u16le, // paragraphs
+		lenIncrease: RecordType.int.u16le, // paragraphs
+		lenLoader: RecordType.int.u16le, // bytes
+	},
+	reloc: {
+		offset: RecordType.int.u16le,
+		segment: RecordType.int.u16le,
+	},
+};
+
+// Size of the packed file's header, including the "LZ91" signature.
+const LEN_HEADER = 0x20;
+
+// Offset into the loader of the first instruction, just after the info block.
+const OFF_LOADER_CODE = 0x0E;
+
+// Offset into the loader of the compressed relocation table, which is where the
+// code ends.
+const OFF_LOADER_RELOCS = 0x158;
+
+// Furthest back a match can be, and the longest a match can be.
+const MAX_DISTANCE = 0x2000;
+const MAX_LENGTH = 256;
+
+// How many earlier matches to look at before giving up.
+const MAX_CHAIN = 64;
+
+// The decompressor uses 16-bit pointers, so both of them have to be brought
+// back down before they wrap around.  This is how far they can get.
+const SEGMENT_LIMIT = 0xC000;
+
+function readHeader(buffer)
+{
+	buffer.seekAbs(0);
+	const header = buffer.readRecord(recordTypes.header);
+	if ((header.signature !== 0x5A4D) && (header.signature !== 0x4D5A)) {
+		throw new Error('Not an .exe file.');
+	}
+	return header;
+}
+
+// Size of the whole .exe according to its header.
+function getExeLength(header)
+{
+	if (header.lenLastPage === 0) return header.numPages * 512;
+	return (header.numPages - 1) * 512 + header.lenLastPage;
+}
+
+/**
+ * Write the flag bits and data bytes in the order the decompressor reads them.
+ *
+ * The flags come in 16-bit words, and the next word is read as soon as the
+ * last bit of the previous one has been used, before any data bytes that
+ * follow.  So space is kept for each flag word as soon as the previous one is
+ * full.
+ */
+class BitWriter
+{
+	constructor(size) {
+		this.data = new Uint8Array(size + 4);
+		this.pos = 0;
+		this.startWord();
+	}
+
+	startWord() {
+		this.posFlags = this.pos;
+		this.pos += 2;
+		this.flags = 0;
+		this.count = 0;
+	}
+
+	writeWord() {
+		this.data[this.posFlags] = this.flags & 0xFF;
+		this.data[this.posFlags + 1] = this.flags >> 8;
+	}
+
+	putBit(bit) {
+		if (bit) this.flags |= 1 << this.count;
+		this.count++;
+		if (this.count === 16) {
+			this.writeWord();
+			this.startWord();
+		}
+	}
+
+	putByte(byte) {
+		this.data[this.pos++] = byte & 0xFF;
+	}
+
+	getU8() {
+		this.writeWord();
+		return this.data.slice(0, this.pos);
+	}
+}
+
+export default class LZEXE
+{
+	/**
+	 * Get the decompressor from an LZEXE 0.91 packed file.
+	 *
+	 * @param {Uint8Array} content
+	 *   Packed .exe file.
+	 *
+	 * @return {Object} to pass to pack(), or undefined if the file was not
+	 *   packed with LZEXE 0.91.
+	 */
+	static getLoader(content) {
+		let buffer = new RecordBuffer(content);
+		const header = readHeader(buffer);
+
+		buffer.seekAbs(0x1C);
+		const sig = RecordType.string.fixed.noTerm(4).read(buffer);
+		if ((sig !== 'LZ91') || (header.ip !== OFF_LOADER_CODE)) {
+			debug(`Unsupported LZEXE signature "${sig}" or entry point `
+				+ `0x${header.ip.toString(16)}`);
+			return undefined;
+		}
+
+		const offLoader = (header.lenHeader + header.cs) << 4;
+		if (offLoader + OFF_LOADER_RELOCS > content.length) {
+			return undefined;
+		}
+		buffer.seekAbs(offLoader);
+		const info = buffer.readRecord(recordTypes.info);
+
+		// Work out the memory the original program asked for, which UNLZEXE
+		// doesn't always get right.
+		const lenLoaderParas = (info.lenLoader + 15) >> 4;
+		const extraAlloc = info.lenIncrease + lenLoaderParas + 9;
+		let maxAlloc = header.maxAlloc;
+		if (maxAlloc !== 0xFFFF) maxAlloc = Math.max(0, maxAlloc - extraAlloc);
+
+		return {
+			code: content.slice(
+				offLoader + OFF_LOADER_CODE,
+				offLoader + OFF_LOADER_RELOCS
+			),
+			minAlloc: Math.max(0, header.minAlloc - extraAlloc),
+			maxAlloc,
+		};
+	}
+
+	/**
+	 * Pack an .exe file.
+	 *
+	 * @param {Uint8Array} content
+	 *   Unpacked .exe file.
+	 *
+	 * @param {Object} loader
+	 *   Decompressor returned by getLoader().
+	 *
+	 * @return {Uint8Array} the packed .exe file.
+	 */
+	static pack(content, loader) {
+		let buffer = new RecordBuffer(content);
+		const header = readHeader(buffer);
+
+		const offLoad = header.lenHeader << 4;
+		const lenExe = Math.min(getExeLength(header), content.length);
+		const image = content.subarray(offLoad, lenExe);
+
+		// Sort the relocations so they can be stored as distances from each other.
+		let relocs = [];
+		buffer.seekAbs(header.offRelocs);
+		for (let i = 0; i < header.numRelocs; i++) {
+			const r = buffer.readRecord(recordTypes.reloc);
+			relocs.push(r.segment * 16 + r.offset);
+		}
+		relocs.sort((a, b) => a - b);
+
+		const { data: compressed, lenOverlap } = this.compress(image);
+		const lenCompressed = (compressed.length + 15) >> 4;
+
+		const relocTable = this.writeRelocs(relocs);
+		const lenLoader = OFF_LOADER_RELOCS + relocTable.length;
+		const lenLoaderParas = (lenLoader + 15) >> 4;
+
+		// The compressed data and loader are moved up in memory by this much, so
+		// that decompressing from the start doesn't overwrite data that is yet to
+		// be read, and the full program fits below the loader.
+		const lenIncrease = Math.max(
+			((image.length + 15) >> 4) - lenCompressed,
+			((lenOverlap + 15) >> 4) + 1,
+			0
+		);
+
+		const extraAlloc = lenIncrease + lenLoaderParas + 9;
+		const minAlloc = (loader.minAlloc === undefined)
+			? header.minAlloc : loader.minAlloc;
+		let maxAlloc = (loader.maxAlloc === undefined)
+			? header.maxAlloc : loader.maxAlloc;
+		if (maxAlloc !== 0xFFFF) maxAlloc = Math.min(0xFFFF, maxAlloc + extraAlloc);
+
+		const lenOutput = LEN_HEADER + (lenCompressed << 4) + lenLoader;
+		let output = new RecordBuffer(lenOutput);
+		output.writeRecord(recordTypes.header, {
+			signature: 0x5A4D,
+			lenLastPage: lenOutput % 512,
+			numPages: Math.ceil(lenOutput / 512),
+			numRelocs: 0,
+			lenHeader: LEN_HEADER >> 4,
+			minAlloc: Math.min(0xFFFF, minAlloc + extraAlloc),
+			maxAlloc,
+			// Put the stack past where the loader gets moved to.
+			ss: lenCompressed + lenIncrease + lenLoaderParas,
+			sp: 0x80,
+			checksum: 0,
+			ip: OFF_LOADER_CODE,
+			cs: lenCompressed,
+			offRelocs: 0x1C,
+			overlay: 0,
+		});
+		output.write(RecordType.string.fixed.noTerm(4), 'LZ91');
+
+		output.put(compressed);
+		output.put(new Uint8Array((lenCompressed << 4) - compressed.length));
+
+		output.writeRecord(recordTypes.info, {
+			ip: header.ip,
+			cs: header.cs,
+			sp: header.sp,
+			ss: header.ss,
+			lenCompressed,
+			lenIncrease,
+			lenLoader,
+		});
+		output.put(loader.code);
+		output.put(relocTable);
+
+		return output.getU8();
+	}
+
+	/**
+	 * Compress the program code.
+	 *
+	 * @param {Uint8Array} content
+	 *   Load module from the .exe file, without the header.
+	 *
+	 * @return {Object} with `data` holding the compressed data, and `lenOverlap`
+	 *   being the furthest the decompressed data gets ahead of the compressed
+	 *   data being read.
+	 */
+	static compress(content) {
+		const len = content.length;
+		let out = new BitWriter(len + (len >> 3) + 16);
+
+		// Hash chains of every position, based on the first two bytes there.
+		let head = new Int32Array(0x10000).fill(-1);
+		let prev = new Int32Array(len);
+		const addHash = pos => {
+			if (pos + 1 >= len) return;
+			const h = content[pos] | (content[pos + 1] << 8);
+			prev[pos] = head[h];
+			head[h] = pos;
+		};
+
+		let lenOverlap = 0;
+		let segIn = 0, segOut = 0;
+		let pos = 0;
+		while (pos < len) {
+			if ((pos - segOut > SEGMENT_LIMIT) || (out.pos - segIn > SEGMENT_LIMIT)) {
+				out.putBit(0);
+				out.putBit(1);
+				out.putByte(0);
+				out.putByte(0);
+				out.putByte(1);
+				segOut = pos;
+				segIn = out.pos;
+			}
+			const posIn = out.pos;
+
+			// Find the longest match.
+			let bestLen = 0, bestDist = 0;
+			if (pos + 1 < len) {
+				const maxLen = Math.min(MAX_LENGTH, len - pos);
+				let chain = MAX_CHAIN;
+				let cand = head[content[pos] | (content[pos + 1] << 8)];
+				while ((cand >= 0) && (pos - cand <= MAX_DISTANCE) && chain--) {
+					let l = 2;
+					while ((l < maxLen) && (content[cand + l] === content[pos + l])) l++;
+					const dist = pos - cand;
+					// Two-byte matches only fit in the short form.
+					if ((l > bestLen) && ((l > 2) || (dist <= 256))) {
+						bestLen = l;
+						bestDist = dist;
+						if (l === maxLen) break;
+					}
+					cand = prev[cand];
+				}
+			}
+
+			if (bestLen < 2) {
+				out.putBit(1);
+				out.putByte(content[pos]);
+				bestLen = 1;
+			} else if ((bestLen <= 5) && (bestDist <= 256)) {
+				out.putBit(0);
+				out.putBit(0);
+				out.putBit((bestLen - 2) >> 1);
+				out.putBit((bestLen - 2) & 1);
+				out.putByte(0x100 - bestDist);
+			} else {
+				const span = 0x10000 - bestDist;
+				out.putBit(0);
+				out.putBit(1);
+				out.putByte(span & 0xFF);
+				if (bestLen <= 9) {
+					out.putByte(((span >> 5) & 0xF8) | (bestLen - 2));
+				} else {
+					out.putByte((span >> 5) & 0xF8);
+					out.putByte(bestLen - 1);
+				}
+			}
+
+			for (let i = 0; i < bestLen; i++) addHash(pos + i);
+			pos += bestLen;
+			lenOverlap = Math.max(lenOverlap, pos - posIn);
+		}
+
+		// End of data.
+		out.putBit(0);
+		out.putBit(1);
+		out.putByte(0);
+		out.putByte(0);
+		out.putByte(0);
+
+		return {
+			data: out.getU8(),
+			lenOverlap,
+		};
+	}
+
+	/**
+	 * Write the relocation table in the LZEXE 0.91 format.
+	 *
+	 * @param {Array<Number>} relocs
+	 *   Sorted addresses, as offsets into the load module.
+	 *
+	 * @return {Uint8Array} the relocation table.
+	 */
+	static writeRelocs(relocs) {
+		let buffer = new RecordBuffer(relocs.length * 3 + 16);
+		let last = 0;
+		for (const addr of relocs) {
+			let span = addr - last;
+			if (span === 0) {
+				// A span of zero has a special meaning, so duplicates (and a
+				// relocation at the very start) can't be stored.  Leaving it out
+				// would leave a segment address unpatched when the .exe is loaded.
+				throw new Error(`Unable to store relocation at `
+					+ `0x${addr.toString(16)}, as LZEXE can't encode duplicate `
+					+ `relocations or one at offset 0.`);
+			}
+			while (span > 0xFFFF) {
+				// Skip ahead 0xFFF0 bytes.
+				buffer.write(RecordType.int.u8, 0);
+				buffer.write(RecordType.int.u16le, 0);
+				span -= 0xFFF0;
+			}
+			if ((span > 0) && (span < 0x100)) {
+				buffer.write(RecordType.int.u8, span);
+			} else {
+				buffer.write(RecordType.int.u8, 0);
+				buffer.write(RecordType.int.u16le, span);
+			}
+			last = addr;
+		}
+		// End of table.
+		buffer.write(RecordType.int.u8, 0);
+		buffer.write(RecordType.int.u16le, 1);
+
+		return buffer.getU8();
+	}
+}
@@ -0,0 +1,231 @@
+/*
+ * Adapt filenames to fit the limits of a different archive format.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { filenameKey, getFilename } from './supp.js';
+
+/**
+ * Characters that can't appear in a DOS filename, or that DOS-era code is
+ * unlikely to cope with.
+ */
+const DOS_INVALID_CHARS = /[^A-Z0-9!#$%&'()@^_`{}~-]/g;
+
+/**
+ * Split a name into its path, base name and extension.
+ *
+ * Unlike the functions in `supp.js`, the extension keeps its leading dot so
+ * that names ending in a dot can be put back together unchanged.
+ */
+function splitName(name)
+{
+	const filename = getFilename(name);
+	const path = name.substr(0, name.length - filename.length);
+	const dot = filename.lastIndexOf('.');
+	if (dot <= 0) {
+		return { path, base: filename, ext: '' };
+	}
+	return {
+		path,
+		base: filename.substr(0, dot),
+		ext: filename.substr(dot),
+	};
+}
+
+/**
+ * Produce a DOS 8.3 name, the same way Windows creates short filenames.
+ *
+ * @param {string} name
+ *   Filename without any path.
+ *
+ * @param {Number} maxLen
+ *   Maximum length of the whole name, or undefined for the usual 12.
+ *
+ * @param {Number} n
+ *   Number to use in the `~1` suffix.  If zero, a suffix is only added if the
+ *   name had to be shortened.
+ */
+function dosName(name, maxLen, n)
+{
+	let { base, ext } = splitName(name.toUpperCase());
+	base = base.replace(DOS_INVALID_CHARS, '_');
+	ext = ext.substr(1).replace(DOS_INVALID_CHARS, '_').substr(0, 3);
+	if (ext.length) ext = '.' + ext;
+
+	const maxBase = Math.min(8, (maxLen || 12) - ext.length);
+	if ((n === 0) && (base.length > maxBase)) n = 1;
+	if (n === 0) return base + ext;
+
+	const suffix = '~' + n;
+	return base.substr(0, Math.max(0, maxBase - suffix.length)) + suffix + ext;
+}
+
+/**
+ * Shorten a name to fit within the length limit, keeping the extension.
+ *
+ * @param {string} name
+ *   Filename including any path.
+ *
+ * @param {Number} maxLen
+ *   Maximum length of the whole name, or undefined for no limit.
+ *
+ * @param {Number} n
+ *   Number to use in the `~1` suffix, or zero for no suffix.
+ */
+function shortName(name, maxLen, n)
+{
+	let { path, base, ext } = splitName(name);
+	const suffix = n ? ('~' + n) : '';
+	if (maxLen === undefined) return path + base + suffix + ext;
+
+	if (path.length + suffix.length + ext.length >= maxLen) {
+		// No room for the extension, so drop it.
+		ext = '';
+	}
+	const maxBase = maxLen - path.length - suffix.length - ext.length;
+	if (maxBase <= 0) {
+		return (path + base).substr(0, maxLen - suffix.length) + suffix;
+	}
+	return path + base.substr(0, maxBase) + suffix + ext;
+}
+
+/**
+ * Get the longest name the format can store.
+ *
+ * @param {Object} caps
+ *   `caps` from the target format's `metadata()`.
+ *
+ * @return {Number} the maximum length, or undefined if there is no limit.
+ */
+function maxNameLength(caps)
+{
+	let maxLen = caps.file.maxFilenameLen;
+	// Formats with folders check maxNameBytes themselves.
+	if (!caps.file.folders && (caps.file.maxNameBytes !== undefined)) {
+		if ((maxLen === undefined) || (caps.file.maxNameBytes < maxLen)) {
+			maxLen = caps.file.maxNameBytes;
+		}
+	}
+	return maxLen;
+}
+
+/**
+ * Check whether a filename needs to be changed to fit the format.
+ *
+ * @param {string} name
+ *   Filename to check.
+ *
+ * @param {Object} caps
+ *   `caps` from the target format's `metadata()`.
+ *
+ * @return {Boolean} true if the name can't be stored as-is.
+ */
+export function needsMangling(name, caps)
+{
+	if (!caps.file.folders && (name.indexOf('/') >= 0)) return true;
+	const maxLen = maxNameLength(caps);
+	if ((maxLen !== undefined) && (name.length > maxLen)) return true;
+	return false;
+}
+
+/**
+ * Work out new names for any files that can't be stored in a format.
+ *
+ * This is used when converting an archive from one format to another, so the
+ * files don't have to be renamed by hand.  Names are only changed if they
+ * don't fit or would clash with an earlier file (unless `caps.file.duplicates`
+ * is set), and the new names are chosen so they don't clash with any other
+ * file in the archive.  Names are compared without regard to case unless
+ * `caps.file.caseSensitive` is set.
+ *
+ * Folders are removed from the names if the format doesn't support them.  If
+ * the format uses DOS names (`caps.file.dosNames`), the new names are
+ * converted to uppercase 8.3 names with `~1` suffixes, otherwise they are cut
+ * down to `caps.file.maxFilenameLen` (or `caps.file.maxNameBytes`) with a `~1`
+ * suffix only added if needed to keep them unique.
+ *
+ * Entries ending in a slash (empty folders) are skipped, as there's nothing
+ * to rename them to if the format has no folders.
+ *
+ * @param {Array<File>} files
+ *   Files to examine, usually `archive.files`.
+ *
+ * @param {Object} caps
+ *   `caps` from the target format's `metadata()`.
+ *
+ * @param {Object} options
+ *   Optional settings.  If `options.folders` is `flatten` then folder names
+ *   are kept as a prefix on the filename (`music/title.mid` becomes
+ *   `music_title.mid`) instead of being dropped.
+ *
+ * @return {Array<Object>} one entry for each file that needs to be renamed,
+ *   with `file`, `oldName` and `newName` properties.  The files themselves are
+ *   not changed.
+ */
+export function mangleFilenames(files, caps, options = {})
+{
+	const key = n => filenameKey(n, caps);
+	const maxLen = maxNameLength(caps);
+
+	let used = new Set();
+	let pending = [];
+	for (const file of files) {
+		if (file.name.substr(-1) === '/') continue;
+		if (
+			needsMangling(file.name, caps)
+			|| (!caps.file.duplicates && used.has(key(file.name)))
+		) {
+			pending.push(file);
+		} else {
+			// Names staying the same can't be reused for one of the renamed files.
+			used.add(key(file.name));
+		}
+	}
+
+	let renames = [];
+	for (const file of pending) {
+		let name = file.name;
+		if (!caps.file.folders) {
+			if (options.folders === 'flatten') {
+				name = name.split('/').join('_');
+			} else {
+				name = getFilename(name);
+			}
+		}
+
+		let newName;
+		for (let n = 0; ; n++) {
+			if (caps.file.dosNames) {
+				const { path } = splitName(name);
+				newName = path + dosName(getFilename(name),
+					maxLen && (maxLen - path.length), n);
+			} else {
+				newName = shortName(name, maxLen, n);
+			}
+			if (!used.has(key(newName))) break;
+		}
+		used.add(key(newName));
+
+		renames.push({
+			file,
+			oldName: file.name,
+			newName,
+		});
+	}
+
+	return renames;
+}
@@ -0,0 +1,232 @@
+/*
+ * Filenames for archive formats that don't store them.
+ *
+ * Some archive formats only store file content, so the only way to give the
+ * files meaningful names is to recognise them.  This keeps a list of names
+ * for each format, looked up either by the file's position in the archive or
+ * by a hash of its content.  A map is passed to a handler's parse() function
+ * in `options.nameMap`, and can be exported and imported as JSON so names can
+ * be saved between runs or shared.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Debug from './debug.js';
+const debug = Debug.extend('nameMap');
+
+import crypto from 'crypto';
+
+export default class NameMap
+{
+	constructor() {
+		// Names for each format, keyed by format ID.  Each one is an object with
+		// an `index` and a `hash` object, mapping the file's index or content
+		// hash to its name, and a `filenames` list of names for formats that
+		// store something other than the name, like a hash of it.  `guesses`
+		// holds names found by searching, keyed however the format likes, which
+		// are kept apart from the real names as they may be wrong.
+		this.maps = {};
+	}
+
+	/**
+	 * Hash file content, for looking up its name.
+	 *
+	 * @param {Uint8Array} content
+	 *   File content, as stored in the archive.
+	 *
+	 * @return {string} Base64-encoded SHA-1 hash, the same as the hashes used
+	 *   by the test suite.
+	 */
+	static hash(content) {
+		const digest = crypto
+			.createHash('sha1')
+			.update(content)
+			.digest();
+		return Buffer.from(digest).toString('base64');
+	}
+
+	/**
+	 * Get the names for a format, creating an empty list if there are none.
+	 *
+	 * @param {string} idFormat
+	 *   Format ID.
+	 *
+	 * @return {Object} with `index`, `hash`, `filenames` and `guesses`
+	 *   properties.
+	 */
+	getMap(idFormat) {
+		if (!this.maps[idFormat]) {
+			this.maps[idFormat] = {
+				index: {},
+				hash: {},
+				filenames: [],
+				guesses: {},
+			};
+		}
+		return this.maps[idFormat];
+	}
+
+	/**
+	 * Add filenames for a format.
+	 *
+	 * Names added later replace any earlier ones for the same index or hash.
+	 *
+	 * @param {string} idFormat
+	 *   Format ID, e.g. "arc-dat-indy500".
+	 *
+	 * @param {Object} names
+	 *   Object with optional `index` and `hash` objects, mapping a file's index
+	 *   in the archive (starting at 0) or its content hash (from hash()) to its
+	 *   filename, an optional `filenames` array of names to try, and an
+	 *   optional `guesses` object as passed to guess().
+	 */
+	add(idFormat, names) {
+		let map = this.getMap(idFormat);
+		Object.assign(map.index, names.index || {});
+		Object.assign(map.hash, names.hash || {});
+		Object.assign(map.guesses, names.guesses || {});
+		for (const name of names.filenames || []) {
+			if (!map.filenames.includes(name)) map.filenames.push(name);
+		}
+	}
+
+	/**
+	 * Remember the name of a file, so it can be found again from its content.
+	 *
+	 * Handlers call this from generate() when a map is passed in
+	 * `options.nameMap`, so a file keeps its name the next time the archive is
+	 * opened with the same map, even if its content was changed.
+	 *
+	 * @param {string} idFormat
+	 *   Format ID.
+	 *
+	 * @param {Uint8Array} content
+	 *   File content, as stored in the archive.
+	 *
+	 * @param {string} name
+	 *   Filename.
+	 */
+	remember(idFormat, content, name) {
+		this.getMap(idFormat).hash[NameMap.hash(content)] = name;
+	}
+
+	/**
+	 * Remember a name found by searching, so the search doesn't have to be
+	 * done again.
+	 *
+	 * Guesses are saved by exportJSON() along with the other names, but are
+	 * kept separate so handlers can give real names priority over them.
+	 *
+	 * @param {string} idFormat
+	 *   Format ID.
+	 *
+	 * @param {string|Number} key
+	 *   What the name was found from, such as the hash of the name stored in
+	 *   the archive.
+	 *
+	 * @param {string} name
+	 *   Filename.
+	 */
+	guess(idFormat, key, name) {
+		this.getMap(idFormat).guesses[key] = name;
+	}
+
+	/**
+	 * Get the names found by searching for a format.
+	 *
+	 * @param {string} idFormat
+	 *   Format ID.
+	 *
+	 * @return {Object} the names passed to guess(), keyed by the same key.
+	 */
+	getGuesses(idFormat) {
+		const map = this.maps[idFormat];
+		if (!map) return {};
+		return map.guesses;
+	}
+
+	/**
+	 * Look up the name of a file.
+	 *
+	 * @param {string} idFormat
+	 *   Format ID.
+	 *
+	 * @param {Number} index
+	 *   Index of the file in the archive, starting at 0.
+	 *
+	 * @param {Uint8Array} content
+	 *   File content, as stored in the archive.
+	 *
+	 * @return {string} the filename, or `undefined` if it isn't known.  A match
+	 *   on the content hash is used before a match on the index.
+	 */
+	getName(idFormat, index, content) {
+		const map = this.maps[idFormat];
+		if (!map) return undefined;
+
+		const name = map.hash[NameMap.hash(content)];
+		if (name !== undefined) return name;
+
+		return map.index[index];
+	}
+
+	/**
+	 * Get the list of filenames to try for a format.
+	 *
+	 * @param {string} idFormat
+	 *   Format ID.
+	 *
+	 * @return {Array<string>} the names added with `filenames` in add().
+	 */
+	getFilenames(idFormat) {
+		const map = this.maps[idFormat];
+		if (!map) return [];
+		return map.filenames;
+	}
+
+	/**
+	 * Export the names so they can be saved or shared.
+	 *
+	 * @param {string} idFormat
+	 *   Optional format ID.  If omitted, names for all formats are exported.
+	 *
+	 * @return {string} JSON, keyed by format ID.
+	 */
+	exportJSON(idFormat) {
+		let out = {};
+		for (const [ id, map ] of Object.entries(this.maps)) {
+			if ((idFormat !== undefined) && (id !== idFormat)) continue;
+			out[id] = map;
+		}
+		return JSON.stringify(out, null, '\t');
+	}
+
+	/**
+	 * Import names previously exported with exportJSON().
+	 *
+	 * Imported names are added to any already in the map.
+	 *
+	 * @param {string} json
+	 *   JSON, keyed by format ID.
+	 */
+	importJSON(json) {
+		const data = JSON.parse(json);
+		for (const [ idFormat, names ] of Object.entries(data)) {
+			debug(`Importing names for ${idFormat}`);
+			this.add(idFormat, names);
+		}
+	}
+}
@@ -0,0 +1,210 @@
+/*
+ * Fixed-file archives inside .exe files that may have been packed.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend('packedExe');
+
+import { cmp_lzexe, cmp_pklite } from '@camoto/gamecomp';
+import FixedArchive from './fixedArchive.js';
+import LimitIssue from '../interface/limitIssue.js';
+import LZEXE from './lzexe.js';
+
+// Values for the "packer" tag.
+const PACKERS = ['lzexe', 'none'];
+
+// Key for our data in `archive.extra`.
+const EXTRA_ID = 'packedExe';
+
+export default class PackedExe
+{
+	/**
+	 * Tags for metadata(), to add to `md.caps.tags`.
+	 *
+	 * @return {Object} the tag list.
+	 */
+	static tags() {
+		return {
+			// How the .exe is packed when it is saved.  It can only be packed with
+			// LZEXE if it was packed that way when it was opened, as the original
+			// decompressor is reused.  PKLITE files are unpacked when opened but
+			// can't be packed again, so they are saved unpacked.
+			packer: {
+				type: 'string',
+				values: PACKERS,
+				default: 'none',
+			},
+		};
+	}
+
+	/**
+	 * Unpack an .exe file, if it has been packed.
+	 *
+	 * @param {Uint8Array} content
+	 *   The .exe file.
+	 *
+	 * @return {Object} with `content` set to the unpacked .exe file, and `lzexe`
+	 *   set to what is needed to pack it again if it was packed with LZEXE.  If
+	 *   the file can't be unpacked, `content` is undefined and `reason` says
+	 *   why.
+	 */
+	static unpack(content) {
+		if (cmp_lzexe.identify(content).valid) {
+			const unpacked = cmp_lzexe.reveal(content);
+			const loader = LZEXE.getLoader(content);
+			return {
+				content: unpacked,
+				// Keep the original so it can be written back as-is if nothing
+				// changes, as it won't compress exactly the same way again.
+				lzexe: loader && {
+					loader,
+					packed: content,
+					unpacked,
+				},
+			};
+		}
+
+		// Early versions of some games use PKLITE instead.
+		if (cmp_pklite.identify(content).valid) {
+			try {
+				return {
+					content: cmp_pklite.reveal(content),
+				};
+			} catch (e) {
+				return {
+					content: undefined,
+					reason: `Unable to unpack PKLITE file: ${e.message}`,
+				};
+			}
+		}
+
+		return {
+			content,
+		};
+	}
+
+	/**
+	 * Check the "packer" tag and that each file fits back into its space.
+	 *
+	 * @param {Archive} archive
+	 *   Archive being checked.
+	 *
+	 * @param {Array<Object>} files
+	 *   Same as for FixedArchive.parse().
+	 *
+	 * @return {Array<LimitIssue>} any problems found.
+	 */
+	static checkLimits(archive, files) {
+		let issues = [];
+
+		const { packer } = archive.tags;
+		if ((packer !== undefined) && !PACKERS.includes(packer)) {
+			issues.push(new LimitIssue({
+				code: 'INVALID_TAG',
+				message: `The "packer" tag must be "lzexe" or "none", not "${packer}".`,
+			}));
+		} else if ((packer === 'lzexe') && !this.getLzexe(archive)) {
+			issues.push(new LimitIssue({
+				code: 'INVALID_TAG',
+				message: `The "packer" tag can only be "lzexe" if the file was packed `
+					+ `with LZEXE 0.91 when it was opened.`,
+			}));
+		}
+
+		// Make sure each file will fit back into the space it came from.
+		issues.push(...FixedArchive.checkLimits(archive, files));
+
+		return issues;
+	}
+
+	/**
+	 * Unpack an .exe file and read the files out of it.
+	 *
+	 * @param {Uint8Array} content
+	 *   The .exe file.
+	 *
+	 * @param {Array<Object>} files
+	 *   Same as for FixedArchive.parse().
+	 *
+	 * @return {Archive} the files, with the "packer" tag set to how the .exe
+	 *   was packed.
+	 */
+	static parse(content, files) {
+		const unpacked = this.unpack(content);
+		if (!unpacked.content) {
+			throw new Error(unpacked.reason);
+		}
+
+		let archive = FixedArchive.parse(unpacked.content, files);
+		archive.tags.packer = unpacked.lzexe ? 'lzexe' : 'none';
+		archive.extra[EXTRA_ID] = {
+			lzexe: unpacked.lzexe,
+		};
+
+		return archive;
+	}
+
+	/**
+	 * Write the files back into the .exe and pack it if the "packer" tag says
+	 * to.
+	 *
+	 * @param {Archive} archive
+	 *   Archive to write.
+	 *
+	 * @param {Array<Object>} files
+	 *   Same as for FixedArchive.parse().
+	 *
+	 * @return {Uint8Array} the .exe file.
+	 */
+	static generate(archive, files) {
+		const main = FixedArchive.generate(archive, files);
+
+		if (archive.tags.packer !== 'lzexe') {
+			return main;
+		}
+
+		const lzexe = this.getLzexe(archive);
+		if (!lzexe) {
+			throw new Error(`The "packer" tag can only be "lzexe" if the file was `
+				+ `packed with LZEXE 0.91 when it was opened.`);
+		}
+
+		const unchanged = (main.length === lzexe.unpacked.length)
+			&& main.every((b, i) => b === lzexe.unpacked[i]);
+		if (unchanged) {
+			debug('Nothing changed, writing original LZEXE data');
+			return lzexe.packed;
+		}
+
+		return LZEXE.pack(main, lzexe.loader);
+	}
+
+	/**
+	 * Get what is needed to pack the .exe again with LZEXE.
+	 *
+	 * @param {Archive} archive
+	 *   Archive returned by parse().
+	 *
+	 * @return {Object} the `lzexe` value returned by unpack(), or undefined if
+	 *   the .exe was not packed with LZEXE when it was opened.
+	 */
+	static getLzexe(archive) {
+		const { lzexe } = archive.extra[EXTRA_ID] || {};
+		return lzexe;
+	}
+}
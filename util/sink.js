@@ -0,0 +1,161 @@
+/*
+ * Destinations for writing archives incrementally.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * A sink that collects the data in memory.
+ *
+ * Any object with an async `write(offset, data)` function can be passed to
+ * {@link ArchiveHandler.generateAsync generateAsync()}, this one is mostly
+ * useful for testing or when the data is going to end up in memory anyway.
+ */
+export class BufferSink
+{
+	constructor() {
+		this.buffer = new Uint8Array(4096);
+		this.length = 0;
+	}
+
+	/**
+	 * Write data.
+	 *
+	 * @param {Number} offset
+	 *   Offset to write the data at.  This can be before the end of the data
+	 *   written so far, to overwrite part of it.
+	 *
+	 * @param {Uint8Array} data
+	 *   Data to write.
+	 */
+	async write(offset, data) {
+		const end = offset + data.length;
+		if (end > this.buffer.length) {
+			let newBuffer = new Uint8Array(Math.max(end, this.buffer.length * 2));
+			newBuffer.set(this.buffer.subarray(0, this.length));
+			this.buffer = newBuffer;
+		}
+		this.buffer.set(data, offset);
+		this.length = Math.max(this.length, end);
+	}
+
+	/**
+	 * Get everything that has been written.
+	 *
+	 * @return {Uint8Array} the data.
+	 */
+	getU8() {
+		return this.buffer.subarray(0, this.length);
+	}
+}
+
+/**
+ * A sink that writes to a Node.js `FileHandle` from `fs.promises.open()`.
+ *
+ * The caller remains responsible for closing the file handle once the archive
+ * has been written.
+ */
+export class FileHandleSink
+{
+	/**
+	 * @param {FileHandle} fileHandle
+	 *   File to write to.  It should be empty, e.g. opened with the 'w' flag.
+	 */
+	constructor(fileHandle) {
+		this.fileHandle = fileHandle;
+	}
+
+	async write(offset, data) {
+		let pos = 0;
+		while (pos < data.length) {
+			const { bytesWritten } = await this.fileHandle.write(data, pos,
+				data.length - pos, offset + pos);
+			pos += bytesWritten;
+		}
+	}
+}
+
+/**
+ * A sink that writes to a Node.js `Writable` stream.
+ *
+ * Streams can't seek, so formats that go back to fill in a header after the
+ * file data has been written can't be written to this type of sink.
+ */
+export class StreamSink
+{
+	/**
+	 * @param {Writable} stream
+	 *   Stream to write to.
+	 */
+	constructor(stream) {
+		this.stream = stream;
+		this.length = 0;
+	}
+
+	async write(offset, data) {
+		if (offset !== this.length) {
+			throw new Error(`Cannot write to offset ${offset} as streams can only `
+				+ `be written sequentially (next offset is ${this.length}).`);
+		}
+		await new Promise((resolve, reject) => {
+			this.stream.write(data, err => err ? reject(err) : resolve());
+		});
+		this.length += data.length;
+	}
+}
+
+/**
+ * Keep track of the current position while writing to a sink.
+ *
+ * This allows format handlers to write sections one after the other as they
+ * would with a `RecordBuffer`, and seek back to fill in headers afterwards.
+ */
+export class SinkWriter
+{
+	/**
+	 * @param {Object} sink
+	 *   Sink to write to, such as a `BufferSink` or `FileHandleSink`.
+	 */
+	constructor(sink) {
+		this.sink = sink;
+		this.pos = 0;
+	}
+
+	/**
+	 * Write data at the current position and advance past it.
+	 *
+	 * @param {Uint8Array} data
+	 *   Data to write.
+	 */
+	async put(data) {
+		await this.sink.write(this.pos, data);
+		this.pos += data.length;
+	}
+
+	/**
+	 * Move the current position.
+	 *
+	 * @param {Number} pos
+	 *   New offset from the start of the output.
+	 */
+	seekAbs(pos) {
+		this.pos = pos;
+	}
+
+	getPos() {
+		return this.pos;
+	}
+}
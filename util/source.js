@@ -0,0 +1,179 @@
+/*
+ * Random-access data sources for reading archives on demand.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * A source backed by data that is already in memory.
+ *
+ * Any object with a `length` property and an async `read(offset, length)`
+ * function can be passed to {@link ArchiveHandler.parseAsync parseAsync()},
+ * this is just the simplest one.
+ */
+export class BufferSource
+{
+	/**
+	 * @param {Uint8Array} content
+	 *   Data to read from.
+	 */
+	constructor(content) {
+		this.content = content;
+		this.length = content.length;
+	}
+
+	/**
+	 * Read part of the data.
+	 *
+	 * @param {Number} offset
+	 *   Offset of the first byte to read.
+	 *
+	 * @param {Number} length
+	 *   Number of bytes to read.
+	 *
+	 * @return {Promise<Uint8Array>} the data.  It may be shorter than requested
+	 *   if the read went past the end of the source.
+	 */
+	async read(offset, length) {
+		return this.content.subarray(offset, offset + length);
+	}
+}
+
+/**
+ * A source backed by a Node.js `FileHandle` from `fs.promises.open()`.
+ *
+ * Only the requested parts of the file are read, so this can be used with
+ * archives too large to comfortably load into memory.  The caller remains
+ * responsible for closing the file handle once it is no longer needed.
+ */
+export class FileHandleSource
+{
+	/**
+	 * @param {FileHandle} fileHandle
+	 *   Open file to read from.
+	 *
+	 * @param {Number} length
+	 *   Size of the file, as returned by `fileHandle.stat()`.
+	 */
+	constructor(fileHandle, length) {
+		this.fileHandle = fileHandle;
+		this.length = length;
+	}
+
+	async read(offset, length) {
+		const len = Math.max(0, Math.min(length, this.length - offset));
+		let data = new Uint8Array(len);
+		let pos = 0;
+		while (pos < len) {
+			const { bytesRead } = await this.fileHandle.read(data, pos, len - pos,
+				offset + pos);
+			if (bytesRead === 0) {
+				throw new Error(`Unexpected end of file reading ${len} bytes at `
+					+ `offset ${offset}.`);
+			}
+			pos += bytesRead;
+		}
+		return data;
+	}
+}
+
+/**
+ * Make a file read its data from a source only when it is needed.
+ *
+ * This sets `getRawAsync()` and `getContentAsync()` to read the data from the
+ * source each time they are called, so it is never kept in memory.  Any
+ * `getContent()` set by the format handler (e.g. to decompress the data) is
+ * still used by `getContentAsync()`.
+ *
+ * The synchronous `getRaw()` and `getContent()` will throw an error until
+ * {@link loadAll loadAll()} has been called to read the data into memory.
+ *
+ * @param {File} file
+ *   File to update.  The `offset` and `diskSize` properties give the location
+ *   of the raw data within the source.
+ *
+ * @param {Object} source
+ *   Source to read the data from.
+ */
+export function readOnDemand(file, source)
+{
+	let loaded, temp;
+
+	file.getRaw = () => {
+		if (loaded) return loaded;
+		if (temp) return temp;
+		if (file.diskSize === 0) return new Uint8Array();
+		throw new Error(`The data for "${file.name}" has not been loaded yet.  `
+			+ `Use getRawAsync() or getContentAsync(), or call loadAll() first.`);
+	};
+	file.getRaw.load = async () => {
+		loaded = await source.read(file.offset, file.diskSize);
+	};
+	file.getRaw.isLoaded = () => !!loaded || (file.diskSize === 0);
+
+	file.getRawAsync = async () => {
+		if (loaded) return loaded;
+		return await source.read(file.offset, file.diskSize);
+	};
+
+	file.getContentAsync = async () => {
+		if (loaded) return file.getContent();
+		// Make the data available to getRaw() only while getContent() is running.
+		// Since getContent() is synchronous nothing else can run in the meantime.
+		temp = await source.read(file.offset, file.diskSize);
+		try {
+			return file.getContent();
+		} finally {
+			temp = undefined;
+		}
+	};
+}
+
+/**
+ * See whether a file's data can be read with the synchronous functions.
+ *
+ * @param {File} file
+ *   File to check.
+ *
+ * @return {boolean} `false` if the file was set up by
+ *   {@link readOnDemand readOnDemand()} and its data has not been loaded with
+ *   {@link loadAll loadAll()} yet, otherwise `true`.
+ */
+export function isLoaded(file)
+{
+	if (!file.getRaw.isLoaded) return true;
+	return file.getRaw.isLoaded();
+}
+
+/**
+ * Read all on-demand file data into memory.
+ *
+ * This must be done before passing an archive returned by `parseAsync()` to
+ * `generate()`, or before calling the synchronous `getRaw()` or `getContent()`
+ * functions on any of its files.  Files not set up by
+ * {@link readOnDemand readOnDemand()} are left alone.
+ *
+ * @param {Archive} archive
+ *   Archive to update.
+ */
+export async function loadAll(archive)
+{
+	for (const file of archive.files) {
+		if (file.getRaw.load) {
+			await file.getRaw.load();
+		}
+	}
+}
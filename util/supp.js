@@ -85,3 +85,72 @@ export function getExtension(name)
 	const m = name.match(/\.([^.]+)$/);
 	return (m && m[1]) || '';
 }
+
+/**
+ * Check whether the filename matches a glob from a handler's metadata.
+ *
+ * Only the filename portion is compared (any path is ignored), and the
+ * comparison is case-insensitive as most of these files come from DOS.
+ * Supports `*` and `?` wildcards only.
+ *
+ * "/folder/file.ext", "*.ext" -> true
+ */
+export function matchGlob(name, glob)
+{
+	const pattern = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+		.replace(/\*/g, '.*')
+		.replace(/\?/g, '.');
+	return new RegExp('^' + pattern + '$', 'i').test(getFilename(name));
+}
+
+/**
+ * Shorten a filename to fit within a length limit, keeping the extension.
+ *
+ * The base name is cut down first, and the extension is only shortened if
+ * there is no room left for any of the base name.  Any path is kept as-is but
+ * counts towards the length.
+ *
+ * "/folder/longfilename.ext", 16 -> "/folder/long.ext"
+ */
+export function truncateFilename(name, maxLen)
+{
+	if (name.length <= maxLen) return name;
+
+	const filename = getFilename(name);
+	const lenPath = name.length - filename.length;
+	const avail = maxLen - lenPath;
+	if (avail <= 0) {
+		// Not even room for the path, just cut the whole thing.
+		return name.substr(0, maxLen);
+	}
+
+	const ext = getExtension(filename);
+	const base = getBasename(filename);
+	let newFilename;
+	if (ext.length && (avail > ext.length + 1)) {
+		newFilename = base.substr(0, avail - ext.length - 1) + '.' + ext;
+	} else {
+		newFilename = filename.substr(0, avail);
+	}
+	return name.substr(0, lenPath) + newFilename;
+}
+
+/**
+ * Convert a filename into a form for comparing it with other filenames.
+ *
+ * Two names refer to the same file in an archive format if this function
+ * returns the same value for both of them.
+ *
+ * "File.txt", { file: { caseSensitive: false } } -> "FILE.TXT"
+ *
+ * @param {string} name
+ *   Filename to convert.
+ *
+ * @param {Object} caps
+ *   `caps` from the format handler's `metadata()`.
+ */
+export function filenameKey(name, caps)
+{
+	if (caps.file.caseSensitive) return name;
+	return name.toUpperCase(); // nearly always ASCII
+}